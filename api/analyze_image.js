@@ -1,17 +1,32 @@
 // api/analyze_image.js
-// Image analysis using Gemini's vision capabilities
-
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+// Image analysis using Gemini's vision capabilities, in one of the modes in
+// lib/image_analysis.js (doneness check, ingredient identification, fridge
+// scan, plating critique, what went wrong). Up to MAX_IMAGES photos are
+// analyzed together. Signed-in users' photos are kept (lib/media.js)
+// with the analysis, linked to the recipe they're cooking and the
+// conversation turn the analysis was written to.
+// Mode "recipe" reads a handwritten recipe card or cookbook pages into a
+// draft recipe instead (lib/recipe_photo.js); it's saved once reviewed.
+
+const llm = require('../lib/llm');
+const media = require('../lib/media');
+const cookingSession = require('../lib/cooking_session');
+const threads = require('../lib/threads');
+const imageAnalysis = require('../lib/image_analysis');
+const recipePhoto = require('../lib/recipe_photo');
 const formidable = require('formidable');
 const fs = require('fs').promises;
 
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+// Several photos can be analyzed together (fridge plus cupboard, or a
+// recipe that runs over several pages)
+const MAX_IMAGES = 4;
 
 async function parseFormData(req) {
   return new Promise((resolve, reject) => {
     const form = formidable({
-      multiples: false,
+      multiples: true,
       keepExtensions: true,
+      maxFiles: MAX_IMAGES,
       maxFileSize: 10 * 1024 * 1024 // 10MB
     });
     
@@ -22,6 +37,46 @@ async function parseFormData(req) {
   });
 }
 
+// formidable v3 gives every field as an array
+function field(fields, name) {
+  const value = Array.isArray(fields[name]) ? fields[name][0] : fields[name];
+  return value === undefined || value === '' ? null : value;
+}
+
+// Recipe mode: the draft and its flagged fields go back for review. The
+// photos are kept so they can be linked to the recipe when it's saved.
+async function sendRecipeDraft(res, userId, note, images) {
+  const draft = await recipePhoto.transcribeRecipe(images, { note });
+  if (draft.error) {
+    return res.status(draft.status).json({ error: draft.error, code: draft.code });
+  }
+
+  const photos = [];
+  if (media.canStoreMedia(userId)) {
+    for (const image of images) {
+      const saved = await media.saveMedia(userId, {
+        buffer: image.buffer,
+        mimeType: image.mimeType,
+        prompt: note,
+        analysis: { mode: recipePhoto.MODE, subject: draft.recipe.title, review: draft.review }
+      });
+      if (saved.error) {
+        console.error('Recipe photo: photo not saved:', saved.error);
+      } else {
+        photos.push(saved.media);
+      }
+    }
+  }
+
+  return res.status(200).json({
+    mode: recipePhoto.MODE,
+    ...draft,
+    media: photos[0] || null,
+    photos,
+    success: true
+  });
+}
+
 module.exports = async (req, res) => {
   // Enable CORS
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -36,65 +91,127 @@ module.exports = async (req, res) => {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let imageFiles = [];
   try {
     // Parse the form data
     const { fields, files } = await parseFormData(req);
     
-    // Get the image file
-    const imageFile = files.image?.[0] || files.image;
-    if (!imageFile) {
+    // Get the image files (every `image` field)
+    imageFiles = [].concat(files.image || []);
+    if (imageFiles.length === 0) {
       return res.status(400).json({ error: 'No image file provided' });
     }
 
-    // Get the prompt
-    const prompt = fields.prompt?.[0] || fields.prompt || 'Analyze this cooking-related image and provide helpful information.';
+    // The question and the mode; without a mode one is picked from the question
+    const question = field(fields, 'prompt');
+    const requestedMode = field(fields, 'mode');
+    const userId = field(fields, 'user_id');
 
-    console.log('Analyzing image:', imageFile.originalFilename || imageFile.newFilename);
+    // Read the image files with their mime types
+    const images = await Promise.all(imageFiles.map(async file => ({
+      buffer: await fs.readFile(file.filepath),
+      mimeType: file.mimetype || 'image/jpeg'
+    })));
 
-    // Read the image file
-    const imageBuffer = await fs.readFile(imageFile.filepath);
-    
-    // Convert to base64
-    const base64Image = imageBuffer.toString('base64');
-    
-    // Determine mime type
-    const mimeType = imageFile.mimetype || 'image/jpeg';
+    if (requestedMode === recipePhoto.MODE) {
+      console.log(`Reading a recipe from ${images.length} image(s)`);
+      return await sendRecipeDraft(res, userId, question, images);
+    }
 
-    // Use Gemini Vision API
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
+    const mode = imageAnalysis.resolveMode(requestedMode, question);
+    if (!mode) {
+      return res.status(400).json({ error: 'Invalid mode', details: `mode must be one of: ${[...Object.keys(imageAnalysis.MODES), recipePhoto.MODE].join(', ')}` });
+    }
 
-    const imagePart = {
-      inlineData: {
-        data: base64Image,
-        mimeType: mimeType
+    // Signed-in users' analyses join a conversation thread (a new one if none is given)
+    let thread = null;
+    if (threads.canPersistThreads(userId)) {
+      const threadId = field(fields, 'thread_id');
+      thread = threadId ? await threads.getThread(userId, threadId) : await threads.createThread(userId);
+      if (threadId && !thread) {
+        return res.status(404).json({ error: 'Thread not found' });
       }
-    };
+    }
 
-    const result = await model.generateContent([
-      `You are a cooking expert. ${prompt}. Be specific about what you see, cooking techniques, doneness, substitutions, or any cooking advice. Keep it concise and practical.`,
-      imagePart
-    ]);
+    // The recipe being cooked gives the model context and the photo a link
+    const active = media.canStoreMedia(userId) ? await cookingSession.getActiveSession(userId) : null;
+    const activeRecipe = active
+      ? { title: active.recipe.title, step: cookingSession.getRecipeSteps(active.recipe).find(s => s.number === active.session.current_step) }
+      : null;
 
-    const response = await result.response;
-    const analysis = response.text();
+    console.log(`Analyzing ${imageFiles.length} image(s) (${mode}):`, imageFiles.map(f => f.originalFilename || f.newFilename).join(', '));
 
-    // Clean up the uploaded file
+    // Use the vision model from the shared provider layer
+    let card;
     try {
-      await fs.unlink(imageFile.filepath);
-    } catch (unlinkError) {
-      console.error('Failed to delete temp file:', unlinkError);
+      card = await llm.generateStructured({
+        task: 'vision',
+        schema: imageAnalysis.schemaFor(mode),
+        prompt: imageAnalysis.buildPrompt(mode, question, activeRecipe, images.length),
+        images: images.map(image => ({ data: image.buffer.toString('base64'), mimeType: image.mimeType })),
+        userText: question || mode
+      });
+    } catch (analysisError) {
+      if (!(analysisError instanceof llm.StructuredOutputError)) throw analysisError;
+      console.error(`Image analysis failed (${analysisError.code}):`, analysisError.validationErrors);
+      return res.status(502).json({ error: 'Image analysis failed', code: analysisError.code, details: analysisError.message });
+    }
+    const analysis = imageAnalysis.formatAnalysis(card, mode);
+
+    // The analysis goes into the conversation so follow-up questions can use it
+    let memoryId = null;
+    let threadSummary = null;
+    if (thread) {
+      memoryId = await imageAnalysis.recordAnalysisTurn(userId, thread.id, { mode, question, card, photoCount: images.length });
+      threadSummary = await threads.recordThreadTurn(userId, thread, `${imageAnalysis.MODES[mode].label}: ${question || card.subject || 'photo'}`, card.summary);
+    }
+
+    // Keep the photos for signed-in users; without a recipe_id they're
+    // linked to the recipe being cooked, if any
+    const photos = [];
+    if (media.canStoreMedia(userId)) {
+      for (const image of images) {
+        const saved = await media.saveMedia(userId, {
+          buffer: image.buffer,
+          mimeType: image.mimeType,
+          prompt: question,
+          analysis: { mode, ...card },
+          recipeId: field(fields, 'recipe_id') || (active ? active.session.recipe_id : null),
+          threadId: thread ? thread.id : null,
+          memoryId
+        });
+        if (saved.error) {
+          console.error('Image analysis: photo not saved:', saved.error);
+        } else {
+          photos.push(saved.media);
+        }
+      }
     }
 
     return res.status(200).json({ 
+      mode,
+      card,
       analysis,
+      media: photos[0] || null,
+      photos,
+      thread: threadSummary,
       success: true
     });
     
   } catch (error) {
     console.error('Image analysis error:', error);
+    // formidable rejects too many or too large files with an httpCode
+    if (error.httpCode) {
+      return res.status(error.httpCode).json({ error: 'Invalid upload', details: `Send up to ${MAX_IMAGES} images of at most 10MB each` });
+    }
     return res.status(500).json({ 
       error: 'Image analysis failed', 
       details: error.message 
     });
+  } finally {
+    // Clean up the uploaded files (a signed-in user's copies are in storage)
+    for (const file of imageFiles) {
+      await fs.unlink(file.filepath).catch(unlinkError => console.error('Failed to delete temp file:', unlinkError));
+    }
   }
 };
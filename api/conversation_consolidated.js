@@ -1,19 +1,26 @@
 // api/conversation_consolidated.js
 // Consolidated conversation service with all functionality
-const { createClient } = require('@supabase/supabase-js');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-// Initialize Supabase client
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-let supabase = null;
-if (supabaseUrl && supabaseServiceKey) {
-  supabase = createClient(supabaseUrl, supabaseServiceKey);
-}
-
-// Initialize Gemini
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+const llm = require('../lib/llm');
+const { supabase, isValidUUID, resolveRequestUser } = require('../lib/db');
+const { actionOk, actionError, pickFields, requireId } = require('../lib/actions');
+const threads = require('../lib/threads');
+const longTermMemory = require('../lib/memory');
+const cookingSession = require('../lib/cooking_session');
+const timers = require('../lib/timers');
+const shopping = require('../lib/shopping');
+const scaling = require('../lib/scaling');
+const nutrition = require('../lib/nutrition');
+const dietary = require('../lib/dietary');
+const guardrails = require('../lib/guardrails');
+const safetyLog = require('../lib/safety_log');
+const pantry = require('../lib/pantry');
+const mealPlans = require('../lib/meal_plans');
+const recipeSearch = require('../lib/recipe_search');
+const recipeVersions = require('../lib/recipe_versions');
+const recipeFormats = require('../lib/recipe_formats');
+const media = require('../lib/media');
+const fridgeScan = require('../lib/fridge_scan');
+const recipePhoto = require('../lib/recipe_photo');
 
 // In-memory conversation history (fallback when Supabase fails)
 const conversationHistory = new Map();
@@ -21,27 +28,7 @@ const conversationHistory = new Map();
 // ==============================================
 // SAFETY GUARDRAILS (merged from safety_guardrails.js)
 // ==============================================
-const HARMFUL_PATTERNS = [
-  /weapon|gun|knife.*attack|violence|harm.*person|hurt.*someone/i,
-  /poison|toxic|dangerous.*substance|harmful.*chemical/i,
-  /suicide|self.*harm|end.*life|kill.*myself/i,
-  /dangerous.*activity|risky.*behavior/i,
-  /illegal.*drug|substance.*abuse|drug.*recipe/i,
-  /steal|theft|robbery|illegal.*activity/i,
-  /explicit|adult.*content|inappropriate/i,
-  /hate.*speech|discrimination|offensive/i,
-  /unsafe.*cooking|dangerous.*kitchen|harmful.*food/i,
-  /contaminated.*food|food.*poisoning|unsafe.*ingredient/i
-];
-
-const COOKING_SAFETY_PATTERNS = [
-  /raw.*meat.*without.*cooking/i,
-  /undercooked.*chicken|raw.*eggs.*unsafe/i,
-  /cross.*contamination|unsafe.*storage/i,
-  /expired.*food|moldy.*ingredient/i,
-  /allergen.*without.*warning/i
-];
-
+// Input and output classification lives in lib/guardrails.js
 function getSafeSystemPrompt() {
   return `You are Chef Compadre, a friendly AI cooking assistant focused on safe, healthy cooking practices.
 
@@ -63,63 +50,25 @@ COOKING FOCUS:
 If asked about anything outside of cooking, food, or kitchen safety, politely decline and redirect to cooking topics.`;
 }
 
-function validateInput(input) {
-  if (!input || typeof input !== 'string') {
-    return { safe: false, reason: 'Invalid input', category: 'invalid' };
-  }
-
-  const lowerInput = input.toLowerCase();
-
-  // Check for harmful patterns
-  for (const pattern of HARMFUL_PATTERNS) {
-    if (pattern.test(input)) {
-      return { safe: false, reason: 'Contains harmful content', category: 'harmful' };
-    }
-  }
-
-  // Check for cooking safety issues
-  for (const pattern of COOKING_SAFETY_PATTERNS) {
-    if (pattern.test(input)) {
-      return { safe: false, reason: 'Unsafe cooking practice', category: 'unsafe_cooking' };
-    }
-  }
-
-  return { safe: true };
-}
-
-function filterResponse(response) {
-  if (!response || typeof response !== 'string') {
-    return 'I can only help with cooking and food-related topics.';
-  }
-
-  // Basic response filtering
-  const lowerResponse = response.toLowerCase();
-  
-  if (lowerResponse.includes('harmful') || lowerResponse.includes('dangerous')) {
-    return 'I can only provide safe cooking advice. Please ask me about recipes, ingredients, or cooking techniques!';
-  }
-
-  return response;
-}
-
-function logSafetyViolation(userId, input, reason, category) {
+// Warns and stores the event in the safety_events audit log (lib/safety_log.js).
+// check is the guardrails result that triggered it.
+async function logSafetyViolation(userId, threadId, eventType, check, input, output = null) {
   console.warn(`Safety violation detected:`, {
     userId,
+    threadId,
+    eventType,
     input: input.substring(0, 100) + '...',
-    reason,
-    category,
+    reason: check.reason,
+    category: check.category,
+    rules: check.rule_ids,
     timestamp: new Date().toISOString()
   });
+  await safetyLog.recordSafetyEvent({ userId, threadId, eventType, check, inputText: input, outputText: output });
 }
 
 // ==============================================
 // USER DATA FUNCTIONS (merged from user_data.js)
 // ==============================================
-function isValidUUID(uuid) {
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-  return uuidRegex.test(uuid);
-}
-
 async function getUserPreferences(userId) {
   if (!supabase) {
     console.warn('User data service: Supabase not configured');
@@ -191,6 +140,11 @@ async function getUserMemory(userId, memoryType = null) {
   }
 }
 
+// Recipes listed in the chat context; the rest are reached with find_saved_recipe
+const RECENT_RECIPES_LIMIT = 10;
+const RECIPE_SUMMARY_FIELDS = 'id, title, difficulty, prep_time, cook_time, servings, rating, created_at';
+const RECIPE_DETAIL_FIELDS = 'id, title, difficulty, prep_time, cook_time, servings, rating, notes, version, created_at, recipe_data, source_url, tags';
+
 async function getUserRecipes(userId, includeFullData = false) {
   if (!supabase) {
     console.warn('User data service: Supabase not configured');
@@ -205,16 +159,14 @@ async function getUserRecipes(userId, includeFullData = false) {
   
   try {
     // Select fields based on whether full data is needed
-    const selectFields = includeFullData 
-      ? 'id, title, difficulty, prep_time, cook_time, servings, rating, created_at, recipe_data, source_url, tags'
-      : 'id, title, difficulty, prep_time, cook_time, servings, rating, created_at';
+    const selectFields = includeFullData ? RECIPE_DETAIL_FIELDS : RECIPE_SUMMARY_FIELDS;
     
     const { data, error } = await supabase
       .from('saved_recipes')
       .select(selectFields)
       .eq('user_id', userId)
       .order('created_at', { ascending: false })
-      .limit(10);
+      .limit(RECENT_RECIPES_LIMIT);
     
     if (error) {
       console.error('User data service: Error fetching recipes:', error);
@@ -260,7 +212,15 @@ async function getRecipeById(userId, recipeId) {
   }
 }
 
+// Escapes LIKE wildcards so a title is matched literally inside the %...% pattern
+function likePattern(text) {
+  return `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+}
+
 async function getRecipeByTitle(userId, title) {
+  const term = String(title || '').trim();
+  if (!term) return null;
+
   if (!supabase) {
     console.warn('User data service: Supabase not configured');
     return null;
@@ -277,17 +237,20 @@ async function getRecipeByTitle(userId, title) {
       .from('saved_recipes')
       .select('*')
       .eq('user_id', userId)
-      .ilike('title', `%${title}%`)
+      .ilike('title', likePattern(term))
       .order('created_at', { ascending: false })
       .limit(1)
-      .single();
+      .maybeSingle();
     
     if (error) {
       console.error('User data service: Error fetching recipe by title:', error);
       return null;
     }
-    
-    return data;
+    if (data) return data;
+
+    // "that creamy lasagna" won't match a title substring - fall back to library search
+    const found = await recipeSearch.findRecipe(userId, { query: title });
+    return found.recipe || null;
   } catch (error) {
     console.error('User data service: Error in getRecipeByTitle:', error);
     return null;
@@ -309,7 +272,7 @@ async function saveUserPreference(userId, preferenceType, preferenceValue, confi
         preference_value: preferenceValue,
         confidence_score: confidence,
         last_used: new Date().toISOString()
-      });
+      }, { onConflict: 'user_id,preference_type' });
     
     if (error) {
       console.error('User data service: Error saving preference:', error);
@@ -323,37 +286,6 @@ async function saveUserPreference(userId, preferenceType, preferenceValue, confi
   }
 }
 
-async function addToShoppingList(userId, items) {
-  if (!supabase) {
-    console.warn('User data service: Supabase not configured');
-    return false;
-  }
-  
-  try {
-    const shoppingItems = items.map(item => ({
-      user_id: userId,
-      item: item.name,
-      quantity: item.quantity || '',
-      category: item.category || 'general',
-      priority: 2
-    }));
-    
-    const { error } = await supabase
-      .from('shopping_lists')
-      .insert(shoppingItems);
-    
-    if (error) {
-      console.error('User data service: Error adding to shopping list:', error);
-      return false;
-    }
-    
-    return true;
-  } catch (error) {
-    console.error('User data service: Error in addToShoppingList:', error);
-    return false;
-  }
-}
-
 async function saveRecipe(userId, recipeData) {
   if (!supabase) {
     console.warn('User data service: Supabase not configured');
@@ -390,64 +322,11 @@ async function saveRecipe(userId, recipeData) {
 // ==============================================
 // NUTRITION ANALYSIS (merged from nutrition_analyzer.js)
 // ==============================================
-async function analyzeNutrition(recipeText, servings = 1) {
+// Per-serving values come from the bundled nutrient table (lib/nutrition.js);
+// accepts recipe_data or free text such as a chat reply with an ingredient list
+async function analyzeNutrition(recipe, servings = null) {
   try {
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-
-    const prompt = `Analyze the nutritional content of this recipe and provide ONLY a JSON response.
-
-Recipe: ${recipeText}
-
-Return ONLY this JSON format (no other text):
-{
-  "calories": 300,
-  "protein": 15,
-  "carbs": 25,
-  "fat": 10,
-  "fiber": 5,
-  "sugar": 8,
-  "sodium": 400,
-  "vitamins": ["vitamin C", "vitamin A"],
-  "minerals": ["iron", "calcium"],
-  "health_benefits": ["high protein", "low carb"],
-  "dietary_tags": ["vegetarian", "gluten-free"],
-  "servings": ${servings}
-}
-
-IMPORTANT: Return ONLY the JSON object, no explanations or additional text.`;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const nutritionData = response.text();
-
-    // Try to parse JSON response
-    let nutrition;
-    try {
-      // Clean the response - remove any markdown formatting
-      const cleanedData = nutritionData.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      nutrition = JSON.parse(cleanedData);
-    } catch (parseError) {
-      console.error('Failed to parse nutrition JSON from Gemini:', parseError);
-      console.error('Raw response:', nutritionData);
-      
-      // If not JSON, create a structured response with fallback values
-      nutrition = {
-        calories: 300,
-        protein: 15,
-        carbs: 25,
-        fat: 10,
-        fiber: 5,
-        sugar: 8,
-        sodium: 400,
-        vitamins: ["vitamin C", "vitamin A"],
-        minerals: ["iron", "calcium"],
-        health_benefits: ["nutritious", "balanced"],
-        dietary_tags: ["healthy"],
-        servings: servings,
-        raw_analysis: nutritionData
-      };
-    }
-    return nutrition;
+    return await nutrition.analyzeRecipe(recipe, servings);
   } catch (error) {
     console.error('Nutrition analysis error:', error);
     throw error;
@@ -462,7 +341,7 @@ const tools = [
     function_declarations: [
       {
         name: "add_to_shopping_list",
-        description: "Add ingredients to user's shopping list when they mention needing items",
+        description: "Add ingredients to user's shopping list when they mention needing items. Items already on the list are merged (2 onions + 1 onion = 3 onions), so pass every ingredient the recipe needs.",
         parameters: {
           type: "object",
           properties: {
@@ -473,7 +352,77 @@ const tools = [
                 properties: {
                   name: { type: "string", description: "Ingredient name" },
                   quantity: { type: "string", description: "Amount needed" },
-                  category: { type: "string", description: "Food category like 'produce', 'dairy', 'pantry'" }
+                  category: { type: "string", description: "Store aisle like 'produce', 'dairy', 'pantry'" }
+                },
+                required: ["name"]
+              }
+            },
+            recipe_title: { type: "string", description: "Recipe the items are for, if any" },
+            list_name: { type: "string", description: "Named list like 'Party' or 'Costco' - omit for the main shopping list" }
+          },
+          required: ["items"]
+        }
+      },
+      {
+        name: "check_off_shopping_items",
+        description: "Mark shopping list items as bought (\"I got the eggs and milk\"), or unmark them with checked=false",
+        parameters: {
+          type: "object",
+          properties: {
+            items: { type: "array", items: { type: "string" }, description: "Item names as the user said them" },
+            checked: { type: "boolean", description: "false to put items back on the list (default true)" },
+            list_name: { type: "string", description: "Named list - omit for the main shopping list" }
+          },
+          required: ["items"]
+        }
+      },
+      {
+        name: "clear_shopping_list",
+        description: "Remove items from a shopping list: only the checked-off ones, or everything when the user asks to start over",
+        parameters: {
+          type: "object",
+          properties: {
+            checked_only: { type: "boolean", description: "true to remove only bought items (default true)" },
+            list_name: { type: "string", description: "Named list - omit for the main shopping list" }
+          }
+        }
+      },
+      {
+        name: "add_to_pantry",
+        description: "Record food the user has at home (\"I bought 2 lbs of chicken\", \"I have rice and a dozen eggs\"). Amounts of the same item are added together.",
+        parameters: {
+          type: "object",
+          properties: {
+            items: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string", description: "Item name, e.g. 'chicken thighs'" },
+                  quantity: { type: "string", description: "Amount with unit, e.g. '2 lbs', '12', '500 g' - omit if unknown" },
+                  expires_on: { type: "string", description: "Use-by date as YYYY-MM-DD, if the user mentions one" },
+                  expires_in_days: { type: "number", description: "Days until it goes off, when the user gives a relative date (\"good for 3 more days\")" }
+                },
+                required: ["name"]
+              }
+            }
+          },
+          required: ["items"]
+        }
+      },
+      {
+        name: "use_from_pantry",
+        description: "Take food out of the pantry when the user uses, eats or throws it away (\"I used 2 eggs\", \"we're out of milk\"). Omit quantity to remove the item completely. When they cooked a saved recipe, use mark_recipe_cooked instead.",
+        parameters: {
+          type: "object",
+          properties: {
+            items: {
+              type: "array",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string", description: "Item name" },
+                  quantity: { type: "string", description: "Amount used, e.g. '2', '1 cup' - omit to remove it" }
                 },
                 required: ["name"]
               }
@@ -482,6 +431,44 @@ const tools = [
           required: ["items"]
         }
       },
+      {
+        name: "what_can_i_cook",
+        description: "Rank the user's saved recipes by how much of each one their pantry covers and list what's missing. Use for \"what can I make right now?\" or \"what can I cook with what I have?\"",
+        parameters: {
+          type: "object",
+          properties: {
+            limit: { type: "number", description: "How many recipes to return (default 5)" }
+          }
+        }
+      },
+      {
+        name: "mark_recipe_cooked",
+        description: "Record that the user cooked one of their saved recipes and deduct its ingredients from the pantry",
+        parameters: {
+          type: "object",
+          properties: {
+            title: { type: "string", description: "Full or partial title of the saved recipe" },
+            servings: { type: "number", description: "Servings made, if different from the recipe" }
+          },
+          required: ["title"]
+        }
+      },
+      {
+        name: "plan_meals",
+        description: "Plan meals for the coming days from the user's saved recipes (\"plan our dinners for next week\", \"team lunches Monday to Friday for 8\"). Follows their diet, allergies, favorite cuisines and cooking skill, avoids dishes they had recently, and saves the plan. Can also put everything the plan needs on one shopping list, scaled to the servings.",
+        parameters: {
+          type: "object",
+          properties: {
+            start_date: { type: "string", description: "First day as YYYY-MM-DD (default: tomorrow)" },
+            days: { type: "number", description: "Number of days to plan (default 7, max 14)" },
+            slots: { type: "array", items: { type: "string", enum: ["breakfast", "lunch", "dinner", "snack"] }, description: "Meals to plan each day (default ['dinner'])" },
+            servings: { type: "number", description: "Servings per meal, e.g. 8 for a team lunch (default: each recipe's own)" },
+            replace: { type: "boolean", description: "true to replace meals already planned in those slots (default false keeps them)" },
+            add_to_shopping_list: { type: "boolean", description: "true to add all ingredients for the plan to the shopping list" },
+            list_name: { type: "string", description: "Named shopping list - omit for the main shopping list" }
+          }
+        }
+      },
       {
         name: "save_recipe",
         description: "Save a recipe to user's collection when they show interest in a recipe",
@@ -506,7 +493,8 @@ const tools = [
             },
             prep_time: { type: "string", description: "Preparation time" },
             cook_time: { type: "string", description: "Cooking time" },
-            servings: { type: "number", description: "Number of servings" }
+            servings: { type: "number", description: "Number of servings" },
+            override_allergy_warning: { type: "boolean", description: "Only true after the user has explicitly confirmed they want to save a recipe that contains one of their allergens (e.g. it's for someone else)" }
           },
           required: ["title", "ingredients", "steps"]
         }
@@ -518,7 +506,7 @@ const tools = [
           type: "object",
           properties: {
             preference_type: { type: "string", enum: ["diet", "allergy", "cooking_skill", "cuisine"] },
-            preference_value: { type: "string", description: "The preference value" },
+            preference_value: { type: "string", description: "The preference value. Each type keeps one value, so for allergy and diet give the full comma-separated list (e.g. 'peanuts, shellfish'), not just the new item" },
             confidence: { type: "number", description: "Confidence level 1-5" }
           },
           required: ["preference_type", "preference_value"]
@@ -541,23 +529,164 @@ const tools = [
           required: ["original_ingredient", "alternatives"]
         }
       },
+      {
+        name: "scale_recipe",
+        description: "Scale a saved recipe to a number of servings or by a factor, and/or convert its units (metric, imperial, weights). Use this for ANY quantity math on a saved recipe instead of calculating yourself.",
+        parameters: {
+          type: "object",
+          properties: {
+            recipe_title: { type: "string", description: "Full or partial title of the saved recipe. Omit to use the recipe of the active cooking session." },
+            servings: { type: "number", description: "Target number of servings, e.g. 10" },
+            factor: { type: "number", description: "Scale factor when no servings are given, e.g. 0.5 to halve" },
+            units: { type: "string", enum: ["original", "metric", "imperial"], description: "Unit system for the result" },
+            weights: { type: "boolean", description: "Convert cups/spoons to grams or ounces where possible (e.g. 'convert to grams')" }
+          }
+        }
+      },
+      {
+        name: "start_cooking_session",
+        description: "Start a guided, step-by-step cooking session for one of the user's saved recipes when they want to cook it now",
+        parameters: {
+          type: "object",
+          properties: {
+            recipe_title: { type: "string", description: "Full or partial title of the saved recipe, e.g. 'lasagna'" }
+          },
+          required: ["recipe_title"]
+        }
+      },
       {
         name: "guide_recipe_step",
-        description: "Guide user through a specific step of a recipe they're cooking",
+        description: "Move through the active cooking session. The server tracks the real current step and returns its instructions - never invent step numbers.",
         parameters: {
           type: "object",
           properties: {
-            step_number: { type: "number", description: "Current step number" },
-            step_description: { type: "string", description: "Detailed step instructions" },
-            tips: { 
-              type: "array", 
-              description: "Helpful tips for this step",
-              items: { type: "string" }
+            command: {
+              type: "string",
+              enum: ["next", "back", "repeat", "goto", "remaining", "status", "note", "end"],
+              description: "next/back/repeat the step, goto a step_number, list what's remaining, report status, add a note to the current step, or end the session"
+            },
+            step_number: { type: "number", description: "Target step for 'goto'" },
+            note: { type: "string", description: "Note text for 'note', e.g. 'used half the chili'" }
+          },
+          required: ["command"]
+        }
+      },
+      {
+        name: "set_timer",
+        description: "Start a kitchen timer when the user asks for one or a step needs timed cooking (e.g. 'simmer 20 minutes'). Several timers can run at once. During a cooking session it is linked to the current step.",
+        parameters: {
+          type: "object",
+          properties: {
+            duration_minutes: { type: "number", description: "Timer length in minutes (decimals allowed, e.g. 0.5 for 30 seconds)" },
+            label: { type: "string", description: "Short label, e.g. 'pasta', 'simmer sauce'" },
+            step_number: { type: "number", description: "Recipe step this timer belongs to, if not the current one" }
+          },
+          required: ["duration_minutes"]
+        }
+      },
+      {
+        name: "cancel_timer",
+        description: "Cancel a running kitchen timer by its label. Leave the label empty when only one timer is running.",
+        parameters: {
+          type: "object",
+          properties: {
+            label: { type: "string", description: "Label (or part of it) of the timer to cancel, e.g. 'pasta'" }
+          }
+        }
+      },
+      {
+        name: "list_timers",
+        description: "List the user's running kitchen timers and how much time is left on each",
+        parameters: {
+          type: "object",
+          properties: {}
+        }
+      },
+      {
+        name: "get_saved_recipe",
+        description: "Load the full details (ingredients, steps, servings) of one of the user's saved recipes by title. Use before answering questions about, cooking, or shopping for a saved recipe whose details are not already in context.",
+        parameters: {
+          type: "object",
+          properties: {
+            title: { type: "string", description: "Full or partial title of the saved recipe, e.g. 'lasagna'" }
+          },
+          required: ["title"]
+        }
+      },
+      {
+        name: "find_saved_recipe",
+        description: "Search ALL of the user's saved recipes (not just the recent ones in context) by words from the title, ingredients, tags or cuisine, with optional filters, and load the best match's full details (ingredients, steps, servings). Use when the user refers to a saved recipe you don't have details for (\"that lasagna I saved last month\", \"my quick vegetarian curry\") or asks what they have saved.",
+        parameters: {
+          type: "object",
+          properties: {
+            query: { type: "string", description: "Words to search for, e.g. 'lasagna', 'chicken coconut'" },
+            tags: { type: "array", items: { type: "string" }, description: "Tags the recipe must have, e.g. ['vegetarian']" },
+            cuisine: { type: "string", description: "Cuisine, e.g. 'thai'" },
+            difficulty: { type: "string", enum: ["easy", "medium", "hard"] },
+            max_minutes: { type: "number", description: "Maximum total time in minutes" },
+            ingredients: { type: "array", items: { type: "string" }, description: "Ingredients the recipe must use" },
+            saved_after: { type: "string", description: "Only recipes saved on or after this date (YYYY-MM-DD)" },
+            saved_before: { type: "string", description: "Only recipes saved on or before this date (YYYY-MM-DD)" }
+          }
+        }
+      },
+      {
+        name: "update_recipe",
+        description: "Change one of the user's saved recipes so future guidance uses their version (\"remember I use half the sugar\", \"swap the butter for olive oil in my banana bread\", \"step 3 should be 20 minutes\"), add a personal note, rate it, or restore an earlier version. Every change to the recipe is kept in its history.",
+        parameters: {
+          type: "object",
+          properties: {
+            title: { type: "string", description: "Full or partial title of the saved recipe" },
+            ingredient_changes: {
+              type: "array",
+              description: "Changes to existing ingredients",
+              items: {
+                type: "object",
+                properties: {
+                  name: { type: "string", description: "Ingredient as it appears in the recipe, e.g. 'sugar'" },
+                  scale: { type: "number", description: "Multiply its amount, e.g. 0.5 for half" },
+                  amount: { type: "string", description: "New amount, e.g. '100 g'" },
+                  new_name: { type: "string", description: "Replacement ingredient, e.g. 'olive oil'" },
+                  notes: { type: "string", description: "Preparation note, e.g. 'finely chopped'" },
+                  remove: { type: "boolean", description: "Remove this ingredient" }
+                },
+                required: ["name"]
+              }
+            },
+            add_ingredients: { type: "array", items: { type: "string" }, description: "Ingredients to add, e.g. ['1 tsp vanilla extract']" },
+            step_changes: {
+              type: "array",
+              description: "Changes to existing steps",
+              items: {
+                type: "object",
+                properties: {
+                  step: { type: "number", description: "Step number" },
+                  instruction: { type: "string", description: "The rewritten step" },
+                  remove: { type: "boolean", description: "Remove this step" }
+                },
+                required: ["step"]
+              }
             },
-            timing: { type: "string", description: "How long this step takes" },
-            next_step: { type: "string", description: "What comes next" }
+            add_steps: { type: "array", items: { type: "string" }, description: "Steps to add at the end" },
+            scale_to_servings: { type: "number", description: "Permanently rescale every amount to this many servings" },
+            new_title: { type: "string", description: "Rename the recipe" },
+            note: { type: "string", description: "Personal note to remember, e.g. 'kids prefer it less spicy'" },
+            rating: { type: "number", description: "Star rating from 1 to 5" },
+            revert_to_version: { type: "number", description: "Restore this earlier version (see get_recipe_history)" },
+            change_summary: { type: "string", description: "Short description of the change, e.g. 'Half the sugar'" }
+          },
+          required: ["title"]
+        }
+      },
+      {
+        name: "get_recipe_history",
+        description: "List the saved versions of one of the user's recipes, newest first, with what changed in each",
+        parameters: {
+          type: "object",
+          properties: {
+            title: { type: "string", description: "Full or partial title of the saved recipe" }
           },
-          required: ["step_number", "step_description"]
+          required: ["title"]
         }
       },
       {
@@ -576,82 +705,81 @@ const tools = [
   }
 ];
 
-// Light jailbreak protection
-function checkCookingIntent(message) {
-  const lowerMessage = message.toLowerCase();
-  
-  // Check for obvious non-food metaphors
-  const metaphorPhrases = ['in terms of', 'represents', 'symbolizes', 'as if', 'like a'];
-  const nonFoodTopics = [
-    'politics', 'political', 'economy', 'economic', 'recession', 'depression',
-    'government', 'war', 'conflict', 'religion', 'religious',
-    'election', 'president', 'congress', 'senate'
-  ];
-  
-  const hasMetaphor = metaphorPhrases.some(phrase => lowerMessage.includes(phrase));
-  const hasNonFoodTopic = nonFoodTopics.some(topic => lowerMessage.includes(topic));
-  
-  // If using cooking as metaphor for serious topics, politely decline
-  if (hasMetaphor && hasNonFoodTopic) {
-    console.log('⚠️ Potential metaphorical cooking request detected');
-    return {
-      safe: false,
-      message: "I appreciate the creative metaphor! However, I'm specifically designed to help with actual cooking and recipes. I'd love to help you make a real biryani, pasta, or any other dish though! What would you like to cook today? 🍳"
-    };
+const MAX_TOOL_ITERATIONS = 4;
+
+// Chat model settings (model name comes from the provider layer's 'chat' task)
+const CHAT_GENERATION_CONFIG = {
+  temperature: 0.7,
+  topK: 40,
+  topP: 0.95,
+  maxOutputTokens: 8192,
+  candidateCount: 1
+};
+
+const CHAT_SAFETY_SETTINGS = [
+  {
+    category: 'HARM_CATEGORY_HARASSMENT',
+    threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+  },
+  {
+    category: 'HARM_CATEGORY_HATE_SPEECH',
+    threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+  },
+  {
+    category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
+    threshold: 'BLOCK_MEDIUM_AND_ABOVE'
+  },
+  {
+    category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
+    threshold: 'BLOCK_MEDIUM_AND_ABOVE'
   }
-  
-  return { safe: true };
-}
+];
+
+// onEvent(event, data) is optional: when given, the reply is streamed as
+// 'delta' events and actions/nutrition are emitted as soon as they are ready.
+// guard is the guardrails.classifyInput result when the caller already has it.
+// Redirects and refused replies come back as safety_event for the caller to log,
+// since only the caller knows the thread.
+async function processWithAgent(userId, message, conversationHistory, onEvent = null, guard = null) {
+  const emit = (event, data) => {
+    if (onEvent) onEvent(event, data);
+  };
 
-async function processWithAgent(userId, message, conversationHistory) {
   try {
-    // Check cooking intent (light jailbreak protection)
-    const intentCheck = checkCookingIntent(message);
-    if (!intentCheck.safe) {
-      console.log('🛡️ Guardrail triggered - redirecting to cooking');
+    // Off-topic or borderline requests are steered back to cooking without the model
+    const inputCheck = guard || guardrails.classifyInput(message);
+    if (inputCheck.decision !== 'answer') {
+      console.log(`🛡️ Guardrail triggered (${inputCheck.decision}: ${inputCheck.reason})`);
+      emit('delta', { text: inputCheck.message });
       return {
-        response: intentCheck.message,
-        actions: []
+        reply: inputCheck.message,
+        actions: [],
+        nutrition: null,
+        safety_event: { event_type: 'redirected', check: inputCheck }
       };
     }
-    
-    const model = genAI.getGenerativeModel({ 
-      model: 'gemini-2.5-pro',  // Using available model (supports function calling)
-      tools: tools,
-      // Ensure the model is allowed to auto-call tools
-      toolConfig: {
-        functionCallingConfig: { mode: 'AUTO' }
-      },
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 8192,
-        candidateCount: 1
-      },
-      safetySettings: [
-        {
-          category: 'HARM_CATEGORY_HARASSMENT',
-          threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-        },
-        {
-          category: 'HARM_CATEGORY_HATE_SPEECH',
-          threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-        },
-        {
-          category: 'HARM_CATEGORY_SEXUALLY_EXPLICIT',
-          threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-        },
-        {
-          category: 'HARM_CATEGORY_DANGEROUS_CONTENT',
-          threshold: 'BLOCK_MEDIUM_AND_ABOVE'
-        }
-      ]
-    });
 
+    // "next", "go back", "skip to step 4"... during a cooking session never need the model
+    const sessionCommand = await cookingSession.tryHandleCommand(userId, message);
+    if (sessionCommand) {
+      const action = { action: 'cooking_session', session: sessionCommand.session, message: sessionCommand.reply };
+      emit('delta', { text: sessionCommand.reply });
+      emit('action', action);
+      return {
+        reply: sessionCommand.reply,
+        actions: [action],
+        nutrition: null
+      };
+    }
+    
     // Build context from user data
     const preferences = await getUserPreferences(userId);
-    const memory = await getUserMemory(userId);
+    const restrictions = dietary.parseRestrictions(preferences);
+    // Raw chat turns belong to their own thread; only keep long-term memories here
+    const memory = (await getUserMemory(userId)).filter(m => !threads.TURN_TYPES.includes(m.memory_type));
+    const activeSession = await cookingSession.getActiveSession(userId);
+    const runningTimers = await timers.listTimers(userId) || [];
+    const pantryItems = await pantry.listPantry(userId) || [];
     
         // Build conversation context more intelligently
         const recentHistory = conversationHistory.slice(-6); // Last 3 exchanges
@@ -670,7 +798,10 @@ async function processWithAgent(userId, message, conversationHistory) {
         // Build recipe guidance context
         let recipeGuidanceContext = '';
         if (savedRecipes.length > 0) {
-          recipeGuidanceContext = `\n\nSAVED RECIPES AVAILABLE FOR GUIDANCE:\n${savedRecipes.map(r => `- ${r.title} (${r.difficulty}, ${r.prep_time}min prep, ${r.cook_time}min cook)`).join('\n')}`;
+          recipeGuidanceContext = `\n\nSAVED RECIPES AVAILABLE FOR GUIDANCE:\n${savedRecipes.map(r => `- ${r.title} (${r.difficulty}, ${r.prep_time}min prep, ${r.cook_time}min cook${r.rating ? `, rated ${r.rating}/5` : ''})${r.notes ? ` - user's notes: ${r.notes.replace(/\n/g, ' / ').substring(0, 200)}` : ''}`).join('\n')}`;
+          if (savedRecipes.length >= RECENT_RECIPES_LIMIT) {
+            recipeGuidanceContext += `\n(Only the ${RECENT_RECIPES_LIMIT} most recent are listed - use find_saved_recipe for anything older)`;
+          }
           
           // If the most recent recipe was just learned (within last 5 minutes), provide FULL context
           if (mostRecentRecipe) {
@@ -685,6 +816,9 @@ async function processWithAgent(userId, message, conversationHistory) {
                 recipeGuidanceContext += `\n- Description: ${recipe.description || 'N/A'}`;
                 recipeGuidanceContext += `\n- Servings: ${recipe.servings || 'N/A'}`;
                 recipeGuidanceContext += `\n- Difficulty: ${recipe.difficulty || 'N/A'}`;
+                if (mostRecentRecipe.notes) {
+                  recipeGuidanceContext += `\n- User's notes (follow these): ${mostRecentRecipe.notes}`;
+                }
                 
                 if (recipe.ingredients && recipe.ingredients.length > 0) {
                   recipeGuidanceContext += `\n\nINGREDIENTS (${recipe.ingredients.length} items):`;
@@ -719,14 +853,18 @@ If the user says ANYTHING about wanting to SEE, VIEW, SHOW, or LOOK AT something
 
 USER CONTEXT:
 ${preferences.map(p => `- ${p.preference_type}: ${p.preference_value}`).join('\n')}
-${memory.map(m => `- ${m.memory_content}`).join('\n')}
+${dietary.formatRestrictionsForContext(restrictions)}
+${longTermMemory.formatMemoryForContext(memory)}
+${activeSession ? `\n${cookingSession.formatSessionForContext(activeSession)}\n` : ''}
+${runningTimers.length > 0 ? `\n${timers.formatTimersForContext(runningTimers)}\n` : ''}
+${pantryItems.length > 0 ? `\n${pantry.formatPantryForContext(pantryItems)}\n` : ''}
 
 RECENT CONVERSATION:
 ${conversationContext}
 ${recipeGuidanceContext}
 
 CURRENT MESSAGE: ${message}
-
+${inputCheck.safety_topic ? `\n${guardrails.safetyGuidance()}\n` : ''}
 INSTRUCTIONS:
 - **CRITICAL**: Be conversational and maintain context throughout the ENTIRE conversation
 - Remember EVERYTHING from the recent conversation history above
@@ -755,11 +893,25 @@ INSTRUCTIONS:
     - If user uses pronouns ("it", "that", "this"), extract what they're referring to from conversation context
     - DO NOT just describe visually - ALWAYS CALL THE TOOL so they can see actual images!
     - Example: User says "can you show me how it looks like" → Extract "it" from context (e.g., "fried rice") → Call tool with query="fried rice"
-  * add_to_shopping_list: When user wants to save ingredients for later
-  * save_recipe: ONLY for new recipes (learned recipes are already saved)
+  * add_to_shopping_list: When user wants to save ingredients for later (pass recipe_title when they're for a recipe)
+  * check_off_shopping_items / clear_shopping_list: When the user has bought items or wants a fresh list
+  * add_to_pantry / use_from_pantry: When the user says what food they have at home, or used up / threw out
+  * what_can_i_cook: For "what can I make with what I have?" - it ranks saved recipes by pantry coverage and lists what's missing
+  * mark_recipe_cooked: When the user says they made one of their saved recipes (deducts it from the pantry)
+  * plan_meals: For planning several days of meals ahead - it picks from saved recipes; read the plan back as returned
+  * save_recipe: ONLY for new recipes (learned recipes are already saved). It refuses recipes containing the user's allergens - swap the ingredient and try again
   * update_preferences: When user mentions dietary changes
   * suggest_substitutions: When user asks for alternatives
-  * guide_recipe_step: For structured step-by-step cooking
+  * start_cooking_session: When the user wants to cook a saved recipe now (step-by-step guidance)
+  * guide_recipe_step: To move through the active cooking session - it returns the real step, so read it back instead of guessing
+  * set_timer / cancel_timer / list_timers: Kitchen timers - offer one when a step has a cooking time
+  * get_saved_recipe: To load a saved recipe's full details before using them
+  * find_saved_recipe: To search the whole recipe library when the user describes a saved recipe that isn't listed above, or asks what they have (e.g. "my quick vegetarian dinners")
+  * update_recipe: When the user changes how they make a saved recipe ("remember I use half the sugar"), wants a note kept on it, rates it, or wants an earlier version back - saved recipes then use their version from now on
+  * get_recipe_history: When the user asks what they've changed in a recipe or wants to pick a version to restore
+  * scale_recipe: For "make this for 10", "halve it", "convert to grams" - read its amounts back exactly, never do the math yourself
+  * You can chain tools: e.g. get_saved_recipe, then add_to_shopping_list with its ingredients
+  * After tools run you will see their results - always finish with a short natural-language reply that says what happened (including any tool errors)
 
 - **DON'T use tools for**:
   * Answering questions (unless it's asking to SEE something - then use show_reference_images)
@@ -777,82 +929,95 @@ INSTRUCTIONS:
 
 Respond naturally as if you're having a continuous conversation with full memory and access to all learned recipes.`;
 
-    const result = await model.generateContent(contextPrompt);
-    const response = await result.response;
-    
-    // Monitor token usage
-    const usageMetadata = response.usageMetadata;
-    if (usageMetadata) {
-      console.log('Token usage:', {
-        promptTokens: usageMetadata.promptTokenCount,
-        candidatesTokens: usageMetadata.candidatesTokenCount,
-        totalTokens: usageMetadata.totalTokenCount
-      });
-      
-      // Warn if approaching limits
-      if (usageMetadata.totalTokenCount > 30000) {
-        console.warn('⚠️ High token usage detected:', usageMetadata.totalTokenCount);
-      }
-    }
-    
-    // Check if response was blocked or truncated
-    if (response.promptFeedback?.blockReason) {
-      console.error('Response blocked:', response.promptFeedback.blockReason);
-      throw new Error(`Content blocked: ${response.promptFeedback.blockReason}`);
-    }
-    
-    // Check finish reason
-    const finishReason = response.candidates?.[0]?.finishReason;
-    if (finishReason && finishReason !== 'STOP') {
-      console.warn('⚠️ Response finish reason:', finishReason);
-      if (finishReason === 'MAX_TOKENS') {
-        console.error('Response truncated due to max tokens');
-      } else if (finishReason === 'SAFETY') {
-        console.error('Response blocked by safety filters');
-      }
-    }
-    
-    let reply = response.text();
+    // Agent loop: run tool calls, hand the results back as functionResponse
+    // parts and let the model continue until it answers in plain text
+    const contents = [{ role: 'user', parts: [{ text: contextPrompt }] }];
+    const replyParts = [];
+    // Streamed text goes out a sentence at a time, each one moderated first
+    const outputStream = onEvent ? guardrails.createOutputModerator(text => emit('delta', { text })) : null;
     let actions = [];
     let nutritionData = null;
-    
-    // Check if LLM wants to use tools (support multiple SDK shapes)
-    let functionCalls = [];
-    try {
-      if (typeof response.functionCalls === 'function') {
-        // Newer SDK exposes functionCalls() accessor
-        functionCalls = response.functionCalls() || [];
-      } else if (Array.isArray(response.functionCalls)) {
-        // Some SDK versions expose as a property
-        functionCalls = response.functionCalls || [];
+    let dietaryWarnings = null;
+
+    for (let iteration = 0; iteration <= MAX_TOOL_ITERATIONS; iteration++) {
+      const limitReached = iteration === MAX_TOOL_ITERATIONS;
+      const request = {
+        task: 'chat',
+        contents,
+        tools,
+        // Ensure the model is allowed to auto-call tools
+        toolConfig: { functionCallingConfig: { mode: 'AUTO' } },
+        generationConfig: CHAT_GENERATION_CONFIG,
+        safetySettings: CHAT_SAFETY_SETTINGS,
+        userText: message,
+        onDelta: outputStream ? (text) => outputStream.write(text) : null
+      };
+      if (limitReached) {
+        // Out of tool budget - force a text answer from what we have so far
+        console.warn('⚠️ Tool iteration limit reached, requesting final answer');
+        contents.push({
+          role: 'user',
+          parts: [{ text: `Tool call limit (${MAX_TOOL_ITERATIONS} rounds) reached. Do not call any more tools. Reply to the user now using the tool results above, and mention anything that could not be completed.` }]
+        });
+        request.toolConfig = { functionCallingConfig: { mode: 'NONE' } };
       }
-      // Fallback: parse from candidate content parts
-      if ((!functionCalls || functionCalls.length === 0) && Array.isArray(response.candidates)) {
-        const parts = response.candidates?.[0]?.content?.parts || [];
-        functionCalls = parts
-          .filter(p => p && p.functionCall)
-          .map(p => p.functionCall);
+
+      const response = await llm.generate(request);
+      if (outputStream) outputStream.flush();
+
+      const text = response.text;
+      if (text && text.trim()) replyParts.push(text.trim());
+
+      const functionCalls = response.functionCalls;
+      if (functionCalls.length === 0 || limitReached) {
+        if (functionCalls.length === 0) {
+          console.log('ℹ️ No function calls from LLM - response snippet:', (text || '').substring(0, 120));
+        }
+        break;
       }
-    } catch (e) {
-      console.warn('Function call extraction failed:', e);
-    }
 
-    if (functionCalls && functionCalls.length > 0) {
-      console.log('🔧 LLM wants to use tools! Function calls:', functionCalls.length);
+      console.log(`🔧 LLM wants to use tools (round ${iteration + 1})! Function calls:`, functionCalls.length);
+      contents.push({ role: 'model', parts: response.parts });
+
+      const functionResponses = [];
       for (const call of functionCalls) {
         console.log('🔧 Executing function call:', call.name, 'with args:', call.args);
+        let result;
         try {
-          const result = await executeFunctionCall(userId, call);
+          result = await executeFunctionCall(userId, call);
           console.log('🔧 Function call result:', result);
-          actions.push(result);
         } catch (error) {
           console.error('Function call error:', error);
-          actions.push({ error: error.message });
+          result = { error: error.message };
         }
+        actions.push(result);
+        emit('action', result);
+        functionResponses.push({
+          functionResponse: { name: call.name, response: result }
+        });
       }
-      console.log('🔧 All actions after function calls:', actions);
-    } else {
-      console.log('ℹ️ No function calls from LLM - response snippet:', (reply || '').substring(0, 120));
+      contents.push({ role: 'function', parts: functionResponses });
+    }
+
+    let reply = replyParts.join('\n\n');
+
+    // Output moderation: a harmful reply is replaced (streaming clients get a 'replace'
+    // event, and never received the sentence that failed)
+    let safetyEvent = null;
+    const outputCheck = outputStream?.refused || guardrails.moderateOutput(reply);
+    if (outputCheck.decision === 'refuse') {
+      safetyEvent = { event_type: 'output_refused', check: outputCheck, output: reply };
+      reply = outputCheck.message;
+      emit('replace', { text: reply });
+    }
+
+    // The model should always answer after tools, but never leave the user with silence
+    if (!reply && actions.length > 0) {
+      reply = actions.map(a => a.message || (a.error ? `Sorry, something went wrong: ${a.error}.` : '')).filter(Boolean).join(' ');
+      if (reply) emit('delta', { text: reply });
+    }
+    if (actions.length > 0) {
+      console.log('🔧 All actions after function calls:', actions);
     }
     
     // Fallback heuristic: If no tool calls and the user clearly asked to SEE something,
@@ -876,9 +1041,9 @@ Respond naturally as if you're having a continuous conversation with full memory
         // Remove generic tails
         query = query.replace(/^how (it|this|that) looks?( like)?\s*/,'').trim();
         query = query.replace(/^(does|do) (it|this|that) look( like)?\s*/,'').trim();
-        // If query still empty, fall back to last mentioned recipe/keyword from memory
+        // If query still empty, fall back to the last message in this thread
         if (!query) {
-          const lastMem = (memory || []).slice(-1)[0]?.memory_content || '';
+          const lastMem = (conversationHistory || []).slice(-1)[0]?.memory_content || '';
           query = lastMem.split(/[\n,.]/)[0].trim() || 'biryani';
         }
         const action = {
@@ -888,6 +1053,7 @@ Respond naturally as if you're having a continuous conversation with full memory
         };
         console.log('🖼️ Heuristic fallback action created:', action);
         actions.push(action);
+        emit('action', action);
       }
     }
 
@@ -903,23 +1069,45 @@ Respond naturally as if you're having a continuous conversation with full memory
     if (userExplicitlyAskedForNutrition || isNewRecipeSuggestion(reply, conversationHistory)) {
       try {
         console.log('🍎 Analyzing nutrition:', userExplicitlyAskedForNutrition ? 'explicit request' : 'new recipe detected');
-        nutritionData = await analyzeNutrition(reply, 1);
+        const analysis = await analyzeNutrition(reply);
+        // Replies without a measurable ingredient list get no card rather than empty numbers
+        if (analysis && analysis.matched.length > 0) {
+          nutritionData = analysis;
+          emit('nutrition', nutritionData);
+        }
       } catch (nutritionError) {
         console.error('Nutrition analysis failed:', nutritionError);
       }
     }
     
+    // Check every recipe in this turn - the reply's ingredient list and any
+    // recipe a tool returned - against the user's allergies and diet
+    if (dietary.hasRestrictions(restrictions)) {
+      const reports = [
+        dietary.checkRecipe(reply, restrictions),
+        ...actions.map(a => a.dietary_warnings || (a.recipe ? dietary.checkRecipe(a.recipe, restrictions) : null))
+      ];
+      dietaryWarnings = dietary.mergeReports(reports, restrictions);
+      if (dietaryWarnings) {
+        console.warn('⚠️ Dietary conflicts:', dietaryWarnings.message);
+        emit('dietary_warnings', dietaryWarnings);
+      }
+    }
+    
     const apiResponse = {
       reply,
       actions,
-      nutrition: nutritionData
+      nutrition: nutritionData,
+      dietary_warnings: dietaryWarnings,
+      safety_event: safetyEvent
     };
     
     console.log('📤 Sending response with:', {
       replyLength: reply.length,
       actionsCount: actions.length,
       actions: actions,
-      hasNutrition: !!nutritionData
+      hasNutrition: !!nutritionData,
+      hasDietaryWarnings: !!dietaryWarnings
     });
     
     return apiResponse;
@@ -939,50 +1127,284 @@ async function executeFunctionCall(userId, functionCall) {
   
   switch (name) {
     case 'add_to_shopping_list':
-      return await executeAddToShoppingList(userId, args.items);
+      return await executeAddToShoppingList(userId, args);
+    case 'check_off_shopping_items':
+      return await executeCheckOffShoppingItems(userId, args);
+    case 'clear_shopping_list':
+      return await executeClearShoppingList(userId, args);
+    case 'add_to_pantry':
+      return await executeAddToPantry(userId, args);
+    case 'use_from_pantry':
+      return await executeUseFromPantry(userId, args);
+    case 'what_can_i_cook':
+      return await executeWhatCanICook(userId, args);
+    case 'mark_recipe_cooked':
+      return await executeMarkRecipeCooked(userId, args);
+    case 'plan_meals':
+      return await executePlanMeals(userId, args);
     case 'save_recipe':
       return await executeSaveRecipe(userId, args);
     case 'update_preferences':
       return await executeUpdatePreferences(userId, args);
     case 'suggest_substitutions':
       return await executeSuggestSubstitutions(userId, args);
+    case 'scale_recipe':
+      return await executeScaleRecipe(userId, args);
+    case 'start_cooking_session':
+      return await executeStartCookingSession(userId, args);
     case 'guide_recipe_step':
       return await executeGuideRecipeStep(userId, args);
+    case 'set_timer':
+      return await executeSetTimer(userId, args);
+    case 'cancel_timer':
+      return await executeCancelTimer(userId, args);
+    case 'list_timers':
+      return await executeListTimers(userId);
     case 'show_reference_images':
       return await executeShowReferenceImages(userId, args);
+    case 'get_saved_recipe':
+      return await executeGetSavedRecipe(userId, args);
+    case 'find_saved_recipe':
+      return await executeFindSavedRecipe(userId, args);
+    case 'update_recipe':
+      return await executeUpdateRecipe(userId, args);
+    case 'get_recipe_history':
+      return await executeGetRecipeHistory(userId, args);
     default:
-      return { error: 'Unknown function' };
+      return { error: `Unknown function: ${name}` };
   }
 }
 
-async function executeAddToShoppingList(userId, items) {
+async function executeAddToShoppingList(userId, args) {
   try {
-    const success = await addToShoppingList(userId, items);
-    
-    if (success) {
-      return { 
-        action: 'shopping_list_added', 
-        items: items,
-        message: `Added ${items.length} items to your shopping list` 
-      };
-    } else {
-      throw new Error('Failed to add to shopping list');
+    const result = await shopping.addItems(userId, args.items, { list_name: args.list_name, recipe_title: args.recipe_title });
+    if (result.error) {
+      return { error: result.error };
     }
+
+    const parts = [];
+    if (result.added) parts.push(`added ${result.added} item${result.added === 1 ? '' : 's'}`);
+    if (result.merged) parts.push(`updated ${result.merged} already on the list`);
+    if (result.skipped) parts.push(`${result.skipped} already there for this recipe`);
+    return {
+      action: 'shopping_list_added',
+      list_name: result.list_name,
+      items: result.items,
+      message: `Shopping list "${result.list_name}": ${parts.join(', ') || 'nothing new to add'}`
+    };
   } catch (error) {
     console.error('Shopping list error:', error);
     return { error: 'Failed to add to shopping list' };
   }
 }
 
-async function executeSaveRecipe(userId, recipeData) {
+async function executeCheckOffShoppingItems(userId, args) {
+  try {
+    const checked = args.checked !== false;
+    const result = await shopping.checkItemsByName(userId, args.items, { list_name: args.list_name, checked });
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    const names = result.checked.map(item => item.name);
+    const parts = [];
+    if (names.length > 0) parts.push(`${checked ? 'Checked off' : 'Back on the list'}: ${names.join(', ')}`);
+    if (result.not_found.length > 0) parts.push(`Not on "${result.list_name}": ${result.not_found.join(', ')}`);
+    return {
+      action: 'shopping_list_updated',
+      list_name: result.list_name,
+      items: result.checked,
+      message: parts.join('. ')
+    };
+  } catch (error) {
+    console.error('Check off shopping items error:', error);
+    return { error: 'Failed to update shopping list' };
+  }
+}
+
+async function executeClearShoppingList(userId, args) {
+  try {
+    const checkedOnly = args.checked_only !== false;
+    const result = await shopping.clearList(userId, { list_name: args.list_name, checked_only: checkedOnly });
+    if (result.error) {
+      return { error: result.error };
+    }
+    return {
+      action: 'shopping_list_updated',
+      list_name: result.list_name,
+      items: [],
+      message: `Removed ${result.deleted} ${checkedOnly ? 'checked-off ' : ''}item${result.deleted === 1 ? '' : 's'} from "${result.list_name}"`
+    };
+  } catch (error) {
+    console.error('Clear shopping list error:', error);
+    return { error: 'Failed to clear shopping list' };
+  }
+}
+
+function describePantryChanges({ used = [], removed = [], unmeasured = [] }) {
+  const parts = [];
+  if (used.length > 0) parts.push(`Used: ${used.map(item => item.left ? `${item.name} (${item.left} left)` : item.name).join(', ')}`);
+  if (removed.length > 0) parts.push(`Used up: ${removed.join(', ')}`);
+  if (unmeasured.length > 0) parts.push(`Amount not tracked: ${unmeasured.join(', ')}`);
+  return parts;
+}
+
+async function executeAddToPantry(userId, args) {
+  try {
+    const result = await pantry.addPantryItems(userId, args.items);
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    const parts = [];
+    if (result.added) parts.push(`added ${result.added} item${result.added === 1 ? '' : 's'}`);
+    if (result.updated) parts.push(`topped up ${result.updated}`);
+    return {
+      action: 'pantry_updated',
+      items: result.items,
+      message: `Pantry: ${parts.join(', ')}`
+    };
+  } catch (error) {
+    console.error('Add to pantry error:', error);
+    return { error: 'Failed to update pantry' };
+  }
+}
+
+async function executeUseFromPantry(userId, args) {
+  try {
+    const result = await pantry.usePantryItems(userId, args.items);
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    const parts = describePantryChanges(result);
+    if (result.not_found.length > 0) parts.push(`Not in the pantry: ${result.not_found.join(', ')}`);
+    return {
+      action: 'pantry_updated',
+      items: [],
+      message: parts.join('. ') || 'Pantry unchanged'
+    };
+  } catch (error) {
+    console.error('Use from pantry error:', error);
+    return { error: 'Failed to update pantry' };
+  }
+}
+
+async function executeWhatCanICook(userId, args) {
+  try {
+    if (!pantry.canPersistPantry(userId)) {
+      return { error: 'Sign in to keep a pantry' };
+    }
+    const matches = await pantry.matchRecipes(userId, { limit: args.limit });
+    if (!matches) {
+      return { error: 'Failed to match recipes' };
+    }
+    if (matches.length === 0) {
+      return { action: 'pantry_matches', matches: [], message: 'No saved recipes with ingredient lists to match yet' };
+    }
+
+    const lines = matches.map(match => {
+      const missing = match.missing.map(item => `${item.amount ? `${item.amount} ` : ''}${item.name}`.trim());
+      return `${match.title}: ${Math.round(match.coverage * 100)}% covered (${match.have}/${match.total})` +
+        (missing.length > 0 ? ` - missing ${missing.join(', ')}` : ' - everything is in the pantry') +
+        (match.uses_expiring.length > 0 ? ` - uses up ${match.uses_expiring.join(', ')}` : '');
+    });
+    return {
+      action: 'pantry_matches',
+      matches,
+      message: lines.join('\n')
+    };
+  } catch (error) {
+    console.error('Pantry match error:', error);
+    return { error: 'Failed to match recipes' };
+  }
+}
+
+async function executeMarkRecipeCooked(userId, args) {
+  try {
+    if (!args.title?.trim()) {
+      return { error: 'A recipe title is required' };
+    }
+    const recipe = await getRecipeByTitle(userId, args.title);
+    if (!recipe) {
+      return { error: `No saved recipe matching "${args.title}"` };
+    }
+
+    const result = await pantry.cookRecipe(userId, recipe.id, { servings: args.servings });
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    const parts = describePantryChanges(result);
+    if (result.not_in_pantry.length > 0) parts.push(`Not in the pantry: ${result.not_in_pantry.join(', ')}`);
+    return {
+      action: 'recipe_cooked',
+      recipe_id: result.recipe_id,
+      title: result.title,
+      message: [`Marked "${result.title}" as cooked`, ...parts].join('. ')
+    };
+  } catch (error) {
+    console.error('Mark recipe cooked error:', error);
+    return { error: 'Failed to mark recipe as cooked' };
+  }
+}
+
+async function executePlanMeals(userId, args) {
   try {
+    const plan = await mealPlans.proposePlan(userId, args);
+    if (plan.error) {
+      return { error: plan.error };
+    }
+
+    const lines = plan.entries.map(entry =>
+      `${entry.weekday} ${entry.plan_date} ${entry.meal_slot}: ${entry.title}${entry.servings ? ` (${entry.servings} servings)` : ''}`
+    );
+    if (plan.kept > 0) lines.push(`Kept ${plan.kept} meal${plan.kept === 1 ? '' : 's'} that were already planned`);
+    if (plan.excluded.length > 0) lines.push(`Left out for your diet: ${plan.excluded.map(r => r.title).join(', ')}`);
+
+    let shoppingList = null;
+    if (args.add_to_shopping_list) {
+      shoppingList = await mealPlans.addPlanToShoppingList(userId, { start_date: plan.start_date, end_date: plan.end_date }, { list_name: args.list_name });
+      lines.push(shoppingList.error
+        ? `Shopping list not updated: ${shoppingList.error}`
+        : `Shopping list "${shoppingList.list_name}": ${shoppingList.added} added, ${shoppingList.merged} merged with items already there`);
+    }
+
+    return {
+      action: 'meal_plan',
+      start_date: plan.start_date,
+      end_date: plan.end_date,
+      entries: plan.entries,
+      shopping_list: shoppingList && !shoppingList.error ? shoppingList : null,
+      message: lines.join('\n')
+    };
+  } catch (error) {
+    console.error('Plan meals error:', error);
+    return { error: 'Failed to plan meals' };
+  }
+}
+
+async function executeSaveRecipe(userId, args) {
+  try {
+    const { override_allergy_warning: overrideAllergyWarning, ...recipeData } = args;
+
+    // Allergens block the save unless the user confirmed; diet conflicts only warn
+    const warnings = dietary.checkRecipe(recipeData, await dietary.getRestrictions(userId));
+    if (warnings?.has_allergens && !overrideAllergyWarning) {
+      return {
+        error: `Not saved. ${warnings.message}. Suggest a swap, or save anyway only if the user confirms.`,
+        dietary_warnings: warnings
+      };
+    }
+
     const success = await saveRecipe(userId, recipeData);
     
     if (success) {
       return { 
         action: 'recipe_saved', 
         recipe: recipeData,
-        message: `Saved recipe: ${recipeData.title}` 
+        dietary_warnings: warnings,
+        message: `Saved recipe: ${recipeData.title}${warnings ? ` (${warnings.message})` : ''}` 
       };
     } else {
       throw new Error('Failed to save recipe');
@@ -1020,12 +1442,71 @@ async function executeSuggestSubstitutions(userId, substitutionData) {
   }
 }
 
-async function executeGuideRecipeStep(userId, stepData) {
+async function executeScaleRecipe(userId, args) {
   try {
-    return { 
-      action: 'recipe_step_guided', 
-      step: stepData,
-      message: `Step ${stepData.step_number}: ${stepData.step_description}` 
+    let recipe = null;
+    if (args.recipe_title) {
+      recipe = await getRecipeByTitle(userId, args.recipe_title);
+    } else {
+      recipe = (await cookingSession.getActiveSession(userId))?.recipe || null;
+    }
+    if (!recipe) {
+      return { error: args.recipe_title ? `No saved recipe matching "${args.recipe_title}"` : 'Which saved recipe should I scale?' };
+    }
+
+    const result = scaling.scaleRecipe(recipe.recipe_data, args, recipe);
+    if (result.error) {
+      return { error: result.error };
+    }
+    return {
+      action: 'recipe_scaled',
+      recipe_id: recipe.id,
+      title: recipe.title,
+      recipe: result.recipe,
+      scaling: result.scaling,
+      message: `${recipe.title}: ${scaling.describeScaling(result)}`
+    };
+  } catch (error) {
+    console.error('Recipe scaling error:', error);
+    return { error: 'Failed to scale recipe' };
+  }
+}
+
+async function executeStartCookingSession(userId, args) {
+  try {
+    if (!args.recipe_title?.trim()) {
+      return { error: 'A recipe title is required' };
+    }
+    const recipe = await getRecipeByTitle(userId, args.recipe_title);
+    if (!recipe) {
+      return { error: `No saved recipe matching "${args.recipe_title}"` };
+    }
+
+    const result = await cookingSession.startSession(userId, recipe);
+    if (result.error) {
+      return { error: result.error };
+    }
+    return {
+      action: 'cooking_session',
+      session: result.session,
+      message: result.reply
+    };
+  } catch (error) {
+    console.error('Cooking session start error:', error);
+    return { error: 'Failed to start cooking session' };
+  }
+}
+
+async function executeGuideRecipeStep(userId, args) {
+  try {
+    const result = await cookingSession.runCommand(userId, args);
+    if (result.error) {
+      return { error: result.error };
+    }
+    return {
+      action: 'cooking_session',
+      session: result.session,
+      message: result.reply
     };
   } catch (error) {
     console.error('Recipe guide error:', error);
@@ -1033,6 +1514,56 @@ async function executeGuideRecipeStep(userId, stepData) {
   }
 }
 
+async function executeSetTimer(userId, args) {
+  try {
+    const result = await timers.setTimer(userId, args);
+    if (result.error) {
+      return { error: result.error };
+    }
+    return {
+      action: 'timer_set',
+      timer: result.timer,
+      message: `Timer set: ${result.timer.label} (${timers.formatDuration(result.timer.duration_seconds)})`
+    };
+  } catch (error) {
+    console.error('Set timer error:', error);
+    return { error: 'Failed to set timer' };
+  }
+}
+
+async function executeCancelTimer(userId, args) {
+  try {
+    const result = await timers.cancelTimer(userId, { label: args.label });
+    if (result.error) {
+      return { error: result.error };
+    }
+    return {
+      action: 'timer_cancelled',
+      timer: result.timer,
+      message: `Cancelled timer: ${result.timer.label}`
+    };
+  } catch (error) {
+    console.error('Cancel timer error:', error);
+    return { error: 'Failed to cancel timer' };
+  }
+}
+
+async function executeListTimers(userId) {
+  try {
+    const running = (await timers.listTimers(userId) || []).filter(t => t.remaining_seconds > 0);
+    return {
+      action: 'timers_listed',
+      timers: running,
+      message: running.length > 0
+        ? running.map(t => `${t.label}: ${timers.formatDuration(t.remaining_seconds)} left`).join('; ')
+        : 'No timers are running'
+    };
+  } catch (error) {
+    console.error('List timers error:', error);
+    return { error: 'Failed to list timers' };
+  }
+}
+
 async function executeShowReferenceImages(userId, imageData) {
   try {
     console.log('🖼️ executeShowReferenceImages called with:', imageData);
@@ -1050,6 +1581,149 @@ async function executeShowReferenceImages(userId, imageData) {
   }
 }
 
+async function executeGetSavedRecipe(userId, args) {
+  try {
+    if (!args.title?.trim()) {
+      return { error: 'A recipe title is required' };
+    }
+    const recipe = await getRecipeByTitle(userId, args.title);
+    if (!recipe) {
+      return { error: `No saved recipe matching "${args.title}"` };
+    }
+    return {
+      action: 'recipe_loaded',
+      recipe_id: recipe.id,
+      title: recipe.title,
+      recipe: recipe.recipe_data,
+      ...describeRecipeExtras(recipe),
+      message: `Loaded saved recipe: ${recipe.title}`
+    };
+  } catch (error) {
+    console.error('Saved recipe lookup error:', error);
+    return { error: 'Failed to load saved recipe' };
+  }
+}
+
+async function executeFindSavedRecipe(userId, args) {
+  try {
+    const result = await recipeSearch.findRecipe(userId, args);
+    if (result.error) {
+      return { error: result.error };
+    }
+    if (!result.recipe) {
+      return { error: `No saved recipe matches${args.query ? ` "${args.query}"` : ' those filters'}` };
+    }
+
+    const { recipe, others } = result;
+    const alsoMatched = others.length > 0 ? `. Other matches: ${others.map(r => r.title).join(', ')}` : '';
+    return {
+      action: 'recipe_loaded',
+      recipe_id: recipe.id,
+      title: recipe.title,
+      recipe: recipe.recipe_data,
+      ...describeRecipeExtras(recipe),
+      saved_at: recipe.created_at,
+      other_matches: others.map(r => ({ recipe_id: r.id, title: r.title })),
+      message: `Loaded saved recipe: ${recipe.title} (${result.total} match${result.total === 1 ? '' : 'es'})${alsoMatched}`
+    };
+  } catch (error) {
+    console.error('Find saved recipe error:', error);
+    return { error: 'Failed to search saved recipes' };
+  }
+}
+
+// The user's own layer on a saved recipe, for tool results
+function describeRecipeExtras(recipe) {
+  return {
+    version: recipe.version || 1,
+    ...(recipe.rating ? { rating: recipe.rating } : {}),
+    ...(recipe.notes ? { user_notes: recipe.notes } : {})
+  };
+}
+
+async function executeUpdateRecipe(userId, args) {
+  try {
+    if (!args.title?.trim()) {
+      return { error: 'A recipe title is required' };
+    }
+    const recipe = await getRecipeByTitle(userId, args.title);
+    if (!recipe) {
+      return { error: `No saved recipe matching "${args.title}"` };
+    }
+
+    let result;
+    if (args.revert_to_version) {
+      result = await recipeVersions.revertRecipe(userId, recipe.id, args.revert_to_version);
+    } else {
+      const edits = pickFields(args, ['ingredient_changes', 'add_ingredients', 'step_changes', 'add_steps', 'scale_to_servings']);
+      const updates = {};
+      if (args.new_title) updates.title = args.new_title;
+      if (args.rating !== undefined && args.rating !== null) updates.rating = Math.round(Number(args.rating));
+      result = await recipeVersions.updateRecipe(userId, recipe.id, {
+        updates,
+        edits: Object.keys(edits).length > 0 ? edits : null,
+        note: args.note,
+        summary: args.change_summary
+      });
+    }
+    if (result.error) {
+      return { error: result.error };
+    }
+
+    const updated = result.recipe;
+    const parts = [];
+    if (result.versioned) {
+      const described = args.revert_to_version ? result.summary : result.changes.join('; ') || result.summary;
+      parts.push(`Saved as version ${result.version}: ${described}`);
+    }
+    if (args.note) parts.push('Note added');
+    if (args.rating) parts.push(`Rated ${updated.rating}/5`);
+    return {
+      action: 'recipe_updated',
+      recipe_id: updated.id,
+      title: updated.title,
+      recipe: updated.recipe_data,
+      ...describeRecipeExtras(updated),
+      message: [`Updated "${updated.title}"`, ...parts].join('. ')
+    };
+  } catch (error) {
+    console.error('Update recipe error:', error);
+    return { error: 'Failed to update recipe' };
+  }
+}
+
+async function executeGetRecipeHistory(userId, args) {
+  try {
+    if (!args.title?.trim()) {
+      return { error: 'A recipe title is required' };
+    }
+    const recipe = await getRecipeByTitle(userId, args.title);
+    if (!recipe) {
+      return { error: `No saved recipe matching "${args.title}"` };
+    }
+
+    const history = await recipeVersions.listVersions(userId, recipe.id);
+    if (history.error) {
+      return { error: history.error };
+    }
+
+    const lines = history.versions.map(v =>
+      `v${v.version} (${String(v.created_at || '').substring(0, 10)}): ${v.change_summary || 'Edited'}${v.current ? ' - current' : ''}`
+    );
+    return {
+      action: 'recipe_history',
+      recipe_id: history.recipe_id,
+      title: history.title,
+      current_version: history.current_version,
+      versions: history.versions,
+      message: `History of "${history.title}":\n${lines.join('\n')}`
+    };
+  } catch (error) {
+    console.error('Recipe history error:', error);
+    return { error: 'Failed to load recipe history' };
+  }
+}
+
 function isNewRecipeSuggestion(text, conversationHistory) {
   if (!text || typeof text !== 'string') return false;
   
@@ -1136,6 +1810,298 @@ function isRecipeSuggestion(text) {
   return indicatorCount >= 2;
 }
 
+// ==============================================
+// DATA ACTIONS (dashboard & scripts, no chat model)
+// ==============================================
+const MEMORY_FIELDS = ['memory_type', 'memory_content', 'context', 'confidence_score', 'expires_at'];
+const PREFERENCE_TYPES = ['diet', 'allergy', 'cooking_skill', 'cuisine'];
+
+const MAX_RECIPES_PAGE = 100;
+
+// { limit?, offset?, include_full_data? } - one page of the library, newest first, with the total
+async function listRecipes(userId, params) {
+  const limit = Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), MAX_RECIPES_PAGE);
+  const offset = Math.max(parseInt(params.offset, 10) || 0, 0);
+
+  const { data, error, count } = await supabase
+    .from('saved_recipes')
+    .select(params.include_full_data === true ? RECIPE_DETAIL_FIELDS : RECIPE_SUMMARY_FIELDS, { count: 'exact' })
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    console.error('Data action: Error listing recipes:', error);
+    return actionError(500, 'Failed to load recipes');
+  }
+
+  return actionOk({ recipes: data || [], total: count ?? (data || []).length, limit, offset });
+}
+
+async function getRecipe(userId, params) {
+  if (!params.id && !params.title) {
+    return actionError(400, 'Invalid request', 'id or title is required');
+  }
+
+  const recipe = params.id
+    ? await getRecipeById(userId, params.id)
+    : await getRecipeByTitle(userId, String(params.title));
+
+  if (!recipe) return actionError(404, 'Recipe not found');
+
+  return actionOk({ recipe });
+}
+
+async function deleteRecipe(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const { data, error } = await supabase
+    .from('saved_recipes')
+    .delete()
+    .eq('user_id', userId)
+    .eq('id', params.id)
+    .select('id');
+
+  if (error) {
+    console.error('Data action: Error deleting recipe:', error);
+    return actionError(500, 'Failed to delete recipe');
+  }
+  if (!data || data.length === 0) return actionError(404, 'Recipe not found');
+
+  return actionOk({ deleted: params.id });
+}
+
+async function listPreferences(userId) {
+  const preferences = await getUserPreferences(userId);
+  return actionOk({ preferences });
+}
+
+async function getPreference(userId, params) {
+  if (!PREFERENCE_TYPES.includes(params.preference_type)) {
+    return actionError(400, 'Invalid request', `preference_type must be one of: ${PREFERENCE_TYPES.join(', ')}`);
+  }
+
+  const { data, error } = await supabase
+    .from('user_preferences')
+    .select('preference_type, preference_value, confidence_score, last_used')
+    .eq('user_id', userId)
+    .eq('preference_type', params.preference_type)
+    // Rows saved before the (user_id, preference_type) key existed may repeat; the latest wins
+    .order('last_used', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    console.error('Data action: Error fetching preference:', error);
+    return actionError(500, 'Failed to load preference');
+  }
+  if (!data || data.length === 0) return actionError(404, 'Preference not found');
+
+  return actionOk({ preference: data[0] });
+}
+
+async function updatePreference(userId, params) {
+  if (!PREFERENCE_TYPES.includes(params.preference_type)) {
+    return actionError(400, 'Invalid request', `preference_type must be one of: ${PREFERENCE_TYPES.join(', ')}`);
+  }
+  if (params.preference_value === undefined || params.preference_value === null || params.preference_value === '') {
+    return actionError(400, 'Invalid request', 'preference_value is required');
+  }
+  const confidence = params.confidence === undefined ? 3 : params.confidence;
+  if (!(Number.isInteger(confidence) && confidence >= 1 && confidence <= 5)) {
+    return actionError(400, 'Invalid request', 'confidence must be an integer from 1 to 5');
+  }
+
+  const saved = await saveUserPreference(userId, params.preference_type, params.preference_value, confidence);
+  if (!saved) return actionError(500, 'Failed to update preference');
+
+  return actionOk({
+    preference: {
+      preference_type: params.preference_type,
+      preference_value: params.preference_value,
+      confidence_score: confidence
+    }
+  });
+}
+
+async function deletePreference(userId, params) {
+  if (!PREFERENCE_TYPES.includes(params.preference_type)) {
+    return actionError(400, 'Invalid request', `preference_type must be one of: ${PREFERENCE_TYPES.join(', ')}`);
+  }
+
+  const { data, error } = await supabase
+    .from('user_preferences')
+    .delete()
+    .eq('user_id', userId)
+    .eq('preference_type', params.preference_type)
+    .select('preference_type');
+
+  if (error) {
+    console.error('Data action: Error deleting preference:', error);
+    return actionError(500, 'Failed to delete preference');
+  }
+  if (!data || data.length === 0) return actionError(404, 'Preference not found');
+
+  return actionOk({ deleted: params.preference_type });
+}
+
+async function listMemory(userId, params) {
+  const limit = params.limit === undefined ? 50 : params.limit;
+  if (!(Number.isInteger(limit) && limit > 0 && limit <= 200)) {
+    return actionError(400, 'Invalid request', 'limit must be an integer from 1 to 200');
+  }
+
+  let query = supabase
+    .from('conversation_memory')
+    .select('id, memory_type, memory_content, context, confidence_score, expires_at, created_at')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (params.memory_type) {
+    query = query.eq('memory_type', params.memory_type);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Data action: Error listing memory:', error);
+    return actionError(500, 'Failed to load memory');
+  }
+
+  return actionOk({ memory: data || [] });
+}
+
+async function getMemory(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const { data, error } = await supabase
+    .from('conversation_memory')
+    .select('id, memory_type, memory_content, context, confidence_score, expires_at, created_at')
+    .eq('user_id', userId)
+    .eq('id', params.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Data action: Error fetching memory:', error);
+    return actionError(500, 'Failed to load memory');
+  }
+  if (!data) return actionError(404, 'Memory not found');
+
+  return actionOk({ memory: data });
+}
+
+async function updateMemory(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const updates = pickFields(params.updates, MEMORY_FIELDS);
+  if (Object.keys(updates).length === 0) {
+    return actionError(400, 'Invalid request', `updates must include one of: ${MEMORY_FIELDS.join(', ')}`);
+  }
+  if (updates.memory_content !== undefined && (typeof updates.memory_content !== 'string' || !updates.memory_content.trim())) {
+    return actionError(400, 'Invalid request', 'memory_content must be a non-empty string');
+  }
+  if (updates.expires_at !== undefined && updates.expires_at !== null && isNaN(Date.parse(updates.expires_at))) {
+    return actionError(400, 'Invalid request', 'expires_at must be an ISO date or null');
+  }
+
+  const { data, error } = await supabase
+    .from('conversation_memory')
+    .update(updates)
+    .eq('user_id', userId)
+    .eq('id', params.id)
+    .select('id, memory_type, memory_content, context, confidence_score, expires_at, created_at')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Data action: Error updating memory:', error);
+    return actionError(500, 'Failed to update memory');
+  }
+  if (!data) return actionError(404, 'Memory not found');
+
+  return actionOk({ memory: data });
+}
+
+async function deleteMemory(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const { data, error } = await supabase
+    .from('conversation_memory')
+    .delete()
+    .eq('user_id', userId)
+    .eq('id', params.id)
+    .select('id');
+
+  if (error) {
+    console.error('Data action: Error deleting memory:', error);
+    return actionError(500, 'Failed to delete memory');
+  }
+  if (!data || data.length === 0) return actionError(404, 'Memory not found');
+
+  return actionOk({ deleted: params.id });
+}
+
+const DATA_ACTIONS = {
+  get_recipes: listRecipes,
+  get_recipe: getRecipe,
+  delete_recipe: deleteRecipe,
+  get_preferences: listPreferences,
+  get_preference: getPreference,
+  update_preference: updatePreference,
+  delete_preference: deletePreference,
+  get_memory: listMemory,
+  get_memory_item: getMemory,
+  update_memory: updateMemory,
+  delete_memory: deleteMemory,
+  ...threads.actions,
+  ...longTermMemory.actions,
+  ...cookingSession.actions,
+  ...timers.actions,
+  ...shopping.actions,
+  ...pantry.actions,
+  ...mealPlans.actions,
+  ...recipeSearch.actions,
+  ...recipeVersions.actions,
+  ...recipeFormats.actions,
+  ...scaling.actions,
+  ...dietary.actions,
+  ...media.actions,
+  ...fridgeScan.actions,
+  ...recipePhoto.actions
+};
+
+// Handlers run with the service-role key, so the user comes from the verified
+// access token; a user_id in the body must match it
+async function handleDataAction(req, body) {
+  const { action } = body;
+
+  const handler = DATA_ACTIONS[action];
+  if (!handler) {
+    return actionError(400, 'Invalid action', `Supported actions: ${Object.keys(DATA_ACTIONS).join(', ')}`);
+  }
+  if (!supabase) {
+    return actionError(503, 'Supabase not configured');
+  }
+
+  const { userId, status, error } = await resolveRequestUser(req, body.user_id);
+  if (error) {
+    return actionError(status, error, status === 403 ? 'user_id does not match the signed-in user' : undefined);
+  }
+  if (!isValidUUID(userId)) {
+    return actionError(401, 'Unauthorized', 'Data actions require a signed-in user\'s access token as "Authorization: Bearer <token>"');
+  }
+
+  try {
+    return await handler(userId, body);
+  } catch (error) {
+    console.error(`Data action ${action} failed:`, error);
+    return actionError(500, 'Internal server error');
+  }
+}
+
 // ==============================================
 // MAIN HANDLER
 // ==============================================
@@ -1147,45 +2113,64 @@ async function readJson(req) {
   try { return s ? JSON.parse(s) : {}; } catch { return {}; }
 }
 
-async function getConversationHistory(userId) {
+function sendSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// In-memory history is keyed per user and thread
+function historyKey(userId, threadId) {
+  return threadId ? `${userId}:${threadId}` : String(userId);
+}
+
+async function getConversationHistory(userId, threadId = null) {
+  const key = historyKey(userId, threadId);
+
   if (!supabase) {
     console.warn('Supabase not configured, using in-memory storage');
-    return conversationHistory.get(userId) || [];
+    return conversationHistory.get(key) || [];
   }
   
   // Skip database query for non-UUID user IDs (like 'demo-user')
   if (!isValidUUID(userId)) {
     console.log('Using in-memory storage for non-UUID user:', userId);
-    return conversationHistory.get(userId) || [];
+    return conversationHistory.get(key) || [];
   }
   
   try {
     const userIdStr = String(userId);
-    const { data, error } = await supabase
+    let query = supabase
       .from('conversation_memory')
       .select('memory_content, memory_type, created_at')
       .eq('user_id', userIdStr)
-      .order('created_at', { ascending: true })
+      .in('memory_type', threads.TURN_TYPES);
+
+    query = threadId ? query.eq('thread_id', threadId) : query.is('thread_id', null);
+
+    // Newest 20 turns, returned oldest first
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
       .limit(20);
     
     if (error) {
       console.error('Error fetching conversation history:', error);
-      return conversationHistory.get(userId) || [];
+      return conversationHistory.get(key) || [];
     }
     
-    return data || [];
+    return (data || []).reverse();
   } catch (error) {
     console.error('Error in getConversationHistory:', error);
-    return conversationHistory.get(userId) || [];
+    return conversationHistory.get(key) || [];
   }
 }
 
-async function addToHistory(userId, userMessage, botResponse) {
+async function addToHistory(userId, threadId, userMessage, botResponse) {
+  const key = historyKey(userId, threadId);
+
   // Always save to in-memory storage
-  if (!conversationHistory.has(userId)) {
-    conversationHistory.set(userId, []);
+  if (!conversationHistory.has(key)) {
+    conversationHistory.set(key, []);
   }
-  const history = conversationHistory.get(userId);
+  const history = conversationHistory.get(key);
   history.push(
     { memory_type: 'user_message', memory_content: userMessage, created_at: new Date().toISOString() },
     { memory_type: 'assistant_response', memory_content: botResponse, created_at: new Date().toISOString() }
@@ -1210,8 +2195,8 @@ async function addToHistory(userId, userMessage, botResponse) {
     const { error: userError } = await supabase
       .from('conversation_memory')
       .insert([
-        { user_id: userIdStr, memory_type: 'user_message', memory_content: userMessage },
-        { user_id: userIdStr, memory_type: 'assistant_response', memory_content: botResponse }
+        { user_id: userIdStr, thread_id: threadId, memory_type: 'user_message', memory_content: userMessage },
+        { user_id: userIdStr, thread_id: threadId, memory_type: 'assistant_response', memory_content: botResponse }
       ]);
     
     if (userError) {
@@ -1231,14 +2216,29 @@ module.exports = async (req, res) => {
     return;
   }
 
-  const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-  if (!GEMINI_API_KEY) {
-    res.status(500).json({ error: 'Gemini API key not configured' });
+  // Data actions (dashboard widgets, scripts) bypass the chat model entirely
+  const body = await readJson(req);
+  if (body.action) {
+    const { status, body: result } = await handleDataAction(req, body);
+    res.status(status).json(result);
+    return;
+  }
+
+  if (!llm.isConfigured()) {
+    res.status(500).json({ error: 'LLM provider not configured', details: 'Set GEMINI_API_KEY or LLM_PROVIDER=scripted' });
+    return;
+  }
+
+  // Tools run with the service-role key, so the user comes from the access token
+  const requestUser = await resolveRequestUser(req, body.user_id);
+  if (requestUser.error) {
+    res.status(requestUser.status).json({ error: requestUser.error });
     return;
   }
 
   try {
-    const { user_id = 'web', text = '' } = await readJson(req);
+    const { text = '', thread_id = null, new_thread = false } = body;
+    const user_id = requestUser.userId;
     console.log('Received request:', { user_id, text: text.substring(0, 100) });
     
     if (!text.trim()) {
@@ -1248,29 +2248,78 @@ module.exports = async (req, res) => {
     }
 
     // Validate input for safety
-    const validation = validateInput(text);
-    console.log('Input validation result:', validation);
+    const guard = guardrails.classifyInput(text);
+    console.log('Input guardrail result:', { decision: guard.decision, category: guard.category, score: guard.score });
     
-    if (!validation.safe) {
-      logSafetyViolation(user_id, text, validation.reason, validation.category);
+    if (guard.decision === 'refuse') {
+      await logSafetyViolation(user_id, thread_id, 'input_blocked', guard, text);
       console.log('Input blocked by safety guardrails');
       res.status(400).json({ 
         error: 'Content blocked', 
-        message: 'I can only help with cooking and food-related questions. Please ask me about recipes, ingredients, or cooking techniques!',
-        reason: validation.reason
+        message: guard.message,
+        reason: guard.reason,
+        category: guard.category
       });
       return;
     }
 
+    // Resolve the thread: signed-in users carry on in their most recent one
+    // unless they name a thread or ask for a new one with new_thread
+    let thread = null;
+    if (threads.canPersistThreads(user_id)) {
+      if (thread_id) {
+        thread = await threads.getThread(user_id, thread_id);
+        if (!thread) {
+          res.status(404).json({ error: 'Thread not found' });
+          return;
+        }
+      } else {
+        thread = (new_thread !== true && await threads.getLatestThread(user_id)) || await threads.createThread(user_id);
+      }
+    }
+    const threadId = thread ? thread.id : null;
+
     // Get conversation history for context
-    const conversationHistory = await getConversationHistory(user_id);
+    const conversationHistory = await getConversationHistory(user_id, threadId);
     console.log('Conversation history length:', conversationHistory.length);
 
+    // Streaming clients get the reply as Server-Sent Events instead of one JSON body
+    const wantsStream = body.stream === true || (req.headers?.accept || '').includes('text/event-stream');
+    if (wantsStream) {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache, no-transform');
+      res.setHeader('Connection', 'keep-alive');
+      if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+      const result = await processWithAgent(user_id, text, conversationHistory, (event, data) => sendSseEvent(res, event, data), guard);
+      if (result.safety_event) {
+        await logSafetyViolation(user_id, threadId, result.safety_event.event_type, result.safety_event.check, text, result.safety_event.output);
+      }
+      await addToHistory(user_id, threadId, text, result.reply);
+
+      if (thread) {
+        sendSseEvent(res, 'thread', await threads.recordThreadTurn(user_id, thread, text, result.reply));
+      }
+      sendSseEvent(res, 'done', {
+        reply: result.reply,
+        actions: result.actions || [],
+        nutrition: result.nutrition || null,
+        dietary_warnings: result.dietary_warnings || null
+      });
+      res.end();
+      return;
+    }
+
     // Use the agentic conversation processor
-    const result = await processWithAgent(user_id, text, conversationHistory);
+    const result = await processWithAgent(user_id, text, conversationHistory, null, guard);
+    if (result.safety_event) {
+      await logSafetyViolation(user_id, threadId, result.safety_event.event_type, result.safety_event.check, text, result.safety_event.output);
+    }
     
     // Store conversation in database
-    await addToHistory(user_id, text, result.reply);
+    await addToHistory(user_id, threadId, text, result.reply);
+    const threadInfo = thread ? await threads.recordThreadTurn(user_id, thread, text, result.reply) : null;
 
     console.log('Sending response:', result.reply.substring(0, 100));
     console.log('Actions taken:', result.actions);
@@ -1286,24 +2335,33 @@ module.exports = async (req, res) => {
     if (result.nutrition) {
       responseData.nutrition = result.nutrition;
     }
+
+    if (result.dietary_warnings) {
+      responseData.dietary_warnings = result.dietary_warnings;
+    }
+
+    if (threadInfo) {
+      responseData.thread = threadInfo;
+    }
     
     res.status(200).json(responseData);
     
   } catch (error) {
     console.error('Conversation error:', error);
+
+    // A stream that already started can only be closed with an error event
+    if (res.headersSent) {
+      sendSseEvent(res, 'error', { error: 'Conversation failed', details: error.message });
+      res.end();
+      return;
+    }
     
     // Provide a helpful fallback response for cooking-related queries
     let fallbackReply = "I'm having trouble connecting to my cooking knowledge right now. ";
     
-    // Try to get text from request for context-aware fallback
-    let text = '';
-    try {
-      const body = await readJson(req);
-      text = body.text || '';
-    } catch (parseError) {
-      console.error('Error parsing request in catch block:', parseError);
-    }
-    
+    // Use text from request for context-aware fallback
+    const text = typeof body.text === 'string' ? body.text : '';
+
     if (text.toLowerCase().includes('vegetarian') || text.toLowerCase().includes('vegan')) {
       fallbackReply += "For vegetarian options, try making a delicious veggie stir-fry with your favorite vegetables, or a hearty bean and vegetable soup!";
     } else if (text.toLowerCase().includes('bread')) {
@@ -1,24 +1,15 @@
 // URL learning API - extracts recipe info from YouTube/blog URLs
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const { analyzeNutrition } = require('./conversation_consolidated');
-const { createClient } = require('@supabase/supabase-js');
-
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// Initialize Supabase client for saving recipes
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
-let supabase = null;
-if (supabaseUrl && supabaseServiceKey) {
-  supabase = createClient(supabaseUrl, supabaseServiceKey);
-}
-
-// Helper function to check if user_id is a valid UUID
-function isValidUUID(userId) {
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
-  return uuidRegex.test(userId);
-}
+// The page is fetched and its schema.org recipe used when it has one; the
+// model only extracts from the page's text (or pasted content) otherwise.
+const llm = require('../lib/llm');
+const nutrition = require('../lib/nutrition');
+const dietary = require('../lib/dietary');
+const recipePage = require('../lib/recipe_page');
+const { toRecipeData } = require('../lib/recipe_formats');
+const { supabase, isValidUUID } = require('../lib/db');
+
+// Pasted content beyond this is cut, like fetched page text
+const MAX_CONTENT_CHARS = recipePage.MAX_TEXT_CHARS;
 
 module.exports = async (req, res) => {
   // Enable CORS
@@ -41,94 +32,93 @@ module.exports = async (req, res) => {
       return res.status(400).json({ error: 'URL or content required' });
     }
 
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-
-    const prompt = `Analyze this cooking content and extract a structured recipe that I can guide users through step-by-step.
-
-${url ? `URL: ${url}` : ''}
-${content ? `Content: ${content}` : ''}
-
-Extract and format as JSON:
-{
-  "title": "Recipe title",
-  "description": "Brief description",
-  "servings": number,
-  "prep_time": "X minutes",
-  "cook_time": "X minutes",
-  "total_time": "X minutes",
-  "difficulty": "Easy/Medium/Hard",
-  "ingredients": [
-    {
-      "name": "ingredient name",
-      "amount": "1 cup",
-      "notes": "optional notes"
-    }
-  ],
-  "steps": [
-    {
-      "step": 1,
-      "instruction": "detailed step",
-      "tips": "optional cooking tips",
-      "timing": "optional timing"
+    let recipe = null;
+    let extraction = null; // 'json-ld' | 'microdata' | 'model'
+    let sourceUrl = url || '';
+    let pageTags = [];
+    let pageTitle = null;
+    let pageText = content ? String(content).substring(0, MAX_CONTENT_CHARS) : null;
+
+    if (url) {
+      const page = await recipePage.loadRecipePage(url);
+      if (page.error) {
+        // Pasted content can still be used; a bare URL can't be guessed at
+        if (!pageText) {
+          return res.status(page.status || 502).json({ error: page.error });
+        }
+        console.warn('Could not fetch URL, using pasted content:', page.error);
+      } else {
+        sourceUrl = page.url;
+        if (page.recipe) {
+          recipe = page.recipe;
+          pageTags = page.tags || [];
+          extraction = page.method;
+        } else if (!pageText) {
+          pageTitle = page.title;
+          pageText = page.text;
+        }
+      }
     }
-  ],
-  "equipment": ["equipment1", "equipment2"],
-  "tips": ["tip1", "tip2"],
-  "substitutions": {
-    "original": "substitution"
-  },
-  "dietary_tags": ["vegan", "gluten-free"],
-  "cuisine": "type of cuisine",
-  "source_url": "${url || ''}"
-}
-
-Make it practical for step-by-step cooking guidance. Include timing, temperature, and technique details.`;
-
-    const result = await model.generateContent(prompt);
-    const resp = await result.response;
-    const recipeData = resp.text();
-
-    // Try to parse JSON response
-    let recipe;
-    try {
-      recipe = JSON.parse(recipeData);
-    } catch (parseError) {
-      // If not JSON, create a structured response
-      recipe = {
-        title: "Extracted Recipe",
-        description: "Recipe extracted from content",
-        servings: 4,
-        prep_time: "15 minutes",
-        cook_time: "30 minutes",
-        total_time: "45 minutes",
-        difficulty: "Medium",
-        ingredients: [],
-        steps: [],
-        equipment: [],
-        tips: [],
-        substitutions: {},
-        dietary_tags: [],
-        cuisine: "Unknown",
-        source_url: url || '',
-        raw_analysis: recipeData
-      };
+
+    if (!recipe) {
+      if (!pageText || !pageText.trim()) {
+        return res.status(422).json({ error: 'That page has no readable recipe text' });
+      }
+
+      const prompt = `Extract the recipe from this cooking content and structure it so I can guide users through it step-by-step.
+
+Use ONLY the content below - never add ingredients, steps, amounts or times that it does not state.
+If the content does not contain a recipe, set "is_recipe" to false, give the page's topic as the title and leave the lists empty.
+Leave out anything the content doesn't say (use null or an empty list). Number the steps from 1, and list each substitution the content mentions as {"original", "substitution"}.
+
+${sourceUrl ? `URL: ${sourceUrl}` : ''}
+${pageTitle ? `Page title: ${pageTitle}` : ''}
+Content:
+${pageText}`;
+
+      let extracted;
+      try {
+        extracted = await llm.generateStructured({
+          task: 'recipe_extraction',
+          prompt,
+          schema: llm.schemas.RECIPE,
+          userText: url || content
+        });
+      } catch (extractError) {
+        if (!(extractError instanceof llm.StructuredOutputError)) throw extractError;
+        console.error(`URL learning: extraction failed (${extractError.code}) after ${extractError.attempts} attempt(s):`, extractError.validationErrors);
+        return res.status(502).json({ error: 'Could not extract a recipe from that page', code: extractError.code });
+      }
+      if (!extracted.is_recipe || extracted.ingredients.length === 0) {
+        return res.status(422).json({ error: 'No recipe found on that page', code: 'no_recipe' });
+      }
+      recipe = toRecipeData(extracted);
+      recipe.source_url = sourceUrl;
+      extraction = 'model';
     }
+    console.log(`📖 Recipe "${recipe.title}" extracted via ${extraction}`);
 
     // Analyze nutrition for the extracted recipe using shared module
     let nutritionData = null;
     try {
       console.log('Analyzing nutrition for URL-learned recipe...');
       
-      // Create a recipe text for nutrition analysis
-      const recipeText = `${recipe.title}\n\nIngredients:\n${recipe.ingredients.map(ing => `- ${ing.amount} ${ing.name}${ing.notes ? ` (${ing.notes})` : ''}`).join('\n')}\n\nInstructions:\n${recipe.steps.map(step => `${step.step}. ${step.instruction}`).join('\n')}`;
-      
-      // Use shared nutrition analysis module
-      nutritionData = await analyzeNutrition(recipeText, recipe.servings || 1);
+      // Calculated from the structured ingredient list against the nutrient table
+      nutritionData = await nutrition.analyzeRecipe(recipe);
     } catch (nutritionError) {
       console.error('Nutrition analysis failed for URL recipe:', nutritionError);
       // Continue without nutrition data
     }
 
+    // Imported recipes are saved as-is, but conflicts with the user's
+    // allergies or diet are flagged so they can adapt it
+    let dietaryWarnings = null;
+    try {
+      dietaryWarnings = dietary.checkRecipe(recipe, await dietary.getRestrictions(req.body.user_id));
+    } catch (dietaryError) {
+      console.error('Dietary check failed for URL recipe:', dietaryError);
+    }
+
     // Save recipe to database for future guidance
     let savedRecipeId = null;
     if (supabase && isValidUUID(req.body.user_id)) {
@@ -139,9 +129,9 @@ Make it practical for step-by-step cooking guidance. Include timing, temperature
             user_id: req.body.user_id,
             title: recipe.title,
             recipe_data: recipe,
-            source_url: url || '',
+            source_url: sourceUrl,
             source_type: 'url',
-            tags: recipe.dietary_tags || [],
+            tags: [...new Set([...pageTags, ...(recipe.dietary_tags || [])])],
             difficulty: recipe.difficulty || 'medium',
             prep_time: recipe.prep_time ? parseInt(recipe.prep_time) : null,
             cook_time: recipe.cook_time ? parseInt(recipe.cook_time) : null,
@@ -168,6 +158,7 @@ Make it practical for step-by-step cooking guidance. Include timing, temperature
       recipe,
       success: true,
       message: `Successfully extracted recipe: ${recipe.title}`,
+      extraction,
       saved: !!savedRecipeId,
       recipe_id: savedRecipeId,
       note: !isValidUUID(req.body.user_id) ? 'Recipe not saved (demo user)' : undefined
@@ -177,6 +168,10 @@ Make it practical for step-by-step cooking guidance. Include timing, temperature
       response.nutrition = nutritionData;
     }
 
+    if (dietaryWarnings) {
+      response.dietary_warnings = dietaryWarnings;
+    }
+
     return res.json(response);
   } catch (error) {
     console.error('URL learning error:', error);
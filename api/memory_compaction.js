@@ -0,0 +1,52 @@
+// api/memory_compaction.js
+// Scheduled by the Vercel cron in vercel.json: distills old chat turns into
+// long-term facts and prunes expired memory for users with pending turns.
+const { supabase } = require('../lib/db');
+const llm = require('../lib/llm');
+const { compactUserMemory, findUsersNeedingCompaction } = require('../lib/memory');
+
+// Keep each run well inside the serverless time limit
+const MAX_USERS_PER_RUN = 25;
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  // Vercel sends "Authorization: Bearer <CRON_SECRET>" on cron invocations
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    res.status(401).json({ error: 'Unauthorized' });
+    return;
+  }
+
+  if (!supabase) {
+    res.status(503).json({ error: 'Supabase not configured' });
+    return;
+  }
+  if (!llm.isConfigured()) {
+    res.status(500).json({ error: 'LLM provider not configured' });
+    return;
+  }
+
+  try {
+    const userIds = await findUsersNeedingCompaction(MAX_USERS_PER_RUN);
+    console.log(`🧠 Memory compaction: ${userIds.length} user(s) pending`);
+
+    const totals = { users: 0, turns_summarized: 0, facts_added: 0, facts_reinforced: 0, pruned: 0 };
+    for (const userId of userIds) {
+      const summary = await compactUserMemory(userId);
+      totals.users++;
+      totals.turns_summarized += summary.turns_summarized;
+      totals.facts_added += summary.facts_added;
+      totals.facts_reinforced += summary.facts_reinforced;
+      totals.pruned += summary.pruned;
+    }
+
+    res.status(200).json({ success: true, ...totals });
+  } catch (error) {
+    console.error('Memory compaction failed:', error);
+    res.status(500).json({ error: 'Memory compaction failed', details: error.message });
+  }
+};
@@ -0,0 +1,99 @@
+// api/safety_review.js
+// Review endpoint for the guardrail audit log (lib/safety_log.js).
+// - GET with "Authorization: Bearer <CRON_SECRET>" prunes expired events
+//   (scheduled by the Vercel cron in vercel.json).
+// - POST { action, ... } with "Authorization: Bearer <Supabase access token>"
+//   from a signed-in user whose email is listed in ADMIN_EMAILS:
+//     list    { event_type?, category?, review_status?, user_id?, since?, limit?, offset? }
+//     summary { since? }
+//     review  { id, verdict: 'confirmed' | 'false_positive', note? }
+//     corpus  {} - reviewed inputs as guardrail corpus cases, scored against the current rules
+const { supabase } = require('../lib/db');
+const safetyLog = require('../lib/safety_log');
+
+function adminEmails() {
+  return (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Resolves the bearer token to a Supabase user and checks the admin list.
+// Returns { email } or { status, error }.
+async function authenticateAdmin(req) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+  if (!token) return { status: 401, error: 'Unauthorized' };
+
+  const { data, error } = await supabase.auth.getUser(token);
+  const email = data?.user?.email?.toLowerCase();
+  if (error || !email) return { status: 401, error: 'Unauthorized' };
+  if (!adminEmails().includes(email)) return { status: 403, error: 'Forbidden' };
+  return { email };
+}
+
+async function handleAction(body, reviewer) {
+  switch (body.action) {
+    case 'list': {
+      const result = await safetyLog.listSafetyEvents(body);
+      return result ? { status: 200, body: result } : { status: 500, body: { error: 'Failed to list safety events' } };
+    }
+    case 'summary': {
+      const summary = await safetyLog.summarizeSafetyEvents({ since: body.since });
+      return summary ? { status: 200, body: summary } : { status: 500, body: { error: 'Failed to summarize safety events' } };
+    }
+    case 'review': {
+      const result = await safetyLog.reviewSafetyEvent(body.id, { verdict: body.verdict, note: body.note }, reviewer);
+      return result.error ? { status: result.status, body: { error: result.error } } : { status: 200, body: result };
+    }
+    case 'corpus': {
+      const result = await safetyLog.exportCorpusCases();
+      return result ? { status: 200, body: result } : { status: 500, body: { error: 'Failed to export corpus cases' } };
+    }
+    default:
+      return { status: 400, body: { error: 'Unknown action', details: 'Use list, summary, review or corpus' } };
+  }
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.status(405).json({ error: 'Method not allowed' });
+    return;
+  }
+
+  if (!supabase) {
+    res.status(503).json({ error: 'Supabase not configured' });
+    return;
+  }
+
+  try {
+    // Vercel sends "Authorization: Bearer <CRON_SECRET>" on cron invocations
+    const secret = process.env.CRON_SECRET;
+    if (req.method === 'GET') {
+      if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+        res.status(401).json({ error: 'Unauthorized' });
+        return;
+      }
+      const pruned = await safetyLog.pruneSafetyEvents();
+      if (pruned === null) {
+        res.status(500).json({ error: 'Failed to prune safety events' });
+        return;
+      }
+      console.log(`🛡️ Safety log retention: pruned ${pruned} event(s)`);
+      res.status(200).json({ success: true, pruned, retention_days: safetyLog.RETENTION_DAYS });
+      return;
+    }
+
+    const admin = await authenticateAdmin(req);
+    if (admin.error) {
+      res.status(admin.status).json({ error: admin.error });
+      return;
+    }
+
+    const { status, body } = await handleAction(req.body || {}, admin.email);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Safety review failed:', error);
+    res.status(500).json({ error: 'Safety review failed', details: error.message });
+  }
+};
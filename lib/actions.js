@@ -0,0 +1,31 @@
+// lib/actions.js
+// Helpers shared by the data action handlers behind /api/conversation_consolidated.
+// Handlers take (userId, params) and resolve to { status, body }.
+
+function actionOk(body) {
+  return { status: 200, body };
+}
+
+function actionError(status, error, details) {
+  return { status, body: details ? { error, details } : { error } };
+}
+
+// Keep only whitelisted columns so callers can't rewrite user_id or id
+function pickFields(source, allowed) {
+  const picked = {};
+  if (!source || typeof source !== 'object') return picked;
+  for (const field of allowed) {
+    if (source[field] !== undefined) picked[field] = source[field];
+  }
+  return picked;
+}
+
+function requireId(params, field = 'id') {
+  const value = params[field];
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return actionError(400, 'Invalid request', `${field} is required`);
+  }
+  return null;
+}
+
+module.exports = { actionOk, actionError, pickFields, requireId };
@@ -0,0 +1,408 @@
+// lib/cooking_session.js
+// Guided cooking sessions: a persisted "where am I in this recipe" record bound
+// to a saved recipe. Navigation commands ("next", "go back", "skip to step 4",
+// "what's left") are parsed and applied here deterministically, so they work
+// from voice or text without a model round trip.
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError, requireId } = require('./actions');
+
+const SESSION_FIELDS = 'id, recipe_id, status, current_step, completed_steps, step_notes, started_at, updated_at, completed_at';
+const COMMANDS = ['next', 'back', 'repeat', 'goto', 'remaining', 'status', 'note', 'end'];
+const MAX_NOTE_LENGTH = 500;
+
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16, seventeen: 17,
+  eighteen: 18, nineteen: 19, twenty: 20, first: 1, second: 2, third: 3, fourth: 4, fifth: 5
+};
+
+// Whole-utterance patterns, matched after normalizeUtterance()
+const COMMAND_PATTERNS = [
+  { command: 'next', pattern: /^(next|next step|whats next|what is next|go on|move on|done with (this|that)( step)?)$/ },
+  { command: 'back', pattern: /^(back|go back|previous|previous step|step back|go back (a|one) step|back (a|one) step)$/ },
+  { command: 'repeat', pattern: /^(repeat|repeat that|repeat (the|this) step|say that again|again|come again|one more time|what was that)$/ },
+  { command: 'status', pattern: /^(where am i|what step am i on|which step am i on|current step|what step is this|what do i do now)$/ },
+  { command: 'remaining', pattern: /^(whats left|what is left|what remains|remaining steps|how many steps (are )?left|how much (is )?left)$/ },
+  { command: 'end', pattern: /^(stop cooking|end session|end (the )?cooking session|finish cooking|quit cooking|cancel cooking|im done cooking|were done cooking)$/ }
+];
+// "Done", "ready", "got it" and "continue" also start ordinary sentences ("done
+// already?", "continue stirring for how long?"), so they only advance the step
+// as the entire raw utterance; anything more goes to the model
+const ACKNOWLEDGEMENT_PATTERN = /^\s*(done|i['’]?m done|finished|got it|ready|continue)\s*[.!]?\s*$/i;
+const GOTO_PATTERN = /^(?:(?:skip|go|jump|move|take me)\s+(?:ahead\s+|forward\s+|back\s+)?to\s+)?step\s+(?:number\s+)?([a-z0-9]+)$/;
+const NOTE_PATTERN = /^(?:add (?:a )?)?note[:,]?\s+(?:that\s+)?(.+)$/i;
+
+function normalizeUtterance(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/^\s*(ok(ay)?|alright|all right|chef|hey|so|um+|uh+)\b/g, ' ')
+    .replace(/\b(please|thanks|thank you)\s*$/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function parseStepNumber(token) {
+  if (/^\d+$/.test(token)) return parseInt(token, 10);
+  return NUMBER_WORDS[token] || null;
+}
+
+/**
+ * Recognizes a session navigation command in a user utterance.
+ * Returns { command, step_number?, note? } or null for anything else.
+ */
+function parseCommand(text) {
+  const noteMatch = String(text || '').trim().match(NOTE_PATTERN);
+  if (noteMatch) {
+    return { command: 'note', note: noteMatch[1].trim() };
+  }
+
+  if (ACKNOWLEDGEMENT_PATTERN.test(String(text || ''))) {
+    return { command: 'next' };
+  }
+
+  const normalized = normalizeUtterance(text);
+  if (!normalized) return null;
+
+  const gotoMatch = normalized.match(GOTO_PATTERN);
+  if (gotoMatch) {
+    const stepNumber = parseStepNumber(gotoMatch[1]);
+    return stepNumber ? { command: 'goto', step_number: stepNumber } : null;
+  }
+
+  const match = COMMAND_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+  return match ? { command: match.command } : null;
+}
+
+// saved_recipes.recipe_data.steps is either [{ step, instruction, tips, timing }]
+// (URL imports) or plain strings (recipes saved from chat)
+function getRecipeSteps(recipe) {
+  const steps = recipe?.recipe_data?.steps;
+  if (!Array.isArray(steps)) return [];
+
+  return steps
+    .map(step => (typeof step === 'string' ? { instruction: step } : step || {}))
+    .filter(step => step.instruction)
+    .map((step, index) => ({
+      number: index + 1,
+      instruction: step.instruction,
+      tips: step.tips || null,
+      timing: step.timing || null
+    }));
+}
+
+function describeStep(step, total) {
+  if (!step) return '';
+  let text = `Step ${step.number} of ${total}: ${step.instruction}`;
+  if (step.timing) text += ` (${step.timing})`;
+  if (step.tips) text += ` Tip: ${step.tips}`;
+  return text;
+}
+
+// Client/agent-facing view of a session joined with its recipe
+function describeSession(session, recipe) {
+  const steps = getRecipeSteps(recipe);
+  const completed = session.completed_steps || [];
+
+  return {
+    id: session.id,
+    recipe_id: session.recipe_id,
+    title: recipe?.title || 'Recipe',
+    status: session.status,
+    current_step: session.current_step,
+    total_steps: steps.length,
+    step: steps[session.current_step - 1] || null,
+    completed_steps: completed,
+    remaining_steps: steps.filter(s => !completed.includes(s.number)).map(s => s.number),
+    step_notes: session.step_notes || {},
+    started_at: session.started_at,
+    elapsed_minutes: Math.max(0, Math.round((Date.now() - new Date(session.started_at).getTime()) / 60000))
+  };
+}
+
+async function getRecipe(userId, recipeId) {
+  const { data, error } = await supabase
+    .from('saved_recipes')
+    .select('id, title, recipe_data, servings, notes')
+    .eq('user_id', userId)
+    .eq('id', recipeId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Cooking session: Error fetching recipe:', error);
+    return null;
+  }
+  return data;
+}
+
+/**
+ * Loads the user's active session together with its recipe.
+ * Returns { session, recipe } or null when nothing is in progress.
+ */
+async function getActiveSession(userId) {
+  if (!supabase || !isValidUUID(userId)) return null;
+
+  try {
+    const { data: session, error } = await supabase
+      .from('cooking_sessions')
+      .select(SESSION_FIELDS)
+      .eq('user_id', userId)
+      .eq('status', 'active')
+      .order('started_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Cooking session: Error fetching active session:', error);
+      return null;
+    }
+    if (!session) return null;
+
+    const recipe = await getRecipe(userId, session.recipe_id);
+    return recipe ? { session, recipe } : null;
+  } catch (error) {
+    console.error('Cooking session: Error in getActiveSession:', error);
+    return null;
+  }
+}
+
+// Starts a session on step 1; any session already in progress is abandoned
+async function startSession(userId, recipe) {
+  if (getRecipeSteps(recipe).length === 0) {
+    return { error: `"${recipe.title}" has no steps to guide through` };
+  }
+
+  const now = new Date().toISOString();
+  const { error: abandonError } = await supabase
+    .from('cooking_sessions')
+    .update({ status: 'abandoned', updated_at: now })
+    .eq('user_id', userId)
+    .eq('status', 'active');
+
+  if (abandonError) {
+    console.error('Cooking session: Error abandoning previous session:', abandonError);
+  }
+
+  const { data: session, error } = await supabase
+    .from('cooking_sessions')
+    .insert({
+      user_id: userId,
+      recipe_id: recipe.id,
+      status: 'active',
+      current_step: 1,
+      completed_steps: [],
+      step_notes: {},
+      started_at: now,
+      updated_at: now
+    })
+    .select(SESSION_FIELDS)
+    .single();
+
+  if (error) {
+    console.error('Cooking session: Error starting session:', error);
+    return { error: 'Failed to start cooking session' };
+  }
+
+  const view = describeSession(session, recipe);
+  return {
+    session: view,
+    reply: `Let's cook ${view.title}! ${describeStep(view.step, view.total_steps)}`
+  };
+}
+
+/**
+ * Pure state transition: given a session, its steps and a parsed command,
+ * returns the column updates to persist and the reply to speak.
+ */
+function applyCommand(session, steps, { command, step_number, note }) {
+  const total = steps.length;
+  const current = Math.min(Math.max(session.current_step || 1, 1), total);
+  const completed = session.completed_steps || [];
+  const now = new Date().toISOString();
+
+  switch (command) {
+    case 'next': {
+      const nextCompleted = completed.includes(current) ? completed : [...completed, current].sort((a, b) => a - b);
+      if (current >= total) {
+        return {
+          updates: { completed_steps: nextCompleted, status: 'completed', completed_at: now },
+          reply: `That was the last step - ${total} of ${total} done. Enjoy your meal!`
+        };
+      }
+      return {
+        updates: { completed_steps: nextCompleted, current_step: current + 1 },
+        reply: describeStep(steps[current], total)
+      };
+    }
+    case 'back':
+      if (current <= 1) {
+        return { updates: {}, reply: `You're already on the first step. ${describeStep(steps[0], total)}` };
+      }
+      return { updates: { current_step: current - 1 }, reply: describeStep(steps[current - 2], total) };
+    case 'repeat':
+    case 'status':
+      return { updates: {}, reply: describeStep(steps[current - 1], total) };
+    case 'goto': {
+      const target = Number(step_number);
+      if (!Number.isInteger(target) || target < 1 || target > total) {
+        return { updates: {}, reply: `This recipe has steps 1 to ${total}. You're on step ${current}.` };
+      }
+      return { updates: { current_step: target }, reply: describeStep(steps[target - 1], total) };
+    }
+    case 'remaining': {
+      const left = steps.filter(s => s.number >= current && !completed.includes(s.number));
+      if (left.length === 0) {
+        return { updates: {}, reply: 'Nothing left - every step is done!' };
+      }
+      const outline = left.map(s => `Step ${s.number}: ${s.instruction.length > 60 ? `${s.instruction.substring(0, 57)}...` : s.instruction}`);
+      return { updates: {}, reply: `${left.length} step${left.length === 1 ? '' : 's'} left. ${outline.join(' ')}` };
+    }
+    case 'note': {
+      const text = String(note || '').trim().substring(0, MAX_NOTE_LENGTH);
+      if (!text) return { updates: {}, reply: 'What should the note say?' };
+      const notes = { ...(session.step_notes || {}) };
+      notes[current] = notes[current] ? `${notes[current]}\n${text}` : text;
+      return { updates: { step_notes: notes }, reply: `Noted on step ${current}: ${text}` };
+    }
+    case 'end': {
+      const allDone = completed.length >= total;
+      return {
+        updates: { status: allDone ? 'completed' : 'abandoned', completed_at: now },
+        reply: allDone ? 'Cooking session finished. Enjoy!' : `Stopped cooking ${completed.length} of ${total} steps in. Pick it back up any time.`
+      };
+    }
+    default:
+      return { updates: {}, reply: `Unknown cooking command: ${command}` };
+  }
+}
+
+/**
+ * Applies a command to the user's active session and persists the result.
+ * Returns { session, reply }, or { error } when there is no active session.
+ */
+async function runCommand(userId, command) {
+  if (!COMMANDS.includes(command?.command)) {
+    return { error: `command must be one of: ${COMMANDS.join(', ')}` };
+  }
+
+  const active = await getActiveSession(userId);
+  if (!active) return { error: 'No active cooking session' };
+
+  const { session, recipe } = active;
+  const steps = getRecipeSteps(recipe);
+  if (steps.length === 0) return { error: `"${recipe.title}" has no steps to guide through` };
+
+  const { updates, reply } = applyCommand(session, steps, command);
+  let updated = session;
+
+  if (Object.keys(updates).length > 0) {
+    const { data, error } = await supabase
+      .from('cooking_sessions')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('id', session.id)
+      .select(SESSION_FIELDS)
+      .single();
+
+    if (error) {
+      console.error('Cooking session: Error updating session:', error);
+      return { error: 'Failed to update cooking session' };
+    }
+    updated = data;
+  }
+
+  return { session: describeSession(updated, recipe), reply };
+}
+
+/**
+ * Chat fast path: if the message is a navigation command and the user has a
+ * session in progress, handle it without the model. Returns null otherwise.
+ */
+async function tryHandleCommand(userId, text) {
+  if (!supabase || !isValidUUID(userId)) return null;
+
+  const command = parseCommand(text);
+  if (!command) return null;
+
+  const result = await runCommand(userId, command);
+  if (result.error) return null;
+
+  console.log(`👩‍🍳 Cooking session command "${command.command}" handled without the model`);
+  return result;
+}
+
+// Block for the agent's context prompt so answers refer to the real step
+function formatSessionForContext(active) {
+  if (!active) return '';
+
+  const view = describeSession(active.session, active.recipe);
+  const notes = Object.entries(view.step_notes).map(([step, note]) => `  - Step ${step}: ${note}`).join('\n');
+
+  return `ACTIVE COOKING SESSION: "${view.title}" - on step ${view.current_step} of ${view.total_steps}, started ${view.elapsed_minutes} min ago
+- Current step: ${view.step ? view.step.instruction : 'N/A'}
+- Completed steps: ${view.completed_steps.length > 0 ? view.completed_steps.join(', ') : 'none yet'}
+${notes ? `- Notes:\n${notes}\n` : ''}${active.recipe?.notes ? `- The user's own notes on this recipe (follow them): ${active.recipe.notes}\n` : ''}- Always answer relative to the current step; use guide_recipe_step to move through the recipe`;
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+async function startSessionAction(userId, params) {
+  const invalid = requireId(params, 'recipe_id');
+  if (invalid) return invalid;
+
+  const recipe = await getRecipe(userId, params.recipe_id);
+  if (!recipe) return actionError(404, 'Recipe not found');
+
+  const result = await startSession(userId, recipe);
+  if (result.error) return actionError(400, result.error);
+
+  return actionOk(result);
+}
+
+async function getSessionAction(userId) {
+  const active = await getActiveSession(userId);
+  return actionOk({ session: active ? describeSession(active.session, active.recipe) : null });
+}
+
+async function sessionCommandAction(userId, params) {
+  if (!COMMANDS.includes(params.command)) {
+    return actionError(400, 'Invalid request', `command must be one of: ${COMMANDS.join(', ')}`);
+  }
+
+  const result = await runCommand(userId, params);
+  if (result.error) {
+    return actionError(result.error === 'No active cooking session' ? 404 : 500, result.error);
+  }
+  return actionOk(result);
+}
+
+async function endSessionAction(userId) {
+  const result = await runCommand(userId, { command: 'end' });
+  if (result.error) {
+    return actionError(result.error === 'No active cooking session' ? 404 : 500, result.error);
+  }
+  return actionOk(result);
+}
+
+const actions = {
+  start_cooking_session: startSessionAction,
+  get_cooking_session: getSessionAction,
+  cooking_session_command: sessionCommandAction,
+  end_cooking_session: endSessionAction
+};
+
+module.exports = {
+  COMMANDS,
+  parseCommand,
+  getRecipeSteps,
+  applyCommand,
+  getActiveSession,
+  startSession,
+  runCommand,
+  tryHandleCommand,
+  describeSession,
+  formatSessionForContext,
+  actions
+};
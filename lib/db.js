@@ -0,0 +1,61 @@
+// lib/db.js
+// Shared Supabase service-role client for API routes and lib modules
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+let supabase = null;
+if (supabaseUrl && supabaseServiceKey) {
+  supabase = createClient(supabaseUrl, supabaseServiceKey);
+}
+
+// Helper function to check if user_id is a valid UUID (guests use ids like 'demo-user')
+function isValidUUID(uuid) {
+  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+  return uuidRegex.test(uuid);
+}
+
+// Guests without a token share this id; nothing is persisted for it
+const GUEST_USER_ID = 'web';
+
+function bearerToken(req) {
+  const header = req.headers?.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+// Resolves "Authorization: Bearer <Supabase access token>" to the signed-in
+// user's id; null when the token is missing, expired or not a user's
+async function getAuthUserId(req) {
+  const token = bearerToken(req);
+  if (!supabase || !token) return null;
+
+  try {
+    const { data, error } = await supabase.auth.getUser(token);
+    return !error && data?.user?.id ? data.user.id : null;
+  } catch (error) {
+    console.error('Auth: Error verifying access token:', error);
+    return null;
+  }
+}
+
+/**
+ * The user a request acts for. A signed-in user comes from the verified
+ * access token, and a user_id sent in the body must match it; without a
+ * token the request runs as a guest, so a bare UUID in the body is never
+ * trusted. Returns { userId } or { status, error }.
+ */
+async function resolveRequestUser(req, bodyUserId) {
+  if (!bearerToken(req)) {
+    return { userId: bodyUserId && !isValidUUID(bodyUserId) ? String(bodyUserId) : GUEST_USER_ID };
+  }
+
+  const userId = await getAuthUserId(req);
+  if (!userId) return { status: 401, error: 'Unauthorized' };
+  if (bodyUserId !== undefined && bodyUserId !== null && bodyUserId !== userId) {
+    return { status: 403, error: 'Forbidden' };
+  }
+  return { userId };
+}
+
+module.exports = { supabase, isValidUUID, getAuthUserId, resolveRequestUser };
@@ -0,0 +1,306 @@
+// lib/dietary.js
+// Allergy and diet enforcement. The user's `allergy` and `diet` preferences
+// are resolved against the ingredient taxonomy in lib/data/allergens.json
+// ("ghee" is dairy, "fish sauce" is fish, "pesto" has tree nuts), and every
+// recipe the assistant produces is checked against them. Allergy conflicts
+// are dangers and block saving; diet conflicts are warnings.
+const { categories: CATEGORIES, allergy_aliases: ALLERGY_ALIASES, diets: DIETS } = require('./data/allergens.json');
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError, requireId } = require('./actions');
+const quantities = require('./quantities');
+const { extractIngredientsFromText } = require('./nutrition');
+
+const SEVERITY = { allergy: 'danger', diet: 'warning' };
+
+const byLengthDesc = (a, b) => b.length - a.length;
+
+// Longest first, so "peanut butter" is found before "butter"
+const SORTED = Object.fromEntries(Object.entries(CATEGORIES).map(([key, category]) => [key, {
+  terms: [...category.terms].sort(byLengthDesc),
+  exceptions: [...category.exceptions].sort(byLengthDesc)
+}]));
+
+// Words around an allergy value that aren't the allergen itself
+const ALLERGY_FILLER = /\b(severe|severely|mild|mildly|allergic|allergy|allergies|intolerance|intolerant|sensitivity|sensitive|to|no|free|avoid)\b/g;
+
+// Lowercase, accents stripped, padded with spaces for whole-word matching
+function normalizeText(text) {
+  const normalized = String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9'\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return ` ${normalized} `;
+}
+
+function containsWord(text, word) {
+  return text.includes(` ${word} `) || text.includes(` ${word}s `) || text.includes(` ${word}es `);
+}
+
+// "strawberries" -> ["strawberries", "strawberry"]
+function customTerms(value) {
+  const terms = [value];
+  if (value.endsWith('ies')) terms.push(`${value.slice(0, -3)}y`);
+  else if (value.endsWith('es')) terms.push(value.slice(0, -2), value.slice(0, -1));
+  else if (value.endsWith('s')) terms.push(value.slice(0, -1));
+  return terms;
+}
+
+function splitValues(value) {
+  const text = Array.isArray(value) ? value.join(', ') : String(value ?? '');
+  return text
+    .toLowerCase()
+    .split(/,|;|\/|&|\band\b|\bor\b/)
+    .map(part => part.trim())
+    .filter(Boolean);
+}
+
+function resolveAllergy(part) {
+  const cleaned = part.replace(/-/g, ' ').replace(ALLERGY_FILLER, ' ').replace(/\s+/g, ' ').trim();
+  if (!cleaned) return null;
+
+  if (ALLERGY_ALIASES[cleaned]) return { value: cleaned, categories: ALLERGY_ALIASES[cleaned], terms: [] };
+  const category = Object.keys(CATEGORIES).find(key =>
+    key === cleaned.replace(/ /g, '_') || CATEGORIES[key].label.toLowerCase() === cleaned);
+  if (category) return { value: cleaned, categories: [category], terms: [] };
+
+  // Anything else ("strawberries", "kiwi") is checked as a plain ingredient word
+  return { value: cleaned, categories: [], terms: customTerms(cleaned) };
+}
+
+function resolveDiet(part) {
+  const text = normalizeText(part);
+  return Object.keys(DIETS).find(diet => DIETS[diet].aliases.some(alias => text.includes(` ${alias} `))) || null;
+}
+
+/**
+ * Turns user_preferences rows into rules the checker can apply.
+ * Returns { rules: [{ type, value, categories, terms }], unrecognized }.
+ * Unknown allergy values become plain ingredient words; unknown diets
+ * ("keto", "low FODMAP") can't be checked and are listed in unrecognized.
+ */
+function parseRestrictions(preferences) {
+  const rules = [];
+  const unrecognized = [];
+
+  for (const pref of preferences || []) {
+    if (pref.preference_type === 'allergy') {
+      for (const part of splitValues(pref.preference_value)) {
+        const resolved = resolveAllergy(part);
+        if (resolved) rules.push({ type: 'allergy', ...resolved });
+      }
+    } else if (pref.preference_type === 'diet') {
+      for (const part of splitValues(pref.preference_value)) {
+        const diet = resolveDiet(part);
+        if (diet) {
+          rules.push({ type: 'diet', value: diet, categories: DIETS[diet].excludes, terms: [] });
+        } else {
+          unrecognized.push(part);
+        }
+      }
+    }
+  }
+
+  return { rules, unrecognized };
+}
+
+async function getRestrictions(userId) {
+  if (!supabase || !isValidUUID(userId)) return parseRestrictions([]);
+
+  try {
+    const { data, error } = await supabase
+      .from('user_preferences')
+      .select('preference_type, preference_value')
+      .eq('user_id', userId)
+      .in('preference_type', ['allergy', 'diet']);
+
+    if (error) {
+      console.error('Dietary: Error fetching restrictions:', error);
+      return parseRestrictions([]);
+    }
+    return parseRestrictions(data);
+  } catch (error) {
+    console.error('Dietary: Error in getRestrictions:', error);
+    return parseRestrictions([]);
+  }
+}
+
+function hasRestrictions(restrictions) {
+  return !!restrictions && restrictions.rules.length > 0;
+}
+
+// The taxonomy term an ingredient matches in a category, or null
+function matchCategory(text, categoryKey) {
+  const category = CATEGORIES[categoryKey];
+  if (category.free_from.some(word => text.includes(` ${word} `))) return null;
+
+  let remaining = text;
+  for (const exception of SORTED[categoryKey].exceptions) {
+    for (const form of [exception, `${exception}s`, `${exception}es`]) {
+      remaining = remaining.split(` ${form} `).join('  ');
+    }
+  }
+  return SORTED[categoryKey].terms.find(term => containsWord(remaining, term)) || null;
+}
+
+/**
+ * Checks recipe_data-style ingredients ({ name, amount, notes } objects or
+ * "2 tbsp ghee" strings) against parsed restrictions. Returns one conflict per
+ * ingredient and restriction: { ingredient, term, category, category_label,
+ * type, restriction, severity }.
+ */
+function checkIngredients(ingredients, restrictions) {
+  if (!hasRestrictions(restrictions)) return [];
+  const conflicts = [];
+
+  for (const item of ingredients || []) {
+    const parsed = quantities.parseIngredient(item);
+    if (!parsed.name) continue;
+
+    const label = parsed.amount ? `${parsed.name} (${parsed.amount})` : parsed.name;
+    // Notes like "or butter" count too - an alternative can still be what gets used
+    const text = normalizeText(`${parsed.name} ${parsed.notes || ''}`);
+
+    for (const rule of restrictions.rules) {
+      let hit = null;
+      for (const category of rule.categories) {
+        const term = matchCategory(text, category);
+        if (term) {
+          hit = { term, category, category_label: CATEGORIES[category].label };
+          break;
+        }
+      }
+      if (!hit) {
+        const term = rule.terms.find(t => containsWord(text, t));
+        if (term) hit = { term, category: null, category_label: rule.value };
+      }
+      if (!hit) continue;
+
+      conflicts.push({
+        ingredient: label,
+        ...hit,
+        type: rule.type,
+        restriction: rule.value,
+        severity: SEVERITY[rule.type]
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+// "ghee (2 tbsp) - dairy allergy, not vegan"
+function describeConflicts(conflicts) {
+  const byIngredient = new Map();
+  for (const c of conflicts) {
+    const reason = c.type === 'allergy' ? `${c.restriction} allergy` : `not ${c.restriction}`;
+    byIngredient.set(c.ingredient, [...(byIngredient.get(c.ingredient) || []), reason]);
+  }
+  return [...byIngredient].map(([ingredient, reasons]) => `${ingredient} - ${reasons.join(', ')}`).join('; ');
+}
+
+/**
+ * Builds the report attached to API responses, or null when nothing conflicts.
+ * { conflicts, has_allergens, restrictions, unrecognized, message }
+ */
+function buildReport(conflicts, restrictions) {
+  if (!conflicts || conflicts.length === 0) return null;
+
+  const seen = new Set();
+  // Allergens first - they're the ones that matter most
+  const unique = conflicts.filter(c => {
+    const key = `${c.ingredient}|${c.type}|${c.restriction}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).sort((a, b) => (a.type === 'allergy' ? 0 : 1) - (b.type === 'allergy' ? 0 : 1));
+  const hasAllergens = unique.some(c => c.type === 'allergy');
+
+  return {
+    conflicts: unique,
+    has_allergens: hasAllergens,
+    restrictions: restrictions.rules.map(r => `${r.type}: ${r.value}`),
+    unrecognized: restrictions.unrecognized,
+    message: `${hasAllergens ? 'Contains allergens' : 'Conflicts with your diet'}: ${describeConflicts(unique)}`
+  };
+}
+
+/**
+ * Checks recipe_data or free text (a chat reply - only its ingredient lines
+ * are read). Returns a report or null when nothing conflicts.
+ */
+function checkRecipe(recipe, restrictions) {
+  if (!hasRestrictions(restrictions) || !recipe) return null;
+  const ingredients = typeof recipe === 'string'
+    ? extractIngredientsFromText(recipe).ingredients
+    : recipe.ingredients;
+  return buildReport(checkIngredients(ingredients, restrictions), restrictions);
+}
+
+// Combines several reports (reply text plus tool results) into one
+function mergeReports(reports, restrictions) {
+  const conflicts = reports.filter(Boolean).flatMap(r => r.conflicts);
+  return buildReport(conflicts, restrictions);
+}
+
+// Block for the agent's context prompt, spelling out what each rule covers
+function formatRestrictionsForContext(restrictions) {
+  if (!restrictions || (restrictions.rules.length === 0 && restrictions.unrecognized.length === 0)) return '';
+
+  const lines = restrictions.rules.map(rule => {
+    if (rule.type === 'diet') {
+      return `- Diet "${rule.value}": no ${rule.categories.map(c => CATEGORIES[c].label.toLowerCase()).join(', ')}`;
+    }
+    const examples = rule.categories.flatMap(c => CATEGORIES[c].terms.slice(0, 8));
+    return `- ALLERGY "${rule.value}": never include ${examples.length > 0 ? examples.join(', ') : rule.terms[0]} or anything made with them`;
+  });
+  restrictions.unrecognized.forEach(value => lines.push(`- Diet "${value}": not checked automatically - follow it yourself`));
+
+  return `DIETARY RESTRICTIONS (every recipe you give is checked against these; swap conflicting ingredients instead of including them):\n${lines.join('\n')}`;
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+async function checkRecipeAction(userId, params) {
+  const invalid = requireId(params, 'recipe_id');
+  if (invalid) return invalid;
+
+  const { data: row, error } = await supabase
+    .from('saved_recipes')
+    .select('id, title, recipe_data')
+    .eq('user_id', userId)
+    .eq('id', params.recipe_id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Dietary: Error fetching recipe:', error);
+    return actionError(500, 'Failed to load recipe');
+  }
+  if (!row) return actionError(404, 'Recipe not found');
+
+  const restrictions = await getRestrictions(userId);
+  return actionOk({
+    recipe_id: row.id,
+    title: row.title,
+    restrictions: restrictions.rules.map(r => `${r.type}: ${r.value}`),
+    dietary_warnings: checkRecipe(row.recipe_data, restrictions)
+  });
+}
+
+const actions = {
+  check_recipe_diet: checkRecipeAction
+};
+
+module.exports = {
+  parseRestrictions,
+  getRestrictions,
+  hasRestrictions,
+  checkIngredients,
+  checkRecipe,
+  mergeReports,
+  formatRestrictionsForContext,
+  actions
+};
@@ -0,0 +1,145 @@
+// lib/fridge_scan.js
+// "What can I make?" from photos of the fridge or cupboard. The photo
+// analysis (the `fridge` mode in lib/image_analysis.js) lists what it sees;
+// the user confirms or edits that list, and it's matched against the saved
+// library the same way the pantry is (lib/pantry.js). Recipes with the
+// user's allergens or outside their diet are left out, and their favourite
+// cuisines and skill level from user_preferences break ties.
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError } = require('./actions');
+const pantry = require('./pantry');
+const dietary = require('./dietary');
+
+const MAX_SUGGESTIONS = 10;
+// How much a cuisine or skill-level match moves a recipe, in coverage points
+const CUISINE_BONUS = 0.1;
+const DIFFICULTY_PENALTY = 0.1;
+const BEGINNER_SKILLS = /\b(beginner|novice|new|basic)\b/i;
+
+function canSuggest(userId) {
+  return !!supabase && isValidUUID(userId);
+}
+
+// Cuisines and skill level from user_preferences
+async function getTastes(userId) {
+  const { data, error } = await supabase
+    .from('user_preferences')
+    .select('preference_type, preference_value')
+    .eq('user_id', userId)
+    .in('preference_type', ['cuisine', 'cooking_skill']);
+  if (error) throw error;
+
+  const values = type => (data || []).filter(p => p.preference_type === type).map(p => String(p.preference_value).toLowerCase().trim());
+  return { cuisines: values('cuisine'), skill: values('cooking_skill')[0] || null };
+}
+
+function recipeCuisines(recipe) {
+  return [recipe.recipe_data?.cuisine, ...(recipe.tags || [])].filter(Boolean).map(c => String(c).toLowerCase());
+}
+
+/**
+ * Matches a confirmed ingredient list ([{ name, amount? }] or strings) to the
+ * saved library. include_pantry also counts what's already in the pantry;
+ * add_to_pantry stores the list there first.
+ * Returns { ingredients, matches, excluded, preferences, pantry } or { error, status }.
+ */
+async function suggestFromIngredients(userId, { ingredients, include_pantry = false, add_to_pantry = false, limit = 5 } = {}) {
+  if (!canSuggest(userId)) return { error: 'Sign in to match your saved recipes', status: 400 };
+
+  const items = (Array.isArray(ingredients) ? ingredients : []).map(item =>
+    typeof item === 'string' ? { name: item } : { name: item?.name, quantity: item?.amount || item?.quantity, unit: item?.unit }
+  );
+  // Each item with its pantry-shaped row; amounts are echoed as given ("about 6")
+  const listed = items
+    .map(item => ({ item, row: pantry.toPantryRows([item])[0] }))
+    .filter(entry => entry.row);
+  const confirmed = listed.map(entry => entry.row);
+  if (confirmed.length === 0) return { error: 'ingredients must list at least one ingredient', status: 400 };
+
+  try {
+    let pantryResult = null;
+    if (add_to_pantry) {
+      pantryResult = await pantry.addPantryItems(userId, items);
+      if (pantryResult.error) console.warn('Fridge scan: Could not add to pantry:', pantryResult.error);
+    }
+    const rows = include_pantry ? [...confirmed, ...await pantry.loadRows(userId)] : confirmed;
+
+    const [{ data: recipes, error }, restrictions, tastes] = await Promise.all([
+      supabase.from('saved_recipes').select('id, title, recipe_data, tags, difficulty').eq('user_id', userId),
+      dietary.getRestrictions(userId),
+      getTastes(userId)
+    ]);
+    if (error) throw error;
+
+    const byId = new Map((recipes || []).map(r => [r.id, r]));
+    const matches = [];
+    const excluded = [];
+    for (const match of pantry.rankRecipes(recipes, rows)) {
+      const recipe = byId.get(match.recipe_id);
+      const report = dietary.checkRecipe(recipe.recipe_data, restrictions);
+      if (report) {
+        excluded.push({ recipe_id: match.recipe_id, title: match.title, reason: report.message });
+        continue;
+      }
+
+      const why = [];
+      let score = match.coverage;
+      const cuisine = recipeCuisines(recipe).find(c => tastes.cuisines.includes(c));
+      if (cuisine) {
+        score += CUISINE_BONUS;
+        why.push(`you like ${cuisine}`);
+      }
+      if (tastes.skill && BEGINNER_SKILLS.test(tastes.skill) && /hard/i.test(recipe.difficulty || '')) {
+        score -= DIFFICULTY_PENALTY;
+        why.push('harder than your usual');
+      }
+      if (match.uses_expiring.length > 0) why.push(`uses up ${match.uses_expiring.join(', ')}`);
+
+      matches.push({
+        ...match,
+        difficulty: recipe.difficulty || null,
+        cuisine: recipe.recipe_data?.cuisine || null,
+        score: Math.round(score * 100) / 100,
+        why
+      });
+    }
+    matches.sort((a, b) => (b.score - a.score) || (a.missing.length - b.missing.length));
+
+    return {
+      ingredients: listed.map(({ item, row }) => ({ name: row.name, amount: item.quantity ? String(item.quantity) : null })),
+      matches: matches.slice(0, Math.max(1, Math.min(parseInt(limit, 10) || 5, MAX_SUGGESTIONS))),
+      excluded,
+      preferences: {
+        restrictions: restrictions.rules.map(r => `${r.type}: ${r.value}`),
+        cuisines: tastes.cuisines,
+        cooking_skill: tastes.skill
+      },
+      pantry: pantryResult && !pantryResult.error ? { added: pantryResult.added, updated: pantryResult.updated } : null
+    };
+  } catch (error) {
+    console.error('Fridge scan: Error suggesting recipes:', error);
+    return { error: 'Failed to suggest recipes', status: 500 };
+  }
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+
+// { ingredients: [{ name, amount? }], include_pantry?, add_to_pantry?, limit? }
+async function suggestFromIngredientsAction(userId, params) {
+  const result = await suggestFromIngredients(userId, params);
+  if (!result.error) return actionOk(result);
+  return result.status === 400
+    ? actionError(400, 'Invalid request', result.error)
+    : actionError(result.status || 500, result.error);
+}
+
+const actions = {
+  suggest_from_ingredients: suggestFromIngredientsAction
+};
+
+module.exports = {
+  suggestFromIngredients,
+  actions
+};
@@ -0,0 +1,287 @@
+// lib/guardrails.js
+// Scored, culinary-aware safety classifier for chat input and model output.
+// Each rule adds its weight to a category score. "Ambiguous" rules ("attack",
+// "kill", "cut myself") are discounted when the message is clearly about
+// food ("attack an onion", "kill a lobster") unless it names a person as the
+// target. The highest category decides: refuse, redirect to cooking, or
+// answer - food-safety questions are answered with safety information.
+// Labeled examples live in lib/data/guardrail_corpus.json.
+const { cases: CORPUS } = require('./data/guardrail_corpus.json');
+
+const REFUSE_THRESHOLD = 1.0;
+const REDIRECT_THRESHOLD = 0.6;
+// Ambiguous rules keep this share of their weight in a food context
+const CULINARY_DISCOUNT = 0.3;
+
+// refuse: never answered. redirect: steered back to cooking.
+const CATEGORIES = {
+  violence: { decision: 'refuse' },
+  self_harm: { decision: 'refuse' },
+  poisoning: { decision: 'refuse' },
+  drugs: { decision: 'refuse' },
+  illegal: { decision: 'refuse' },
+  sexual: { decision: 'refuse' },
+  hate: { decision: 'refuse' },
+  off_topic: { decision: 'redirect' },
+  medical: { decision: 'redirect' }
+};
+
+// Someone other than the speaker, named explicitly
+const OTHER_PERSON = '(?:someone|somebody|my (?:wife|husband|partner|boyfriend|girlfriend|boss|neighbou?r|roommate|teacher|mom|dad|mother|father|brother|sister|kids?|child|children|coworker|friend)s?|(?:a |the )?(?:neighbou?r|boss|coworker|roommate)s?)';
+// Targets of a harmful verb ("kill him"); "them"/"it" are left out - in a
+// kitchen they are usually the lobsters
+const PEOPLE = `(?:${OTHER_PERSON}|a person|people|him|her)`;
+
+// Ambiguous wording is never discounted when another person is involved
+const PERSON_TARGET = new RegExp(`\\b${OTHER_PERSON}\\b`, 'i');
+
+// Anything that makes a message about food or the kitchen
+const CULINARY_CONTEXT = /\b(cook(s|ing|ed)?|recipes?|bak(e|ing)|roast(ing)?|grill(ing)?|fry(ing)?|sear(ing)?|saute|boil(ing)?|simmer|braise|smok(e|ing)|chop(ping)?|dic(e|ing)|slic(e|ing)|minc(e|ing)|julienne|knife skills|fillet|debone|butcher|kitchen|chef|oven|stove|pan|skillet|wok|onions?|garlic|potato(es)?|tomato(es)?|carrots?|chicken|beef|pork|lamb|steak|brisket|fish|salmon|shrimp|lobsters?|crab|eggs?|flour|bread|cake|cookies?|dough|sauce|soup|stew|chili|pasta|rice|noodles|spinach|vegetables?|veggies|fruit|meat|cheese|butter|spices?|herbs?|ingredients?|dish(es)?|meals?|dinner|lunch|breakfast|snacks?|dessert|food|smoothie|cutting board|marinade|flavou?r|seasoning|ginger|mushrooms?)\b/i;
+
+// Kitchen tools called guns ("heat gun", "piping gun"); the weapon rule skips them
+const KITCHEN_GUNS = '(?:heat|piping|pastry|frosting|icing|decorating|cookie|caulk(?:ing)?|glue|spray|smoke|smoking|temp(?:erature)?|thermometer|infrared|ir|grease|sauce|batter|torch)';
+
+// Desserts called bombs ("bomb cake", "bomb pops"); "bombe" and "hot
+// chocolate bomb" never match the bare \bbomb\b below
+const CULINARY_BOMBS = '(?:cakes?|pops?|cookies?|dessert|ice cream|shots?)';
+
+// Foods and spices that are toxic in quantity; asking how much is too much is a
+// food-safety question unless another person is the target
+const TOXIC_FOODS = '(?:nutmeg|cinnamon|caffeine|coffee|energy drinks?|salt|water|licorice|apple seeds|apricot (?:kernels|pits|seeds)|cherry pits|bitter almonds|cassava|green potato(?:es)?|rhubarb(?: leaves)?|kidney beans|elderberr(?:y|ies)|ackee|mushrooms?|alcohol|vanilla extract|spices?|herbs?)';
+const FOOD_TOXICITY = new RegExp(`\\b(lethal|fatal|deadly|toxic)\\s+(dose|amount)\\s+of\\s+${TOXIC_FOODS}\\b|\\bhow much\\s+${TOXIC_FOODS}\\b.{0,30}\\b(would|to|will)\\s+kill\\b`, 'i');
+
+/**
+ * Rules: { id, category, weight, pattern | all: [patterns], ambiguous, input_only, unless }.
+ * `all` rules need every pattern to match. input_only rules describe a
+ * question and are skipped for model output, where a safety answer may say
+ * "a lethal dose" or "botulinum toxin". `unless` skips the rule when that
+ * pattern matches and no other person is named. Ids are stable - they are
+ * stored with logged violations.
+ */
+const RULES = [
+  // Violence
+  { id: 'violence.weapon', category: 'violence', weight: 1.0, pattern: new RegExp(`\\b(?<!\\b${KITCHEN_GUNS}[\\s-])guns?\\b|\\b(firearms?|rifles?|pistols?|ammo|ammunition|explosives?|grenades?|pipe bombs?|molotov)\\b`, 'i') },
+  { id: 'violence.make_bomb', category: 'violence', weight: 1.2, pattern: new RegExp(`\\b(build|make|assemble)\\s+(a|an)\\s+(pipe\\s+bomb\\b|bomb\\b(?![\\s-]+${CULINARY_BOMBS}\\b))`, 'i') },
+  { id: 'violence.harm_person', category: 'violence', weight: 1.2, pattern: new RegExp(`\\b(kill|murder|hurt|harm|stab|attack|beat up|strangle|shoot)\\s+${PEOPLE}\\b`, 'i') },
+  { id: 'violence.harm_word', category: 'violence', weight: 0.8, ambiguous: true, pattern: /\b(attack|stab|slash|kill|murder|slaughter|weapon|violence|violent)\b/i },
+
+  // Self-harm and disordered eating
+  { id: 'self_harm.suicide', category: 'self_harm', weight: 1.2, pattern: /\b(suicide|suicidal|kill myself|end my life|self[- ]harm|hurt myself on purpose)\b/i },
+  { id: 'self_harm.cut', category: 'self_harm', weight: 0.8, ambiguous: true, pattern: /\b(cut|burn|hurt)\s+myself\b/i },
+  { id: 'self_harm.starve', category: 'self_harm', weight: 1.0, pattern: /\b(starve myself|stop eating (entirely|completely|for (days|weeks))|purge after (eating|meals)|make myself (throw up|vomit))\b/i },
+
+  // Poisoning or tampering with someone's food
+  { id: 'poisoning.target', category: 'poisoning', weight: 1.2, pattern: new RegExp(`\\bpoison\\b.{0,40}\\b${PEOPLE}\\b|\\b(drug|sedate|spike)\\s+${PEOPLE}\\b`, 'i') },
+  { id: 'poisoning.make_sick', category: 'poisoning', weight: 1.2, pattern: new RegExp(`\\b(make|get)\\s+(${PEOPLE}|them)\\s+(sick|ill|vomit|throw up)\\b`, 'i') },
+  { id: 'poisoning.lethal_dose', category: 'poisoning', weight: 1.2, input_only: true, unless: FOOD_TOXICITY, pattern: /\b(lethal|fatal|deadly)\s+(dose|amount)\b|\bhow much\b.{0,40}\b(would|to|will)\s+kill\b/i },
+  { id: 'poisoning.produce_toxin', category: 'poisoning', weight: 1.2, pattern: /\b(make|extract|produce|concentrate|purify|isolate|synthesi[sz]e)\b.{0,30}\b(ricin|cyanide|arsenic|strychnine|abrin|botulinum|poison)\b/i },
+  { id: 'poisoning.agent', category: 'poisoning', weight: 1.0, input_only: true, pattern: /\b(ricin|abrin|strychnine|botulinum toxin)\b/i },
+  { id: 'poisoning.toxin_word', category: 'poisoning', weight: 0.6, ambiguous: true, pattern: /\b(poison|laxatives?|rat poison|bleach|antifreeze)\b/i },
+  { id: 'poisoning.covert', category: 'poisoning', weight: 0.5, ambiguous: true, pattern: /\b(untraceable|undetectable|without (them|him|her) (knowing|noticing|tasting)|so (they|he|she) (won't|don't|doesn't) notice)\b/i },
+
+  // Drugs
+  { id: 'drugs.hard', category: 'drugs', weight: 1.2, pattern: /\b(meth|methamphetamine|cocaine|crack (cocaine|rock)|heroin|fentanyl|lsd|mdma|ecstasy pills?|dmt|ghb|pcp|ketamine)\b/i },
+  { id: 'drugs.recipe', category: 'drugs', weight: 1.0, pattern: /\b(drug recipe|cook (up )?(drugs|dope))\b/i },
+
+  // Crime
+  { id: 'illegal.theft', category: 'illegal', weight: 1.0, pattern: /\b(shoplift(ing)?|robbery|rob (a|the)|pickpocket|burglar(ize|y)?|break into|dine and dash|steal (food|groceries|from|money|a |an ))\b/i },
+  { id: 'illegal.fraud', category: 'illegal', weight: 1.0, pattern: /\b(counterfeit|fake (id|money|receipts?)|launder(ing)? money|money laundering|scam (people|someone))\b/i },
+
+  // Sexual content and hate
+  { id: 'sexual.explicit', category: 'sexual', weight: 1.2, pattern: /\b(porn|pornographic|nudes?|sex story|sexual|erotic|nsfw|explicit (story|content|images?|photos?))\b/i },
+  { id: 'hate.speech', category: 'hate', weight: 1.2, pattern: /\b(racist|racial slurs?|slurs|nazi|white power|hate (speech|group)|(jokes?|insults?) about \w+ people)\b/i },
+
+  // Not about cooking
+  { id: 'off_topic.metaphor', category: 'off_topic', weight: 1.0, all: [/\b(in terms of|represents|symboli[sz]es|as if|like a|as a metaphor)\b/i, /\b(politics|political|economy|economic|recession|depression|government|war|conflict|religion|religious|election|president|congress|senate)\b/i] },
+  { id: 'off_topic.politics', category: 'off_topic', weight: 0.7, ambiguous: true, pattern: /\b(politics|political|election|president|congress|senate|democrats?|republicans?|government|economy|religion)\b/i },
+  { id: 'off_topic.tech', category: 'off_topic', weight: 0.7, ambiguous: true, pattern: /\b(python|javascript|coding|programming|sql|excel formula|software|write (me )?(a|some) (script|program|code))\b/i },
+  { id: 'off_topic.finance', category: 'off_topic', weight: 0.7, ambiguous: true, pattern: /\b(stock market|stocks to buy|crypto|bitcoin|invest(ing|ment)?|mortgage|tax return)\b/i },
+  { id: 'off_topic.homework', category: 'off_topic', weight: 0.7, ambiguous: true, pattern: /\b(homework|essay|math problem|algebra|calculus)\b/i },
+  { id: 'medical.advice', category: 'medical', weight: 0.7, ambiguous: true, pattern: /\b(diagnose|diagnosis|prescribe|prescription|medications?|dosage|symptoms?|cure for|treatment for|disease|infection)\b/i }
+];
+
+// Questions that get an answer with food-safety guidance rather than a refusal
+const FOOD_SAFETY_PATTERN = /\b(food poisoning|salmonella|listeria|e\.? ?coli|botulism|norovirus|trichinosis|food safety|safe to eat|is it safe|still safe|still good|gone bad|go bad|spoiled|expired|past (its|the) (use[- ]by|best[- ]before|expiration)|mou?ld(y)?|raw (eggs?|chicken|pork|meat|fish|cookie dough|flour|milk)|undercooked|internal temp(erature)?|danger zone|cross[- ]contamination|poisonous|toxic|toxins?|puffer ?fish|fugu|wild mushrooms?|green potato(es)?|kidney beans?|rhubarb leaves|grease fire|(cut|burn(ed|t)?) myself|choking|allerg(y|ies|ic)|sit out|left out)\b/i;
+
+const MESSAGES = {
+  refuse: 'I can only help with cooking and food-related questions. Please ask me about recipes, ingredients, or cooking techniques!',
+  self_harm: "I'm really sorry you're going through this. I can't help with that, but you don't have to handle it alone - please reach out to someone you trust or a crisis line (in the US, call or text 988; elsewhere, your local emergency number). I'm here to cook with you whenever you want.",
+  off_topic: "I'm specifically designed to help with actual cooking and recipes, so I'll sit that one out. I'd love to help you make a real biryani, pasta, or any other dish though! What would you like to cook today? 🍳",
+  medical: "I can't give medical advice - a doctor or registered dietitian is the right person for that. Once you have their guidance, I'm happy to help with recipes that fit it!",
+  output: "I'm not able to share that. Let's get back to cooking - what are you making?"
+};
+
+function ruleMatches(rule, text) {
+  return rule.all ? rule.all.every(pattern => pattern.test(text)) : rule.pattern.test(text);
+}
+
+/**
+ * Scores text against every rule.
+ * Returns { scores, matched: [rule ids], culinary, person_target, safety_topic }.
+ */
+function scoreText(text, { output = false } = {}) {
+  const culinary = CULINARY_CONTEXT.test(text);
+  const personTarget = PERSON_TARGET.test(text);
+  const scores = {};
+  const matched = [];
+
+  for (const rule of RULES) {
+    if ((output && rule.input_only) || !ruleMatches(rule, text)) continue;
+    if (rule.unless && rule.unless.test(text) && !personTarget) continue;
+    const discounted = rule.ambiguous && culinary && !personTarget;
+    scores[rule.category] = (scores[rule.category] || 0) + rule.weight * (discounted ? CULINARY_DISCOUNT : 1);
+    matched.push(rule.id);
+  }
+
+  return {
+    scores,
+    matched,
+    culinary,
+    person_target: personTarget,
+    safety_topic: FOOD_SAFETY_PATTERN.test(text) || FOOD_TOXICITY.test(text)
+  };
+}
+
+function messageFor(decision, category) {
+  if (decision === 'refuse') return category === 'self_harm' ? MESSAGES.self_harm : MESSAGES.refuse;
+  if (decision === 'redirect') return MESSAGES[category] || MESSAGES.off_topic;
+  return null;
+}
+
+/**
+ * Classifies a user message.
+ * Returns { decision: 'answer' | 'redirect' | 'refuse', category, score,
+ * reason, rule_ids, safety_topic, message }. `message` is the reply to send
+ * for refuse/redirect; answers with safety_topic should include safety info.
+ */
+function classifyInput(input) {
+  if (!input || typeof input !== 'string') {
+    return { decision: 'refuse', category: 'invalid', score: 1, reason: 'Invalid input', rule_ids: [], safety_topic: false, message: MESSAGES.refuse };
+  }
+
+  const { scores, matched, safety_topic: safetyTopic } = scoreText(input);
+  const [category, score] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+  let decision = 'answer';
+  if (category && CATEGORIES[category].decision === 'refuse' && score >= REFUSE_THRESHOLD) {
+    decision = 'refuse';
+  } else if (category && score >= REDIRECT_THRESHOLD && !safetyTopic) {
+    // Borderline harm or a clearly non-cooking topic: steer back to cooking
+    decision = 'redirect';
+  }
+
+  const ruleIds = matched.filter(id => id.startsWith(`${category}.`));
+  return {
+    decision,
+    category: decision === 'answer' ? (safetyTopic ? 'food_safety' : null) : category,
+    score: Math.round(score * 100) / 100,
+    reason: decision === 'answer' ? null : `${category} score ${Math.round(score * 100) / 100} (${ruleIds.join(', ')})`,
+    rule_ids: decision === 'answer' ? [] : ruleIds,
+    safety_topic: decision === 'answer' && safetyTopic,
+    message: messageFor(decision, category)
+  };
+}
+
+/**
+ * Checks a model reply before it reaches the user. Only harmful categories
+ * count - a reply that mentions "dangerous" or "toxic" while explaining food
+ * safety is fine. Returns the classification plus `message`, the safe
+ * replacement to send when decision is 'refuse'.
+ */
+function moderateOutput(reply) {
+  if (!reply || typeof reply !== 'string') {
+    return { decision: 'answer', category: null, score: 0, reason: null, rule_ids: [], message: null };
+  }
+
+  const { scores, matched } = scoreText(reply, { output: true });
+  const harmful = Object.entries(scores)
+    .filter(([category]) => CATEGORIES[category].decision === 'refuse')
+    .sort((a, b) => b[1] - a[1])[0];
+
+  if (!harmful || harmful[1] < REFUSE_THRESHOLD) {
+    return { decision: 'answer', category: null, score: harmful ? harmful[1] : 0, reason: null, rule_ids: [], message: null };
+  }
+
+  const [category, score] = harmful;
+  const ruleIds = matched.filter(id => id.startsWith(`${category}.`));
+  return {
+    decision: 'refuse',
+    category,
+    score: Math.round(score * 100) / 100,
+    reason: `Reply ${category} score ${Math.round(score * 100) / 100} (${ruleIds.join(', ')})`,
+    rule_ids: ruleIds,
+    message: MESSAGES.output
+  };
+}
+
+// A sentence ends at . ! or ? (and any closing quote or bracket) followed by
+// whitespace, or at a line break
+const SENTENCE_END = /[.!?]["')\]]*\s+|\n+/g;
+
+/**
+ * For streamed replies: holds the model's text back until a sentence is
+ * complete, checks the reply so far with moderateOutput and only then passes
+ * the sentence to send(text). Call flush() when the model stops to release
+ * the tail. After a refusal nothing more is sent and `refused` holds the check.
+ */
+function createOutputModerator(send) {
+  let sent = '';
+  let pending = '';
+  const moderator = { refused: null, write, flush };
+
+  function release(end) {
+    const chunk = pending.substring(0, end);
+    pending = pending.substring(end);
+    const check = moderateOutput(sent + chunk);
+    if (check.decision === 'refuse') {
+      moderator.refused = check;
+      pending = '';
+      return;
+    }
+    sent += chunk;
+    send(chunk);
+  }
+
+  function write(text) {
+    if (moderator.refused || !text) return;
+    pending += text;
+    let end = 0;
+    for (const match of pending.matchAll(SENTENCE_END)) end = match.index + match[0].length;
+    if (end > 0) release(end);
+  }
+
+  function flush() {
+    if (!moderator.refused && pending) release(pending.length);
+  }
+
+  return moderator;
+}
+
+// Instruction added to the agent prompt for food-safety questions
+function safetyGuidance() {
+  return `FOOD SAFETY QUESTION: Answer it directly with accurate safety information (safe temperatures, storage times, which parts or foods are dangerous and why, when to throw food out, when to call poison control or a doctor). Do not refuse. Never give steps that would help someone harm another person.`;
+}
+
+/**
+ * Runs labeled cases ({ text, expected }) through classifyInput.
+ * Returns { total, passed, failures: [{ text, expected, got, category }] }.
+ */
+function evaluateCorpus(cases = CORPUS) {
+  const failures = [];
+  for (const testCase of cases) {
+    const result = classifyInput(testCase.text);
+    if (result.decision !== testCase.expected) {
+      failures.push({ text: testCase.text, expected: testCase.expected, got: result.decision, category: result.category });
+    }
+  }
+  return { total: cases.length, passed: cases.length - failures.length, failures };
+}
+
+module.exports = {
+  RULES,
+  classifyInput,
+  moderateOutput,
+  createOutputModerator,
+  safetyGuidance,
+  evaluateCorpus
+};
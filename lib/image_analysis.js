@@ -0,0 +1,161 @@
+// lib/image_analysis.js
+// Analysis modes for cooking photos (api/analyze_image.js). Each mode has its
+// own instructions and, where the answer is one of a few outcomes, a fixed
+// set of verdicts; all of them return the IMAGE_ANALYSIS card from
+// lib/llm/schemas.js. Results are written into the conversation as a turn so
+// follow-up chat questions know what the photo showed.
+const { supabase, isValidUUID } = require('./db');
+const schemas = require('./llm/schemas');
+
+const MODES = {
+  general: {
+    label: 'Photo analysis',
+    emoji: '📸',
+    instructions: 'Answer the question about this cooking photo. Be specific about what you see: technique, doneness, substitutions or anything else that helps the cook.'
+  },
+  doneness: {
+    label: 'Doneness check',
+    emoji: '🌡️',
+    verdicts: ['Undercooked', 'Almost there', 'Done', 'Overcooked', "Can't tell"],
+    instructions: `Judge whether the food is cooked. Use the visual cues for its kind:
+- Meat and fish: surface browning, juices, color of any cut face, flaking; say when only a thermometer can tell and give the safe internal temperature
+- Bread and baked goods: crust color, oven spring, crumb if cut, signs of a raw or gummy center
+- Caramel and sugar work: color from pale straw to amber to dark mahogany, and how close it is to burning
+next_action says exactly what to do now (e.g. "Give it 5 more minutes, then check the center").`
+  },
+  identify: {
+    label: 'Ingredient identification',
+    emoji: '🔍',
+    required: ['items'],
+    instructions: `List every ingredient you can identify in "items", with a rough amount when it's visible. verdict says how many you found. Mention anything you can't identify with certainty in the observations rather than guessing. next_action suggests something to cook with them.`
+  },
+  fridge: {
+    label: 'Fridge scan',
+    emoji: '🧊',
+    required: ['items'],
+    instructions: `The cook wants to know what they can make from what they have. List every food item you can see in "items" with a rough amount ("about 6", "half a bottle", "1 bunch"), using plain ingredient names ("eggs", "cheddar", "bell peppers"), not brands. The photos may show different places (fridge, freezer, cupboard): list each item once across all of them. Skip items you can't make out and say so in observations. verdict says how many items you found; next_action asks them to check the list before recipes are suggested.`
+  },
+  plating: {
+    label: 'Plating critique',
+    emoji: '🍽️',
+    verdicts: ['Restaurant-worthy', 'Looks great', 'Good', 'Needs work'],
+    instructions: 'Critique the presentation: composition, color contrast, portion and negative space, height, sauce work, garnish and plate cleanliness. Be honest but encouraging. next_action is the single change that would improve it most.'
+  },
+  troubleshoot: {
+    label: 'What went wrong',
+    emoji: '🛠️',
+    instructions: 'The cook is unhappy with this result. Work out the most likely cause from what is visible (e.g. oven too hot, underproofed, overmixed, pan overcrowded) and put it in verdict. List the evidence in observations and say how to rescue this batch, if possible, in next_action; suggestions cover how to avoid it next time.'
+  }
+};
+
+const MAX_PROMPT_LENGTH = 500;
+
+// Questions that clearly ask for one of the modes, for clients that don't pick one
+const MODE_PATTERNS = [
+  ['doneness', /\b(done|cooked( through)?|ready|undercooked|raw|overcooked|doneness|burnt?|caramel)\b/i],
+  ['troubleshoot', /\b(went wrong|what happened|why (is|did|does)|ruined|failed|collapsed|sank|too (dense|dry|flat|runny))\b/i],
+  ['fridge', /\b(fridge|refrigerator|freezer|cupboard|pantry|what can i (make|cook))\b/i],
+  ['identify', /\b(what (is|are) (this|these|that|in)|identify|which ingredients?)\b/i],
+  ['plating', /\b(plat(e|ing)|presentation|garnish|look (good|nice)|instagram)\b/i]
+];
+
+function resolveMode(mode, prompt) {
+  if (mode) return MODES[mode] ? mode : null;
+  const match = MODE_PATTERNS.find(([, pattern]) => pattern.test(prompt || ''));
+  return match ? match[0] : 'general';
+}
+
+// The card schema with this mode's verdicts and required fields
+function schemaFor(mode) {
+  const { verdicts, required = [] } = MODES[mode];
+  if (!verdicts && required.length === 0) return schemas.IMAGE_ANALYSIS;
+  return {
+    ...schemas.IMAGE_ANALYSIS,
+    properties: verdicts
+      ? { ...schemas.IMAGE_ANALYSIS.properties, verdict: { type: 'string', enum: verdicts } }
+      : schemas.IMAGE_ANALYSIS.properties,
+    required: [...schemas.IMAGE_ANALYSIS.required, ...required]
+  };
+}
+
+/**
+ * The vision prompt for a mode. `recipe` (title and current step of the
+ * recipe being cooked) lets the model judge the photo against it.
+ */
+function buildPrompt(mode, question, recipe = null, photoCount = 1) {
+  const { label, verdicts, instructions } = MODES[mode];
+  const photos = photoCount > 1 ? `${photoCount} photos` : 'a photo';
+  const lines = [`You are a cooking expert looking at ${photos} the cook just took. Task: ${label}.`, '', instructions];
+  if (verdicts) lines.push('', `verdict must be one of: ${verdicts.join(', ')}.`);
+  if (recipe) {
+    lines.push('', `They are cooking "${recipe.title}"${recipe.step ? `, currently on step ${recipe.step.number}: ${recipe.step.instruction}` : ''}.`);
+  }
+  if (question) lines.push('', `Their question: ${String(question).substring(0, MAX_PROMPT_LENGTH)}`);
+  lines.push('', 'Only describe what is actually visible. Lower confidence when the photo is blurry, dark or cropped. Keep it concise and practical.');
+  return lines.join('\n');
+}
+
+// Plain-text version of a card, for clients that only show text and for
+// the conversation history
+function formatAnalysis(card, mode = 'general') {
+  const { label, emoji } = MODES[mode] || MODES.general;
+  const lines = [`${emoji} ${label}: ${card.verdict} (confidence ${card.confidence}/5)`, card.summary];
+  if (card.items && card.items.length > 0) {
+    lines.push('', 'Ingredients:', ...card.items.map(i => `• ${i.amount ? `${i.amount} ` : ''}${i.name}`));
+  }
+  if (card.observations.length > 0) lines.push('', ...card.observations.map(o => `• ${o}`));
+  lines.push('', `Next: ${card.next_action}`);
+  if (card.suggestions && card.suggestions.length > 0) lines.push('', 'Tips:', ...card.suggestions.map(s => `• ${s}`));
+  return lines.join('\n');
+}
+
+/**
+ * Writes the photo question and its analysis into conversation_memory as a
+ * user/assistant turn in the thread, so the chat's history includes it.
+ * Returns the user turn's id (what media rows link to) or null.
+ */
+async function recordAnalysisTurn(userId, threadId, { mode, question, card, photoCount = 1 }) {
+  if (!supabase || !isValidUUID(userId)) return null;
+
+  const label = MODES[mode].label;
+  try {
+    const { data, error } = await supabase
+      .from('conversation_memory')
+      .insert([
+        {
+          user_id: userId,
+          thread_id: threadId,
+          memory_type: 'user_message',
+          memory_content: `[Sent ${photoCount > 1 ? `${photoCount} photos` : 'a photo'} for ${label.toLowerCase()}] ${question || ''}`.trim(),
+          context: { image_analysis: { mode } }
+        },
+        {
+          user_id: userId,
+          thread_id: threadId,
+          memory_type: 'assistant_response',
+          memory_content: formatAnalysis(card, mode),
+          context: { image_analysis: { mode, card } }
+        }
+      ])
+      .select('id, memory_type');
+
+    if (error) {
+      console.error('Image analysis: Error saving conversation turn:', error);
+      return null;
+    }
+    const userTurn = (data || []).find(row => row.memory_type === 'user_message');
+    return userTurn ? userTurn.id : null;
+  } catch (error) {
+    console.error('Image analysis: Error in recordAnalysisTurn:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  MODES,
+  resolveMode,
+  schemaFor,
+  buildPrompt,
+  formatAnalysis,
+  recordAnalysisTurn
+};
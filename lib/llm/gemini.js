@@ -0,0 +1,123 @@
+// lib/llm/gemini.js
+// Google Gemini provider for the shared LLM layer
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+let genAI = null;
+
+function getClient() {
+  if (!genAI) {
+    genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+  return genAI;
+}
+
+function isConfigured() {
+  return !!process.env.GEMINI_API_KEY;
+}
+
+function inspectResponse(response) {
+  // Monitor token usage
+  const usageMetadata = response.usageMetadata;
+  if (usageMetadata) {
+    console.log('Token usage:', {
+      promptTokens: usageMetadata.promptTokenCount,
+      candidatesTokens: usageMetadata.candidatesTokenCount,
+      totalTokens: usageMetadata.totalTokenCount
+    });
+    
+    // Warn if approaching limits
+    if (usageMetadata.totalTokenCount > 30000) {
+      console.warn('⚠️ High token usage detected:', usageMetadata.totalTokenCount);
+    }
+  }
+  
+  // Check if response was blocked or truncated
+  if (response.promptFeedback?.blockReason) {
+    console.error('Response blocked:', response.promptFeedback.blockReason);
+    throw new Error(`Content blocked: ${response.promptFeedback.blockReason}`);
+  }
+  
+  // Check finish reason
+  const finishReason = response.candidates?.[0]?.finishReason;
+  if (finishReason && finishReason !== 'STOP') {
+    console.warn('⚠️ Response finish reason:', finishReason);
+    if (finishReason === 'MAX_TOKENS') {
+      console.error('Response truncated due to max tokens');
+    } else if (finishReason === 'SAFETY') {
+      console.error('Response blocked by safety filters');
+    }
+  }
+}
+
+// Check if LLM wants to use tools (support multiple SDK shapes)
+function extractFunctionCalls(response) {
+  let functionCalls = [];
+  try {
+    if (typeof response.functionCalls === 'function') {
+      // Newer SDK exposes functionCalls() accessor
+      functionCalls = response.functionCalls() || [];
+    } else if (Array.isArray(response.functionCalls)) {
+      // Some SDK versions expose as a property
+      functionCalls = response.functionCalls || [];
+    }
+    // Fallback: parse from candidate content parts
+    if ((!functionCalls || functionCalls.length === 0) && Array.isArray(response.candidates)) {
+      const parts = response.candidates?.[0]?.content?.parts || [];
+      functionCalls = parts
+        .filter(p => p && p.functionCall)
+        .map(p => p.functionCall);
+    }
+  } catch (e) {
+    console.warn('Function call extraction failed:', e);
+  }
+  return functionCalls || [];
+}
+
+async function generate(request) {
+  const generationConfig = { ...request.generationConfig };
+  if (request.json) {
+    generationConfig.responseMimeType = 'application/json';
+    if (request.json.schema) {
+      generationConfig.responseSchema = request.json.schema;
+    }
+  }
+
+  const model = getClient().getGenerativeModel({
+    model: request.model,
+    tools: request.tools,
+    toolConfig: request.toolConfig,
+    generationConfig,
+    safetySettings: request.safetySettings
+  });
+
+  let response;
+  if (request.onDelta) {
+    // Stream text deltas to the caller as they arrive
+    const streamResult = await model.generateContentStream({ contents: request.contents });
+    for await (const chunk of streamResult.stream) {
+      let delta = '';
+      try {
+        delta = chunk.text();
+      } catch (e) {
+        console.warn('Stream chunk without text:', e.message);
+      }
+      if (delta) request.onDelta(delta);
+    }
+    response = await streamResult.response;
+  } else {
+    const result = await model.generateContent({ contents: request.contents });
+    response = await result.response;
+  }
+
+  inspectResponse(response);
+
+  return {
+    text: response.text(),
+    functionCalls: extractFunctionCalls(response),
+    parts: response.candidates?.[0]?.content?.parts || [],
+    finishReason: response.candidates?.[0]?.finishReason || null,
+    usage: response.usageMetadata || null
+  };
+}
+
+module.exports = { generate, isConfigured };
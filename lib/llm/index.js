@@ -0,0 +1,200 @@
+// lib/llm/index.js
+// Shared LLM provider layer: one interface for text, vision, function calling
+// and JSON output, backed by Gemini or the offline scripted provider.
+const gemini = require('./gemini');
+const scripted = require('./scripted');
+const jsonSchema = require('./json_schema');
+const schemas = require('./schemas');
+
+const PROVIDERS = { gemini, scripted };
+
+// Model per task; override with LLM_MODEL_<TASK> (e.g. LLM_MODEL_CHAT) or LLM_MODEL
+const DEFAULT_MODELS = {
+  chat: 'gemini-2.5-pro',
+  vision: 'gemini-2.5-pro',
+  recipe_extraction: 'gemini-2.5-pro',
+  recipe_transcription: 'gemini-2.5-pro',
+  title: 'gemini-2.5-flash',
+  memory_extraction: 'gemini-2.5-flash',
+  ingredient_normalization: 'gemini-2.5-flash'
+};
+
+function getProviderName() {
+  return (process.env.LLM_PROVIDER || 'gemini').toLowerCase();
+}
+
+function getProvider() {
+  const name = getProviderName();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return provider;
+}
+
+function getModelForTask(task) {
+  return process.env[`LLM_MODEL_${task.toUpperCase()}`]
+    || process.env.LLM_MODEL
+    || DEFAULT_MODELS[task]
+    || DEFAULT_MODELS.chat;
+}
+
+function isConfigured() {
+  try {
+    return getProvider().isConfigured();
+  } catch (error) {
+    console.error('LLM provider error:', error.message);
+    return false;
+  }
+}
+
+// Accepts either Gemini-style `contents` or a `prompt` string plus optional
+// base64 `images` ([{ data, mimeType }]) and returns `contents`
+function buildContents({ contents, prompt, images = [] }) {
+  if (contents) return contents;
+
+  const parts = [{ text: prompt || '' }];
+  for (const image of images) {
+    parts.push({ inlineData: { data: image.data, mimeType: image.mimeType || 'image/jpeg' } });
+  }
+  return [{ role: 'user', parts }];
+}
+
+/**
+ * Runs one model turn.
+ *
+ * Options: task, prompt | contents, images, tools, toolConfig,
+ * generationConfig, safetySettings, json ({ schema } or true),
+ * onDelta(text) to stream, userText (raw user input, used for logging and
+ * scripted fixture matching).
+ *
+ * Resolves to { text, functionCalls, parts, finishReason, usage }.
+ */
+async function generate(options) {
+  const task = options.task || 'chat';
+  const request = {
+    ...options,
+    task,
+    model: getModelForTask(task),
+    contents: buildContents(options)
+  };
+  return await getProvider().generate(request);
+}
+
+async function generateText(options) {
+  const result = await generate(options);
+  return result.text;
+}
+
+// Parses model JSON, tolerating ```json fences and a sentence before or
+// after the object; throws SyntaxError when there is no JSON in it
+function parseJsonText(text) {
+  const cleaned = String(text || '')
+    .replace(/```(?:json)?\s*/gi, '')
+    .trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    const start = cleaned.search(/[{[]/);
+    const end = Math.max(cleaned.lastIndexOf('}'), cleaned.lastIndexOf(']'));
+    if (start === -1 || end <= start) throw error;
+    return JSON.parse(cleaned.substring(start, end + 1));
+  }
+}
+
+// ==============================================
+// STRUCTURED OUTPUT
+// ==============================================
+const STRUCTURED_ERROR_CODES = ['generation_failed', 'invalid_json', 'schema_mismatch'];
+
+/**
+ * Why structured generation failed. code is one of STRUCTURED_ERROR_CODES;
+ * validationErrors and rawText describe the last attempt.
+ */
+class StructuredOutputError extends Error {
+  constructor(code, message, { attempts = 1, validationErrors = [], rawText = null, cause = null } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.code = code;
+    this.attempts = attempts;
+    this.validationErrors = validationErrors;
+    this.rawText = rawText;
+    if (cause) this.cause = cause;
+  }
+}
+
+/**
+ * Runs a model turn in JSON mode with a declared schema and validates the
+ * result. Invalid output is sent back to the model with the problems found,
+ * up to `retries` more times.
+ *
+ * Options: everything generate() takes, plus schema (a JSON Schema object or
+ * a name from lib/llm/schemas.js; omit to only require valid JSON) and
+ * retries (default 1).
+ *
+ * Resolves to the parsed value; rejects with StructuredOutputError.
+ */
+async function generateStructured(options) {
+  const { schema: schemaOption, retries = 1, ...rest } = options;
+  const schema = typeof schemaOption === 'string' ? schemas[schemaOption] : schemaOption;
+  if (typeof schemaOption === 'string' && !schema) {
+    throw new Error(`Unknown schema "${schemaOption}" (expected one of: ${Object.keys(schemas).join(', ')})`);
+  }
+
+  let contents = buildContents(rest);
+  let lastError = null;
+  for (let attempt = 1; attempt <= retries + 1; attempt++) {
+    let result;
+    try {
+      result = await generate({ ...rest, contents, json: schema ? { schema: jsonSchema.toProviderSchema(schema) } : true });
+    } catch (error) {
+      throw new StructuredOutputError('generation_failed', `Model request failed: ${error.message}`, { attempts: attempt, cause: error });
+    }
+
+    let value;
+    let problems;
+    try {
+      value = parseJsonText(result.text);
+      problems = jsonSchema.validate(value, schema);
+    } catch (parseError) {
+      problems = [`not valid JSON (${parseError.message})`];
+    }
+    if (problems.length === 0) return value;
+
+    const code = value === undefined ? 'invalid_json' : 'schema_mismatch';
+    lastError = new StructuredOutputError(code, `Model returned ${code === 'invalid_json' ? 'invalid JSON' : 'JSON that does not match the schema'}: ${problems.slice(0, 3).join('; ')}`, {
+      attempts: attempt,
+      validationErrors: problems,
+      rawText: result.text
+    });
+    console.warn(`⚠️ Structured output (${rest.task || 'chat'}) attempt ${attempt} failed:`, problems.slice(0, 5));
+
+    contents = [
+      ...contents,
+      { role: 'model', parts: [{ text: String(result.text || '') }] },
+      { role: 'user', parts: [{ text: `That response was rejected:\n${problems.slice(0, 10).map(p => `- ${p}`).join('\n')}\n\nReply again with only the corrected JSON.` }] }
+    ];
+  }
+  throw lastError;
+}
+
+// JSON without a schema; kept for callers that only need parsing
+async function generateJson(options) {
+  return generateStructured({ ...options, schema: options.schema || null, retries: options.retries ?? 0 });
+}
+
+module.exports = {
+  generate,
+  generateText,
+  generateJson,
+  generateStructured,
+  parseJsonText,
+  StructuredOutputError,
+  STRUCTURED_ERROR_CODES,
+  validateJson: jsonSchema.validate,
+  schemas,
+  getModelForTask,
+  getProviderName,
+  isConfigured,
+  providers: PROVIDERS
+};
@@ -0,0 +1,107 @@
+// lib/llm/json_schema.js
+// The JSON Schema subset used for structured model output: type (one or a
+// list, including "null"), nullable, properties, required, items, enum,
+// minimum/maximum, minItems/maxItems, minLength. The same schema is sent to
+// the provider's JSON mode (Gemini takes an OpenAPI-style subset, see
+// toProviderSchema) and checked here, since JSON mode doesn't guarantee it.
+
+// Keys Gemini's responseSchema accepts; anything else is validation-only
+const PROVIDER_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'properties', 'required', 'items', 'minItems', 'maxItems'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function allowedTypes(schema) {
+  const types = Array.isArray(schema.type) ? [...schema.type] : schema.type ? [schema.type] : [];
+  if (schema.nullable) types.push('null');
+  return types;
+}
+
+function typeMatches(actual, types) {
+  return types.length === 0 || types.includes(actual) || (actual === 'integer' && types.includes('number'));
+}
+
+function describe(value) {
+  const text = JSON.stringify(value);
+  return text && text.length > 40 ? `${text.substring(0, 37)}...` : text;
+}
+
+/**
+ * Checks a value against a schema. Returns a list of problems such as
+ * "$.ingredients[0].name: expected string, got null" (empty when valid).
+ */
+function validate(value, schema, path = '$', errors = []) {
+  if (!schema) return errors;
+
+  const actual = typeOf(value);
+  const types = allowedTypes(schema);
+  if (!typeMatches(actual, types)) {
+    errors.push(`${path}: expected ${types.join(' or ')}, got ${actual}`);
+    return errors;
+  }
+  if (actual === 'null') return errors;
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}, got ${describe(value)}`);
+  }
+  if (actual === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path}: must not be empty`);
+  }
+  if ((actual === 'number' || actual === 'integer') && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path}: must be at least ${schema.minimum}, got ${value}`);
+  }
+  if ((actual === 'number' || actual === 'integer') && schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path}: must be at most ${schema.maximum}, got ${value}`);
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}, got ${value.length}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: allows at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) value.forEach((item, i) => validate(item, schema.items, `${path}[${i}]`, errors));
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) validate(value[key], child, `${path}.${key}`, errors);
+    }
+  }
+  return errors;
+}
+
+/**
+ * The schema in the form Gemini's responseSchema takes: one type plus
+ * nullable instead of a type list, and no validation-only keywords.
+ */
+function toProviderSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const out = {};
+  for (const key of PROVIDER_KEYS) {
+    if (schema[key] !== undefined) out[key] = schema[key];
+  }
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.filter(t => t !== 'null');
+    out.type = types[0];
+    if (types.length < schema.type.length) out.nullable = true;
+  }
+  if (out.enum) out.enum = out.enum.filter(v => v !== null);
+  if (out.type === 'integer' || out.type === 'number') delete out.enum;
+  if (schema.properties) {
+    out.properties = Object.fromEntries(Object.entries(schema.properties).map(([key, child]) => [key, toProviderSchema(child)]));
+  }
+  if (schema.items) out.items = toProviderSchema(schema.items);
+  return out;
+}
+
+module.exports = { validate, toProviderSchema };
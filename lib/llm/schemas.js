@@ -0,0 +1,164 @@
+// lib/llm/schemas.js
+// Schemas for the JSON the model produces, used with llm.generateStructured.
+// Gemini's response schemas can't express free-form maps, so lists of pairs
+// stand in for them (substitutions, ingredient mappings) and callers turn
+// them back into objects.
+
+const nullableString = { type: ['string', 'null'] };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// api/learn_url.js's recipe_data; is_recipe is false when the content has none
+const RECIPE = {
+  type: 'object',
+  properties: {
+    is_recipe: { type: 'boolean', description: 'false when the content does not contain a recipe' },
+    title: { type: 'string', minLength: 1 },
+    description: nullableString,
+    servings: { type: ['integer', 'null'], minimum: 1, maximum: 500 },
+    prep_time: { ...nullableString, description: 'e.g. "15 minutes"' },
+    cook_time: { ...nullableString, description: 'e.g. "30 minutes"' },
+    total_time: nullableString,
+    difficulty: { type: ['string', 'null'], enum: ['Easy', 'Medium', 'Hard', null] },
+    ingredients: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          amount: { type: 'string', description: 'e.g. "1 cup"; empty when unmeasured' },
+          notes: nullableString
+        },
+        required: ['name', 'amount']
+      }
+    },
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          step: { type: 'integer', minimum: 1 },
+          instruction: { type: 'string', minLength: 1 },
+          tips: nullableString,
+          timing: nullableString
+        },
+        required: ['step', 'instruction']
+      }
+    },
+    equipment: stringList,
+    tips: stringList,
+    substitutions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          original: { type: 'string' },
+          substitution: { type: 'string' }
+        },
+        required: ['original', 'substitution']
+      }
+    },
+    dietary_tags: stringList,
+    cuisine: nullableString
+  },
+  required: ['is_recipe', 'title', 'ingredients', 'steps']
+};
+
+// lib/recipe_photo.js: a recipe read from photos of a handwritten card or a
+// cookbook page. `uncertain` points at the parts the model couldn't read
+// clearly so the user checks them before it's saved
+const RECIPE_TRANSCRIPTION = {
+  type: 'object',
+  properties: {
+    ...RECIPE.properties,
+    is_recipe: { type: 'boolean', description: 'false when the photos do not show a recipe' },
+    transcription: { type: 'string', description: 'The text on the page as written, line by line' },
+    uncertain: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', enum: ['title', 'description', 'servings', 'prep_time', 'cook_time', 'total_time', 'ingredients', 'steps', 'tips'] },
+          number: { type: ['integer', 'null'], minimum: 1, description: 'Which ingredient or step (from 1); null for the whole field' },
+          reason: { type: 'string', minLength: 1, description: 'e.g. "Amount is smudged - 1 or 7 tsp?"' }
+        },
+        required: ['field', 'number', 'reason']
+      }
+    }
+  },
+  required: [...RECIPE.required, 'transcription', 'uncertain']
+};
+
+// lib/nutrition.js: recipe ingredient names onto nutrient-table entries
+const INGREDIENT_MAPPINGS = {
+  type: 'object',
+  properties: {
+    mappings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          ingredient: { type: 'string' },
+          entry: { ...nullableString, description: 'a table entry, or null when none matches' }
+        },
+        required: ['ingredient', 'entry']
+      }
+    }
+  },
+  required: ['mappings']
+};
+
+// lib/memory.js: durable facts about the user
+const MEMORY_FACTS = {
+  type: 'object',
+  properties: {
+    facts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          content: { type: 'string', minLength: 1 },
+          category: { type: 'string' },
+          confidence: { type: 'integer', minimum: 1, maximum: 5 },
+          ttl_days: { type: 'integer', minimum: 1 }
+        },
+        required: ['content', 'category', 'confidence', 'ttl_days']
+      }
+    }
+  },
+  required: ['facts']
+};
+
+// api/analyze_image.js; lib/image_analysis.js narrows verdict per mode
+const IMAGE_ANALYSIS = {
+  type: 'object',
+  properties: {
+    verdict: { type: 'string', minLength: 1, description: 'The answer in a few words, e.g. "Needs 5 more minutes"' },
+    confidence: { type: 'integer', minimum: 1, maximum: 5, description: '1 (guessing) to 5 (certain) - lower it when the photo is unclear' },
+    summary: { type: 'string', minLength: 1, description: 'Two or three sentences answering the request' },
+    subject: { ...nullableString, description: 'What the photo shows, e.g. "seared steak"' },
+    observations: { ...stringList, description: 'Specific things visible in the photo' },
+    next_action: { type: 'string', minLength: 1, description: 'The one thing to do next' },
+    suggestions: { ...stringList, description: 'Other practical advice based on the photo' },
+    items: {
+      type: 'array',
+      description: 'Ingredients identified in the photo (ingredient identification and fridge scans)',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          amount: nullableString
+        },
+        required: ['name']
+      }
+    }
+  },
+  required: ['verdict', 'confidence', 'summary', 'observations', 'next_action']
+};
+
+module.exports = {
+  RECIPE,
+  RECIPE_TRANSCRIPTION,
+  INGREDIENT_MAPPINGS,
+  MEMORY_FACTS,
+  IMAGE_ANALYSIS
+};
@@ -0,0 +1,137 @@
+// lib/llm/scripted.js
+// Deterministic offline provider (LLM_PROVIDER=scripted). Answers come from a
+// fixture file, so the backend runs and can be tested with no network or key.
+//
+// Fixture format (LLM_FIXTURES=/path/to/file.json, default fixtures/default.json):
+// {
+//   "rules": [
+//     { "task": "chat", "match": "shopping list", "functionCalls": [...] },
+//     { "match": "/lasagn/", "turns": [{ "functionCalls": [...] }, { "text": "..." }] },
+//     { "task": "recipe_extraction", "match": "broken", "attempts": [{ "text": "oops" }, { "json": { ... } }] }
+//   ],
+//   "defaults": { "chat": { "text": "..." }, "recipe_extraction": { "json": { ... } } }
+// }
+// `match` is a case-insensitive substring or a /regex/ tested against the raw
+// user text. `turns` are picked by how many tool rounds have run; once they
+// run out (or without `turns`, after the first round) the reply summarizes
+// the tool results. `attempts` answer llm.generateStructured's retries in
+// order (the last one repeats). "{{userText}}" in string args is replaced
+// with the input.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FIXTURES = path.join(__dirname, 'fixtures', 'default.json');
+
+let fixtures = null;
+const calls = [];
+
+function loadFixtures() {
+  if (!fixtures) {
+    const file = process.env.LLM_FIXTURES || DEFAULT_FIXTURES;
+    fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  return fixtures;
+}
+
+// Replace the active fixtures in-process (pass null to reload from disk)
+function setFixtures(next) {
+  fixtures = next;
+}
+
+// Every request the provider has answered, oldest first
+function getCalls() {
+  return calls.slice();
+}
+
+function reset() {
+  calls.length = 0;
+  fixtures = null;
+}
+
+function isConfigured() {
+  return true;
+}
+
+function textOf(content) {
+  return (content?.parts || []).filter(p => p.text).map(p => p.text).join('\n');
+}
+
+function ruleMatches(rule, task, userText) {
+  if (rule.task && rule.task !== task) return false;
+  if (!rule.match) return true;
+
+  const regex = /^\/(.*)\/([a-z]*)$/.exec(rule.match);
+  if (regex) {
+    return new RegExp(regex[1], regex[2].includes('i') ? regex[2] : regex[2] + 'i').test(userText);
+  }
+  return userText.toLowerCase().includes(rule.match.toLowerCase());
+}
+
+function fillTemplate(value, userText) {
+  if (typeof value === 'string') return value.replace(/\{\{userText\}\}/g, userText);
+  if (Array.isArray(value)) return value.map(v => fillTemplate(v, userText));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fillTemplate(v, userText)]));
+  }
+  return value;
+}
+
+function summarizeToolResults(contents) {
+  const last = [...contents].reverse().find(c => c.role === 'function');
+  const results = (last?.parts || []).map(p => p.functionResponse?.response || {});
+  const lines = results.map(r => r.message || (r.error ? `That didn't work: ${r.error}.` : '')).filter(Boolean);
+  return lines.length > 0 ? `Done! ${lines.join('. ')}.`.replace(/\.\./g, '.') : 'Done!';
+}
+
+async function generate(request) {
+  const { rules = [], defaults = {} } = loadFixtures();
+  const { contents, task } = request;
+  const userText = request.userText || textOf(contents.find(c => c.role === 'user'));
+  const round = contents.filter(c => c.role === 'function').length;
+
+  calls.push({ task, model: request.model, userText, round, json: !!request.json });
+
+  const rule = rules.find(r => ruleMatches(r, task, userText));
+  let reply;
+  if (rule) {
+    if (rule.attempts) {
+      const attempt = contents.filter(c => c.role === 'model').length;
+      reply = rule.attempts[Math.min(attempt, rule.attempts.length - 1)];
+    } else {
+      reply = rule.turns ? rule.turns[round] : (round === 0 ? rule : null);
+    }
+  } else if (round === 0) {
+    reply = defaults[task] || defaults.chat || null;
+  }
+  if (!reply) {
+    reply = { text: summarizeToolResults(contents) };
+  }
+
+  // No tools on this request (or calling disabled) means text only
+  const toolsEnabled = request.tools && request.toolConfig?.functionCallingConfig?.mode !== 'NONE';
+  const functionCalls = toolsEnabled ? fillTemplate(reply.functionCalls || [], userText) : [];
+  let text = reply.json !== undefined ? JSON.stringify(reply.json) : fillTemplate(reply.text || '', userText);
+  if (!text && functionCalls.length === 0) {
+    text = summarizeToolResults(contents);
+  }
+
+  if (request.onDelta && text) {
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      request.onDelta(piece);
+    }
+  }
+
+  const parts = [];
+  if (text) parts.push({ text });
+  functionCalls.forEach(call => parts.push({ functionCall: call }));
+
+  return {
+    text,
+    functionCalls,
+    parts,
+    finishReason: 'STOP',
+    usage: null
+  };
+}
+
+module.exports = { generate, isConfigured, setFixtures, getCalls, reset };
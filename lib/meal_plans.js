@@ -0,0 +1,526 @@
+// lib/meal_plans.js
+// Weekly meal planning over saved recipes: one entry per date and meal slot,
+// each with its own servings (a team lunch for 8, dinner for 2). A proposed
+// week follows the user's preferences (diet and allergies via lib/dietary.js,
+// cuisine, cooking skill) and skips dishes planned or cooked recently. A plan
+// becomes one shopping list, each recipe scaled to the servings planned.
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError, pickFields, requireId } = require('./actions');
+const dietary = require('./dietary');
+const scaling = require('./scaling');
+const shopping = require('./shopping');
+
+const MEAL_SLOTS = ['breakfast', 'lunch', 'dinner', 'snack'];
+const PLAN_FIELDS = 'id, plan_date, meal_slot, recipe_id, servings, notes, created_at, updated_at';
+const RECIPE_FIELDS = 'id, title, recipe_data, tags, difficulty, servings, last_cooked_at';
+const MAX_PLAN_DAYS = 14;
+const MAX_RANGE_DAYS = 62;
+const MAX_SERVINGS = 100;
+// A dish planned or cooked within this many days counts as recent
+const RECENT_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BREAKFAST_TERMS = ['breakfast', 'pancake', 'waffle', 'omelet', 'omelette', 'frittata', 'oatmeal', 'porridge', 'granola', 'smoothie', 'muffin', 'french toast', 'scrambled', 'shakshuka', 'crepe'];
+
+function canPersistMealPlan(userId) {
+  return !!supabase && isValidUUID(userId);
+}
+
+// ==============================================
+// DATES
+// ==============================================
+function isValidDate(text) {
+  return typeof text === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(text) && !isNaN(new Date(`${text}T00:00:00Z`).getTime());
+}
+
+function addDays(date, days) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().substring(0, 10);
+}
+
+function today() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+function weekday(date) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' });
+}
+
+/**
+ * Reads { start_date, end_date | days } into an inclusive date range.
+ * Defaults to the 7 days from `defaultStart`. Returns { start, end } or { error }.
+ */
+function resolveRange({ start_date, end_date, days } = {}, defaultStart = today()) {
+  const start = start_date || defaultStart;
+  if (!isValidDate(start)) return { error: 'start_date must be YYYY-MM-DD' };
+
+  let end;
+  if (end_date) {
+    if (!isValidDate(end_date)) return { error: 'end_date must be YYYY-MM-DD' };
+    end = end_date;
+  } else {
+    const count = days === undefined || days === null ? 7 : parseInt(days, 10);
+    if (!(count >= 1)) return { error: 'days must be a positive number' };
+    end = addDays(start, count - 1);
+  }
+
+  if (end < start) return { error: 'end_date must not be before start_date' };
+  if (new Date(end) - new Date(start) > (MAX_RANGE_DAYS - 1) * DAY_MS) {
+    return { error: `A plan range can cover at most ${MAX_RANGE_DAYS} days` };
+  }
+  return { start, end };
+}
+
+function parseServings(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const servings = parseInt(value, 10);
+  return servings >= 1 && servings <= MAX_SERVINGS ? servings : undefined;
+}
+
+function slotOrder(a, b) {
+  return (a.plan_date.localeCompare(b.plan_date)) || (MEAL_SLOTS.indexOf(a.meal_slot) - MEAL_SLOTS.indexOf(b.meal_slot));
+}
+
+function toPlanEntry(row, recipe) {
+  return {
+    id: row.id,
+    plan_date: row.plan_date,
+    weekday: weekday(row.plan_date),
+    meal_slot: row.meal_slot,
+    recipe_id: row.recipe_id,
+    title: recipe?.title || 'Deleted recipe',
+    servings: row.servings || scaling.getBaseServings(recipe?.recipe_data, recipe) || null,
+    notes: row.notes || null
+  };
+}
+
+// ==============================================
+// PLAN ENTRIES
+// ==============================================
+async function loadRecipes(userId, ids = null) {
+  let query = supabase
+    .from('saved_recipes')
+    .select(RECIPE_FIELDS)
+    .eq('user_id', userId);
+  if (ids) query = query.in('id', ids);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+async function loadRows(userId, start, end) {
+  const { data, error } = await supabase
+    .from('meal_plans')
+    .select(PLAN_FIELDS)
+    .eq('user_id', userId)
+    .gte('plan_date', start)
+    .lte('plan_date', end);
+  if (error) throw error;
+  return (data || []).sort(slotOrder);
+}
+
+async function withRecipes(userId, rows) {
+  const ids = [...new Set(rows.map(row => row.recipe_id).filter(Boolean))];
+  const recipes = ids.length > 0 ? await loadRecipes(userId, ids) : [];
+  const byId = new Map(recipes.map(recipe => [recipe.id, recipe]));
+  return rows.map(row => toPlanEntry(row, byId.get(row.recipe_id)));
+}
+
+/**
+ * Plan entries between two dates (inclusive), in date and slot order.
+ * Returns { start_date, end_date, entries } or { error }.
+ */
+async function getPlan(userId, range = {}) {
+  if (!canPersistMealPlan(userId)) {
+    return { error: 'Sign in to plan meals' };
+  }
+
+  const { start, end, error } = resolveRange(range);
+  if (error) return { error };
+
+  try {
+    const entries = await withRecipes(userId, await loadRows(userId, start, end));
+    return { start_date: start, end_date: end, entries };
+  } catch (err) {
+    console.error('Meal plan: Error loading plan:', err);
+    return { error: 'Failed to load meal plan' };
+  }
+}
+
+/**
+ * Puts a saved recipe in a slot, replacing whatever was planned there.
+ * With `id`, that entry is updated (and moved if the date or slot changed).
+ * Returns { entry } or { error }.
+ */
+async function setEntry(userId, { id = null, plan_date, meal_slot, recipe_id, servings, notes }) {
+  if (!canPersistMealPlan(userId)) {
+    return { error: 'Sign in to plan meals' };
+  }
+  if (!isValidDate(plan_date)) return { error: 'plan_date must be YYYY-MM-DD' };
+  if (!MEAL_SLOTS.includes(meal_slot)) return { error: `meal_slot must be one of: ${MEAL_SLOTS.join(', ')}` };
+  if (!isValidUUID(recipe_id)) return { error: 'recipe_id must be a saved recipe id' };
+  const planServings = parseServings(servings);
+  if (planServings === undefined) return { error: `servings must be between 1 and ${MAX_SERVINGS}` };
+
+  try {
+    const [recipe] = await loadRecipes(userId, [recipe_id]);
+    if (!recipe) return { error: 'Recipe not found' };
+
+    const { data: occupant, error: findError } = await supabase
+      .from('meal_plans')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('plan_date', plan_date)
+      .eq('meal_slot', meal_slot)
+      .maybeSingle();
+    if (findError) throw findError;
+
+    // Moving an entry onto a taken slot replaces what was there
+    if (id && occupant && occupant.id !== id) {
+      const { error } = await supabase.from('meal_plans').delete().eq('user_id', userId).eq('id', occupant.id);
+      if (error) throw error;
+    }
+
+    const targetId = id || occupant?.id;
+    const fields = { plan_date, meal_slot, recipe_id, servings: planServings, notes: typeof notes === 'string' ? notes.substring(0, 500) : null };
+    const { data, error } = targetId
+      ? await supabase
+        .from('meal_plans')
+        .update({ ...fields, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('id', targetId)
+        .select(PLAN_FIELDS)
+        .maybeSingle()
+      : await supabase
+        .from('meal_plans')
+        .insert({ user_id: userId, ...fields })
+        .select(PLAN_FIELDS)
+        .single();
+    if (error) throw error;
+    if (!data) return { error: 'Meal plan entry not found' };
+
+    return { entry: toPlanEntry(data, recipe) };
+  } catch (err) {
+    console.error('Meal plan: Error saving entry:', err);
+    return { error: 'Failed to save meal plan entry' };
+  }
+}
+
+// ==============================================
+// PROPOSING A WEEK
+// ==============================================
+// Cuisine and cooking_skill preferences; diet and allergies go through lib/dietary.js
+function readTastes(preferences) {
+  const values = type => preferences
+    .filter(p => p.preference_type === type)
+    .flatMap(p => String(p.preference_value || '').toLowerCase().split(/,|\band\b|\//))
+    .map(v => v.trim())
+    .filter(Boolean);
+
+  const skill = values('cooking_skill').join(' ');
+  return {
+    cuisines: values('cuisine'),
+    skill: /beginner|novice|new|basic/.test(skill) ? 'beginner' : /advanced|expert|pro|chef/.test(skill) ? 'advanced' : 'intermediate'
+  };
+}
+
+function recipeText(recipe) {
+  const data = recipe.recipe_data || {};
+  return [recipe.title, data.cuisine, ...(recipe.tags || []), ...(data.dietary_tags || [])].filter(Boolean).join(' ').toLowerCase();
+}
+
+function isBreakfastDish(recipe) {
+  const title = recipe.title.toLowerCase();
+  return BREAKFAST_TERMS.some(term => title.includes(term)) || (recipe.tags || []).some(tag => /breakfast|brunch/i.test(tag));
+}
+
+/**
+ * Scores how well a recipe suits a slot for this user. Higher is better;
+ * recent dishes sink but stay available when there is nothing else.
+ */
+function scoreRecipe(recipe, slot, { cuisines, skill }, recent) {
+  let score = 0;
+  const text = recipeText(recipe);
+  if (cuisines.some(cuisine => text.includes(cuisine))) score += 2;
+
+  const difficulty = String(recipe.difficulty || recipe.recipe_data?.difficulty || '').toLowerCase();
+  if (skill === 'beginner') score += difficulty === 'hard' ? -3 : difficulty === 'easy' ? 1 : 0;
+  if (skill === 'intermediate' && difficulty === 'hard') score -= 1;
+
+  const breakfast = isBreakfastDish(recipe);
+  if (slot === 'breakfast') score += breakfast ? 3 : -2;
+  else if (slot !== 'snack' && breakfast) score -= 3;
+
+  if (recent.has(recipe.id)) score -= 4;
+  return score;
+}
+
+// Recipes planned or cooked in the RECENT_DAYS before the plan starts
+async function loadRecentIds(userId, recipes, start) {
+  const from = addDays(start, -RECENT_DAYS);
+  const { data, error } = await supabase
+    .from('meal_plans')
+    .select('recipe_id')
+    .eq('user_id', userId)
+    .gte('plan_date', from)
+    .lt('plan_date', start);
+  if (error) throw error;
+
+  const recent = new Set((data || []).map(row => row.recipe_id));
+  const cutoff = new Date(`${from}T00:00:00Z`);
+  recipes
+    .filter(recipe => recipe.last_cooked_at && new Date(recipe.last_cooked_at) >= cutoff)
+    .forEach(recipe => recent.add(recipe.id));
+  return recent;
+}
+
+/**
+ * Fills a date range with saved recipes and saves the plan. Slots that
+ * already have a recipe are kept unless `replace` is set.
+ * Options: start_date, days (default 7), slots (default ['dinner']),
+ * servings (default: each recipe's own), replace.
+ * Returns { start_date, end_date, entries, planned, kept, excluded } or { error }.
+ */
+async function proposePlan(userId, { start_date, days, slots, servings, replace = false } = {}) {
+  if (!canPersistMealPlan(userId)) {
+    return { error: 'Sign in to plan meals' };
+  }
+
+  const { start, end, error: rangeError } = resolveRange({ start_date, days: days || 7 }, addDays(today(), 1));
+  if (rangeError) return { error: rangeError };
+  const dayCount = Math.round((new Date(end) - new Date(start)) / DAY_MS) + 1;
+  if (dayCount > MAX_PLAN_DAYS) return { error: `Plan at most ${MAX_PLAN_DAYS} days at a time` };
+
+  const mealSlots = Array.isArray(slots) && slots.length > 0 ? [...new Set(slots.map(s => String(s).toLowerCase()))] : ['dinner'];
+  const badSlot = mealSlots.find(slot => !MEAL_SLOTS.includes(slot));
+  if (badSlot) return { error: `Unknown meal slot "${badSlot}" - use ${MEAL_SLOTS.join(', ')}` };
+  const planServings = parseServings(servings);
+  if (planServings === undefined) return { error: `servings must be between 1 and ${MAX_SERVINGS}` };
+
+  try {
+    const { data: preferences, error: prefError } = await supabase
+      .from('user_preferences')
+      .select('preference_type, preference_value')
+      .eq('user_id', userId);
+    if (prefError) throw prefError;
+
+    const restrictions = dietary.parseRestrictions(preferences || []);
+    const tastes = readTastes(preferences || []);
+    const recipes = await loadRecipes(userId);
+
+    // Never plan a dish the user can't or won't eat
+    const excluded = [];
+    const candidates = recipes.filter(recipe => {
+      const report = dietary.checkRecipe(recipe.recipe_data, restrictions);
+      if (report) excluded.push({ recipe_id: recipe.id, title: recipe.title, reason: report.message });
+      return !report;
+    });
+    if (candidates.length === 0) {
+      return { error: recipes.length === 0 ? 'Save a few recipes first - plans are built from saved recipes' : 'None of your saved recipes fit your dietary restrictions' };
+    }
+
+    const recent = await loadRecentIds(userId, recipes, start);
+    const existing = await loadRows(userId, start, end);
+    const bySlot = new Map(existing.map(row => [`${row.plan_date}|${row.meal_slot}`, row]));
+    const usedThisPlan = new Map();
+    existing.forEach(row => usedThisPlan.set(row.recipe_id, (usedThisPlan.get(row.recipe_id) || 0) + 1));
+
+    let planned = 0;
+    let kept = 0;
+    const now = new Date().toISOString();
+    for (let i = 0; i < dayCount; i++) {
+      const date = addDays(start, i);
+      for (const slot of mealSlots) {
+        const current = bySlot.get(`${date}|${slot}`);
+        if (current && !replace) {
+          kept++;
+          continue;
+        }
+
+        // Each repeat within the plan costs more than anything else can add
+        const ranked = candidates
+          .map(recipe => ({ recipe, score: scoreRecipe(recipe, slot, tastes, recent) - 10 * (usedThisPlan.get(recipe.id) || 0) }))
+          .sort((a, b) => (b.score - a.score) ||
+            String(a.recipe.last_cooked_at || '').localeCompare(String(b.recipe.last_cooked_at || '')) ||
+            a.recipe.title.localeCompare(b.recipe.title));
+        const pick = ranked[0].recipe;
+        usedThisPlan.set(pick.id, (usedThisPlan.get(pick.id) || 0) + 1);
+
+        const fields = { recipe_id: pick.id, servings: planServings, notes: null };
+        const { error } = current
+          ? await supabase.from('meal_plans').update({ ...fields, updated_at: now }).eq('user_id', userId).eq('id', current.id)
+          : await supabase.from('meal_plans').insert({ user_id: userId, plan_date: date, meal_slot: slot, ...fields });
+        if (error) throw error;
+        planned++;
+      }
+    }
+
+    console.log(`📅 Meal plan ${start}..${end}: ${planned} planned, ${kept} kept`);
+    const entries = await withRecipes(userId, await loadRows(userId, start, end));
+    return { start_date: start, end_date: end, entries, planned, kept, excluded };
+  } catch (err) {
+    console.error('Meal plan: Error proposing plan:', err);
+    return { error: 'Failed to plan meals' };
+  }
+}
+
+// ==============================================
+// SHOPPING LIST
+// ==============================================
+/**
+ * Adds every planned recipe's ingredients to one shopping list. Entries for
+ * the same recipe are combined first, so lasagna twice for 4 is scaled to 8
+ * once; shopping.addItems merges the same ingredient across recipes.
+ * Returns { list_name, recipes, added, merged, skipped, unscaled } or { error }.
+ */
+async function addPlanToShoppingList(userId, range = {}, { list_name } = {}) {
+  const plan = await getPlan(userId, range);
+  if (plan.error) return plan;
+  if (plan.entries.length === 0) return { error: 'Nothing planned for those dates' };
+
+  try {
+    const recipes = await loadRecipes(userId, [...new Set(plan.entries.map(e => e.recipe_id))]);
+    const summary = { list_name: null, start_date: plan.start_date, end_date: plan.end_date, recipes: [], added: 0, merged: 0, skipped: 0, unscaled: [] };
+
+    for (const recipe of recipes) {
+      const entries = plan.entries.filter(e => e.recipe_id === recipe.id);
+      const baseServings = scaling.getBaseServings(recipe.recipe_data, recipe);
+      // Without a base serving count, each planned meal is one batch
+      const scaled = baseServings
+        ? scaling.scaleRecipe(recipe.recipe_data, { servings: entries.reduce((sum, e) => sum + (e.servings || baseServings), 0) }, recipe)
+        : scaling.scaleRecipe(recipe.recipe_data, { factor: entries.length }, recipe);
+      if (scaled.error) {
+        summary.unscaled.push(recipe.title);
+        continue;
+      }
+      if (!baseServings) summary.unscaled.push(recipe.title);
+
+      const items = scaled.recipe.ingredients.map(ing => ({ name: ing.name, quantity: ing.amount || '' }));
+      if (items.length === 0) continue;
+      const result = await shopping.addItems(userId, items, { list_name, recipe_id: recipe.id, recipe_title: recipe.title });
+      if (result.error) return result;
+
+      summary.list_name = result.list_name;
+      summary.added += result.added;
+      summary.merged += result.merged;
+      summary.skipped += result.skipped;
+      summary.recipes.push({ recipe_id: recipe.id, title: recipe.title, meals: entries.length, servings: scaled.recipe.servings || null });
+    }
+
+    if (summary.recipes.length === 0) return { error: 'The planned recipes have no ingredient lists' };
+    return summary;
+  } catch (err) {
+    console.error('Meal plan: Error building shopping list:', err);
+    return { error: 'Failed to build shopping list' };
+  }
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+const ENTRY_UPDATE_FIELDS = ['plan_date', 'meal_slot', 'recipe_id', 'servings', 'notes'];
+
+function toActionResult(result) {
+  if (!result.error) return actionOk(result);
+  if (/not found/i.test(result.error)) return actionError(404, result.error);
+  if (/^Failed/.test(result.error)) return actionError(500, result.error);
+  return actionError(400, 'Invalid request', result.error);
+}
+
+async function getPlanAction(userId, params) {
+  return toActionResult(await getPlan(userId, params));
+}
+
+async function setEntryAction(userId, params) {
+  const { id, ...entry } = params;
+  return toActionResult(await setEntry(userId, entry));
+}
+
+async function updateEntryAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const updates = pickFields(params.updates, ENTRY_UPDATE_FIELDS);
+  if (Object.keys(updates).length === 0) {
+    return actionError(400, 'Invalid request', `updates must include one of: ${ENTRY_UPDATE_FIELDS.join(', ')}`);
+  }
+
+  const { data: row, error } = await supabase
+    .from('meal_plans')
+    .select(PLAN_FIELDS)
+    .eq('user_id', userId)
+    .eq('id', params.id)
+    .maybeSingle();
+  if (error) {
+    console.error('Meal plan: Error loading entry:', error);
+    return actionError(500, 'Failed to update meal plan entry');
+  }
+  if (!row) return actionError(404, 'Meal plan entry not found');
+
+  return toActionResult(await setEntry(userId, { ...row, ...updates, id: row.id }));
+}
+
+async function deleteEntryAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const { data, error } = await supabase
+    .from('meal_plans')
+    .delete()
+    .eq('user_id', userId)
+    .eq('id', params.id)
+    .select('id');
+
+  if (error) {
+    console.error('Meal plan: Error deleting entry:', error);
+    return actionError(500, 'Failed to delete meal plan entry');
+  }
+  if (!data || data.length === 0) return actionError(404, 'Meal plan entry not found');
+  return actionOk({ deleted: params.id });
+}
+
+async function clearPlanAction(userId, params) {
+  const { start, end, error: rangeError } = resolveRange(params);
+  if (rangeError) return actionError(400, 'Invalid request', rangeError);
+
+  const { data, error } = await supabase
+    .from('meal_plans')
+    .delete()
+    .eq('user_id', userId)
+    .gte('plan_date', start)
+    .lte('plan_date', end)
+    .select('id');
+
+  if (error) {
+    console.error('Meal plan: Error clearing plan:', error);
+    return actionError(500, 'Failed to clear meal plan');
+  }
+  return actionOk({ start_date: start, end_date: end, deleted: (data || []).length });
+}
+
+async function proposePlanAction(userId, params) {
+  return toActionResult(await proposePlan(userId, params));
+}
+
+async function planShoppingAction(userId, params) {
+  return toActionResult(await addPlanToShoppingList(userId, params, { list_name: params.list_name }));
+}
+
+const actions = {
+  get_meal_plan: getPlanAction,
+  set_meal_plan_entry: setEntryAction,
+  update_meal_plan_entry: updateEntryAction,
+  delete_meal_plan_entry: deleteEntryAction,
+  clear_meal_plan: clearPlanAction,
+  plan_meals: proposePlanAction,
+  meal_plan_shopping_list: planShoppingAction
+};
+
+module.exports = {
+  MEAL_SLOTS,
+  canPersistMealPlan,
+  getPlan,
+  setEntry,
+  proposePlan,
+  addPlanToShoppingList,
+  actions
+};
@@ -0,0 +1,317 @@
+// lib/media.js
+// Photos users send for analysis. The image is kept in the private
+// `user-media` storage bucket under the user's id and a media row records the
+// analysis, plus optional links to a saved recipe and to the conversation
+// turn (thread / conversation_memory row) it belongs to. The bucket is never
+// public: clients only get short-lived signed URLs.
+const crypto = require('crypto');
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError, requireId } = require('./actions');
+
+const BUCKET = 'user-media';
+const SIGNED_URL_SECONDS = 60 * 60;
+const MAX_LIST = 100;
+const MAX_PROMPT_LENGTH = 500;
+const MEDIA_FIELDS = 'id, recipe_id, thread_id, memory_id, storage_path, mime_type, size_bytes, prompt, analysis, created_at';
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+  'image/heic': 'heic',
+  'image/heif': 'heif'
+};
+
+// Which table each link column points at
+const LINKS = {
+  recipe_id: 'saved_recipes',
+  thread_id: 'conversation_threads',
+  memory_id: 'conversation_memory'
+};
+
+function canStoreMedia(userId) {
+  return !!supabase && isValidUUID(userId);
+}
+
+// Links that are set must be rows the user owns; null clears a link
+async function checkLinks(userId, links) {
+  const checked = {};
+  for (const [field, table] of Object.entries(LINKS)) {
+    const id = links[field];
+    if (id === undefined) continue;
+    if (id === null || id === '') {
+      checked[field] = null;
+      continue;
+    }
+    if (!isValidUUID(id)) return { error: `${field} is not a valid id`, status: 400 };
+
+    const { data, error } = await supabase
+      .from(table)
+      .select('id')
+      .eq('user_id', userId)
+      .eq('id', id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return { error: `${field} ${id} not found`, status: 404 };
+    checked[field] = id;
+  }
+  return { links: checked };
+}
+
+// Adds a signed `url` and the linked recipe's title to each row
+async function withUrls(userId, rows) {
+  if (rows.length === 0) return rows;
+
+  const { data: signed, error } = await supabase.storage
+    .from(BUCKET)
+    .createSignedUrls(rows.map(r => r.storage_path), SIGNED_URL_SECONDS);
+  if (error) throw error;
+  const urls = new Map((signed || []).map(s => [s.path, s.signedUrl]));
+
+  const recipeIds = [...new Set(rows.map(r => r.recipe_id).filter(Boolean))];
+  const titles = new Map();
+  if (recipeIds.length > 0) {
+    const { data: recipes, error: recipeError } = await supabase
+      .from('saved_recipes')
+      .select('id, title')
+      .eq('user_id', userId)
+      .in('id', recipeIds);
+    if (recipeError) throw recipeError;
+    (recipes || []).forEach(r => titles.set(r.id, r.title));
+  }
+
+  return rows.map(row => ({
+    ...row,
+    recipe_title: row.recipe_id ? titles.get(row.recipe_id) || null : null,
+    url: urls.get(row.storage_path) || null,
+    url_expires_in: SIGNED_URL_SECONDS
+  }));
+}
+
+/**
+ * Uploads a photo and records it. Links that don't check out are dropped
+ * rather than failing the save, since the analysis has already been done.
+ * Returns { media } (with a signed url) or { error, status }.
+ */
+async function saveMedia(userId, { buffer, mimeType, prompt, analysis, recipeId, threadId, memoryId }) {
+  if (!canStoreMedia(userId)) return { error: 'Photos are only saved for signed-in users', status: 400 };
+
+  const type = String(mimeType || 'image/jpeg').toLowerCase();
+  const extension = EXTENSIONS[type];
+  if (!extension) return { error: `Unsupported image type ${type}`, status: 415 };
+
+  try {
+    const links = {};
+    for (const [field, id] of Object.entries({ recipe_id: recipeId, thread_id: threadId, memory_id: memoryId })) {
+      if (!id) continue;
+      const checked = await checkLinks(userId, { [field]: id });
+      if (checked.error) {
+        console.warn(`Media: Not linking photo, ${checked.error}`);
+      } else {
+        Object.assign(links, checked.links);
+      }
+    }
+
+    const path = `${userId}/${new Date().toISOString().substring(0, 10)}/${crypto.randomUUID()}.${extension}`;
+    const { error: uploadError } = await supabase.storage
+      .from(BUCKET)
+      .upload(path, buffer, { contentType: type, upsert: false });
+    if (uploadError) throw uploadError;
+
+    const { data, error } = await supabase
+      .from('media')
+      .insert({
+        user_id: userId,
+        storage_path: path,
+        mime_type: type,
+        size_bytes: buffer.length,
+        prompt: prompt ? String(prompt).substring(0, MAX_PROMPT_LENGTH) : null,
+        analysis: analysis || null,
+        ...links
+      })
+      .select(MEDIA_FIELDS)
+      .single();
+    if (error) {
+      await supabase.storage.from(BUCKET).remove([path]);
+      throw error;
+    }
+
+    console.log(`📷 Saved photo ${data.id} for ${userId}`);
+    const [media] = await withUrls(userId, [data]);
+    return { media };
+  } catch (error) {
+    console.error('Media: Error saving photo:', error);
+    return { error: 'Failed to save photo', status: 500 };
+  }
+}
+
+/**
+ * The user's photos, newest first, with signed URLs.
+ * Filters: recipe_id, thread_id, since / until (ISO dates), limit, offset.
+ * Returns { media, total } or { error, status }.
+ */
+async function listMedia(userId, { recipe_id, thread_id, since, until, limit = 30, offset = 0 } = {}) {
+  for (const [name, value] of Object.entries({ since, until })) {
+    if (value && isNaN(Date.parse(value))) return { error: `${name} must be a date`, status: 400 };
+  }
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 30, 1), MAX_LIST);
+  const start = Math.max(parseInt(offset, 10) || 0, 0);
+
+  try {
+    let query = supabase
+      .from('media')
+      .select(MEDIA_FIELDS, { count: 'exact' })
+      .eq('user_id', userId);
+    if (recipe_id) query = query.eq('recipe_id', recipe_id);
+    if (thread_id) query = query.eq('thread_id', thread_id);
+    if (since) query = query.gte('created_at', new Date(since).toISOString());
+    if (until) query = query.lte('created_at', new Date(until).toISOString());
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(start, start + pageSize - 1);
+    if (error) throw error;
+
+    return { media: await withUrls(userId, data || []), total: count ?? (data || []).length };
+  } catch (error) {
+    console.error('Media: Error listing photos:', error);
+    return { error: 'Failed to load photos', status: 500 };
+  }
+}
+
+async function loadMedia(userId, id) {
+  const { data, error } = await supabase
+    .from('media')
+    .select(MEDIA_FIELDS)
+    .eq('user_id', userId)
+    .eq('id', id)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function getMedia(userId, id) {
+  try {
+    const row = await loadMedia(userId, id);
+    if (!row) return { error: 'Photo not found', status: 404 };
+    const [media] = await withUrls(userId, [row]);
+    return { media };
+  } catch (error) {
+    console.error('Media: Error loading photo:', error);
+    return { error: 'Failed to load photo', status: 500 };
+  }
+}
+
+/**
+ * Links a photo to (or unlinks it from, with null) a recipe or conversation turn.
+ */
+async function linkMedia(userId, id, links) {
+  try {
+    const row = await loadMedia(userId, id);
+    if (!row) return { error: 'Photo not found', status: 404 };
+
+    const checked = await checkLinks(userId, links);
+    if (checked.error) return checked;
+
+    const { data, error } = await supabase
+      .from('media')
+      .update(checked.links)
+      .eq('user_id', userId)
+      .eq('id', id)
+      .select(MEDIA_FIELDS)
+      .single();
+    if (error) throw error;
+
+    const [media] = await withUrls(userId, [data]);
+    return { media };
+  } catch (error) {
+    console.error('Media: Error linking photo:', error);
+    return { error: 'Failed to update photo', status: 500 };
+  }
+}
+
+// Removes the stored image and its row
+async function deleteMedia(userId, id) {
+  try {
+    const row = await loadMedia(userId, id);
+    if (!row) return { error: 'Photo not found', status: 404 };
+
+    const { error: removeError } = await supabase.storage.from(BUCKET).remove([row.storage_path]);
+    if (removeError) throw removeError;
+
+    const { error } = await supabase
+      .from('media')
+      .delete()
+      .eq('user_id', userId)
+      .eq('id', id);
+    if (error) throw error;
+
+    console.log(`🗑️ Deleted photo ${id} for ${userId}`);
+    return { deleted: id };
+  } catch (error) {
+    console.error('Media: Error deleting photo:', error);
+    return { error: 'Failed to delete photo', status: 500 };
+  }
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+function toActionResult(result) {
+  if (!result.error) return actionOk(result);
+  return result.status === 400
+    ? actionError(400, 'Invalid request', result.error)
+    : actionError(result.status || 500, result.error);
+}
+
+// { recipe_id?, thread_id?, since?, until?, limit?, offset? }
+async function listMediaAction(userId, params) {
+  return toActionResult(await listMedia(userId, params));
+}
+
+async function getMediaAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+  return toActionResult(await getMedia(userId, params.id));
+}
+
+// { id, recipe_id?, thread_id?, memory_id? } - null unlinks
+async function updateMediaAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const links = {};
+  for (const field of Object.keys(LINKS)) {
+    if (params[field] !== undefined) links[field] = params[field];
+  }
+  if (Object.keys(links).length === 0) {
+    return actionError(400, 'Invalid request', `Pass at least one of: ${Object.keys(LINKS).join(', ')}`);
+  }
+  return toActionResult(await linkMedia(userId, params.id, links));
+}
+
+async function deleteMediaAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+  return toActionResult(await deleteMedia(userId, params.id));
+}
+
+const actions = {
+  list_media: listMediaAction,
+  get_media: getMediaAction,
+  update_media: updateMediaAction,
+  delete_media: deleteMediaAction
+};
+
+module.exports = {
+  BUCKET,
+  EXTENSIONS,
+  canStoreMedia,
+  saveMedia,
+  listMedia,
+  getMedia,
+  linkMedia,
+  deleteMedia,
+  actions
+};
@@ -0,0 +1,337 @@
+// lib/memory.js
+// Long-term memory pipeline: distills older chat turns into durable facts
+// ("owns a cast-iron pan", "hates cilantro") stored in conversation_memory as
+// memory_type 'fact', reinforces facts that come up again, and prunes the raw
+// transcript once it has been summarized and aged out.
+const { supabase, isValidUUID } = require('./db');
+const llm = require('./llm');
+const { actionOk, actionError } = require('./actions');
+const { TURN_TYPES } = require('./threads');
+
+const FACT_TYPE = 'fact';
+const FACT_CATEGORIES = ['allergy', 'diet', 'dislike', 'like', 'equipment', 'skill', 'household', 'goal', 'other'];
+
+// Default lifetime per category when the model doesn't suggest one
+const CATEGORY_TTL_DAYS = {
+  allergy: 730,
+  diet: 365,
+  dislike: 365,
+  like: 365,
+  equipment: 365,
+  skill: 180,
+  household: 180,
+  goal: 60,
+  other: 90
+};
+const MIN_TTL_DAYS = 7;
+const MAX_TTL_DAYS = 730;
+
+const SUMMARIZE_AFTER_HOURS = 24;       // Turns younger than this stay raw-only
+const RAW_RETENTION_DAYS = 30;          // Summarized turns are pruned after this
+const MAX_TURNS_PER_RUN = 100;
+const MAX_FACTS_IN_CONTEXT = 20;
+const SIMILARITY_THRESHOLD = 0.75;
+
+const STOPWORDS = new Set(['a', 'an', 'the', 'user', 'they', 'their', 'is', 'are', 'has', 'have', 'owns', 'own', 'likes', 'like', 'loves', 'of', 'to', 'and', 'for', 'with', 'in', 'on', 'very', 'really']);
+
+function daysFromNow(days) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+function normalizeFactKey(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOPWORDS.has(word))
+    .join(' ');
+}
+
+// Jaccard overlap of the normalized word sets
+function factSimilarity(a, b) {
+  const wordsA = new Set(normalizeFactKey(a).split(' ').filter(Boolean));
+  const wordsB = new Set(normalizeFactKey(b).split(' ').filter(Boolean));
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+  let shared = 0;
+  wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+function sanitizeFact(raw) {
+  if (!raw || typeof raw.content !== 'string' || !raw.content.trim()) return null;
+
+  const category = FACT_CATEGORIES.includes(raw.category) ? raw.category : 'other';
+  const confidence = Math.min(5, Math.max(1, Math.round(Number(raw.confidence) || 3)));
+  const ttl = Number(raw.ttl_days) > 0 ? Number(raw.ttl_days) : CATEGORY_TTL_DAYS[category];
+
+  return {
+    content: raw.content.trim().substring(0, 200),
+    category,
+    confidence,
+    ttlDays: Math.min(MAX_TTL_DAYS, Math.max(MIN_TTL_DAYS, Math.round(ttl)))
+  };
+}
+
+async function getFacts(userId) {
+  const { data, error } = await supabase
+    .from('conversation_memory')
+    .select('id, memory_content, context, confidence_score, expires_at')
+    .eq('user_id', userId)
+    .eq('memory_type', FACT_TYPE)
+    .gt('expires_at', new Date().toISOString());
+
+  if (error) {
+    console.error('Memory pipeline: Error fetching facts:', error);
+    return null;
+  }
+  return data || [];
+}
+
+async function getUnsummarizedTurns(userId) {
+  const cutoff = new Date(Date.now() - SUMMARIZE_AFTER_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('conversation_memory')
+    .select('id, memory_type, memory_content, context, created_at')
+    .eq('user_id', userId)
+    .in('memory_type', TURN_TYPES)
+    .is('context->>summarized_at', null)
+    .lt('created_at', cutoff)
+    .order('created_at', { ascending: true })
+    .limit(MAX_TURNS_PER_RUN);
+
+  if (error) {
+    console.error('Memory pipeline: Error fetching turns:', error);
+    return null;
+  }
+  return data || [];
+}
+
+async function extractFacts(turns, existingFacts) {
+  const transcript = turns.map(t => `${t.memory_type === 'user_message' ? 'User' : 'Assistant'}: ${t.memory_content}`).join('\n');
+  const known = existingFacts.map(f => `- ${f.memory_content}`).join('\n') || '(none)';
+
+  const result = await llm.generateStructured({
+    task: 'memory_extraction',
+    schema: llm.schemas.MEMORY_FACTS,
+    prompt: `You maintain long-term memory for a cooking assistant. Read the conversation and list durable facts about the USER that will still matter in future conversations: allergies, diet, likes and dislikes, kitchen equipment, skill level, household (who they cook for), cooking goals.
+
+Rules:
+- Only facts the user stated or clearly implied, never guesses or facts about the assistant
+- One short third-person statement per fact, e.g. "owns a cast-iron pan", "hates cilantro"
+- Skip one-off details (what they cooked tonight) unless they reveal a lasting preference
+- If a fact matches one already known, repeat it with the SAME wording
+- confidence: 1 (hinted) to 5 (stated explicitly); ttl_days: how long it stays true (7-730)
+
+ALREADY KNOWN:
+${known}
+
+CONVERSATION:
+${transcript}
+
+category is one of: ${FACT_CATEGORIES.join(', ')}`
+  });
+
+  return result.facts.map(sanitizeFact).filter(Boolean);
+}
+
+// Inserts new facts and reinforces (confidence +1, expiry extended) ones we already know
+async function storeFacts(userId, facts, existingFacts) {
+  let added = 0;
+  let reinforced = 0;
+  const now = new Date().toISOString();
+
+  for (const fact of facts) {
+    const match = existingFacts.find(f => factSimilarity(f.memory_content, fact.content) >= SIMILARITY_THRESHOLD);
+
+    if (match) {
+      const context = match.context || {};
+      const confidence = Math.min(5, Math.max(match.confidence_score || 1, fact.confidence) + 1);
+      const expiresAt = daysFromNow(fact.ttlDays) > (match.expires_at || '') ? daysFromNow(fact.ttlDays) : match.expires_at;
+      const { error } = await supabase
+        .from('conversation_memory')
+        .update({
+          confidence_score: confidence,
+          expires_at: expiresAt,
+          context: {
+            ...context,
+            reinforced_count: (context.reinforced_count || 0) + 1,
+            last_reinforced_at: now
+          }
+        })
+        .eq('user_id', userId)
+        .eq('id', match.id);
+
+      if (error) {
+        console.error('Memory pipeline: Error reinforcing fact:', error);
+      } else {
+        match.confidence_score = confidence;
+        reinforced++;
+      }
+      continue;
+    }
+
+    const row = {
+      user_id: userId,
+      memory_type: FACT_TYPE,
+      memory_content: fact.content,
+      confidence_score: fact.confidence,
+      expires_at: daysFromNow(fact.ttlDays),
+      context: {
+        category: fact.category,
+        key: normalizeFactKey(fact.content),
+        reinforced_count: 0,
+        first_seen_at: now
+      }
+    };
+
+    const { data, error } = await supabase
+      .from('conversation_memory')
+      .insert(row)
+      .select('id, memory_content, context, confidence_score, expires_at')
+      .single();
+
+    if (error) {
+      console.error('Memory pipeline: Error inserting fact:', error);
+    } else {
+      // Later facts in the same batch dedupe against this one too
+      existingFacts.push(data);
+      added++;
+    }
+  }
+
+  return { added, reinforced };
+}
+
+async function pruneMemory(userId) {
+  const { data, error } = await supabase
+    .from('conversation_memory')
+    .delete()
+    .eq('user_id', userId)
+    .lt('expires_at', new Date().toISOString())
+    .select('id');
+
+  if (error) {
+    console.error('Memory pipeline: Error pruning memory:', error);
+    return 0;
+  }
+  return (data || []).length;
+}
+
+// summarized_at is merged into each turn's context, so what it already holds
+// (image_analysis from a photo) is kept. All turns go out in one upsert on id;
+// the NOT NULL columns are sent back unchanged. Returns how many were marked.
+async function markSummarized(userId, turns) {
+  if (turns.length === 0) return 0;
+  const summarizedAt = new Date().toISOString();
+  const expiresAt = daysFromNow(RAW_RETENTION_DAYS);
+
+  const { error } = await supabase
+    .from('conversation_memory')
+    .upsert(turns.map(turn => ({
+      id: turn.id,
+      user_id: userId,
+      memory_type: turn.memory_type,
+      memory_content: turn.memory_content,
+      context: { ...(turn.context || {}), summarized_at: summarizedAt },
+      expires_at: expiresAt
+    })), { onConflict: 'id' });
+
+  if (error) {
+    console.error('Memory pipeline: Error marking turns summarized:', error);
+    return 0;
+  }
+  return turns.length;
+}
+
+/**
+ * Runs one compaction pass for a user: summarize old turns into facts,
+ * mark those turns summarized (they expire after RAW_RETENTION_DAYS) and
+ * delete everything already expired. Turns are left untouched when
+ * extraction fails so the next run retries them.
+ */
+async function compactUserMemory(userId) {
+  const summary = { turns_summarized: 0, facts_added: 0, facts_reinforced: 0, pruned: 0 };
+  if (!supabase || !isValidUUID(userId)) return summary;
+
+  const turns = await getUnsummarizedTurns(userId);
+  const existingFacts = await getFacts(userId);
+
+  if (turns && turns.length > 0 && existingFacts) {
+    try {
+      const facts = await extractFacts(turns, existingFacts);
+      const { added, reinforced } = await storeFacts(userId, facts, existingFacts);
+      summary.facts_added = added;
+      summary.facts_reinforced = reinforced;
+
+      summary.turns_summarized = await markSummarized(userId, turns);
+    } catch (error) {
+      console.error('Memory pipeline: Fact extraction failed, will retry next run:', error.message);
+    }
+  }
+
+  summary.pruned = await pruneMemory(userId);
+  console.log('🧠 Memory compaction for', userId, summary);
+  return summary;
+}
+
+// Users with turns waiting to be summarized, oldest first
+async function findUsersNeedingCompaction(limit = 25) {
+  if (!supabase) return [];
+
+  const cutoff = new Date(Date.now() - SUMMARIZE_AFTER_HOURS * 60 * 60 * 1000).toISOString();
+  const { data, error } = await supabase
+    .from('conversation_memory')
+    .select('user_id')
+    .in('memory_type', TURN_TYPES)
+    .is('context->>summarized_at', null)
+    .lt('created_at', cutoff)
+    .order('created_at', { ascending: true })
+    .limit(1000);
+
+  if (error) {
+    console.error('Memory pipeline: Error finding users:', error);
+    return [];
+  }
+  return [...new Set((data || []).map(row => row.user_id))].slice(0, limit);
+}
+
+// Expects rows sorted by confidence (as getUserMemory returns them); low-confidence
+// facts are flagged so the model checks before relying on them
+function formatMemoryForContext(memory) {
+  return memory
+    .slice(0, MAX_FACTS_IN_CONTEXT)
+    .map(m => `- ${m.memory_content}${m.memory_type === FACT_TYPE && m.confidence_score <= 2 ? ' (unconfirmed)' : ''}`)
+    .join('\n');
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+async function compactMemoryAction(userId) {
+  const summary = await compactUserMemory(userId);
+  return actionOk({ summary });
+}
+
+async function listFactsAction(userId) {
+  const facts = await getFacts(userId);
+  if (!facts) return actionError(500, 'Failed to load memory facts');
+
+  facts.sort((a, b) => (b.confidence_score || 0) - (a.confidence_score || 0));
+  return actionOk({ facts });
+}
+
+const actions = {
+  compact_memory: compactMemoryAction,
+  get_memory_facts: listFactsAction
+};
+
+module.exports = {
+  FACT_TYPE,
+  normalizeFactKey,
+  factSimilarity,
+  compactUserMemory,
+  findUsersNeedingCompaction,
+  formatMemoryForContext,
+  actions
+};
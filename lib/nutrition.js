@@ -0,0 +1,243 @@
+// lib/nutrition.js
+// Deterministic nutrition: each ingredient's parsed amount is converted to
+// grams and looked up in lib/data/nutrients.json, then summed per serving.
+// The model is only asked to map unrecognized ingredient names onto table
+// entries - every number comes from the table, and anything that can't be
+// weighed or matched is reported instead of guessed.
+const { nutrients: NUTRIENTS } = require('./data/nutrients.json');
+const llm = require('./llm');
+const quantities = require('./quantities');
+
+const NUTRIENT_KEYS = ['calories', 'protein', 'carbs', 'fat', 'fiber', 'sugar', 'sodium'];
+
+// Rough weights for vague amounts; a pinch of salt is about 0.4 g
+const VAGUE_GRAMS = { pinch: 0.4, dash: 0.6, drop: 0.05, splash: 5, handful: 30 };
+
+// Words that describe preparation, not the ingredient
+const DESCRIPTORS = /\b(fresh|freshly|chopped|diced|minced|sliced|grated|shredded|crushed|peeled|finely|roughly|thinly|large|medium|small|ripe|boneless|skinless|raw|cooked|melted|softened|packed|heaping|level|organic|optional)\b/g;
+
+// Table entry names and aliases -> canonical entry name, longest first
+const NAME_INDEX = Object.entries(NUTRIENTS)
+  .flatMap(([name, entry]) => [name, ...(entry.aliases || [])].map(alias => [alias, name]))
+  .sort((a, b) => b[0].length - a[0].length);
+
+function normalizeName(name, stripDescriptors) {
+  let normalized = String(name || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .split(',')[0];
+  if (stripDescriptors) normalized = normalized.replace(DESCRIPTORS, ' ');
+  return ` ${normalized.replace(/[^a-z\s-]/g, ' ').replace(/\s+/g, ' ').trim()} `;
+}
+
+// Words that can sit next to a table name without changing the food
+// ("kosher salt", "baby spinach", "boiling water"). Any other extra word
+// makes the name a different food ("ice cream", "almond milk", "garlic
+// powder"), which goes to the model instead of being matched by its part.
+const NEUTRAL_WORDS = new Set([
+  'kosher', 'sea', 'table', 'fine', 'coarse', 'flaky', 'extra', 'virgin', 'pure', 'plain', 'good', 'quality',
+  'cold', 'warm', 'lukewarm', 'hot', 'boiling', 'room', 'temperature', 'frozen', 'canned', 'drained', 'rinsed',
+  'baby', 'cherry', 'grape', 'roma', 'english', 'flat-leaf', 'curly', 'lean', 'bone-in', 'skin-on', 'ground',
+  'clove', 'cloves', 'sprig', 'sprigs', 'free-range', 'homemade', 'store-bought', 'about', 'plus', 'more', 'to', 'taste', 'for', 'serving', 'garnish', 'of'
+]);
+
+function findAlias(normalized) {
+  for (const [alias, entry] of NAME_INDEX) {
+    const form = [alias, `${alias}s`, `${alias}es`].find(f => normalized.includes(` ${f} `));
+    if (form) return { entry, form };
+  }
+  return null;
+}
+
+// Whole-word match, allowing a plural "s"/"es" on the table name. The name is
+// tried as written first so entries like "diced tomatoes" win over "tomato".
+// The match has to account for the whole name apart from descriptors and
+// neutral words; "rice noodles" is not "noodles".
+function matchName(name) {
+  for (const stripDescriptors of [false, true]) {
+    const normalized = normalizeName(name, stripDescriptors);
+    const hit = findAlias(normalized);
+    if (!hit) continue;
+
+    const rest = normalizeName(normalized.replace(` ${hit.form} `, ' '), true).trim();
+    if (!rest || rest.split(' ').every(word => NEUTRAL_WORDS.has(word))) return hit.entry;
+  }
+  return null;
+}
+
+/**
+ * Asks the model to map names the table didn't recognize onto table entries.
+ * Only names that exist in the table are accepted; failures just leave the
+ * ingredients unmatched.
+ */
+async function normalizeNamesWithModel(names) {
+  if (names.length === 0) return {};
+
+  try {
+    const result = await llm.generateStructured({
+      task: 'ingredient_normalization',
+      schema: llm.schemas.INGREDIENT_MAPPINGS,
+      prompt: `Map each recipe ingredient to the closest entry in the nutrient table, or null if none is a reasonable match (a different food, a brand you don't know, a mix of foods). Do not estimate any nutrition values.
+
+TABLE ENTRIES:
+${Object.keys(NUTRIENTS).join(', ')}
+
+INGREDIENTS:
+${names.map(name => `- ${name}`).join('\n')}
+
+Return one mapping per ingredient, with "ingredient" exactly as given and "entry" a table entry or null.`
+    });
+
+    const mappings = {};
+    for (const { ingredient, entry } of result.mappings) {
+      if (entry && NUTRIENTS[entry] && names.includes(ingredient)) mappings[ingredient] = entry;
+    }
+    return mappings;
+  } catch (error) {
+    console.error('Nutrition: Name normalization failed:', error.message);
+    return {};
+  }
+}
+
+// Weight in grams of a parsed quantity of a table entry, or null if unknown
+function quantityToGrams(quantity, entryName, ingredientName) {
+  const entry = NUTRIENTS[entryName];
+  const amount = (quantity.min + quantity.max) / 2;
+  const unit = quantities.UNITS[quantity.unit];
+
+  if (!quantity.unit) return entry.each_g ? amount * entry.each_g : null;
+
+  const grams = quantities.toGrams(amount, quantity.unit, `${ingredientName} ${entryName}`);
+  if (grams !== null) return grams;
+
+  if (unit.type === 'volume' && entry.density) return amount * unit.ml * entry.density;
+  if (unit.type === 'vague') return amount * VAGUE_GRAMS[quantity.unit];
+  if (['clove', 'piece', 'slice', 'head'].includes(quantity.unit) && entry.each_g) return amount * entry.each_g;
+
+  // "1 (14 oz) can" - use the package size when it's given
+  if (quantity.note) {
+    const size = quantities.parseAmount(quantity.note);
+    const sizeGrams = size.min !== null ? quantities.toGrams(size.min, size.unit, entryName) : null;
+    if (sizeGrams) return amount * sizeGrams;
+  }
+  return null;
+}
+
+function round(value, key) {
+  return key === 'calories' || key === 'sodium' ? Math.round(value) : Math.round(value * 10) / 10;
+}
+
+/**
+ * Calculates nutrition for recipe_data-style ingredients ({ name, amount }
+ * objects or "2 cups flour" strings).
+ * Returns per-serving values (null when nothing could be counted) plus
+ * totals, what each ingredient matched, and what was left out and why.
+ */
+async function calculateNutrition(ingredients, servings = 1, { normalizeNames = true } = {}) {
+  const parsed = (ingredients || []).map(quantities.parseIngredient).filter(i => i.name);
+  const servingCount = parseInt(servings, 10) > 0 ? parseInt(servings, 10) : 1;
+
+  const entries = parsed.map(i => matchName(i.name));
+  if (normalizeNames) {
+    const unknown = [...new Set(parsed.filter((i, index) => !entries[index]).map(i => i.name))];
+    const mappings = await normalizeNamesWithModel(unknown);
+    parsed.forEach((i, index) => {
+      if (!entries[index] && mappings[i.name]) entries[index] = mappings[i.name];
+    });
+  }
+
+  const totals = Object.fromEntries(NUTRIENT_KEYS.map(key => [key, 0]));
+  const matched = [];
+  const unmatched = [];
+
+  parsed.forEach((ingredient, index) => {
+    const entryName = entries[index];
+    const label = ingredient.amount ? `${ingredient.name} (${ingredient.amount})` : ingredient.name;
+
+    if (!entryName) {
+      unmatched.push({ ingredient: label, reason: 'not in nutrient table' });
+      return;
+    }
+    if (ingredient.quantity.min === null) {
+      unmatched.push({ ingredient: label, reason: 'no measurable amount' });
+      return;
+    }
+
+    const grams = quantityToGrams(ingredient.quantity, entryName, ingredient.name);
+    if (grams === null) {
+      unmatched.push({ ingredient: label, reason: 'amount could not be converted to weight' });
+      return;
+    }
+
+    NUTRIENT_KEYS.forEach(key => {
+      totals[key] += (NUTRIENTS[entryName][key] * grams) / 100;
+    });
+    matched.push({ ingredient: label, matched_as: entryName, grams: Math.round(grams) });
+  });
+
+  const counted = matched.length > 0;
+  const perServing = Object.fromEntries(NUTRIENT_KEYS.map(key => [key, counted ? round(totals[key] / servingCount, key) : null]));
+
+  return {
+    ...perServing,
+    servings: servingCount,
+    totals: Object.fromEntries(NUTRIENT_KEYS.map(key => [key, counted ? round(totals[key], key) : null])),
+    matched,
+    unmatched,
+    coverage: parsed.length > 0 ? Math.round((matched.length / parsed.length) * 100) / 100 : 0,
+    source: 'nutrient_table'
+  };
+}
+
+/**
+ * Pulls ingredient lines out of free text (a chat reply): bulleted or
+ * numbered lines under an "Ingredients" heading, or any bullet that starts
+ * with an amount. Also picks up "Serves 4" / "Servings: 4".
+ */
+function extractIngredientsFromText(text) {
+  const lines = String(text || '').split('\n').map(line => line.trim());
+  const ingredients = [];
+  let inIngredients = false;
+
+  for (const line of lines) {
+    const heading = line.replace(/[*#:_]/g, '').trim().toLowerCase();
+    if (/^(ingredients?|you('| wi)ll need)\b/.test(heading)) {
+      inIngredients = true;
+      continue;
+    }
+    if (/^(instructions|directions|method|steps|preparation)\b/.test(heading)) {
+      inIngredients = false;
+      continue;
+    }
+
+    const bullet = line.match(/^(?:[-*•]|\d+[.)])\s+(.+)$/);
+    if (!bullet) continue;
+
+    const item = bullet[1].replace(/\*\*/g, '').trim();
+    const hasAmount = quantities.parseAmount(item).min !== null;
+    if (hasAmount || inIngredients) ingredients.push(item);
+  }
+
+  const servingsMatch = String(text || '').match(/\b(?:serves|servings|yield|makes)\s*:?\s*(\d+)/i);
+  return { ingredients, servings: servingsMatch ? parseInt(servingsMatch[1], 10) : null };
+}
+
+/**
+ * Entry point for the chat path and URL imports. Accepts recipe_data (uses
+ * its ingredients and servings) or free text. Returns null when there are no
+ * ingredients to analyze at all.
+ */
+async function analyzeRecipe(recipe, servings = null) {
+  const source = typeof recipe === 'string' ? extractIngredientsFromText(recipe) : recipe || {};
+  if (!Array.isArray(source.ingredients) || source.ingredients.length === 0) return null;
+
+  return await calculateNutrition(source.ingredients, servings || source.servings || 1);
+}
+
+module.exports = {
+  NUTRIENT_KEYS,
+  matchName,
+  calculateNutrition,
+  extractIngredientsFromText,
+  analyzeRecipe
+};
@@ -0,0 +1,702 @@
+// lib/pantry.js
+// Pantry inventory: what's in the kitchen, how much and until when. Items
+// share the shopping list's name normalization and aisles (lib/shopping.js)
+// and the unit math in lib/quantities.js, so "2 cups milk" in the pantry can
+// cover "250 ml milk" in a recipe. Cooking a saved recipe deducts its
+// ingredients; the matcher ranks saved recipes by how much the pantry covers.
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError, pickFields, requireId } = require('./actions');
+const quantities = require('./quantities');
+const shopping = require('./shopping');
+const scaling = require('./scaling');
+
+const PANTRY_FIELDS = 'id, name, normalized_name, quantity, unit, category, expires_on, created_at, updated_at';
+const MAX_ITEMS_PER_CALL = 100;
+const EXPIRING_SOON_DAYS = 3;
+// Leftovers smaller than this (in the row's unit) count as used up
+const EPSILON = 0.001;
+// Never missing from a recipe's point of view
+const ASSUMED_STAPLES = ['water', 'ice', 'salt', 'black pepper'];
+const MAX_CONTEXT_ITEMS = 40;
+
+function canPersistPantry(userId) {
+  return !!supabase && isValidUUID(userId);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+function formatAmount(quantity, unit) {
+  if (quantity === null || quantity === undefined) return '';
+  const value = Number(quantity);
+  return quantities.formatQuantity({ min: value, max: value, unit: unit || null });
+}
+
+function daysUntil(date) {
+  if (!date) return null;
+  const today = new Date(new Date().toISOString().substring(0, 10));
+  return Math.round((new Date(date) - today) / (24 * 60 * 60 * 1000));
+}
+
+function toPantryItem(row) {
+  const daysLeft = daysUntil(row.expires_on);
+  return {
+    id: row.id,
+    name: row.name,
+    quantity: row.quantity === null || row.quantity === undefined ? null : Number(row.quantity),
+    unit: row.unit || null,
+    amount: formatAmount(row.quantity, row.unit),
+    aisle: row.category,
+    expires_on: row.expires_on || null,
+    days_left: daysLeft,
+    expired: daysLeft !== null && daysLeft < 0,
+    expiring_soon: daysLeft !== null && daysLeft >= 0 && daysLeft <= EXPIRING_SOON_DAYS,
+    updated_at: row.updated_at || row.created_at
+  };
+}
+
+// "2025-03-01" or { expires_in_days: 5 }; returns a YYYY-MM-DD string, null, or undefined when invalid
+function parseExpiry({ expires_on, expires_in_days }) {
+  if (expires_in_days !== undefined && expires_in_days !== null) {
+    const days = Number(expires_in_days);
+    if (!Number.isFinite(days)) return undefined;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+  }
+  if (!expires_on) return null;
+  const text = String(expires_on).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text) || isNaN(new Date(text).getTime())) return undefined;
+  return text;
+}
+
+/**
+ * Reads a pantry item from the agent or the API: { name, quantity, unit,
+ * expires_on | expires_in_days }. quantity may be a number or text ("2 cups");
+ * with neither, "3 eggs" in the name is split. An item without an amount is
+ * tracked as present with an unknown quantity.
+ */
+function parsePantryInput(item) {
+  const raw = typeof item === 'string' ? { name: item } : item || {};
+  let name = String(raw.name || '').trim();
+  let amountText = [raw.quantity, raw.unit].filter(v => v !== undefined && v !== null && v !== '').join(' ');
+
+  if (!amountText) {
+    const parsed = quantities.parseIngredient(name);
+    if (parsed.amount) {
+      name = parsed.name;
+      amountText = parsed.amount;
+    }
+  }
+
+  const parsed = quantities.parseAmount(amountText);
+  const { key, display } = shopping.normalizeItemName(name);
+  return {
+    name: display,
+    key,
+    quantity: parsed.min !== null ? parsed.max : null,
+    unit: parsed.min !== null ? parsed.unit : null,
+    expires_on: parseExpiry(raw)
+  };
+}
+
+// ==============================================
+// INVENTORY
+// ==============================================
+async function listPantry(userId) {
+  if (!canPersistPantry(userId)) return [];
+
+  const { data, error } = await supabase
+    .from('pantry_items')
+    .select(PANTRY_FIELDS)
+    .eq('user_id', userId)
+    .order('name', { ascending: true });
+
+  if (error) {
+    console.error('Pantry: Error listing items:', error);
+    return null;
+  }
+  return (data || []).map(toPantryItem);
+}
+
+// Rows for the same product whose units can be added to the incoming amount
+function findCompatibleRow(rows, input) {
+  return rows.find(row => row.normalized_name === input.key && (
+    input.quantity === null ||
+    row.quantity === null ||
+    quantities.convertAmount(1, input.unit, row.unit, input.key) !== null
+  ));
+}
+
+/**
+ * Adds items, topping up an existing row for the same product when the
+ * units can be converted (2 cups milk + 500 ml milk), else keeping a
+ * separate row. Returns { items, added, updated } or { error }.
+ */
+async function addPantryItems(userId, items) {
+  if (!canPersistPantry(userId)) {
+    return { error: 'Sign in to keep a pantry' };
+  }
+
+  const inputs = (Array.isArray(items) ? items : []).slice(0, MAX_ITEMS_PER_CALL).map(parsePantryInput).filter(i => i.key);
+  if (inputs.length === 0) return { error: 'No items to add' };
+  const badDate = inputs.find(i => i.expires_on === undefined);
+  if (badDate) return { error: `Invalid expiry date for ${badDate.name} - use YYYY-MM-DD` };
+
+  const { data: rows, error: fetchError } = await supabase
+    .from('pantry_items')
+    .select(PANTRY_FIELDS)
+    .eq('user_id', userId)
+    .in('normalized_name', [...new Set(inputs.map(i => i.key))]);
+
+  if (fetchError) {
+    console.error('Pantry: Error loading items:', fetchError);
+    return { error: 'Failed to update pantry' };
+  }
+
+  const results = [];
+  let added = 0;
+  let updated = 0;
+  const now = new Date().toISOString();
+
+  for (const input of inputs) {
+    const row = findCompatibleRow(rows || [], input);
+    if (row) {
+      const updates = { updated_at: now };
+      if (input.quantity !== null && row.quantity !== null) {
+        updates.quantity = round(Number(row.quantity) + quantities.convertAmount(input.quantity, input.unit, row.unit, input.key));
+      } else if (input.quantity !== null) {
+        // A measured amount replaces "some"
+        updates.quantity = input.quantity;
+        updates.unit = input.unit;
+      }
+      // The fresher purchase sets the date only if it's the one that expires first
+      if (input.expires_on && (!row.expires_on || input.expires_on < row.expires_on)) updates.expires_on = input.expires_on;
+
+      const { data, error } = await supabase
+        .from('pantry_items')
+        .update(updates)
+        .eq('user_id', userId)
+        .eq('id', row.id)
+        .select(PANTRY_FIELDS)
+        .maybeSingle();
+      if (error) {
+        console.error('Pantry: Error updating item:', error);
+        return { error: 'Failed to update pantry' };
+      }
+      if (data) {
+        Object.assign(row, data);
+        results.push(toPantryItem(data));
+        updated++;
+      }
+      continue;
+    }
+
+    const { data, error } = await supabase
+      .from('pantry_items')
+      .insert({
+        user_id: userId,
+        name: input.name,
+        normalized_name: input.key,
+        quantity: input.quantity,
+        unit: input.unit,
+        category: shopping.findAisle(input.key),
+        expires_on: input.expires_on
+      })
+      .select(PANTRY_FIELDS)
+      .single();
+    if (error) {
+      console.error('Pantry: Error adding item:', error);
+      return { error: 'Failed to update pantry' };
+    }
+    (rows || []).push(data);
+    results.push(toPantryItem(data));
+    added++;
+  }
+
+  console.log(`🥫 Pantry: ${added} added, ${updated} topped up`);
+  return { items: results, added, updated };
+}
+
+// Deducts an amount from the user's rows for a product; rows that run out are deleted
+async function deduct(userId, rows, key, amount, unit) {
+  const matches = rows.filter(row => row.normalized_name === key);
+  if (matches.length === 0) return { status: 'not_found' };
+
+  // No amount means "we're out of it": remove every row
+  if (amount === null) {
+    const ids = matches.map(row => row.id);
+    const { error } = await supabase.from('pantry_items').delete().eq('user_id', userId).in('id', ids);
+    if (error) throw error;
+    ids.forEach(id => rows.splice(rows.findIndex(row => row.id === id), 1));
+    return { status: 'removed', name: matches[0].name };
+  }
+
+  let remaining = amount;
+  let touched = null;
+  for (const row of matches) {
+    if (row.quantity === null) {
+      touched = touched || { status: 'unmeasured', name: row.name };
+      continue;
+    }
+    const available = quantities.convertAmount(Number(row.quantity), row.unit, unit, key);
+    if (available === null) continue;
+
+    const take = Math.min(available, remaining);
+    const left = round(Number(row.quantity) - quantities.convertAmount(take, unit, row.unit, key));
+    remaining -= take;
+
+    if (left <= EPSILON) {
+      const { error } = await supabase.from('pantry_items').delete().eq('user_id', userId).eq('id', row.id);
+      if (error) throw error;
+      rows.splice(rows.indexOf(row), 1);
+      touched = { status: 'removed', name: row.name };
+    } else {
+      const { error } = await supabase
+        .from('pantry_items')
+        .update({ quantity: left, updated_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .eq('id', row.id);
+      if (error) throw error;
+      row.quantity = left;
+      touched = { status: 'used', name: row.name, left: formatAmount(left, row.unit) };
+    }
+    if (remaining <= EPSILON) break;
+  }
+
+  if (!touched) return { status: 'incompatible', name: matches[0].name };
+  if (remaining > EPSILON && touched.status !== 'unmeasured') {
+    touched.short = formatAmount(remaining, unit);
+  }
+  return touched;
+}
+
+async function loadRows(userId) {
+  const { data, error } = await supabase
+    .from('pantry_items')
+    .select(PANTRY_FIELDS)
+    .eq('user_id', userId);
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Uses up items: [{ name, quantity?, unit? }]. Without an amount the item is
+ * removed. Returns { used, removed, not_found, unmeasured } or { error }.
+ */
+async function usePantryItems(userId, items) {
+  if (!canPersistPantry(userId)) {
+    return { error: 'Sign in to keep a pantry' };
+  }
+
+  try {
+    const rows = await loadRows(userId);
+    const summary = { used: [], removed: [], not_found: [], unmeasured: [] };
+
+    for (const item of (Array.isArray(items) ? items : []).slice(0, MAX_ITEMS_PER_CALL)) {
+      const input = parsePantryInput(item);
+      if (!input.key) continue;
+      const result = await deduct(userId, rows, input.key, input.quantity, input.unit);
+      if (result.status === 'not_found' || result.status === 'incompatible') summary.not_found.push(input.name);
+      else if (result.status === 'removed') summary.removed.push(result.name);
+      else if (result.status === 'unmeasured') summary.unmeasured.push(result.name);
+      else summary.used.push({ name: result.name, left: result.left });
+    }
+
+    return summary;
+  } catch (error) {
+    console.error('Pantry: Error using items:', error);
+    return { error: 'Failed to update pantry' };
+  }
+}
+
+// ==============================================
+// RECIPE MATCHING
+// ==============================================
+// Pantry rows that can stand in for an ingredient: the same product, or a
+// more or less specific name in the same aisle ("red onion" for "onion",
+// but never "milk" for "coconut milk")
+function findPantryRows(rows, key) {
+  const exact = rows.filter(row => row.normalized_name === key);
+  if (exact.length > 0) return exact;
+
+  const aisle = shopping.findAisle(key);
+  return rows.filter(row => {
+    const other = row.normalized_name;
+    const related = ` ${other} `.includes(` ${key} `) || ` ${key} `.includes(` ${other} `);
+    return related && shopping.findAisle(other) === aisle;
+  });
+}
+
+/**
+ * How well the pantry covers one ingredient:
+ * { name, amount, status: 'have' | 'partial' | 'missing' | 'assumed', have, short_by, fraction }.
+ * Items in the pantry without a tracked amount count as enough.
+ */
+function coverIngredient(ingredient, rows) {
+  const parsed = quantities.parseIngredient(ingredient);
+  const { key, display } = shopping.normalizeItemName(parsed.name);
+  const base = { name: display, amount: parsed.amount, key };
+
+  if (ASSUMED_STAPLES.includes(key)) return { ...base, status: 'assumed', fraction: 1 };
+
+  const matches = findPantryRows(rows, key);
+  if (matches.length === 0) return { ...base, status: 'missing', fraction: 0 };
+
+  const need = parsed.quantity.min !== null ? parsed.quantity.max : null;
+  const expiring = matches.some(row => toPantryItem(row).expiring_soon);
+  if (need === null || matches.some(row => row.quantity === null)) {
+    return { ...base, status: 'have', fraction: 1, expiring };
+  }
+
+  let have = 0;
+  let comparable = false;
+  for (const row of matches) {
+    const converted = quantities.convertAmount(Number(row.quantity), row.unit, parsed.quantity.unit, key);
+    if (converted !== null) {
+      have += converted;
+      comparable = true;
+    }
+  }
+  // Different kinds of units (2 cloves vs 1 head) - trust that it's there
+  if (!comparable) return { ...base, status: 'have', fraction: 1, expiring };
+
+  const haveText = formatAmount(have, parsed.quantity.unit);
+  if (have + EPSILON >= need) return { ...base, status: 'have', have: haveText, fraction: 1, expiring };
+  return {
+    ...base,
+    status: 'partial',
+    have: haveText,
+    short_by: formatAmount(need - have, parsed.quantity.unit),
+    fraction: have / need,
+    expiring
+  };
+}
+
+/**
+ * Coverage of one recipe: { coverage (0-1), have, total, missing, uses_expiring }.
+ * missing lists ingredients that are absent or short, with what to buy.
+ */
+function recipeCoverage(recipeData, rows) {
+  const ingredients = (recipeData?.ingredients || []).map(item => coverIngredient(item, rows));
+  const counted = ingredients.filter(i => i.status !== 'assumed');
+  const score = counted.reduce((sum, i) => sum + i.fraction, 0);
+
+  return {
+    coverage: counted.length > 0 ? Math.round((score / counted.length) * 100) / 100 : 0,
+    have: counted.filter(i => i.status === 'have').length,
+    total: counted.length,
+    missing: counted
+      .filter(i => i.status === 'missing' || i.status === 'partial')
+      .map(i => ({ name: i.name, amount: i.status === 'partial' ? i.short_by : i.amount, have: i.have || null })),
+    uses_expiring: counted.filter(i => i.expiring).map(i => i.name)
+  };
+}
+
+/**
+ * Pantry-shaped rows for a list that isn't stored (ingredients spotted in a
+ * photo, say), so recipes can be matched against it like the pantry.
+ */
+function toPantryRows(items) {
+  return (Array.isArray(items) ? items : [])
+    .slice(0, MAX_ITEMS_PER_CALL)
+    .map(parsePantryInput)
+    .filter(i => i.key)
+    .map(i => ({ name: i.name, normalized_name: i.key, quantity: i.quantity, unit: i.unit, expires_on: i.expires_on || null }));
+}
+
+// Saved recipes with their coverage against rows, best covered first
+// (recipes using food that expires soon win ties)
+function rankRecipes(recipes, rows) {
+  return (recipes || [])
+    .filter(recipe => Array.isArray(recipe.recipe_data?.ingredients) && recipe.recipe_data.ingredients.length > 0)
+    .map(recipe => ({ recipe_id: recipe.id, title: recipe.title, ...recipeCoverage(recipe.recipe_data, rows) }))
+    .sort((a, b) => (b.coverage - a.coverage) || (b.uses_expiring.length - a.uses_expiring.length) || (a.missing.length - b.missing.length));
+}
+
+/**
+ * Ranks saved recipes by pantry coverage. Returns [{ recipe_id, title,
+ * coverage, have, total, missing, uses_expiring }] or null on error.
+ */
+async function matchRecipes(userId, { limit = 5, min_coverage = 0 } = {}) {
+  if (!canPersistPantry(userId)) return [];
+
+  try {
+    const rows = await loadRows(userId);
+    const { data: recipes, error } = await supabase
+      .from('saved_recipes')
+      .select('id, title, recipe_data')
+      .eq('user_id', userId);
+    if (error) throw error;
+
+    return rankRecipes(recipes, rows)
+      .filter(match => match.coverage >= min_coverage)
+      .slice(0, Math.max(1, Math.min(parseInt(limit, 10) || 5, 20)));
+  } catch (error) {
+    console.error('Pantry: Error matching recipes:', error);
+    return null;
+  }
+}
+
+async function loadRecipe(userId, recipeId) {
+  const { data, error } = await supabase
+    .from('saved_recipes')
+    .select('id, title, recipe_data, servings, times_cooked')
+    .eq('user_id', userId)
+    .eq('id', recipeId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Marks a saved recipe as cooked: deducts its ingredients (scaled to
+ * `servings` when given) and bumps times_cooked. Returns { recipe_id, title,
+ * used, removed, not_in_pantry, unmeasured } or { error }.
+ */
+async function cookRecipe(userId, recipeId, { servings } = {}) {
+  if (!canPersistPantry(userId)) {
+    return { error: 'Sign in to keep a pantry' };
+  }
+
+  try {
+    const recipe = await loadRecipe(userId, recipeId);
+    if (!recipe) return { error: 'Recipe not found' };
+
+    let recipeData = recipe.recipe_data || {};
+    if (servings) {
+      const scaled = scaling.scaleRecipe(recipeData, { servings }, recipe);
+      if (scaled.error) return { error: scaled.error };
+      recipeData = scaled.recipe;
+    }
+
+    const rows = await loadRows(userId);
+    const summary = { recipe_id: recipe.id, title: recipe.title, used: [], removed: [], not_in_pantry: [], unmeasured: [] };
+
+    for (const ingredient of recipeData.ingredients || []) {
+      const parsed = quantities.parseIngredient(ingredient);
+      const { key, display } = shopping.normalizeItemName(parsed.name);
+      if (!key || ASSUMED_STAPLES.includes(key)) continue;
+
+      const match = findPantryRows(rows, key)[0];
+      if (!match) {
+        summary.not_in_pantry.push(display);
+        continue;
+      }
+      // An ingredient without an amount ("salt to taste") doesn't empty the jar
+      if (parsed.quantity.min === null) {
+        summary.unmeasured.push(match.name);
+        continue;
+      }
+
+      const result = await deduct(userId, rows, match.normalized_name, parsed.quantity.max, parsed.quantity.unit);
+      if (result.status === 'removed') summary.removed.push(result.name);
+      else if (result.status === 'used') summary.used.push({ name: result.name, left: result.left });
+      else summary.unmeasured.push(match.name);
+    }
+
+    const { error } = await supabase
+      .from('saved_recipes')
+      .update({ times_cooked: (recipe.times_cooked || 0) + 1, last_cooked_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('id', recipe.id);
+    if (error) console.error('Pantry: Error recording cooked recipe:', error);
+
+    console.log(`🥫 Cooked "${recipe.title}": ${summary.used.length} used, ${summary.removed.length} used up`);
+    return summary;
+  } catch (error) {
+    console.error('Pantry: Error cooking recipe:', error);
+    return { error: 'Failed to update pantry' };
+  }
+}
+
+/**
+ * Puts what a saved recipe still needs on the shopping list, tagged with
+ * the recipe. Returns shopping.addItems' result plus the missing list.
+ */
+async function addMissingToShoppingList(userId, recipeId, { list_name } = {}) {
+  if (!canPersistPantry(userId)) {
+    return { error: 'Sign in to keep a pantry' };
+  }
+
+  try {
+    const recipe = await loadRecipe(userId, recipeId);
+    if (!recipe) return { error: 'Recipe not found' };
+
+    const coverage = recipeCoverage(recipe.recipe_data, await loadRows(userId));
+    if (coverage.missing.length === 0) {
+      return { recipe_id: recipe.id, title: recipe.title, missing: [], items: [], added: 0, merged: 0, skipped: 0 };
+    }
+
+    const result = await shopping.addItems(
+      userId,
+      coverage.missing.map(item => ({ name: item.name, quantity: item.amount })),
+      { list_name, recipe_id: recipe.id, recipe_title: recipe.title }
+    );
+    if (result.error) return result;
+    return { recipe_id: recipe.id, title: recipe.title, missing: coverage.missing, ...result };
+  } catch (error) {
+    console.error('Pantry: Error adding missing items:', error);
+    return { error: 'Failed to add missing items' };
+  }
+}
+
+// Block for the agent's context prompt; expiring items first
+function formatPantryForContext(items) {
+  if (!items || items.length === 0) return '';
+
+  const sorted = [...items].sort((a, b) => (b.expiring_soon - a.expiring_soon) || a.name.localeCompare(b.name));
+  const lines = sorted.slice(0, MAX_CONTEXT_ITEMS).map(item => {
+    let line = `- ${item.name}${item.amount ? `: ${item.amount}` : ''}`;
+    if (item.expired) line += ' (EXPIRED)';
+    else if (item.expiring_soon) line += ` (expires in ${item.days_left} day${item.days_left === 1 ? '' : 's'} - use it soon)`;
+    return line;
+  });
+  if (items.length > MAX_CONTEXT_ITEMS) lines.push(`- ...and ${items.length - MAX_CONTEXT_ITEMS} more`);
+
+  return `PANTRY (what the user has at home - prefer recipes that use it, especially items expiring soon):\n${lines.join('\n')}`;
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+const PANTRY_UPDATE_FIELDS = ['name', 'quantity', 'unit', 'expires_on'];
+
+function toActionResult(result, status = 500) {
+  if (result.error) {
+    const notFound = /not found/i.test(result.error);
+    return actionError(notFound ? 404 : status, result.error);
+  }
+  return actionOk(result);
+}
+
+async function getPantryAction(userId) {
+  const items = await listPantry(userId);
+  if (!items) return actionError(500, 'Failed to load pantry');
+  return actionOk({ items, expiring: items.filter(i => i.expiring_soon || i.expired) });
+}
+
+async function addPantryAction(userId, params) {
+  if (!Array.isArray(params.items) || params.items.length === 0) {
+    return actionError(400, 'Invalid request', 'items must be a non-empty array');
+  }
+  const result = await addPantryItems(userId, params.items);
+  return toActionResult(result, /Invalid|No items/.test(result.error || '') ? 400 : 500);
+}
+
+async function usePantryAction(userId, params) {
+  if (!Array.isArray(params.items) || params.items.length === 0) {
+    return actionError(400, 'Invalid request', 'items must be a non-empty array');
+  }
+  return toActionResult(await usePantryItems(userId, params.items));
+}
+
+async function updatePantryAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const source = pickFields(params.updates, PANTRY_UPDATE_FIELDS);
+  if (Object.keys(source).length === 0) {
+    return actionError(400, 'Invalid request', `updates must include one of: ${PANTRY_UPDATE_FIELDS.join(', ')}`);
+  }
+
+  const updates = { updated_at: new Date().toISOString() };
+  if (source.name !== undefined) {
+    const { key, display } = shopping.normalizeItemName(source.name);
+    if (!key) return actionError(400, 'Invalid request', 'name must be a non-empty string');
+    Object.assign(updates, { name: display, normalized_name: key, category: shopping.findAisle(key) });
+  }
+  if (source.quantity !== undefined || source.unit !== undefined) {
+    if (source.quantity === null) {
+      Object.assign(updates, { quantity: null, unit: null });
+    } else {
+      const parsed = quantities.parseAmount([source.quantity, source.unit].filter(v => v !== undefined && v !== null).join(' '));
+      if (parsed.min === null) return actionError(400, 'Invalid request', 'quantity must be an amount like 2, "500 g" or "1 1/2 cups"');
+      Object.assign(updates, { quantity: parsed.max, unit: parsed.unit });
+    }
+  }
+  if (source.expires_on !== undefined) {
+    const expiry = parseExpiry({ expires_on: source.expires_on });
+    if (expiry === undefined) return actionError(400, 'Invalid request', 'expires_on must be YYYY-MM-DD or null');
+    updates.expires_on = expiry;
+  }
+
+  const { data, error } = await supabase
+    .from('pantry_items')
+    .update(updates)
+    .eq('user_id', userId)
+    .eq('id', params.id)
+    .select(PANTRY_FIELDS)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Pantry: Error updating item:', error);
+    return actionError(500, 'Failed to update pantry item');
+  }
+  if (!data) return actionError(404, 'Pantry item not found');
+  return actionOk({ item: toPantryItem(data) });
+}
+
+async function deletePantryAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const { data, error } = await supabase
+    .from('pantry_items')
+    .delete()
+    .eq('user_id', userId)
+    .eq('id', params.id)
+    .select('id');
+
+  if (error) {
+    console.error('Pantry: Error deleting item:', error);
+    return actionError(500, 'Failed to delete pantry item');
+  }
+  if (!data || data.length === 0) return actionError(404, 'Pantry item not found');
+  return actionOk({ deleted: params.id });
+}
+
+async function matchRecipesAction(userId, params) {
+  const matches = await matchRecipes(userId, params);
+  if (!matches) return actionError(500, 'Failed to match recipes');
+  return actionOk({ matches });
+}
+
+async function cookRecipeAction(userId, params) {
+  const invalid = requireId(params, 'recipe_id');
+  if (invalid) return invalid;
+  const result = await cookRecipe(userId, params.recipe_id, { servings: params.servings });
+  return toActionResult(result, /servings|scale/i.test(result.error || '') ? 400 : 500);
+}
+
+async function addMissingAction(userId, params) {
+  const invalid = requireId(params, 'recipe_id');
+  if (invalid) return invalid;
+  return toActionResult(await addMissingToShoppingList(userId, params.recipe_id, { list_name: params.list_name }));
+}
+
+const actions = {
+  get_pantry: getPantryAction,
+  add_pantry_items: addPantryAction,
+  use_pantry_items: usePantryAction,
+  update_pantry_item: updatePantryAction,
+  delete_pantry_item: deletePantryAction,
+  match_pantry_recipes: matchRecipesAction,
+  mark_recipe_cooked: cookRecipeAction,
+  add_missing_to_shopping_list: addMissingAction
+};
+
+module.exports = {
+  canPersistPantry,
+  listPantry,
+  addPantryItems,
+  usePantryItems,
+  loadRows,
+  toPantryRows,
+  recipeCoverage,
+  rankRecipes,
+  matchRecipes,
+  cookRecipe,
+  addMissingToShoppingList,
+  formatPantryForContext,
+  actions
+};
@@ -0,0 +1,361 @@
+// lib/quantities.js
+// Parses ingredient amounts ("1 1/2 cups", "2-3 cloves", "½ tsp", "a pinch")
+// into numbers and units, and converts them between US and metric units,
+// including volume-to-weight for ingredients in lib/data/densities.json.
+const { densities: DENSITIES } = require('./data/densities.json');
+
+// Volumes in millilitres, weights in grams. `system` drives conversion targets;
+// count and vague units never convert but still scale.
+const UNITS = {
+  tsp: { type: 'volume', ml: 4.92892, system: 'us', label: 'tsp', aliases: ['tsp', 'tsps', 'teaspoon', 'teaspoons'] },
+  tbsp: { type: 'volume', ml: 14.7868, system: 'us', label: 'tbsp', aliases: ['tbsp', 'tbsps', 'tbs', 'tablespoon', 'tablespoons'] },
+  cup: { type: 'volume', ml: 236.588, system: 'us', label: 'cup', plural: 'cups', aliases: ['cup', 'cups', 'c'] },
+  floz: { type: 'volume', ml: 29.5735, system: 'us', label: 'fl oz', aliases: ['fl oz', 'fl. oz', 'fluid ounce', 'fluid ounces'] },
+  pint: { type: 'volume', ml: 473.176, system: 'us', label: 'pint', plural: 'pints', aliases: ['pint', 'pints', 'pt'] },
+  quart: { type: 'volume', ml: 946.353, system: 'us', label: 'quart', plural: 'quarts', aliases: ['quart', 'quarts', 'qt'] },
+  gallon: { type: 'volume', ml: 3785.41, system: 'us', label: 'gallon', plural: 'gallons', aliases: ['gallon', 'gallons', 'gal'] },
+  ml: { type: 'volume', ml: 1, system: 'metric', label: 'ml', aliases: ['ml', 'milliliter', 'milliliters', 'millilitre', 'millilitres'] },
+  dl: { type: 'volume', ml: 100, system: 'metric', label: 'dl', aliases: ['dl', 'deciliter', 'deciliters', 'decilitre', 'decilitres'] },
+  l: { type: 'volume', ml: 1000, system: 'metric', label: 'l', aliases: ['l', 'liter', 'liters', 'litre', 'litres'] },
+  mg: { type: 'weight', g: 0.001, system: 'metric', label: 'mg', aliases: ['mg', 'milligram', 'milligrams'] },
+  g: { type: 'weight', g: 1, system: 'metric', label: 'g', aliases: ['g', 'gr', 'gram', 'grams', 'gramme', 'grammes'] },
+  kg: { type: 'weight', g: 1000, system: 'metric', label: 'kg', aliases: ['kg', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+  oz: { type: 'weight', g: 28.3495, system: 'us', label: 'oz', aliases: ['oz', 'ounce', 'ounces'] },
+  lb: { type: 'weight', g: 453.592, system: 'us', label: 'lb', aliases: ['lb', 'lbs', 'pound', 'pounds'] },
+  clove: { type: 'count', label: 'clove', plural: 'cloves', aliases: ['clove', 'cloves'] },
+  can: { type: 'count', label: 'can', plural: 'cans', aliases: ['can', 'cans', 'tin', 'tins'] },
+  slice: { type: 'count', label: 'slice', plural: 'slices', aliases: ['slice', 'slices'] },
+  piece: { type: 'count', label: 'piece', plural: 'pieces', aliases: ['piece', 'pieces', 'pc', 'pcs'] },
+  stick: { type: 'count', label: 'stick', plural: 'sticks', aliases: ['stick', 'sticks'] },
+  bunch: { type: 'count', label: 'bunch', plural: 'bunches', aliases: ['bunch', 'bunches'] },
+  sprig: { type: 'count', label: 'sprig', plural: 'sprigs', aliases: ['sprig', 'sprigs'] },
+  head: { type: 'count', label: 'head', plural: 'heads', aliases: ['head', 'heads'] },
+  package: { type: 'count', label: 'package', plural: 'packages', aliases: ['package', 'packages', 'pkg', 'packet', 'packets'] },
+  jar: { type: 'count', label: 'jar', plural: 'jars', aliases: ['jar', 'jars'] },
+  pinch: { type: 'vague', label: 'pinch', plural: 'pinches', aliases: ['pinch', 'pinches'] },
+  dash: { type: 'vague', label: 'dash', plural: 'dashes', aliases: ['dash', 'dashes'] },
+  splash: { type: 'vague', label: 'splash', plural: 'splashes', aliases: ['splash', 'splashes'] },
+  handful: { type: 'vague', label: 'handful', plural: 'handfuls', aliases: ['handful', 'handfuls'] },
+  drop: { type: 'vague', label: 'drop', plural: 'drops', aliases: ['drop', 'drops'] }
+};
+
+// A stick of butter is a US packaging unit with a fixed weight
+const STICK_OF_BUTTER_G = 113;
+
+const UNICODE_FRACTIONS = {
+  '½': '1/2', '⅓': '1/3', '⅔': '2/3', '¼': '1/4', '¾': '3/4', '⅕': '1/5', '⅖': '2/5',
+  '⅗': '3/5', '⅘': '4/5', '⅙': '1/6', '⅚': '5/6', '⅛': '1/8', '⅜': '3/8', '⅝': '5/8', '⅞': '7/8'
+};
+
+// Amounts that mean "use your judgement" - kept as-is, never scaled
+const UNMEASURED = /^(to taste|as needed|as required|as desired|optional|for (serving|garnish|frying|greasing|dusting)|some|a few|a little|a bit)\b/i;
+
+const ALIAS_TO_UNIT = Object.entries(UNITS)
+  .flatMap(([key, unit]) => unit.aliases.map(alias => [alias, key]))
+  .sort((a, b) => b[0].length - a[0].length);
+
+const DENSITY_KEYS = Object.keys(DENSITIES).sort((a, b) => b.length - a.length);
+
+const NUMBER = '(\\d+\\s+\\d+\\/\\d+|\\d+\\/\\d+|\\d+(?:\\.\\d+)?)';
+const AMOUNT_PATTERN = new RegExp(`^${NUMBER}(?:\\s*(?:-|to|or)\\s*${NUMBER})?`, 'i');
+
+function parseNumber(text) {
+  const value = String(text).trim();
+  const mixed = value.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return parseInt(mixed[1], 10) + parseInt(mixed[2], 10) / parseInt(mixed[3], 10);
+  const fraction = value.match(/^(\d+)\/(\d+)$/);
+  if (fraction) return parseInt(fraction[2], 10) ? parseInt(fraction[1], 10) / parseInt(fraction[2], 10) : NaN;
+  return parseFloat(value);
+}
+
+function normalizeText(text) {
+  return String(text || '')
+    .replace(/(\d)?([½⅓⅔¼¾⅕⅖⅗⅘⅙⅚⅛⅜⅝⅞])/g, (match, whole, fraction) => `${whole ? `${whole} ` : ''}${UNICODE_FRACTIONS[fraction]}`)
+    .replace(/[–—]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Case matters for the single-letter shorthand: "1 T" is a tablespoon, "1 t" a teaspoon
+function matchUnit(text) {
+  const shorthand = text.match(/^(T|t)\.?(?=\s|$)/);
+  if (shorthand) return { unit: shorthand[1] === 'T' ? 'tbsp' : 'tsp', length: shorthand[0].length };
+
+  const lower = text.toLowerCase();
+  for (const [alias, key] of ALIAS_TO_UNIT) {
+    if (lower.startsWith(alias) && !/[a-z]/.test(lower.charAt(alias.length))) {
+      // "of" after a vague unit ("a pinch of salt") belongs to the unit
+      const rest = lower.substring(alias.length).match(/^\.?(\s+of\b)?/);
+      return { unit: key, length: alias.length + rest[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses the leading amount of a string.
+ * Returns { min, max, unit, note, rest, unmeasured } - min/max are null when
+ * no number was found; `rest` is the text after the amount (the ingredient
+ * name when parsing a whole line like "2 cups flour").
+ */
+function parseAmount(text) {
+  let remaining = normalizeText(text);
+  const result = { min: null, max: null, unit: null, note: null, rest: remaining, unmeasured: false };
+  if (!remaining) return result;
+
+  if (UNMEASURED.test(remaining)) {
+    result.unmeasured = true;
+    return result;
+  }
+
+  const numberMatch = remaining.match(AMOUNT_PATTERN);
+  const articleMatch = !numberMatch && remaining.match(/^(a|an|one)\s+/i);
+  if (numberMatch) {
+    result.min = parseNumber(numberMatch[1]);
+    result.max = numberMatch[2] ? parseNumber(numberMatch[2]) : result.min;
+    remaining = remaining.substring(numberMatch[0].length).trim();
+  } else if (articleMatch) {
+    result.min = 1;
+    result.max = 1;
+    remaining = remaining.substring(articleMatch[0].length).trim();
+  } else {
+    return result;
+  }
+
+  // "2 x 400g cans" - the number counts packages of that size; keep the size as a note
+  const multiplier = remaining.match(/^[x×]\s*(?=\d)/i);
+  if (multiplier) {
+    const sizeText = remaining.substring(multiplier[0].length);
+    const size = parseAmount(sizeText);
+    if (size.unit) {
+      result.note = sizeText.substring(0, sizeText.length - size.rest.length).trim();
+      remaining = size.rest;
+    }
+  }
+
+  // "2 (14 oz) cans" or "1 can (14 oz)" - keep the package size as a note
+  const noteMatch = !result.note && remaining.match(/^\(([^)]*)\)\s*/);
+  if (noteMatch) {
+    result.note = noteMatch[1].trim();
+    remaining = remaining.substring(noteMatch[0].length);
+  }
+
+  const unitMatch = matchUnit(remaining);
+  if (unitMatch) {
+    result.unit = unitMatch.unit;
+    remaining = remaining.substring(unitMatch.length).trim();
+  }
+
+  const sizeAfterUnit = result.unit && !result.note && remaining.match(/^\(([^)]*)\)\s*/);
+  if (sizeAfterUnit) {
+    result.note = sizeAfterUnit[1].trim();
+    remaining = remaining.substring(sizeAfterUnit[0].length);
+  }
+
+  result.rest = remaining.replace(/^of\s+/i, '').trim();
+  return result;
+}
+
+/**
+ * Normalizes a recipe_data ingredient (a { name, amount, notes } object from
+ * URL imports or a plain "2 cups flour" string from chat) into
+ * { name, amount, notes, quantity } where quantity is the parsed amount.
+ * For objects, words left in `amount` after the unit ("1 large",
+ * "2 cups packed") are kept as quantity.tail so formatting doesn't drop them.
+ */
+function parseIngredient(item) {
+  if (typeof item === 'string') {
+    const line = normalizeText(item);
+    const quantity = parseAmount(line);
+    const hasAmount = quantity.min !== null;
+    return {
+      name: hasAmount ? quantity.rest || line : line,
+      amount: hasAmount ? line.substring(0, line.length - quantity.rest.length).trim() : '',
+      notes: null,
+      quantity
+    };
+  }
+
+  const name = String(item?.name || '').trim();
+  let quantity = parseAmount(item?.amount);
+  // Some extractors put the whole line in `name` and leave `amount` empty
+  if (quantity.min === null && !quantity.unmeasured && !item?.amount) {
+    const line = normalizeText(name);
+    const fromName = parseAmount(line);
+    if (fromName.min !== null) {
+      return { name: fromName.rest, amount: line.substring(0, line.length - fromName.rest.length).trim(), notes: item?.notes || null, quantity: fromName };
+    }
+  }
+  // The amount field holds only the amount; anything after the unit isn't a name
+  quantity = { ...quantity, rest: '', tail: quantity.min !== null ? quantity.rest : '' };
+  return { name, amount: String(item?.amount || '').trim(), notes: item?.notes || null, quantity };
+}
+
+// Grams per ml for an ingredient name, or null when not in the table
+function findDensity(name) {
+  const normalized = ` ${String(name || '').toLowerCase().replace(/[^a-z\s-]/g, ' ').replace(/\s+/g, ' ')} `;
+  const key = DENSITY_KEYS.find(k => normalized.includes(` ${k} `) || normalized.includes(` ${k}s `));
+  return key ? DENSITIES[key] : null;
+}
+
+/**
+ * Converts an amount of a unit to grams, using the density table for
+ * volumes. Returns null when the weight can't be known (counts, unknown
+ * ingredient density).
+ */
+function toGrams(value, unitKey, name) {
+  const unit = UNITS[unitKey];
+  if (!unit || value === null) return null;
+  if (unit.type === 'weight') return value * unit.g;
+  if (unitKey === 'stick' && /butter/i.test(name || '')) return value * STICK_OF_BUTTER_G;
+  if (unit.type === 'volume') {
+    const density = findDensity(name);
+    return density ? value * unit.ml * density : null;
+  }
+  return null;
+}
+
+/**
+ * Converts an amount between two unit keys (null for a plain count), going
+ * through grams for volume <-> weight when the ingredient's density is known.
+ * Returns null when the units can't be compared (cloves and tablespoons).
+ */
+function convertAmount(value, fromUnit, toUnit, name = '') {
+  if (fromUnit === toUnit) return value;
+  const from = UNITS[fromUnit];
+  const to = UNITS[toUnit];
+  if (!from || !to) return null;
+  if (from.type === to.type && from.type === 'volume') return value * from.ml / to.ml;
+  if (from.type === to.type && from.type === 'weight') return value * from.g / to.g;
+
+  const grams = toGrams(value, fromUnit, name);
+  if (grams === null) return null;
+  if (to.type === 'weight') return grams / to.g;
+  const gramsPerMl = toGrams(1, 'ml', name);
+  return to.type === 'volume' && gramsPerMl ? grams / gramsPerMl / to.ml : null;
+}
+
+// ==============================================
+// FORMATTING
+// ==============================================
+const FRACTIONS = [[1, 8], [1, 4], [1, 3], [3, 8], [1, 2], [5, 8], [2, 3], [3, 4], [7, 8]];
+
+// 1.333 -> "1 1/3", 0.25 -> "1/4"; kitchen-friendly fractions for US units and counts
+function formatFraction(value) {
+  let whole = Math.floor(value);
+  let remainder = value - whole;
+  let best = null;
+  let bestError = remainder;
+  for (const [n, d] of FRACTIONS) {
+    const error = Math.abs(remainder - n / d);
+    if (error < bestError) {
+      best = [n, d];
+      bestError = error;
+    }
+  }
+  if (1 - remainder < bestError) {
+    whole += 1;
+    best = null;
+  }
+  if (!best) return whole > 0 ? String(whole) : '1/8';
+  return whole > 0 ? `${whole} ${best[0]}/${best[1]}` : `${best[0]}/${best[1]}`;
+}
+
+function formatDecimal(value) {
+  if (value >= 100) return String(Math.round(value / 5) * 5);
+  if (value >= 10) return String(Math.round(value));
+  return String(Math.round(value * 10) / 10);
+}
+
+function formatValue(value, unitKey) {
+  const unit = UNITS[unitKey];
+  if (unit && unit.system === 'metric') {
+    return unitKey === 'kg' || unitKey === 'l' ? String(Math.round(value * 100) / 100) : formatDecimal(value);
+  }
+  return formatFraction(value);
+}
+
+function unitLabel(unitKey, value) {
+  const unit = UNITS[unitKey];
+  if (!unit) return '';
+  return value > 1 && unit.plural ? unit.plural : unit.label;
+}
+
+/**
+ * Formats { min, max, unit, tail } back into an amount string: "1 1/2 cups",
+ * "2-3 cloves", "450 g", "2 1/2 large".
+ */
+function formatQuantity({ min, max, unit, tail }) {
+  if (min === null) return '';
+  const low = formatValue(min, unit);
+  const high = max !== null && max !== min ? formatValue(max, unit) : null;
+  const number = high && high !== low ? `${low}-${high}` : low;
+  const label = unitLabel(unit, max ?? min);
+  return [number, label, tail].filter(Boolean).join(' ');
+}
+
+// ==============================================
+// SCALING AND CONVERSION
+// ==============================================
+function scaleQuantity(quantity, factor) {
+  if (quantity.min === null) return quantity;
+  return { ...quantity, min: quantity.min * factor, max: quantity.max * factor };
+}
+
+// Picks the friendliest unit of the target system for an amount in ml or g
+function pickUnit(type, base, system) {
+  if (type === 'volume') {
+    if (system === 'metric') return base >= 1000 ? 'l' : 'ml';
+    if (base < UNITS.tbsp.ml) return 'tsp';
+    if (base < UNITS.cup.ml / 4) return 'tbsp';
+    return 'cup';
+  }
+  if (system === 'metric') return base >= 1000 ? 'kg' : 'g';
+  return base >= UNITS.lb.g ? 'lb' : 'oz';
+}
+
+function rebase(quantity, type, toUnit) {
+  const factor = type === 'volume' ? UNITS[quantity.unit].ml / UNITS[toUnit].ml : UNITS[quantity.unit].g / UNITS[toUnit].g;
+  return { ...quantity, unit: toUnit, min: quantity.min * factor, max: quantity.max * factor };
+}
+
+/**
+ * Converts a parsed quantity. `system` is 'metric', 'us' or null (stay in
+ * the original system, just tidy units, e.g. 24 tsp -> 1/2 cup).
+ * With `weights`, volumes of ingredients with a known density become grams
+ * (metric) or ounces (us). Counts and vague amounts are returned unchanged.
+ */
+function convertQuantity(quantity, { system = null, weights = false, name = '' } = {}) {
+  const unit = UNITS[quantity.unit];
+  if (quantity.min === null || !unit) return quantity;
+
+  if (weights && (unit.type === 'volume' || quantity.unit === 'stick')) {
+    const grams = toGrams(1, quantity.unit, name);
+    if (grams) {
+      const inGrams = { ...quantity, unit: 'g', min: quantity.min * grams, max: quantity.max * grams };
+      const target = system || (unit.system === 'metric' ? 'metric' : 'us');
+      return rebase(inGrams, 'weight', pickUnit('weight', inGrams.max, target));
+    }
+  }
+
+  if (unit.type !== 'volume' && unit.type !== 'weight') return quantity;
+
+  const target = system || unit.system;
+  // Metric recipes measure with spoons too, so teaspoons and tablespoons stay as they are
+  if (target === 'metric' && (quantity.unit === 'tsp' || quantity.unit === 'tbsp')) return quantity;
+
+  const base = unit.type === 'volume' ? quantity.max * unit.ml : quantity.max * unit.g;
+  return rebase(quantity, unit.type, pickUnit(unit.type, base, target));
+}
+
+module.exports = {
+  UNITS,
+  parseAmount,
+  parseIngredient,
+  findDensity,
+  toGrams,
+  convertAmount,
+  formatQuantity,
+  scaleQuantity,
+  convertQuantity
+};
@@ -0,0 +1,625 @@
+// lib/recipe_formats.js
+// Moving saved recipes in and out of the app. Export writes one recipe or the
+// whole library as schema.org Recipe JSON-LD, Markdown, a printable HTML card
+// or a bulk JSON archive that round-trips everything (ratings and notes too).
+// Import reads JSON-LD (bare, in a @graph, or inside a web page's
+// <script type="application/ld+json">, which includes our own HTML cards),
+// Paprika recipe exports and our archive, and maps each recipe onto the
+// recipe_data structure api/learn_url.js produces. toRecipeData does the same
+// for the model's structured extractions (URL imports and recipe photos).
+const zlib = require('zlib');
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError } = require('./actions');
+const quantities = require('./quantities');
+const { toMinutes } = require('./recipe_search');
+
+const FORMATS = {
+  jsonld: { extension: 'jsonld', content_type: 'application/ld+json' },
+  markdown: { extension: 'md', content_type: 'text/markdown' },
+  html: { extension: 'html', content_type: 'text/html' },
+  json: { extension: 'json', content_type: 'application/json' }
+};
+const ARCHIVE_FORMAT = 'chef-compadre-recipes';
+const ARCHIVE_VERSION = 1;
+const EXPORT_FIELDS = 'id, title, recipe_data, tags, difficulty, prep_time, cook_time, servings, rating, notes, source_url, source_type, created_at';
+const MAX_EXPORT = 2000;
+const MAX_IMPORT = 500;
+const INSERT_BATCH = 100;
+
+// dietary_tags <-> schema.org RestrictedDiet
+const SCHEMA_DIETS = {
+  'vegan': 'VeganDiet',
+  'vegetarian': 'VegetarianDiet',
+  'gluten-free': 'GlutenFreeDiet',
+  'dairy-free': 'LowLactoseDiet',
+  'halal': 'HalalDiet',
+  'kosher': 'KosherDiet',
+  'low-fat': 'LowFatDiet',
+  'low-sodium': 'LowSaltDiet',
+  'low-calorie': 'LowCalorieDiet',
+  'diabetic': 'DiabeticDiet'
+};
+
+function canTransferRecipes(userId) {
+  return !!supabase && isValidUUID(userId);
+}
+
+function asArray(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function slugify(text) {
+  return String(text || 'recipe').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 60) || 'recipe';
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Text out of JSON-LD fields, which often carry markup and entities
+function plainText(value) {
+  return String(value ?? '')
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0*39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function minutesText(value) {
+  const minutes = toMinutes(value);
+  return minutes ? `${minutes} minutes` : null;
+}
+
+function isoDuration(value) {
+  const minutes = toMinutes(value);
+  if (!minutes) return undefined;
+  const hours = Math.floor(minutes / 60);
+  return `PT${hours ? `${hours}H` : ''}${minutes % 60 || !hours ? `${minutes % 60}M` : ''}`;
+}
+
+// ==============================================
+// EXPORT
+// ==============================================
+function ingredientLine(item) {
+  const { name, amount, notes } = quantities.parseIngredient(item);
+  return [amount, name].filter(Boolean).join(' ') + (notes ? `, ${notes}` : '');
+}
+
+function stepText(step) {
+  return typeof step === 'string' ? step : step?.instruction || '';
+}
+
+function toJsonLd(row) {
+  const data = row.recipe_data || {};
+  const dietaryTags = asArray(data.dietary_tags).map(tag => String(tag).toLowerCase());
+  const diets = dietaryTags.filter(tag => SCHEMA_DIETS[tag]).map(tag => `https://schema.org/${SCHEMA_DIETS[tag]}`);
+  const keywords = [...new Set([...(row.tags || []), ...dietaryTags.filter(tag => !SCHEMA_DIETS[tag])])];
+  const servings = row.servings || data.servings;
+
+  const recipe = {
+    '@context': 'https://schema.org',
+    '@type': 'Recipe',
+    name: row.title || data.title,
+    description: data.description || undefined,
+    recipeYield: servings ? `${servings} servings` : undefined,
+    prepTime: isoDuration(data.prep_time ?? row.prep_time),
+    cookTime: isoDuration(data.cook_time ?? row.cook_time),
+    totalTime: isoDuration(data.total_time),
+    recipeCuisine: data.cuisine && data.cuisine !== 'Unknown' ? data.cuisine : undefined,
+    keywords: keywords.length > 0 ? keywords.join(', ') : undefined,
+    suitableForDiet: diets.length > 0 ? diets : undefined,
+    recipeIngredient: asArray(data.ingredients).map(ingredientLine),
+    recipeInstructions: asArray(data.steps).map((step, i) => ({ '@type': 'HowToStep', position: i + 1, text: stepText(step) })),
+    tool: asArray(data.equipment).length > 0 ? data.equipment.map(name => ({ '@type': 'HowToTool', name })) : undefined,
+    url: row.source_url || data.source_url || undefined,
+    dateCreated: row.created_at || undefined
+  };
+  // Drop unset fields so the output stays readable
+  return JSON.parse(JSON.stringify(recipe));
+}
+
+function toMarkdown(row) {
+  const data = row.recipe_data || {};
+  const meta = [
+    (row.servings || data.servings) && `Serves ${row.servings || data.servings}`,
+    minutesText(data.prep_time ?? row.prep_time) && `Prep ${minutesText(data.prep_time ?? row.prep_time)}`,
+    minutesText(data.cook_time ?? row.cook_time) && `Cook ${minutesText(data.cook_time ?? row.cook_time)}`,
+    (row.difficulty || data.difficulty) && `Difficulty: ${row.difficulty || data.difficulty}`,
+    data.cuisine && data.cuisine !== 'Unknown' && `Cuisine: ${data.cuisine}`,
+    row.rating && `${'★'.repeat(row.rating)}${'☆'.repeat(5 - row.rating)}`
+  ].filter(Boolean);
+
+  const lines = [`# ${row.title || data.title}`, ''];
+  if (data.description) lines.push(data.description, '');
+  if (meta.length > 0) lines.push(`*${meta.join(' · ')}*`, '');
+  const tags = [...new Set([...(row.tags || []), ...asArray(data.dietary_tags)])];
+  if (tags.length > 0) lines.push(`Tags: ${tags.join(', ')}`, '');
+
+  lines.push('## Ingredients', '', ...asArray(data.ingredients).map(item => `- ${ingredientLine(item)}`), '');
+  if (asArray(data.equipment).length > 0) lines.push('## Equipment', '', ...data.equipment.map(item => `- ${item}`), '');
+  lines.push('## Steps', '', ...asArray(data.steps).map((step, i) => `${i + 1}. ${stepText(step)}`), '');
+  if (asArray(data.tips).length > 0) lines.push('## Tips', '', ...data.tips.map(tip => `- ${tip}`), '');
+  if (row.notes) lines.push('## My Notes', '', row.notes, '');
+  if (row.source_url || data.source_url) lines.push(`Source: ${row.source_url || data.source_url}`, '');
+
+  return lines.join('\n');
+}
+
+const CARD_STYLES = `
+    body { font-family: Georgia, serif; color: #222; margin: 0; padding: 24px; background: #f6f3ee; }
+    .recipe-card { max-width: 720px; margin: 0 auto 24px; background: #fff; padding: 32px; border-radius: 8px; box-shadow: 0 1px 4px rgba(0,0,0,0.15); }
+    h1 { margin: 0 0 8px; font-size: 1.8rem; }
+    h2 { font-size: 1.1rem; text-transform: uppercase; letter-spacing: 0.05em; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+    .meta { color: #666; font-style: italic; }
+    .columns { display: grid; grid-template-columns: 1fr 2fr; gap: 24px; }
+    li { margin-bottom: 6px; }
+    .notes { background: #fff8e1; padding: 8px 12px; border-left: 3px solid #f5b301; white-space: pre-line; }
+    .source { font-size: 0.8rem; color: #666; word-break: break-all; }
+    @media print {
+      body { background: none; padding: 0; }
+      .recipe-card { box-shadow: none; page-break-after: always; }
+    }
+    @media (max-width: 600px) { .columns { grid-template-columns: 1fr; } }`;
+
+function toHtmlCard(row) {
+  const data = row.recipe_data || {};
+  const meta = [
+    (row.servings || data.servings) && `Serves ${row.servings || data.servings}`,
+    minutesText(data.prep_time ?? row.prep_time) && `Prep ${minutesText(data.prep_time ?? row.prep_time)}`,
+    minutesText(data.cook_time ?? row.cook_time) && `Cook ${minutesText(data.cook_time ?? row.cook_time)}`,
+    (row.difficulty || data.difficulty) && String(row.difficulty || data.difficulty),
+    row.rating && '★'.repeat(row.rating)
+  ].filter(Boolean);
+  const source = row.source_url || data.source_url;
+
+  return `  <article class="recipe-card">
+    <h1>${escapeHtml(row.title || data.title)}</h1>
+    ${meta.length > 0 ? `<p class="meta">${escapeHtml(meta.join(' · '))}</p>` : ''}
+    ${data.description ? `<p>${escapeHtml(data.description)}</p>` : ''}
+    <div class="columns">
+      <section>
+        <h2>Ingredients</h2>
+        <ul>${asArray(data.ingredients).map(item => `<li>${escapeHtml(ingredientLine(item))}</li>`).join('')}</ul>
+        ${asArray(data.equipment).length > 0 ? `<h2>Equipment</h2><ul>${data.equipment.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+      </section>
+      <section>
+        <h2>Steps</h2>
+        <ol>${asArray(data.steps).map(step => `<li>${escapeHtml(stepText(step))}</li>`).join('')}</ol>
+        ${asArray(data.tips).length > 0 ? `<h2>Tips</h2><ul>${data.tips.map(tip => `<li>${escapeHtml(tip)}</li>`).join('')}</ul>` : ''}
+      </section>
+    </div>
+    ${row.notes ? `<h2>My Notes</h2><p class="notes">${escapeHtml(row.notes)}</p>` : ''}
+    ${source ? `<p class="source">Source: ${escapeHtml(source)}</p>` : ''}
+  </article>`;
+}
+
+// A standalone printable page; the JSON-LD lets it be imported again
+function toHtmlDocument(rows) {
+  const title = rows.length === 1 ? rows[0].title : 'My Recipes';
+  const jsonLd = JSON.stringify(rows.length === 1 ? toJsonLd(rows[0]) : rows.map(toJsonLd)).replace(/</g, '\\u003c');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <style>${CARD_STYLES}
+  </style>
+  <script type="application/ld+json">${jsonLd}</script>
+</head>
+<body>
+${rows.map(toHtmlCard).join('\n')}
+</body>
+</html>
+`;
+}
+
+function toArchive(rows) {
+  return {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    exported_at: new Date().toISOString(),
+    recipes: rows.map(({ id, user_id, ...row }) => row)
+  };
+}
+
+/**
+ * Renders rows in one of FORMATS.
+ * Returns { format, filename, content_type, content, count }.
+ */
+function exportRows(rows, format) {
+  const single = rows.length === 1;
+  const base = single ? slugify(rows[0].title) : `recipes-${new Date().toISOString().substring(0, 10)}`;
+
+  let content;
+  if (format === 'jsonld') {
+    content = JSON.stringify(single ? toJsonLd(rows[0]) : rows.map(toJsonLd), null, 2);
+  } else if (format === 'markdown') {
+    content = rows.map(toMarkdown).join('\n---\n\n');
+  } else if (format === 'html') {
+    content = toHtmlDocument(rows);
+  } else {
+    content = JSON.stringify(toArchive(rows), null, 2);
+  }
+
+  return {
+    format,
+    filename: `${base}.${FORMATS[format].extension}`,
+    content_type: FORMATS[format].content_type,
+    content,
+    count: rows.length
+  };
+}
+
+/**
+ * Exports one recipe (id), a selection (ids) or the whole library.
+ * Returns exportRows()'s result or { error }.
+ */
+async function exportRecipes(userId, { id, ids, format = 'json' } = {}) {
+  if (!canTransferRecipes(userId)) {
+    return { error: 'Sign in to export your recipes' };
+  }
+  if (!FORMATS[format]) {
+    return { error: `format must be one of: ${Object.keys(FORMATS).join(', ')}` };
+  }
+
+  const wanted = id ? [id] : asArray(ids);
+  let query = supabase
+    .from('saved_recipes')
+    .select(EXPORT_FIELDS)
+    .eq('user_id', userId);
+  if (wanted.length > 0) query = query.in('id', wanted);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(MAX_EXPORT);
+
+  if (error) {
+    console.error('Recipe formats: Error loading recipes for export:', error);
+    return { error: 'Failed to export recipes' };
+  }
+  if (!data || data.length === 0) {
+    return { error: wanted.length > 0 ? 'Recipe not found' : 'No saved recipes to export' };
+  }
+
+  return exportRows(data, format);
+}
+
+// ==============================================
+// IMPORT
+// ==============================================
+// "1 cup flour, sifted" -> { name, amount, notes }
+function parseIngredientLine(line) {
+  const text = plainText(line);
+  const comma = text.indexOf(', ');
+  const main = comma > 0 ? text.substring(0, comma) : text;
+  const parsed = quantities.parseIngredient(main);
+  return { name: parsed.name, amount: parsed.amount, notes: comma > 0 ? text.substring(comma + 2) : null };
+}
+
+// Ingredient section headings ("For the sauce:") aren't ingredients
+function ingredientLines(lines) {
+  return lines.map(plainText).filter(line => line && !/:$/.test(line));
+}
+
+// HowToStep, HowToSection, plain strings or one block of text
+function instructionTexts(value) {
+  if (!value) return [];
+  if (typeof value === 'string') {
+    return value.split(/\n+/).map(line => plainText(line).replace(/^(?:step\s*)?\d+[.)]\s*/i, '')).filter(Boolean);
+  }
+  if (Array.isArray(value)) return value.flatMap(instructionTexts);
+  if (value.itemListElement) return instructionTexts(value.itemListElement);
+  return instructionTexts(value.text || value.name || '');
+}
+
+function toServings(value) {
+  const first = asArray(value).map(v => parseInt(v, 10)).find(n => n > 0);
+  return first || null;
+}
+
+function hasType(node, type) {
+  return asArray(node?.['@type']).some(t => String(t).replace(/^.*[/:]/, '') === type);
+}
+
+// Recipe nodes anywhere in a JSON-LD document
+function findJsonLdRecipes(node) {
+  if (!node || typeof node !== 'object') return [];
+  if (Array.isArray(node)) return node.flatMap(findJsonLdRecipes);
+  if (hasType(node, 'Recipe')) return [node];
+  return findJsonLdRecipes(node['@graph'] || node.mainEntity || null);
+}
+
+function fromJsonLd(node) {
+  const dietaryTags = asArray(node.suitableForDiet)
+    .map(diet => String(diet?.['@id'] || diet).replace(/^.*[/:]/, ''))
+    .map(diet => Object.keys(SCHEMA_DIETS).find(tag => SCHEMA_DIETS[tag] === diet))
+    .filter(Boolean);
+  const keywords = (Array.isArray(node.keywords) ? node.keywords : String(node.keywords || '').split(','))
+    .map(word => plainText(word).toLowerCase()).filter(Boolean);
+  const categories = asArray(node.recipeCategory).map(c => plainText(c).toLowerCase()).filter(Boolean);
+
+  return {
+    recipe: {
+      title: plainText(node.name) || 'Imported Recipe',
+      description: plainText(node.description) || null,
+      servings: toServings(node.recipeYield),
+      prep_time: minutesText(node.prepTime),
+      cook_time: minutesText(node.cookTime),
+      total_time: minutesText(node.totalTime),
+      difficulty: null,
+      ingredients: ingredientLines(asArray(node.recipeIngredient || node.ingredients)).map(parseIngredientLine),
+      steps: instructionTexts(node.recipeInstructions).map((instruction, i) => ({ step: i + 1, instruction })),
+      equipment: asArray(node.tool).map(tool => plainText(tool?.name || tool)).filter(Boolean),
+      tips: [],
+      substitutions: {},
+      dietary_tags: dietaryTags,
+      cuisine: plainText(asArray(node.recipeCuisine)[0]) || null,
+      source_url: typeof node.url === 'string' ? node.url : null
+    },
+    tags: [...new Set([...categories, ...keywords])]
+  };
+}
+
+// Paprika's recipe export: newline-separated ingredients and directions
+function fromPaprika(item) {
+  const rating = parseInt(item.rating, 10);
+  return {
+    recipe: {
+      title: plainText(item.name) || 'Imported Recipe',
+      description: plainText(item.description) || null,
+      servings: toServings(item.servings),
+      prep_time: minutesText(item.prep_time),
+      cook_time: minutesText(item.cook_time),
+      total_time: minutesText(item.total_time),
+      difficulty: item.difficulty ? plainText(item.difficulty) : null,
+      ingredients: ingredientLines(String(item.ingredients || '').split(/\n+/)).map(parseIngredientLine),
+      steps: instructionTexts(item.directions).map((instruction, i) => ({ step: i + 1, instruction })),
+      equipment: [],
+      tips: [],
+      substitutions: {},
+      dietary_tags: [],
+      cuisine: null,
+      source_url: item.source_url || null
+    },
+    tags: asArray(item.categories).map(c => plainText(c).toLowerCase()).filter(Boolean),
+    rating: rating >= 1 && rating <= 5 ? rating : null,
+    notes: item.notes ? String(item.notes).trim() : null
+  };
+}
+
+function fromArchive(row) {
+  const data = row.recipe_data && typeof row.recipe_data === 'object' ? row.recipe_data : {};
+  return {
+    recipe: {
+      ...data,
+      title: row.title || data.title || 'Imported Recipe',
+      ingredients: asArray(data.ingredients),
+      steps: asArray(data.steps)
+    },
+    tags: asArray(row.tags),
+    difficulty: row.difficulty || null,
+    rating: Number.isInteger(row.rating) && row.rating >= 1 && row.rating <= 5 ? row.rating : null,
+    notes: row.notes || null,
+    source_url: row.source_url || null
+  };
+}
+
+// A structured extraction (lib/llm/schemas.js RECIPE or RECIPE_TRANSCRIPTION)
+// without the fields that only steer the model; substitutions go back to an
+// { original: substitution } map
+function toRecipeData({ is_recipe, transcription, uncertain, substitutions, ...recipe }) {
+  const map = {};
+  for (const { original, substitution } of substitutions || []) {
+    if (original && substitution) map[original] = substitution;
+  }
+  return { ...recipe, substitutions: map };
+}
+
+function extractJsonLdScripts(html) {
+  const blocks = [];
+  const pattern = /<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    try {
+      blocks.push(JSON.parse(match[1].trim()));
+    } catch (error) {
+      // Pages sometimes ship broken JSON-LD next to a good block
+    }
+  }
+  return blocks;
+}
+
+// A single gzipped .paprikarecipe file, sent base64-encoded
+function decodeContent(content) {
+  if (typeof content !== 'string') return content;
+  const text = content.trim();
+  if (text.startsWith('H4sI')) {
+    try {
+      return zlib.gunzipSync(Buffer.from(text, 'base64')).toString('utf8');
+    } catch (error) {
+      return text;
+    }
+  }
+  return text;
+}
+
+/**
+ * Works out what was uploaded and converts it. Returns
+ * { format, entries: [{ recipe, tags, difficulty?, rating?, notes?, source_url? }] }
+ * or { error }.
+ */
+function parseImport(content, format = 'auto') {
+  let value = decodeContent(content);
+  if (typeof value === 'string') {
+    if (/^\s*</.test(value)) {
+      const recipes = findJsonLdRecipes(extractJsonLdScripts(value));
+      if (recipes.length === 0) return { error: 'No schema.org Recipe found in that HTML page' };
+      return { format: 'html', entries: recipes.map(fromJsonLd) };
+    }
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      return { error: 'Import must be JSON (JSON-LD, a Paprika export or a recipe archive) or an HTML page with recipe JSON-LD' };
+    }
+  }
+  if (!value || typeof value !== 'object') {
+    return { error: 'Nothing to import' };
+  }
+
+  const isArchive = value.format === ARCHIVE_FORMAT && Array.isArray(value.recipes);
+  if ((format === 'auto' || format === 'json') && isArchive) {
+    return { format: 'json', entries: value.recipes.map(fromArchive) };
+  }
+
+  const jsonLdRecipes = findJsonLdRecipes(value);
+  if ((format === 'auto' || format === 'jsonld') && jsonLdRecipes.length > 0) {
+    return { format: 'jsonld', entries: jsonLdRecipes.map(fromJsonLd) };
+  }
+
+  const paprika = asArray(value).filter(item => item && typeof item === 'object' && item.name && (item.ingredients !== undefined || item.directions !== undefined));
+  if ((format === 'auto' || format === 'paprika') && paprika.length > 0) {
+    return { format: 'paprika', entries: paprika.map(fromPaprika) };
+  }
+
+  return { error: format === 'auto' ? 'Unrecognized recipe format' : `No recipes in ${format} format found` };
+}
+
+function toRow(userId, entry) {
+  const { recipe } = entry;
+  return {
+    user_id: userId,
+    title: recipe.title,
+    recipe_data: recipe,
+    source_url: entry.source_url || recipe.source_url || '',
+    source_type: 'import',
+    tags: [...new Set([...(entry.tags || []), ...asArray(recipe.dietary_tags)])],
+    difficulty: String(entry.difficulty || recipe.difficulty || 'medium').toLowerCase(),
+    prep_time: toMinutes(recipe.prep_time),
+    cook_time: toMinutes(recipe.cook_time),
+    servings: parseInt(recipe.servings, 10) || null,
+    rating: entry.rating || null,
+    notes: entry.notes || null
+  };
+}
+
+/**
+ * Imports recipes into the library. Recipes without ingredients or steps
+ * are skipped, and so are titles already saved unless skip_duplicates is
+ * false. Returns { format, imported: [{ id, title }], skipped: [{ title, reason }] }
+ * or { error }.
+ */
+async function importRecipes(userId, { content, format = 'auto', skip_duplicates = true } = {}) {
+  if (!canTransferRecipes(userId)) {
+    return { error: 'Sign in to import recipes' };
+  }
+  if (content === undefined || content === null || content === '') {
+    return { error: 'content is required' };
+  }
+  if (format !== 'auto' && !['jsonld', 'paprika', 'json', 'html'].includes(format)) {
+    return { error: 'format must be one of: auto, jsonld, paprika, json, html' };
+  }
+
+  const parsed = parseImport(content, format);
+  if (parsed.error) return parsed;
+  if (parsed.entries.length > MAX_IMPORT) {
+    return { error: `At most ${MAX_IMPORT} recipes can be imported at once (got ${parsed.entries.length})` };
+  }
+
+  const skipped = [];
+  const seen = new Set();
+  if (skip_duplicates !== false) {
+    const { data, error } = await supabase
+      .from('saved_recipes')
+      .select('title')
+      .eq('user_id', userId)
+      .limit(MAX_EXPORT);
+    if (error) {
+      console.error('Recipe formats: Error loading titles for import:', error);
+      return { error: 'Failed to import recipes' };
+    }
+    (data || []).forEach(row => seen.add(String(row.title).toLowerCase().trim()));
+  }
+
+  const rows = [];
+  for (const entry of parsed.entries) {
+    const title = entry.recipe.title;
+    const key = title.toLowerCase().trim();
+    if (entry.recipe.ingredients.length === 0 && entry.recipe.steps.length === 0) {
+      skipped.push({ title, reason: 'no ingredients or steps' });
+    } else if (skip_duplicates !== false && seen.has(key)) {
+      skipped.push({ title, reason: 'already saved' });
+    } else {
+      seen.add(key);
+      rows.push(toRow(userId, entry));
+    }
+  }
+
+  const imported = [];
+  for (let i = 0; i < rows.length; i += INSERT_BATCH) {
+    const { data, error } = await supabase
+      .from('saved_recipes')
+      .insert(rows.slice(i, i + INSERT_BATCH))
+      .select('id, title');
+    if (error) {
+      console.error('Recipe formats: Error saving imported recipes:', error);
+      return imported.length > 0
+        ? { format: parsed.format, imported, skipped, error: `Failed to import recipes after the first ${imported.length}` }
+        : { error: 'Failed to import recipes' };
+    }
+    imported.push(...(data || []));
+  }
+
+  console.log(`📥 Imported ${imported.length} recipe(s) from ${parsed.format} (${skipped.length} skipped)`);
+  return { format: parsed.format, imported, skipped };
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+function toActionResult(result) {
+  if (!result.error) return actionOk(result);
+  if (result.imported) return actionError(500, result.error, { imported: result.imported, skipped: result.skipped });
+  if (/not found/i.test(result.error)) return actionError(404, result.error);
+  if (/^Failed/.test(result.error)) return actionError(500, result.error);
+  return actionError(400, 'Invalid request', result.error);
+}
+
+async function exportRecipesAction(userId, params) {
+  return toActionResult(await exportRecipes(userId, params));
+}
+
+async function importRecipesAction(userId, params) {
+  return toActionResult(await importRecipes(userId, params));
+}
+
+const actions = {
+  export_recipes: exportRecipesAction,
+  import_recipes: importRecipesAction
+};
+
+module.exports = {
+  FORMATS,
+  toJsonLd,
+  toMarkdown,
+  toHtmlDocument,
+  findJsonLdRecipes,
+  extractJsonLdScripts,
+  fromJsonLd,
+  toRecipeData,
+  parseImport,
+  exportRecipes,
+  importRecipes,
+  actions
+};
@@ -0,0 +1,399 @@
+// lib/recipe_page.js
+// Fetch-and-parse stage for api/learn_url.js. Downloads the page (http(s)
+// only, public hosts only, with a timeout and a size cap) and reads the
+// recipe the site publishes as schema.org JSON-LD or microdata. Pages without
+// structured data are cut down to their main text - scripts, navigation,
+// comments and sidebars removed - so the model extracts from what the page
+// says instead of guessing from the URL.
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { pipeline } = require('stream');
+const zlib = require('zlib');
+const recipeFormats = require('./recipe_formats');
+
+const FETCH_TIMEOUT_MS = 8000;
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+const MAX_TEXT_CHARS = 15000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; ChefCompadre/1.0; +recipe-import)';
+
+// Elements that never hold the recipe
+const BOILERPLATE_TAGS = ['script', 'style', 'noscript', 'svg', 'iframe', 'template', 'form', 'nav', 'header', 'footer', 'aside', 'button', 'select'];
+const BLOCK_TAGS = 'p|div|section|article|main|li|ul|ol|h[1-6]|br|tr|table|blockquote|pre|dd|dt|figcaption';
+// Containers recipe plugins render into, best first
+const RECIPE_CONTAINERS = [/wprm-recipe-container/, /tasty-recipes/, /mv-create-card/, /recipe-card/, /\brecipe\b/];
+
+// ==============================================
+// FETCHING
+// ==============================================
+function isPrivateIPv4(address) {
+  const [a, b] = address.split('.').map(Number);
+  return a === 10 || a === 127 || a === 0 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127) || a >= 224;
+}
+
+// The eight 16-bit groups of an IPv6 address, with a trailing dotted IPv4
+// part ("::ffff:127.0.0.1") converted to the last two groups
+function ipv6Groups(address) {
+  let text = address.toLowerCase().replace(/%.*$/, '');
+  const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted[1].split('.').map(Number);
+    text = `${text.substring(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const [head, tail] = text.includes('::') ? text.split('::') : [text, null];
+  const left = head ? head.split(':') : [];
+  const right = tail ? tail.split(':') : [];
+  const zeros = tail === null ? [] : new Array(8 - left.length - right.length).fill('0');
+  return [...left, ...zeros, ...right].map(group => parseInt(group, 16));
+}
+
+function groupsToIPv4(high, low) {
+  return [high >> 8, high & 0xff, low >> 8, low & 0xff].join('.');
+}
+
+// Loopback, private, link-local, site-local, multicast and reserved ranges,
+// including IPv4 addresses carried inside IPv6 (mapped, compatible, NAT64,
+// 6to4). Anything that isn't an IP address counts as private.
+function isPrivateAddress(address) {
+  if (net.isIPv4(address)) return isPrivateIPv4(address);
+  if (!net.isIPv6(address)) return true;
+
+  const groups = ipv6Groups(address);
+  const [first] = groups;
+  const zeroPrefix = groups.slice(0, 5).every(group => group === 0);
+  if (zeroPrefix && (groups[5] === 0xffff || groups[5] === 0)) {
+    // ::ffff:a.b.c.d (mapped), ::a.b.c.d (compatible), :: and ::1
+    return groups[5] === 0 && groups[6] === 0 && groups[7] <= 1 ? true : isPrivateIPv4(groupsToIPv4(groups[6], groups[7]));
+  }
+  if (first === 0x64 && groups[1] === 0xff9b) return isPrivateIPv4(groupsToIPv4(groups[6], groups[7]));
+  if (first === 0x2002) return isPrivateIPv4(groupsToIPv4(groups[1], groups[2]));
+
+  return (first & 0xfe00) === 0xfc00 || // fc00::/7 unique local
+    (first & 0xffc0) === 0xfe80 || // fe80::/10 link-local
+    (first & 0xffc0) === 0xfec0 || // fec0::/10 site-local
+    (first & 0xff00) === 0xff00; // ff00::/8 multicast
+}
+
+// Only public http(s) hosts, so a pasted link can't reach internal services.
+// Returns null when the URL is fine, else { error, status }.
+async function checkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return { error: 'That is not a valid URL', status: 400 };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { error: 'Only http and https links can be imported', status: 400 };
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (host === 'localhost' || host.endsWith('.local') || host.endsWith('.internal')) {
+    return { error: 'That address is not reachable', status: 400 };
+  }
+  const addresses = net.isIP(host) ? [{ address: host }] : await dns.promises.lookup(host, { all: true }).catch(() => []);
+  if (addresses.length === 0) {
+    return { error: `Could not find ${host}`, status: 502 };
+  }
+  if (addresses.some(a => isPrivateAddress(a.address))) {
+    return { error: 'That address is not reachable', status: 400 };
+  }
+  return null;
+}
+
+// The lookup for the request's socket. checkUrl resolves the host once for a
+// clear error, but DNS can answer differently a moment later, so the address
+// the socket actually connects to is checked here as well.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(a => isPrivateAddress(a.address))) {
+      return callback(Object.assign(new Error(`${hostname} resolves to a private address`), { code: 'EPRIVATEADDR' }));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// GET through publicLookup; resolves with the response once headers arrive
+function request(url, signal) {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    client.get(url, {
+      lookup: publicLookup,
+      signal,
+      headers: { 'User-Agent': USER_AGENT, 'Accept': 'text/html,application/xhtml+xml', 'Accept-Encoding': 'gzip, deflate, br' }
+    }, resolve).on('error', reject);
+  });
+}
+
+const DECODERS = { gzip: zlib.createGunzip, 'x-gzip': zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress };
+
+// Reads at most MAX_PAGE_BYTES (after decompression); recipe data sits near
+// the top of most pages, so a long page is truncated rather than rejected
+async function readBody(response) {
+  const declared = parseInt(response.headers['content-length'], 10);
+  if (declared > MAX_PAGE_BYTES * 5) {
+    response.destroy();
+    return { error: 'That page is too large to import', status: 413 };
+  }
+
+  const decoder = DECODERS[String(response.headers['content-encoding'] || '').toLowerCase()];
+  const body = decoder ? pipeline(response, decoder(), () => {}) : response;
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  for await (const chunk of body) {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size >= MAX_PAGE_BYTES) {
+      truncated = true;
+      break;
+    }
+  }
+  response.destroy();
+  return { html: Buffer.concat(chunks).subarray(0, MAX_PAGE_BYTES).toString('utf8'), truncated };
+}
+
+/**
+ * Downloads a page, following up to MAX_REDIRECTS redirects (each target is
+ * checked again, and every connection goes through publicLookup).
+ * Returns { url, html, truncated } or { error, status }.
+ */
+async function fetchPage(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    let current = url;
+    for (let redirects = 0; ; redirects++) {
+      const invalid = await checkUrl(current);
+      if (invalid) return invalid;
+
+      const response = await request(current, controller.signal);
+      const status = response.statusCode;
+
+      if (status >= 300 && status < 400 && response.headers.location) {
+        response.destroy();
+        if (redirects >= MAX_REDIRECTS) return { error: 'That link redirects too many times', status: 502 };
+        current = new URL(response.headers.location, current).href;
+        continue;
+      }
+      if (status < 200 || status >= 300) {
+        response.destroy();
+        return { error: `The page returned HTTP ${status}`, status: 502 };
+      }
+      const type = response.headers['content-type'] || '';
+      if (type && !/html|xml|text\/plain/i.test(type)) {
+        response.destroy();
+        return { error: `That link is not a web page (${type.split(';')[0]})`, status: 415 };
+      }
+
+      const body = await readBody(response);
+      return body.error ? body : { url: current, ...body };
+    }
+  } catch (error) {
+    // An abort mid-body surfaces as a reset socket rather than an AbortError
+    if (controller.signal.aborted) {
+      return { error: `The page took longer than ${FETCH_TIMEOUT_MS / 1000}s to load`, status: 504 };
+    }
+    if (error.code === 'EPRIVATEADDR') {
+      return { error: 'That address is not reachable', status: 400 };
+    }
+    console.error('Recipe page: Error fetching page:', error);
+    return { error: 'Could not load the page', status: 502 };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ==============================================
+// STRUCTURED DATA
+// ==============================================
+function decodeEntities(text) {
+  return String(text || '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0*39;|&apos;|&rsquo;|&lsquo;/g, "'")
+    .replace(/&ldquo;|&rdquo;/g, '"')
+    .replace(/&ndash;|&mdash;/g, '-')
+    .replace(/&frac12;/g, '1/2')
+    .replace(/&frac14;/g, '1/4')
+    .replace(/&frac34;/g, '3/4')
+    .replace(/&deg;/g, '°')
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)));
+}
+
+function attribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+// Index just past the element that opens at `start`, counting nested tags of
+// the same name; the end of the document when it never closes
+function elementEnd(html, start, tagName) {
+  const pattern = new RegExp(`<(/?)${tagName}\\b[^>]*?(/?)>`, 'gi');
+  pattern.lastIndex = start;
+  let depth = 0;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    if (match[1]) depth--;
+    else if (!match[2]) depth++;
+    if (depth === 0) return pattern.lastIndex;
+  }
+  return html.length;
+}
+
+function innerText(fragment) {
+  return decodeEntities(fragment.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+const VOID_TAGS = ['meta', 'link', 'img', 'br', 'input', 'source'];
+
+/**
+ * schema.org microdata (itemscope itemtype=".../Recipe") as a JSON-LD-shaped
+ * node, or null. Properties that repeat (recipeIngredient, recipeInstructions)
+ * become arrays.
+ */
+function extractMicrodata(html) {
+  const scope = html.match(/<([a-z0-9]+)\b[^>]*itemtype\s*=\s*["'][^"']*schema\.org\/Recipe["'][^>]*>/i);
+  if (!scope) return null;
+
+  const start = scope.index;
+  const region = html.substring(start, elementEnd(html, start, scope[1]));
+  const node = { '@type': 'Recipe' };
+  const pattern = /<([a-z0-9]+)\b[^>]*\sitemprop\s*=\s*["']([^"']+)["'][^>]*>/gi;
+  let match;
+  while ((match = pattern.exec(region)) !== null) {
+    const [tag, tagName, props] = match;
+    const name = tagName.toLowerCase();
+    let value = attribute(tag, 'content') ?? (name === 'time' ? attribute(tag, 'datetime') : null);
+    if (value === null && !VOID_TAGS.includes(name)) {
+      const end = elementEnd(region, match.index, name);
+      value = innerText(region.substring(match.index + tag.length, end));
+      // A nested itemscope (HowToStep, NutritionInformation) is read as one value
+      if (/\sitemscope\b/i.test(tag)) pattern.lastIndex = end;
+    }
+    if (value === null && name === 'link') value = attribute(tag, 'href');
+    if (!value) continue;
+
+    for (const prop of props.split(/\s+/)) {
+      // Older markup uses "ingredients"; schema.org now calls it recipeIngredient
+      const key = prop === 'ingredients' ? 'recipeIngredient' : prop;
+      if (['recipeIngredient', 'recipeInstructions', 'tool', 'recipeCategory', 'suitableForDiet'].includes(key)) {
+        node[key] = [...(node[key] || []), value];
+      } else if (node[key] === undefined) {
+        node[key] = value;
+      }
+    }
+  }
+  return node.name && (node.recipeIngredient || node.recipeInstructions) ? node : null;
+}
+
+/**
+ * The page's own recipe, mapped onto learn_url's recipe_data structure.
+ * Returns { recipe, tags, method: 'json-ld' | 'microdata' } or null.
+ */
+function extractStructuredRecipe(html) {
+  const jsonLd = recipeFormats.findJsonLdRecipes(recipeFormats.extractJsonLdScripts(html))
+    .find(node => node.recipeIngredient || node.recipeInstructions);
+  if (jsonLd) return { ...recipeFormats.fromJsonLd(jsonLd), method: 'json-ld' };
+
+  const microdata = extractMicrodata(html);
+  if (microdata) return { ...recipeFormats.fromJsonLd(microdata), method: 'microdata' };
+
+  return null;
+}
+
+// ==============================================
+// MAIN TEXT
+// ==============================================
+function metaContent(html, key) {
+  const tag = html.match(new RegExp(`<meta\\b[^>]*(?:name|property)\\s*=\\s*["']${key}["'][^>]*>`, 'i'));
+  return tag ? attribute(tag[0], 'content') : null;
+}
+
+function stripTags(html, tags) {
+  return tags.reduce((out, tag) => out.replace(new RegExp(`<${tag}\\b[\\s\\S]*?</${tag}>`, 'gi'), ' '), html);
+}
+
+// The recipe plugin's container, else <article>, else <main>, else <body>
+function mainRegion(html) {
+  for (const pattern of RECIPE_CONTAINERS) {
+    const tags = html.matchAll(/<(div|section|article)\b[^>]*\b(?:class|id)\s*=\s*["']([^"']*)["'][^>]*>/gi);
+    for (const tag of tags) {
+      if (!pattern.test(tag[2].toLowerCase())) continue;
+      const region = html.substring(tag.index, elementEnd(html, tag.index, tag[1]));
+      if (innerText(region).length >= 200) return region;
+    }
+  }
+  for (const tagName of ['article', 'main', 'body']) {
+    const tag = html.match(new RegExp(`<${tagName}\\b[^>]*>`, 'i'));
+    if (tag) return html.substring(tag.index, elementEnd(html, tag.index, tagName));
+  }
+  return html;
+}
+
+/**
+ * Readable text of the page's main content with its title and description,
+ * capped at MAX_TEXT_CHARS. Returns { title, text }.
+ */
+function extractMainText(html) {
+  const title = metaContent(html, 'og:title') || innerText((html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i) || [])[1] || '');
+  const description = metaContent(html, 'og:description') || metaContent(html, 'description');
+
+  let region = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  region = stripTags(region, BOILERPLATE_TAGS);
+  region = mainRegion(region);
+  const text = decodeEntities(region
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(new RegExp(`<(?:${BLOCK_TAGS})\\b[^>]*>`, 'gi'), '\n')
+    .replace(new RegExp(`</(?:${BLOCK_TAGS})>`, 'gi'), '\n')
+    .replace(/<[^>]*>/g, ' '))
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+
+  const combined = [description && `Description: ${description}`, text].filter(Boolean).join('\n\n');
+  return { title, text: combined.substring(0, MAX_TEXT_CHARS) };
+}
+
+/**
+ * Fetches a recipe page and reads it. Returns
+ * { url, recipe, tags, method } when the page has structured data,
+ * { url, title, text, method: 'text' } for the model to extract from,
+ * or { error, status }.
+ */
+async function loadRecipePage(url) {
+  const page = await fetchPage(url);
+  if (page.error) return page;
+
+  const structured = extractStructuredRecipe(page.html);
+  if (structured) {
+    structured.recipe.source_url = page.url;
+    console.log(`🌐 Read recipe from ${structured.method} on ${page.url}`);
+    return { url: page.url, ...structured };
+  }
+
+  const { title, text } = extractMainText(page.html);
+  console.log(`🌐 No structured recipe on ${page.url}; extracted ${text.length} chars of text${page.truncated ? ' (page truncated)' : ''}`);
+  return { url: page.url, title, text, method: 'text' };
+}
+
+module.exports = {
+  MAX_TEXT_CHARS,
+  isPrivateAddress,
+  fetchPage,
+  extractMicrodata,
+  extractStructuredRecipe,
+  extractMainText,
+  loadRecipePage
+};
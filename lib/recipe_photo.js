@@ -0,0 +1,232 @@
+// lib/recipe_photo.js
+// Recipes from photos: handwritten family recipe cards and cookbook pages.
+// The photos come in through api/analyze_image.js (mode "recipe"), are read
+// into recipe_data - the same shape api/learn_url.js saves - and come back
+// as a draft with the parts the model couldn't read clearly flagged. Nothing
+// is saved until the user has checked the draft and sends it back to
+// save_photo_recipe, which stores it with source_type 'photo'.
+const llm = require('./llm');
+const nutrition = require('./nutrition');
+const dietary = require('./dietary');
+const media = require('./media');
+const { toRecipeData } = require('./recipe_formats');
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError } = require('./actions');
+
+const MODE = 'recipe';
+const MAX_NOTE_LENGTH = 500;
+const MAX_TRANSCRIPTION_LENGTH = 10000;
+
+// recipe_data fields a saved draft may carry; anything else is dropped
+const RECIPE_FIELDS = [
+  'title', 'description', 'servings', 'prep_time', 'cook_time', 'total_time', 'difficulty',
+  'ingredients', 'steps', 'equipment', 'tips', 'substitutions', 'dietary_tags', 'cuisine'
+];
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  servings: 'Servings',
+  prep_time: 'Prep time',
+  cook_time: 'Cook time',
+  total_time: 'Total time',
+  ingredients: 'Ingredients',
+  steps: 'Steps',
+  tips: 'Tips'
+};
+const ITEM_LABELS = { ingredients: 'Ingredient', steps: 'Step' };
+
+function canSaveRecipes(userId) {
+  return !!supabase && isValidUUID(userId);
+}
+
+function buildPrompt(pageCount, note) {
+  const pages = pageCount > 1 ? `${pageCount} photos of the same recipe, in page order` : 'a photo of a recipe';
+  return `You are digitizing ${pages}: a handwritten recipe card or a page from a cookbook.
+
+1. Transcribe the text exactly as written into "transcription", keeping the line breaks. Leave out anything that isn't part of the recipe (page numbers, other recipes on the page).
+2. Structure it: title, ingredients with their amounts as written (expand abbreviations such as "c" to "cup" and "T" to "tbsp"), and steps numbered from 1. Split run-on instructions into steps, but never add ingredients, steps, amounts, temperatures or times the page doesn't give. Leave out anything it doesn't say (null or an empty list).
+3. Handwriting is often hard to read. For every value you had to guess - a smudged amount, an unclear word, a servings or time you estimated - add an entry to "uncertain" with the field, the ingredient or step number (null for the whole field) and what is unclear. Leave "uncertain" empty only when everything is legible.
+If the photos don't show a recipe, set "is_recipe" to false, give what they show as the title and leave the lists empty.${note ? `\n\nNote from the cook: ${String(note).substring(0, MAX_NOTE_LENGTH)}` : ''}`;
+}
+
+/**
+ * The flags the user should check, with references that don't point at an
+ * existing ingredient or step dropped: [{ field, index, label, reason }],
+ * where index is the 0-based ingredient or step (null for the whole field).
+ */
+function toReview(uncertain, recipe) {
+  const review = [];
+  const seen = new Set();
+  for (const { field, number, reason } of uncertain || []) {
+    const list = Array.isArray(recipe[field]) ? recipe[field] : null;
+    const index = list && number ? number - 1 : null;
+    if (list && index !== null && index >= list.length) continue;
+
+    const key = `${field}:${index}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    const label = index !== null ? `${ITEM_LABELS[field]} ${index + 1}` : FIELD_LABELS[field] || field;
+    review.push({ field, index, label, reason });
+  }
+  return review;
+}
+
+/**
+ * Reads a recipe from page photos ([{ buffer, mimeType }]). `note` is
+ * anything the cook adds ("the second page is the sauce").
+ * Returns { recipe, review, transcription } or { error, status, code }.
+ */
+async function transcribeRecipe(images, { note = null } = {}) {
+  let extracted;
+  try {
+    extracted = await llm.generateStructured({
+      task: 'recipe_transcription',
+      schema: llm.schemas.RECIPE_TRANSCRIPTION,
+      prompt: buildPrompt(images.length, note),
+      images: images.map(image => ({ data: image.buffer.toString('base64'), mimeType: image.mimeType })),
+      userText: note || MODE
+    });
+  } catch (error) {
+    if (!(error instanceof llm.StructuredOutputError)) throw error;
+    console.error(`Recipe photo: transcription failed (${error.code}) after ${error.attempts} attempt(s):`, error.validationErrors);
+    return { error: 'Could not read a recipe from those photos', status: 502, code: error.code };
+  }
+
+  if (!extracted.is_recipe || extracted.ingredients.length === 0) {
+    return { error: 'No recipe found in those photos', status: 422, code: 'no_recipe' };
+  }
+
+  const recipe = toRecipeData(extracted);
+  const review = toReview(extracted.uncertain, recipe);
+  console.log(`📝 Read "${recipe.title}" from ${images.length} photo(s), ${review.length} field(s) to review`);
+  return { recipe, review, transcription: extracted.transcription };
+}
+
+function cleanText(value) {
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// A reviewed draft back into recipe_data: empty rows are dropped and steps renumbered
+function cleanRecipe(draft) {
+  if (!draft || typeof draft !== 'object') return { error: 'recipe is required' };
+
+  const recipe = {};
+  for (const field of RECIPE_FIELDS) {
+    if (draft[field] !== undefined) recipe[field] = draft[field];
+  }
+  recipe.title = cleanText(recipe.title);
+  if (!recipe.title) return { error: 'recipe.title is required' };
+
+  recipe.ingredients = (Array.isArray(recipe.ingredients) ? recipe.ingredients : [])
+    .filter(i => i && cleanText(i.name))
+    .map(i => ({ name: cleanText(i.name), amount: cleanText(i.amount) || '', notes: cleanText(i.notes) }));
+  if (recipe.ingredients.length === 0) return { error: 'recipe.ingredients must list at least one ingredient' };
+
+  recipe.steps = (Array.isArray(recipe.steps) ? recipe.steps : [])
+    .filter(s => s && cleanText(s.instruction))
+    .map((s, i) => ({ step: i + 1, instruction: cleanText(s.instruction), tips: cleanText(s.tips), timing: cleanText(s.timing) }));
+
+  const servings = parseInt(recipe.servings, 10);
+  recipe.servings = servings > 0 ? servings : null;
+  if (!recipe.substitutions || typeof recipe.substitutions !== 'object' || Array.isArray(recipe.substitutions)) {
+    recipe.substitutions = {};
+  }
+  return { recipe };
+}
+
+/**
+ * Saves a reviewed draft to saved_recipes with source_type 'photo' and links
+ * the photos it was read from (media_ids) to it. `transcription` is kept in
+ * recipe_data so the original wording isn't lost.
+ * Returns { recipe_id, recipe, photos_linked, nutrition, dietary_warnings } or { error, status }.
+ */
+async function savePhotoRecipe(userId, { recipe: draft, transcription, media_ids = [] } = {}) {
+  if (!canSaveRecipes(userId)) return { error: 'Sign in to save recipes', status: 400 };
+
+  const cleaned = cleanRecipe(draft);
+  if (cleaned.error) return { error: cleaned.error, status: 400 };
+  const recipe = cleaned.recipe;
+  if (cleanText(transcription)) recipe.transcription = transcription.trim().substring(0, MAX_TRANSCRIPTION_LENGTH);
+
+  try {
+    const { data: saved, error } = await supabase
+      .from('saved_recipes')
+      .insert({
+        user_id: userId,
+        title: recipe.title,
+        recipe_data: recipe,
+        source_url: '',
+        source_type: 'photo',
+        tags: [...new Set(recipe.dietary_tags || [])],
+        difficulty: recipe.difficulty || 'medium',
+        prep_time: recipe.prep_time ? parseInt(recipe.prep_time) : null,
+        cook_time: recipe.cook_time ? parseInt(recipe.cook_time) : null,
+        servings: recipe.servings || 4
+      })
+      .select('id')
+      .single();
+    if (error) throw error;
+    console.log(`📝 Saved photo recipe "${recipe.title}" (${saved.id}) for ${userId}`);
+
+    let photosLinked = 0;
+    for (const id of (Array.isArray(media_ids) ? media_ids : []).filter(isValidUUID)) {
+      const linked = await media.linkMedia(userId, id, { recipe_id: saved.id });
+      if (linked.error) {
+        console.warn(`Recipe photo: Could not link photo ${id}:`, linked.error);
+      } else {
+        photosLinked++;
+      }
+    }
+
+    let nutritionData = null;
+    let dietaryWarnings = null;
+    try {
+      nutritionData = await nutrition.analyzeRecipe(recipe);
+    } catch (nutritionError) {
+      console.error('Nutrition analysis failed for photo recipe:', nutritionError);
+    }
+    try {
+      dietaryWarnings = dietary.checkRecipe(recipe, await dietary.getRestrictions(userId));
+    } catch (dietaryError) {
+      console.error('Dietary check failed for photo recipe:', dietaryError);
+    }
+
+    return {
+      recipe_id: saved.id,
+      recipe,
+      photos_linked: photosLinked,
+      nutrition: nutritionData,
+      dietary_warnings: dietaryWarnings
+    };
+  } catch (error) {
+    console.error('Recipe photo: Error saving recipe:', error);
+    return { error: 'Failed to save recipe', status: 500 };
+  }
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+
+// { recipe, transcription?, media_ids? } - the draft from analyze_image's recipe mode, after review
+async function savePhotoRecipeAction(userId, params) {
+  const result = await savePhotoRecipe(userId, params);
+  if (!result.error) return actionOk(result);
+  return result.status === 400
+    ? actionError(400, 'Invalid request', result.error)
+    : actionError(result.status || 500, result.error);
+}
+
+const actions = {
+  save_photo_recipe: savePhotoRecipeAction
+};
+
+module.exports = {
+  MODE,
+  toReview,
+  transcribeRecipe,
+  savePhotoRecipe,
+  actions
+};
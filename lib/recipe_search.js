@@ -0,0 +1,288 @@
+// lib/recipe_search.js
+// Search over a user's whole saved-recipe library: free text across title,
+// ingredients, tags, cuisine and description, plus filters for tags,
+// cuisine, difficulty, total time, ingredients, rating and save date.
+// Libraries are personal (hundreds of rows, not millions), so rows are
+// filtered by date in the query and scored here, which also lets partial
+// words match ("lasag" finds "Lasagna Bolognese").
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError } = require('./actions');
+
+const SEARCH_FIELDS = 'id, title, recipe_data, tags, difficulty, prep_time, cook_time, servings, rating, source_type, source_url, created_at, times_cooked, last_cooked_at, notes, version';
+const MAX_SCAN_ROWS = 2000;
+const MAX_LIMIT = 50;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const SORTS = ['relevance', 'recent', 'rating', 'quickest', 'most_cooked'];
+// Where a query word was found, and what that's worth
+const FIELD_WEIGHTS = { title: 5, tags: 3, cuisine: 3, ingredients: 2, description: 1 };
+// Words that say "a recipe of mine" rather than which one
+const STOPWORDS = new Set(['a', 'an', 'the', 'and', 'or', 'of', 'with', 'for', 'to', 'in', 'on', 'my', 'me', 'i', 'that', 'this', 'those', 'one', 'some', 'recipe', 'recipes', 'saved', 'save', 'made', 'dish', 'from', 'last', 'week', 'month', 'year', 'ago', 'thing']);
+
+function canSearchRecipes(userId) {
+  return !!supabase && isValidUUID(userId);
+}
+
+function normalize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function queryWords(query) {
+  return normalize(query).split(' ').filter(word => word.length > 1 && !STOPWORDS.has(word));
+}
+
+// "1 hour 15 minutes", "PT45M", 30 -> minutes, or null
+function toMinutes(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? value : null;
+
+  const text = String(value).toLowerCase();
+  const iso = text.match(/^pt(?:(\d+)h)?(?:(\d+)m)?/);
+  if (iso && (iso[1] || iso[2])) return (parseInt(iso[1] || 0, 10) * 60) + parseInt(iso[2] || 0, 10);
+
+  const hours = text.match(/(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hour|hours)\b/);
+  const minutes = text.match(/(\d+)\s*(?:m|min|mins|minute|minutes)\b/);
+  if (hours || minutes) return Math.round((hours ? parseFloat(hours[1]) * 60 : 0) + (minutes ? parseInt(minutes[1], 10) : 0));
+
+  const plain = parseInt(text, 10);
+  return plain > 0 ? plain : null;
+}
+
+function ingredientNames(recipeData) {
+  return (recipeData?.ingredients || []).map(item => (typeof item === 'string' ? item : item?.name || '')).filter(Boolean);
+}
+
+// Text of each searchable field, normalized once per row
+function indexRecipe(row) {
+  const data = row.recipe_data || {};
+  return {
+    title: normalize(row.title),
+    tags: normalize([...(row.tags || []), ...(data.dietary_tags || [])].join(' ')),
+    cuisine: normalize(data.cuisine),
+    ingredients: normalize(ingredientNames(data).join(' ')),
+    description: normalize(data.description)
+  };
+}
+
+function wordIn(text, word) {
+  // Whole words, or the start of one once the user has typed a few letters
+  return word.length >= 4
+    ? new RegExp(`(^|\\s|-)${word}`).test(text)
+    : ` ${text} `.includes(` ${word} `);
+}
+
+/**
+ * Scores a row against the query words: every word has to appear in some
+ * field. Returns { score, matched_in } or null when a word is missing.
+ */
+function scoreRecipe(index, words) {
+  let score = 0;
+  const matchedIn = new Set();
+  for (const word of words) {
+    const fields = Object.keys(FIELD_WEIGHTS).filter(field => wordIn(index[field], word));
+    if (fields.length === 0) return null;
+    fields.forEach(field => matchedIn.add(field));
+    score += Math.max(...fields.map(field => FIELD_WEIGHTS[field]));
+  }
+  if (words.length > 1 && index.title.includes(words.join(' '))) score += 5;
+  return { score, matched_in: [...matchedIn] };
+}
+
+function totalMinutes(row) {
+  const data = row.recipe_data || {};
+  const total = toMinutes(data.total_time);
+  if (total) return total;
+  const prep = toMinutes(row.prep_time ?? data.prep_time);
+  const cook = toMinutes(row.cook_time ?? data.cook_time);
+  return prep || cook ? (prep || 0) + (cook || 0) : null;
+}
+
+function toSummary(row, match = null) {
+  const data = row.recipe_data || {};
+  return {
+    id: row.id,
+    title: row.title,
+    cuisine: data.cuisine && data.cuisine !== 'Unknown' ? data.cuisine : null,
+    tags: row.tags || [],
+    difficulty: row.difficulty || data.difficulty || null,
+    total_minutes: totalMinutes(row),
+    servings: row.servings || data.servings || null,
+    rating: row.rating || null,
+    notes: row.notes || null,
+    version: row.version || 1,
+    ingredient_count: ingredientNames(data).length,
+    times_cooked: row.times_cooked || 0,
+    last_cooked_at: row.last_cooked_at || null,
+    source_type: row.source_type || null,
+    created_at: row.created_at,
+    ...(match ? { score: match.score, matched_in: match.matched_in } : {})
+  };
+}
+
+function listParam(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(',')).map(normalize).filter(Boolean);
+}
+
+/**
+ * Checks search params. Returns { filters } or { error }.
+ * query, tags, cuisine, difficulty, max_minutes, ingredients,
+ * exclude_ingredients, min_rating, saved_after, saved_before, sort, limit, offset
+ */
+function parseFilters(params = {}) {
+  const difficulty = params.difficulty ? normalize(params.difficulty) : null;
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    return { error: `difficulty must be one of: ${DIFFICULTIES.join(', ')}` };
+  }
+  const maxMinutes = params.max_minutes !== undefined && params.max_minutes !== null && params.max_minutes !== '' ? Number(params.max_minutes) : null;
+  if (maxMinutes !== null && !(maxMinutes > 0)) return { error: 'max_minutes must be a positive number' };
+  const minRating = params.min_rating ? Number(params.min_rating) : null;
+  if (minRating !== null && !(minRating >= 1 && minRating <= 5)) return { error: 'min_rating must be from 1 to 5' };
+  for (const field of ['saved_after', 'saved_before']) {
+    if (params[field] && isNaN(new Date(params[field]).getTime())) return { error: `${field} must be a date like 2025-01-31` };
+  }
+
+  const words = queryWords(params.query);
+  const sort = params.sort || (words.length > 0 ? 'relevance' : 'recent');
+  if (!SORTS.includes(sort)) return { error: `sort must be one of: ${SORTS.join(', ')}` };
+
+  return {
+    filters: {
+      words,
+      tags: listParam(params.tags),
+      cuisine: params.cuisine ? normalize(params.cuisine) : null,
+      difficulty,
+      maxMinutes,
+      ingredients: listParam(params.ingredients),
+      excludeIngredients: listParam(params.exclude_ingredients),
+      minRating,
+      savedAfter: params.saved_after || null,
+      savedBefore: params.saved_before || null,
+      sort,
+      limit: Math.min(Math.max(parseInt(params.limit, 10) || 20, 1), MAX_LIMIT),
+      offset: Math.max(parseInt(params.offset, 10) || 0, 0)
+    }
+  };
+}
+
+function passesFilters(row, index, filters) {
+  if (filters.tags.length > 0 && !filters.tags.every(tag => wordIn(index.tags, tag))) return false;
+  if (filters.cuisine && !index.cuisine.includes(filters.cuisine) && !wordIn(index.tags, filters.cuisine)) return false;
+  if (filters.difficulty && normalize(row.difficulty || row.recipe_data?.difficulty) !== filters.difficulty) return false;
+  if (filters.maxMinutes) {
+    const minutes = totalMinutes(row);
+    if (minutes === null || minutes > filters.maxMinutes) return false;
+  }
+  if (filters.ingredients.some(name => !wordIn(index.ingredients, name))) return false;
+  if (filters.excludeIngredients.some(name => wordIn(index.ingredients, name))) return false;
+  if (filters.minRating && !(row.rating >= filters.minRating)) return false;
+  return true;
+}
+
+const SORTERS = {
+  relevance: (a, b) => (b.match?.score || 0) - (a.match?.score || 0),
+  recent: () => 0,
+  rating: (a, b) => (b.row.rating || 0) - (a.row.rating || 0),
+  quickest: (a, b) => (totalMinutes(a.row) ?? Infinity) - (totalMinutes(b.row) ?? Infinity),
+  most_cooked: (a, b) => (b.row.times_cooked || 0) - (a.row.times_cooked || 0)
+};
+
+/**
+ * Searches the library. Returns { recipes, total, query_words } where each
+ * recipe is a summary (no recipe_data), or { error }. Ties go to the most
+ * recently saved recipe.
+ */
+async function searchRecipes(userId, params = {}) {
+  if (!canSearchRecipes(userId)) {
+    return { error: 'Sign in to search your recipes' };
+  }
+
+  const { filters, error: filterError } = parseFilters(params);
+  if (filterError) return { error: filterError };
+
+  let query = supabase
+    .from('saved_recipes')
+    .select(SEARCH_FIELDS)
+    .eq('user_id', userId);
+  if (filters.savedAfter) query = query.gte('created_at', filters.savedAfter);
+  if (filters.savedBefore) query = query.lte('created_at', filters.savedBefore);
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(MAX_SCAN_ROWS);
+
+  if (error) {
+    console.error('Recipe search: Error loading recipes:', error);
+    return { error: 'Failed to search recipes' };
+  }
+
+  const results = [];
+  for (const row of data || []) {
+    const index = indexRecipe(row);
+    if (!passesFilters(row, index, filters)) continue;
+    const match = filters.words.length > 0 ? scoreRecipe(index, filters.words) : null;
+    if (filters.words.length > 0 && !match) continue;
+    results.push({ row, match });
+  }
+
+  // Array.prototype.sort is stable, so equal entries keep newest-first order
+  results.sort(SORTERS[filters.sort]);
+
+  return {
+    recipes: results.slice(filters.offset, filters.offset + filters.limit).map(r => toSummary(r.row, r.match)),
+    total: results.length,
+    query_words: filters.words
+  };
+}
+
+/**
+ * The best match with its full recipe_data, plus the runners-up as
+ * summaries. Returns { recipe, others } (recipe null when nothing matches)
+ * or { error }.
+ */
+async function findRecipe(userId, params = {}) {
+  const result = await searchRecipes(userId, { ...params, limit: 5, offset: 0 });
+  if (result.error) return result;
+  if (result.recipes.length === 0) return { recipe: null, others: [], total: 0 };
+
+  const { data, error } = await supabase
+    .from('saved_recipes')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('id', result.recipes[0].id)
+    .maybeSingle();
+
+  if (error || !data) {
+    console.error('Recipe search: Error loading best match:', error);
+    return { error: 'Failed to load recipe' };
+  }
+  return { recipe: data, others: result.recipes.slice(1), total: result.total };
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+async function searchRecipesAction(userId, params) {
+  const result = await searchRecipes(userId, params);
+  if (result.error) {
+    return /^Failed/.test(result.error) ? actionError(500, result.error) : actionError(400, 'Invalid request', result.error);
+  }
+  return actionOk(result);
+}
+
+const actions = {
+  search_recipes: searchRecipesAction
+};
+
+module.exports = {
+  SORTS,
+  toMinutes,
+  searchRecipes,
+  findRecipe,
+  actions
+};
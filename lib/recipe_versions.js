@@ -0,0 +1,468 @@
+// lib/recipe_versions.js
+// Editing saved recipes with a version history. saved_recipes always holds
+// the latest version, so chat guidance, cooking sessions and the shopping
+// list pick up edits without knowing about versions. Every content edit is
+// also written to recipe_versions (version 1 is recorded lazily on the first
+// edit), so a recipe's history can be listed and any version restored -
+// restoring adds a new version rather than rewriting history. Personal notes
+// and star ratings are about the user, not the recipe, and aren't versioned.
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError, pickFields, requireId } = require('./actions');
+const quantities = require('./quantities');
+const scaling = require('./scaling');
+
+// Columns that make up a version of a recipe
+const VERSIONED_FIELDS = ['title', 'recipe_data', 'tags', 'difficulty', 'prep_time', 'cook_time', 'servings'];
+const VERSION_FIELDS = `id, recipe_id, version, ${VERSIONED_FIELDS.join(', ')}, change_summary, created_at`;
+const MAX_NOTES_LENGTH = 2000;
+const MAX_SUMMARY_LENGTH = 200;
+
+function canEditRecipes(userId) {
+  return !!supabase && isValidUUID(userId);
+}
+
+function normalize(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+async function loadRecipe(userId, recipeId) {
+  const { data, error } = await supabase
+    .from('saved_recipes')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('id', recipeId)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// ==============================================
+// EDITS
+// ==============================================
+// "the olive oil" names the same ingredient as "olive oil"
+const FILLER_WORDS = ['the', 'a', 'an', 'some', 'my', 'of'];
+
+function nameWords(text) {
+  return normalize(text).replace(/[^a-z0-9\s-]/g, ' ').split(/\s+/).filter(word => word && !FILLER_WORDS.includes(word));
+}
+
+function sameWord(a, b) {
+  return a === b || `${a}s` === b || `${b}s` === a || `${a}es` === b || `${b}es` === a;
+}
+
+/**
+ * The ingredient the user means: an exact name first, else names containing
+ * every word given ("oil" is "olive oil", never "boiling water"), closest
+ * (fewest extra words) first. Returns { index } or { error } when nothing or
+ * more than one equally close ingredient matches.
+ */
+function findIngredientIndex(ingredients, name) {
+  const wanted = nameWords(name);
+  if (wanted.length === 0) return { error: 'Ingredient name is required' };
+
+  const names = ingredients.map(item => quantities.parseIngredient(item).name || '');
+  const candidates = names
+    .map((ingredientName, index) => ({ index, name: ingredientName, words: nameWords(ingredientName) }))
+    .filter(c => wanted.every(word => c.words.some(w => sameWord(w, word))))
+    .map(c => ({ ...c, extra: c.words.length - wanted.length }));
+  if (candidates.length === 0) return { error: `No ingredient matching "${name}" in this recipe` };
+
+  const closest = Math.min(...candidates.map(c => c.extra));
+  const best = candidates.filter(c => c.extra === closest);
+  if (best.length > 1) {
+    return { error: `Several ingredients match "${name}" (${best.map(c => c.name).join(', ')}) - which one?` };
+  }
+  return { index: best[0].index };
+}
+
+// Rebuilds an ingredient in the shape it was stored in (a line or an object)
+function writeIngredient(original, { name, amount, notes }) {
+  if (typeof original === 'string') {
+    return [amount, name].filter(Boolean).join(' ') + (notes ? `, ${notes}` : '');
+  }
+  const next = { ...original, name, amount: amount || '' };
+  if (notes) next.notes = notes;
+  else delete next.notes;
+  return next;
+}
+
+/**
+ * Applies chat-style edits to recipe_data:
+ * ingredient_changes [{ name, amount?, scale?, new_name?, notes?, remove? }],
+ * add_ingredients [{ name, amount?, notes? } | "1 tsp vanilla"],
+ * step_changes [{ step, instruction?, remove? }], add_steps ["..."],
+ * description, servings (the stated yield), scale_to_servings (rescales
+ * every amount). Returns { recipe_data, changes } or { error }.
+ */
+function applyEdits(recipeData, edits = {}, row = null) {
+  let data = { ...(recipeData || {}) };
+  const changes = [];
+
+  if (edits.scale_to_servings !== undefined && edits.scale_to_servings !== null) {
+    const scaled = scaling.scaleRecipe(data, { servings: edits.scale_to_servings }, row);
+    if (scaled.error) return { error: scaled.error };
+    data = { ...scaled.recipe, ingredients: scaled.recipe.ingredients.map(({ original_amount, ...item }) => item) };
+    changes.push(`rescaled to ${edits.scale_to_servings} servings`);
+  }
+
+  const ingredients = [...(data.ingredients || [])];
+  for (const change of Array.isArray(edits.ingredient_changes) ? edits.ingredient_changes : []) {
+    const found = findIngredientIndex(ingredients, change?.name);
+    if (found.error) return { error: found.error };
+    const index = found.index;
+
+    const original = ingredients[index];
+    const parsed = quantities.parseIngredient(original);
+    if (change.remove) {
+      ingredients.splice(index, 1);
+      changes.push(`removed ${parsed.name}`);
+      continue;
+    }
+
+    let amount = parsed.amount;
+    if (change.scale !== undefined && change.scale !== null) {
+      const factor = Number(change.scale);
+      if (!(factor > 0)) return { error: 'scale must be a positive number, e.g. 0.5 for half' };
+      if (parsed.quantity.min === null) return { error: `"${parsed.name}" has no amount to scale` };
+      amount = quantities.formatQuantity(quantities.scaleQuantity(parsed.quantity, factor));
+    }
+    if (change.amount !== undefined) amount = String(change.amount || '').trim();
+
+    const name = change.new_name ? String(change.new_name).trim() : parsed.name;
+    const notes = change.notes !== undefined ? change.notes : parsed.notes;
+    ingredients[index] = writeIngredient(original, { name, amount, notes });
+    changes.push(`${parsed.name}: ${[parsed.amount, '→', amount].join(' ').trim()}${name !== parsed.name ? ` (now ${name})` : ''}`);
+  }
+
+  for (const item of Array.isArray(edits.add_ingredients) ? edits.add_ingredients : []) {
+    const parsed = quantities.parseIngredient(item);
+    if (!parsed.name) continue;
+    // Follow the recipe's existing style
+    const asString = ingredients.length > 0 && typeof ingredients[0] === 'string';
+    ingredients.push(asString
+      ? [parsed.amount, parsed.name].filter(Boolean).join(' ')
+      : { name: parsed.name, amount: parsed.amount, ...(parsed.notes ? { notes: parsed.notes } : {}) });
+    changes.push(`added ${[parsed.amount, parsed.name].filter(Boolean).join(' ')}`);
+  }
+  if (edits.ingredient_changes || edits.add_ingredients) data.ingredients = ingredients;
+
+  if (Array.isArray(edits.step_changes) || Array.isArray(edits.add_steps)) {
+    let steps = (data.steps || []).map(step => (typeof step === 'string' ? { instruction: step } : { ...step }));
+    const removed = new Set();
+    for (const change of Array.isArray(edits.step_changes) ? edits.step_changes : []) {
+      const number = parseInt(change?.step, 10);
+      if (!(number >= 1 && number <= steps.length)) return { error: `This recipe has no step ${change?.step}` };
+      if (change.remove) {
+        removed.add(number);
+        changes.push(`removed step ${number}`);
+      } else if (change.instruction) {
+        steps[number - 1].instruction = String(change.instruction).trim();
+        changes.push(`rewrote step ${number}`);
+      }
+    }
+    steps = steps.filter((_, i) => !removed.has(i + 1));
+    for (const instruction of Array.isArray(edits.add_steps) ? edits.add_steps : []) {
+      if (typeof instruction === 'string' && instruction.trim()) steps.push({ step: steps.length + 1, instruction: instruction.trim() });
+    }
+    if (Array.isArray(edits.add_steps) && edits.add_steps.length > 0) changes.push(`added ${edits.add_steps.length} step${edits.add_steps.length === 1 ? '' : 's'}`);
+    // Renumber, keeping the { step, instruction } shape the importers use
+    data.steps = steps.map((step, i) => ({ ...step, step: i + 1 }));
+  }
+
+  if (edits.description !== undefined) {
+    data.description = edits.description;
+    changes.push('updated the description');
+  }
+  if (edits.servings !== undefined && edits.servings !== null) {
+    const servings = parseInt(edits.servings, 10);
+    if (!(servings >= 1)) return { error: 'servings must be a positive number' };
+    data.servings = servings;
+    changes.push(`makes ${servings} servings`);
+  }
+
+  return { recipe_data: data, changes };
+}
+
+/**
+ * Checks row-level updates (the dashboard/API shape). Returns the cleaned
+ * fields or { error }.
+ */
+function validateUpdates(updates) {
+  if (updates.title !== undefined && (typeof updates.title !== 'string' || !updates.title.trim())) {
+    return { error: 'title must be a non-empty string' };
+  }
+  if (updates.rating !== undefined && updates.rating !== null && !(Number.isInteger(updates.rating) && updates.rating >= 1 && updates.rating <= 5)) {
+    return { error: 'rating must be an integer from 1 to 5, or null to clear it' };
+  }
+  if (updates.tags !== undefined && !Array.isArray(updates.tags)) {
+    return { error: 'tags must be an array' };
+  }
+  if (updates.recipe_data !== undefined && (typeof updates.recipe_data !== 'object' || updates.recipe_data === null || Array.isArray(updates.recipe_data))) {
+    return { error: 'recipe_data must be an object' };
+  }
+  if (updates.notes !== undefined && updates.notes !== null && typeof updates.notes !== 'string') {
+    return { error: 'notes must be a string, or null to clear them' };
+  }
+  return null;
+}
+
+async function insertVersion(userId, recipeId, version, fields, summary) {
+  const { error } = await supabase
+    .from('recipe_versions')
+    .insert({
+      recipe_id: recipeId,
+      user_id: userId,
+      version,
+      ...pickFields(fields, VERSIONED_FIELDS),
+      change_summary: summary ? String(summary).substring(0, MAX_SUMMARY_LENGTH) : null
+    });
+  if (error) throw error;
+}
+
+/**
+ * Updates a saved recipe. `updates` holds row fields (title, recipe_data,
+ * tags, difficulty, prep_time, cook_time, servings, rating, notes); `edits`
+ * holds applyEdits() changes; `note` appends a dated personal note.
+ * Content changes create a new version with `summary` (or a generated one).
+ * Returns { recipe, version, versioned, summary, changes } or { error, status }.
+ */
+async function updateRecipe(userId, recipeId, { updates = {}, edits = null, note = null, summary = null } = {}) {
+  if (!canEditRecipes(userId)) {
+    return { error: 'Sign in to edit saved recipes', status: 401 };
+  }
+
+  const invalid = validateUpdates(updates);
+  if (invalid) return { ...invalid, status: 400 };
+
+  try {
+    const row = await loadRecipe(userId, recipeId);
+    if (!row) return { error: 'Recipe not found', status: 404 };
+
+    const next = pickFields(updates, VERSIONED_FIELDS);
+    const changes = [];
+    if (next.title !== undefined) {
+      next.title = next.title.trim();
+      if (next.title !== row.title) changes.push(`renamed to "${next.title}"`);
+    }
+    for (const field of ['tags', 'difficulty', 'prep_time', 'cook_time', 'servings']) {
+      if (next[field] !== undefined && !sameValue(next[field], row[field])) changes.push(`updated ${field.replace('_', ' ')}`);
+    }
+    if (edits) {
+      const applied = applyEdits(next.recipe_data || row.recipe_data, edits, row);
+      if (applied.error) return { error: applied.error, status: 400 };
+      next.recipe_data = applied.recipe_data;
+      changes.push(...applied.changes);
+      if (next.recipe_data.servings !== row.recipe_data?.servings && next.recipe_data.servings) next.servings = parseInt(next.recipe_data.servings, 10) || row.servings;
+    }
+    // recipe_data carries its own title (see saveRecipe); keep the two in step
+    if (next.title !== undefined && (next.recipe_data || row.recipe_data)) {
+      next.recipe_data = { ...(next.recipe_data || row.recipe_data), title: next.title };
+    }
+
+    const contentChanged = VERSIONED_FIELDS.some(field => next[field] !== undefined && !sameValue(next[field], row[field]));
+    const personal = {};
+    if (updates.rating !== undefined) personal.rating = updates.rating;
+    if (updates.notes !== undefined) personal.notes = updates.notes === null ? null : updates.notes.substring(0, MAX_NOTES_LENGTH);
+    if (note && String(note).trim()) {
+      const dated = `${new Date().toISOString().substring(0, 10)}: ${String(note).trim()}`;
+      const existing = personal.notes !== undefined ? personal.notes : row.notes;
+      personal.notes = (existing ? `${existing}\n${dated}` : dated).slice(-MAX_NOTES_LENGTH);
+    }
+    if (!contentChanged && Object.keys(personal).length === 0) {
+      return { error: 'Nothing to change', status: 400 };
+    }
+
+    const currentVersion = row.version || 1;
+    const rowUpdates = { ...personal, updated_at: new Date().toISOString() };
+    let changeSummary = null;
+    if (contentChanged) {
+      const { count, error: countError } = await supabase
+        .from('recipe_versions')
+        .select('id', { count: 'exact', head: true })
+        .eq('recipe_id', row.id);
+      if (countError) throw countError;
+      // First edit: keep the recipe as it was saved
+      if (!count) await insertVersion(userId, row.id, currentVersion, row, 'Original');
+
+      changeSummary = summary || changes.join('; ') || 'Edited';
+      await insertVersion(userId, row.id, currentVersion + 1, { ...row, ...next }, changeSummary);
+      Object.assign(rowUpdates, next, { version: currentVersion + 1 });
+    }
+
+    const { data, error } = await supabase
+      .from('saved_recipes')
+      .update(rowUpdates)
+      .eq('user_id', userId)
+      .eq('id', row.id)
+      .select('*')
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return { error: 'Recipe not found', status: 404 };
+
+    if (contentChanged) console.log(`📝 Recipe "${data.title}" is now version ${data.version}`);
+    return { recipe: data, version: data.version || currentVersion, versioned: contentChanged, summary: changeSummary, changes };
+  } catch (error) {
+    console.error('Recipe versions: Error updating recipe:', error);
+    return { error: 'Failed to update recipe', status: 500 };
+  }
+}
+
+// ==============================================
+// HISTORY
+// ==============================================
+/**
+ * Versions of a recipe, newest first, without their content.
+ * A recipe that was never edited has just its current version.
+ * Returns { recipe_id, title, current_version, versions } or { error, status }.
+ */
+async function listVersions(userId, recipeId) {
+  if (!canEditRecipes(userId)) {
+    return { error: 'Sign in to see recipe history', status: 401 };
+  }
+
+  try {
+    const row = await loadRecipe(userId, recipeId);
+    if (!row) return { error: 'Recipe not found', status: 404 };
+
+    const { data, error } = await supabase
+      .from('recipe_versions')
+      .select('version, title, change_summary, created_at')
+      .eq('recipe_id', row.id)
+      .order('version', { ascending: false });
+    if (error) throw error;
+
+    const currentVersion = row.version || 1;
+    const versions = (data || []).length > 0
+      ? data.map(v => ({ ...v, current: v.version === currentVersion }))
+      : [{ version: currentVersion, title: row.title, change_summary: 'Original', created_at: row.created_at, current: true }];
+    return { recipe_id: row.id, title: row.title, current_version: currentVersion, versions };
+  } catch (error) {
+    console.error('Recipe versions: Error listing versions:', error);
+    return { error: 'Failed to load recipe history', status: 500 };
+  }
+}
+
+// One version with its full content. Returns { version } or { error, status }.
+async function getVersion(userId, recipeId, version) {
+  if (!canEditRecipes(userId)) {
+    return { error: 'Sign in to see recipe history', status: 401 };
+  }
+
+  const number = parseInt(version, 10);
+  if (!(number >= 1)) return { error: 'version must be a positive integer', status: 400 };
+
+  try {
+    const row = await loadRecipe(userId, recipeId);
+    if (!row) return { error: 'Recipe not found', status: 404 };
+
+    const { data, error } = await supabase
+      .from('recipe_versions')
+      .select(VERSION_FIELDS)
+      .eq('recipe_id', row.id)
+      .eq('version', number)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (data) return { version: data };
+    // Never edited: the only version is the row itself
+    if (number === (row.version || 1)) {
+      return { version: { recipe_id: row.id, version: number, ...pickFields(row, VERSIONED_FIELDS), change_summary: 'Original', created_at: row.created_at } };
+    }
+    return { error: `Version ${number} not found`, status: 404 };
+  } catch (error) {
+    console.error('Recipe versions: Error loading version:', error);
+    return { error: 'Failed to load recipe version', status: 500 };
+  }
+}
+
+/**
+ * Restores an earlier version's content as a new version.
+ * Returns updateRecipe's result.
+ */
+async function revertRecipe(userId, recipeId, version) {
+  const found = await getVersion(userId, recipeId, version);
+  if (found.error) return found;
+
+  const target = found.version;
+  return updateRecipe(userId, recipeId, {
+    updates: pickFields(target, VERSIONED_FIELDS),
+    summary: `Reverted to version ${target.version}`
+  });
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+const UPDATE_FIELDS = [...VERSIONED_FIELDS, 'rating', 'notes'];
+
+function toActionResult(result) {
+  if (!result.error) return actionOk(result);
+  return result.status === 400
+    ? actionError(400, 'Invalid request', result.error)
+    : actionError(result.status || 500, result.error);
+}
+
+// { id, updates?, edits?, note?, change_summary? }
+async function updateRecipeAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const updates = pickFields(params.updates, UPDATE_FIELDS);
+  const hasEdits = params.edits && typeof params.edits === 'object';
+  if (Object.keys(updates).length === 0 && !hasEdits && !params.note) {
+    return actionError(400, 'Invalid request', `updates must include one of: ${UPDATE_FIELDS.join(', ')} (or pass edits or note)`);
+  }
+
+  return toActionResult(await updateRecipe(userId, params.id, {
+    updates,
+    edits: hasEdits ? params.edits : null,
+    note: params.note,
+    summary: params.change_summary
+  }));
+}
+
+async function rateRecipeAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+  return toActionResult(await updateRecipe(userId, params.id, { updates: { rating: params.rating ?? null } }));
+}
+
+async function listVersionsAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+  return toActionResult(await listVersions(userId, params.id));
+}
+
+async function getVersionAction(userId, params) {
+  const invalid = requireId(params) || requireId(params, 'version');
+  if (invalid) return invalid;
+  return toActionResult(await getVersion(userId, params.id, params.version));
+}
+
+async function revertRecipeAction(userId, params) {
+  const invalid = requireId(params) || requireId(params, 'version');
+  if (invalid) return invalid;
+  return toActionResult(await revertRecipe(userId, params.id, params.version));
+}
+
+const actions = {
+  update_recipe: updateRecipeAction,
+  rate_recipe: rateRecipeAction,
+  get_recipe_versions: listVersionsAction,
+  get_recipe_version: getVersionAction,
+  revert_recipe: revertRecipeAction
+};
+
+module.exports = {
+  VERSIONED_FIELDS,
+  applyEdits,
+  updateRecipe,
+  listVersions,
+  getVersion,
+  revertRecipe,
+  actions
+};
@@ -0,0 +1,236 @@
+// lib/safety_log.js
+// Audit log for guardrail decisions: blocked inputs, refused model output and
+// redirects are stored in safety_events so reviewers can see what is being
+// blocked over time and mark false positives. Rows expire after
+// RETENTION_DAYS; false positives are kept because they feed the guardrail
+// corpus (lib/data/guardrail_corpus.json).
+const { supabase, isValidUUID } = require('./db');
+const guardrails = require('./guardrails');
+
+const EVENT_TYPES = ['input_blocked', 'output_refused', 'redirected'];
+const VERDICTS = ['confirmed', 'false_positive'];
+const RETENTION_DAYS = 90;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_LIST_LIMIT = 200;
+// Upper bound on rows aggregated per summary request
+const MAX_SUMMARY_ROWS = 5000;
+
+const EVENT_FIELDS = 'id, user_id, thread_id, event_type, category, reason, rule_ids, score, input_text, output_text, review_status, reviewed_by, review_note, reviewed_at, created_at, expires_at';
+
+// Decision the classifier made for each logged input event
+const EVENT_DECISIONS = { input_blocked: 'refuse', redirected: 'redirect' };
+
+function truncate(text) {
+  if (typeof text !== 'string') return null;
+  return text.length > MAX_TEXT_LENGTH ? `${text.substring(0, MAX_TEXT_LENGTH)}…` : text;
+}
+
+/**
+ * Stores one guardrail event. `check` is a guardrails classifyInput or
+ * moderateOutput result. Guests are logged too (user_id is free text).
+ * Never throws - a failed write only loses the audit row.
+ */
+async function recordSafetyEvent({ userId, threadId = null, eventType, check, inputText, outputText = null }) {
+  if (!supabase || !EVENT_TYPES.includes(eventType)) return false;
+
+  try {
+    const { error } = await supabase
+      .from('safety_events')
+      .insert({
+        user_id: String(userId || 'unknown'),
+        thread_id: isValidUUID(threadId) ? threadId : null,
+        event_type: eventType,
+        category: check?.category || null,
+        reason: check?.reason || null,
+        rule_ids: check?.rule_ids || [],
+        score: typeof check?.score === 'number' ? check.score : null,
+        input_text: truncate(inputText),
+        output_text: truncate(outputText),
+        review_status: 'pending',
+        expires_at: new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      });
+
+    if (error) {
+      console.error('Safety log: Error recording event:', error);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('Safety log: Error in recordSafetyEvent:', error);
+    return false;
+  }
+}
+
+/**
+ * Lists events, newest first. Filters: event_type, category, review_status,
+ * user_id, since (ISO date), limit, offset. Returns { events, total } or null.
+ */
+async function listSafetyEvents(filters = {}) {
+  const limit = Math.min(parseInt(filters.limit, 10) || 50, MAX_LIST_LIMIT);
+  const offset = Math.max(parseInt(filters.offset, 10) || 0, 0);
+
+  let query = supabase
+    .from('safety_events')
+    .select(EVENT_FIELDS, { count: 'exact' });
+
+  if (filters.event_type) query = query.eq('event_type', filters.event_type);
+  if (filters.category) query = query.eq('category', filters.category);
+  if (filters.review_status) query = query.eq('review_status', filters.review_status);
+  if (filters.user_id) query = query.eq('user_id', String(filters.user_id));
+  if (filters.since) query = query.gte('created_at', filters.since);
+
+  const { data, error, count } = await query
+    .order('created_at', { ascending: false })
+    .range(offset, offset + limit - 1);
+
+  if (error) {
+    console.error('Safety log: Error listing events:', error);
+    return null;
+  }
+  return { events: data || [], total: count ?? (data || []).length };
+}
+
+function countBy(rows, keyFn) {
+  const counts = {};
+  for (const row of rows) {
+    for (const key of [].concat(keyFn(row))) {
+      if (key === null || key === undefined) continue;
+      counts[key] = (counts[key] || 0) + 1;
+    }
+  }
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]));
+}
+
+/**
+ * Aggregates events since a date (default: the retention window) by
+ * category, event type, rule, review status and user. Returns null on error.
+ */
+async function summarizeSafetyEvents({ since } = {}) {
+  const from = since || new Date(Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('safety_events')
+    .select('user_id, event_type, category, rule_ids, review_status')
+    .gte('created_at', from)
+    .order('created_at', { ascending: false })
+    .limit(MAX_SUMMARY_ROWS);
+
+  if (error) {
+    console.error('Safety log: Error summarizing events:', error);
+    return null;
+  }
+
+  const rows = data || [];
+  const reviewed = rows.filter(r => r.review_status !== 'pending');
+  const falsePositives = reviewed.filter(r => r.review_status === 'false_positive').length;
+
+  return {
+    since: from,
+    total: rows.length,
+    truncated: rows.length === MAX_SUMMARY_ROWS,
+    by_event_type: countBy(rows, r => r.event_type),
+    by_category: countBy(rows, r => r.category),
+    by_rule: countBy(rows, r => r.rule_ids || []),
+    by_review_status: countBy(rows, r => r.review_status),
+    // Share of reviewed events that reviewers marked as wrong
+    false_positive_rate: reviewed.length > 0 ? Math.round((falsePositives / reviewed.length) * 100) / 100 : null,
+    top_users: Object.entries(countBy(rows, r => r.user_id)).slice(0, 10).map(([user_id, count]) => ({ user_id, count }))
+  };
+}
+
+/**
+ * Records a reviewer's verdict. False positives lose their expiry so they
+ * stay available for the corpus. Returns { event } or { error, status }.
+ */
+async function reviewSafetyEvent(eventId, { verdict, note }, reviewer) {
+  if (!isValidUUID(eventId)) return { error: 'id must be a valid UUID', status: 400 };
+  if (!VERDICTS.includes(verdict)) return { error: `verdict must be one of: ${VERDICTS.join(', ')}`, status: 400 };
+
+  const updates = {
+    review_status: verdict,
+    review_note: typeof note === 'string' ? note.substring(0, 500) : null,
+    reviewed_by: reviewer,
+    reviewed_at: new Date().toISOString()
+  };
+  if (verdict === 'false_positive') updates.expires_at = null;
+
+  const { data, error } = await supabase
+    .from('safety_events')
+    .update(updates)
+    .eq('id', eventId)
+    .select(EVENT_FIELDS)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Safety log: Error reviewing event:', error);
+    return { error: 'Failed to review event', status: 500 };
+  }
+  if (!data) return { error: 'Event not found', status: 404 };
+
+  console.log(`🛡️ Safety event ${eventId} reviewed as ${verdict} by ${reviewer}`);
+  return { event: data };
+}
+
+/**
+ * Reviewed input events in the corpus format ({ text, expected, note }):
+ * false positives should have been answered, confirmed events keep the
+ * decision that was made. Also reports how the current rules do on them,
+ * so a reviewer can see which verdicts still need a rule change before
+ * adding the cases to lib/data/guardrail_corpus.json.
+ */
+async function exportCorpusCases() {
+  const { data, error } = await supabase
+    .from('safety_events')
+    .select('id, event_type, category, input_text, review_status, review_note')
+    .in('event_type', Object.keys(EVENT_DECISIONS))
+    .neq('review_status', 'pending')
+    .order('reviewed_at', { ascending: false })
+    .limit(MAX_SUMMARY_ROWS);
+
+  if (error) {
+    console.error('Safety log: Error exporting corpus cases:', error);
+    return null;
+  }
+
+  const seen = new Set();
+  const cases = [];
+  for (const row of data || []) {
+    const text = (row.input_text || '').trim();
+    if (!text || seen.has(text.toLowerCase())) continue;
+    seen.add(text.toLowerCase());
+    cases.push({
+      text,
+      expected: row.review_status === 'false_positive' ? 'answer' : EVENT_DECISIONS[row.event_type],
+      note: `safety log ${row.id}: ${row.review_status}${row.review_note ? ` - ${row.review_note}` : ''}`
+    });
+  }
+
+  return { cases, evaluation: guardrails.evaluateCorpus(cases) };
+}
+
+// Deletes events past their retention date; returns the number removed or null
+async function pruneSafetyEvents() {
+  const { data, error } = await supabase
+    .from('safety_events')
+    .delete()
+    .lt('expires_at', new Date().toISOString())
+    .select('id');
+
+  if (error) {
+    console.error('Safety log: Error pruning events:', error);
+    return null;
+  }
+  return (data || []).length;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  VERDICTS,
+  RETENTION_DAYS,
+  recordSafetyEvent,
+  listSafetyEvents,
+  summarizeSafetyEvents,
+  reviewSafetyEvent,
+  exportCorpusCases,
+  pruneSafetyEvents
+};
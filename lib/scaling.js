@@ -0,0 +1,131 @@
+// lib/scaling.js
+// Deterministic recipe scaling and unit conversion over saved recipe_data,
+// so "make this for 10" or "convert to grams" never relies on model arithmetic.
+const { supabase } = require('./db');
+const { actionOk, actionError, requireId } = require('./actions');
+const quantities = require('./quantities');
+
+const UNIT_SYSTEMS = { original: null, metric: 'metric', imperial: 'us', us: 'us' };
+const MAX_FACTOR = 50;
+
+// recipe_data.servings may be a number or text like "4 servings"; fall back to the row column
+function getBaseServings(recipeData, row = null) {
+  const fromData = parseInt(recipeData?.servings, 10);
+  if (fromData > 0) return fromData;
+  const fromRow = parseInt(row?.servings, 10);
+  return fromRow > 0 ? fromRow : null;
+}
+
+/**
+ * Returns a scaled copy of recipe_data.
+ * Options: servings (target) or factor, units ('original' | 'metric' |
+ * 'imperial'), weights (volumes to weights where the density is known).
+ * Result: { recipe, scaling } or { error }. Ingredients whose amount can't
+ * be parsed are kept verbatim and listed in scaling.unparsed.
+ */
+function scaleRecipe(recipeData, { servings, factor, units = 'original', weights = false } = {}, row = null) {
+  if (!recipeData || !Array.isArray(recipeData.ingredients)) {
+    return { error: 'Recipe has no ingredient list to scale' };
+  }
+  if (!(units in UNIT_SYSTEMS)) {
+    return { error: `units must be one of: ${Object.keys(UNIT_SYSTEMS).join(', ')}` };
+  }
+
+  const baseServings = getBaseServings(recipeData, row);
+  let scaleFactor = 1;
+  if (servings !== undefined && servings !== null) {
+    if (!(Number(servings) > 0)) return { error: 'servings must be a positive number' };
+    if (!baseServings) return { error: 'This recipe does not say how many it serves - give a scale factor instead' };
+    scaleFactor = Number(servings) / baseServings;
+  } else if (factor !== undefined && factor !== null) {
+    scaleFactor = Number(factor);
+  }
+  if (!(scaleFactor > 0) || scaleFactor > MAX_FACTOR) {
+    return { error: `Scale factor must be greater than 0 and at most ${MAX_FACTOR}` };
+  }
+
+  const system = UNIT_SYSTEMS[units];
+  const untouched = scaleFactor === 1 && !system && !weights;
+  const unparsed = [];
+
+  const ingredients = recipeData.ingredients.map(item => {
+    const parsed = quantities.parseIngredient(item);
+    const base = typeof item === 'string' ? { name: parsed.name, amount: parsed.amount, notes: null } : { ...item };
+
+    if (parsed.quantity.min === null || untouched) {
+      if (parsed.amount && !parsed.quantity.unmeasured && parsed.quantity.min === null) {
+        unparsed.push(parsed.name);
+      }
+      return base;
+    }
+
+    const scaled = quantities.scaleQuantity(parsed.quantity, scaleFactor);
+    const converted = quantities.convertQuantity(scaled, { system, weights, name: parsed.name });
+    let amount = quantities.formatQuantity(converted);
+    if (converted.note) amount += ` (${converted.note})`;
+
+    return { ...base, amount, original_amount: parsed.amount };
+  });
+
+  const scaledServings = baseServings ? Math.round(baseServings * scaleFactor * 100) / 100 : recipeData.servings;
+
+  return {
+    recipe: { ...recipeData, servings: scaledServings, ingredients },
+    scaling: {
+      factor: Math.round(scaleFactor * 1000) / 1000,
+      from_servings: baseServings,
+      to_servings: baseServings ? scaledServings : null,
+      units,
+      weights: !!weights,
+      unparsed
+    }
+  };
+}
+
+// One-line summary for tool results and replies
+function describeScaling({ scaling }) {
+  let text = scaling.from_servings
+    ? `Scaled from ${scaling.from_servings} to ${scaling.to_servings} servings (x${scaling.factor})`
+    : `Scaled x${scaling.factor}`;
+  if (scaling.units !== 'original') text += `, converted to ${scaling.units}`;
+  if (scaling.weights) text += ', weights where known';
+  if (scaling.unparsed.length > 0) text += `. Couldn't read the amounts for: ${scaling.unparsed.join(', ')}`;
+  return `${text}. Quantities written inside the steps are not rescaled.`;
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+async function scaleRecipeAction(userId, params) {
+  const invalid = requireId(params, 'recipe_id');
+  if (invalid) return invalid;
+
+  const { data: row, error } = await supabase
+    .from('saved_recipes')
+    .select('id, title, recipe_data, servings')
+    .eq('user_id', userId)
+    .eq('id', params.recipe_id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Scaling: Error fetching recipe:', error);
+    return actionError(500, 'Failed to load recipe');
+  }
+  if (!row) return actionError(404, 'Recipe not found');
+
+  const result = scaleRecipe(row.recipe_data, params, row);
+  if (result.error) return actionError(400, 'Invalid request', result.error);
+
+  return actionOk({ recipe_id: row.id, title: row.title, ...result, message: describeScaling(result) });
+}
+
+const actions = {
+  scale_recipe: scaleRecipeAction
+};
+
+module.exports = {
+  getBaseServings,
+  scaleRecipe,
+  describeScaling,
+  actions
+};
@@ -0,0 +1,715 @@
+// lib/shopping.js
+// Shopping lists: items are normalized ("2 onions, diced" -> onion), merged
+// with unit-aware quantity math (1 cup + 2 tbsp milk -> 1 1/8 cups) and
+// grouped by store aisle from lib/data/aisles.json. A user can keep several
+// named lists; each item remembers the recipes it came from and whether it
+// has been checked off.
+const { aisles: AISLES, prep_words: PREP_WORDS, size_words: SIZE_WORDS, form_words: FORM_WORDS } = require('./data/aisles.json');
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError, pickFields, requireId } = require('./actions');
+const quantities = require('./quantities');
+
+const DEFAULT_LIST = 'Shopping List';
+const MAX_LIST_NAME_LENGTH = 60;
+const MAX_ITEMS_PER_ADD = 100;
+const ITEM_FIELDS = 'id, list_name, item, normalized_name, quantity, category, priority, checked, checked_at, sources, created_at, updated_at';
+const AISLE_ORDER = Object.keys(AISLES);
+
+const byLengthDesc = (a, b) => b.length - a.length;
+const DROP_WORDS = [...PREP_WORDS, ...SIZE_WORDS].sort(byLengthDesc);
+
+function canPersistShopping(userId) {
+  return !!supabase && isValidUUID(userId);
+}
+
+function cleanListName(name) {
+  const cleaned = typeof name === 'string' ? name.replace(/\s+/g, ' ').trim() : '';
+  return cleaned ? cleaned.substring(0, MAX_LIST_NAME_LENGTH) : DEFAULT_LIST;
+}
+
+// ==============================================
+// NAME NORMALIZATION AND AISLES
+// ==============================================
+// "tomatoes" -> "tomato", "berries" -> "berry"; only the last word, which is the noun
+function singularize(phrase) {
+  return phrase.replace(/(\w+)$/, word => {
+    if (word.length <= 3 || /(ss|sses|us|is)$/.test(word)) return word;
+    if (/^(leaves|loaves)$/.test(word)) return `${word.slice(0, -3)}f`;
+    if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (/(oes|ches|shes|xes)$/.test(word)) return word.slice(0, -2);
+    if (word.endsWith('s')) return word.slice(0, -1);
+    return word;
+  });
+}
+
+function basicText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\([^)]*\)/g, ' ')
+    .split(',')[0]
+    .replace(/[^a-z0-9'\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Aisle terms keyed by their singular form, longest first
+const AISLE_TERMS = AISLE_ORDER
+  .flatMap(aisle => AISLES[aisle].terms.map(term => ({ term: singularize(term), aisle })))
+  .sort((a, b) => byLengthDesc(a.term, b.term));
+
+function findAisleTerm(key) {
+  const padded = ` ${key} `;
+  return AISLE_TERMS.find(({ term }) => padded.includes(` ${term} `)) || null;
+}
+
+/**
+ * Turns an ingredient name into { key, display }: key is the lowercase,
+ * singular merge key without prep or size words ("onion"); display keeps
+ * the user's wording minus the prep ("Onions"). Known products that contain
+ * one of those words ("crushed tomatoes", "bay leaves") are kept whole.
+ */
+function normalizeItemName(name) {
+  const text = basicText(name);
+  const protectedTerm = findAisleTerm(singularize(text));
+
+  let stripped = ` ${text} `;
+  // Terms are stored singular, so compare words the same way
+  const isKept = word => !!protectedTerm && ` ${protectedTerm.term} `.includes(` ${singularize(word)} `);
+  for (const word of DROP_WORDS) {
+    if (isKept(word)) continue;
+    stripped = stripped.split(` ${word} `).join(' ');
+  }
+  stripped = stripped.replace(/\s+/g, ' ').replace(/^(of|and)\s+/, '').trim() || text;
+  const formWord = FORM_WORDS.find(word => stripped.endsWith(` ${word}`) && !isKept(word));
+  if (formWord) stripped = stripped.slice(0, -(formWord.length + 1));
+
+  const key = singularize(stripped);
+  return { key, display: stripped.charAt(0).toUpperCase() + stripped.slice(1) };
+}
+
+// The model's category hint ("produce", "Dairy") when it names a known aisle
+function aisleFromHint(hint) {
+  const value = String(hint || '').trim().toLowerCase();
+  if (!value) return null;
+  return AISLE_ORDER.find(aisle => aisle === value || AISLES[aisle].label.toLowerCase() === value) || null;
+}
+
+function findAisle(key, hint = null) {
+  const match = findAisleTerm(key);
+  return match ? match.aisle : aisleFromHint(hint) || 'other';
+}
+
+// ==============================================
+// QUANTITY MERGING
+// ==============================================
+const BASE = { volume: 'ml', weight: 'g' };
+
+// A measured amount in ml or g, or null for counts, vague and unparsed amounts
+function toBase(quantity, name) {
+  const unit = quantities.UNITS[quantity.unit];
+  if (!unit) return null;
+  if (unit.type === 'volume') return { type: 'volume', min: quantity.min * unit.ml, max: quantity.max * unit.ml };
+  if (unit.type === 'weight') return { type: 'weight', min: quantity.min * unit.g, max: quantity.max * unit.g };
+  // "1 stick butter" has a known weight
+  const grams = quantities.toGrams(1, quantity.unit, name);
+  return grams ? { type: 'weight', min: quantity.min * grams, max: quantity.max * grams } : null;
+}
+
+// Sums two parsed amounts, or returns null when they can't be added
+function addQuantities(a, b, name) {
+  if (a.min === null || b.min === null) return null;
+  if (a.unit === b.unit) {
+    return quantities.formatQuantity({ min: a.min + b.min, max: a.max + b.max, unit: a.unit });
+  }
+
+  let baseA = toBase(a, name);
+  let baseB = toBase(b, name);
+  if (!baseA || !baseB) return null;
+  // Cups of flour plus grams of flour meet in grams when the density is known
+  if (baseA.type !== baseB.type) {
+    const gramsPerMl = quantities.toGrams(1, 'ml', name);
+    if (!gramsPerMl) return null;
+    const toWeight = base => base.type === 'weight' ? base : { type: 'weight', min: base.min * gramsPerMl, max: base.max * gramsPerMl };
+    baseA = toWeight(baseA);
+    baseB = toWeight(baseB);
+  }
+
+  const sum = { min: baseA.min + baseB.min, max: baseA.max + baseB.max, unit: BASE[baseA.type], note: null };
+  // Tidy into the first amount's unit system: 1 cup + 8 tbsp -> 1 1/2 cups
+  const system = quantities.UNITS[a.unit]?.system || quantities.UNITS[b.unit]?.system || 'us';
+  return quantities.formatQuantity(quantities.convertQuantity(sum, { system }));
+}
+
+/**
+ * Merges an added amount into an existing quantity string. Amounts that
+ * can't be added (2 cloves + 1 tbsp garlic) are kept side by side as
+ * "2 cloves + 1 tbsp", and a later amount joins whichever part it fits.
+ */
+function mergeQuantity(existing, added, name) {
+  const current = String(existing || '').trim();
+  const extra = String(added || '').trim();
+  if (!extra) return current;
+  if (!current) return extra;
+
+  const parsedExtra = quantities.parseAmount(extra);
+  if (parsedExtra.unmeasured) return current;
+
+  const parts = current.split(' + ');
+  for (let i = 0; i < parts.length; i++) {
+    const parsedPart = quantities.parseAmount(parts[i]);
+    if (parsedPart.unmeasured) {
+      parts[i] = extra;
+      return parts.join(' + ');
+    }
+    const sum = addQuantities(parsedPart, parsedExtra, name);
+    if (sum) {
+      parts[i] = sum;
+      return parts.join(' + ');
+    }
+  }
+  return [...parts, extra].join(' + ');
+}
+
+// Splits "2 onions" into name and amount when the amount came inside the name
+function parseIncomingItem(item) {
+  const raw = typeof item === 'string' ? { name: item } : item || {};
+  if (raw.quantity) {
+    return { name: String(raw.name || '').trim(), quantity: String(raw.quantity).trim(), category: raw.category };
+  }
+  const parsed = quantities.parseIngredient(String(raw.name || ''));
+  return { name: parsed.name, quantity: parsed.amount, category: raw.category };
+}
+
+function toShoppingItem(row) {
+  const aisle = AISLES[row.category] ? row.category : 'other';
+  return {
+    id: row.id,
+    list_name: row.list_name || DEFAULT_LIST,
+    name: row.item,
+    quantity: row.quantity,
+    aisle,
+    aisle_label: AISLES[aisle].label,
+    // Older clients read the aisle as `category`
+    category: aisle,
+    priority: row.priority,
+    checked: !!row.checked,
+    checked_at: row.checked_at || null,
+    sources: row.sources || [],
+    created_at: row.created_at
+  };
+}
+
+function sameSource(a, b) {
+  if (a.recipe_id && b.recipe_id) return a.recipe_id === b.recipe_id;
+  return !!a.recipe_title && !!b.recipe_title && a.recipe_title.toLowerCase() === b.recipe_title.toLowerCase();
+}
+
+// ==============================================
+// LIST OPERATIONS
+// ==============================================
+/**
+ * Adds items to a list, merging each into an unchecked item with the same
+ * normalized name. A checked item that comes back starts over with just the
+ * new amount (the old amount was already bought). Adding the same recipe
+ * twice doesn't double its amounts.
+ * Options: list_name, recipe_id, recipe_title (recorded as the item source).
+ * Returns { list_name, items, added, merged, skipped } or { error }.
+ */
+async function addItems(userId, items, { list_name, recipe_id = null, recipe_title = null } = {}) {
+  if (!canPersistShopping(userId)) {
+    return { error: 'Sign in to keep a shopping list' };
+  }
+
+  const incoming = (Array.isArray(items) ? items : [])
+    .slice(0, MAX_ITEMS_PER_ADD)
+    .map(parseIncomingItem)
+    .filter(item => item.name);
+  if (incoming.length === 0) return { error: 'No items to add' };
+
+  const listName = cleanListName(list_name);
+  const source = recipe_id || recipe_title ? { recipe_id: recipe_id || null, recipe_title: recipe_title || null } : null;
+  const keyed = incoming.map(item => ({ ...item, ...normalizeItemName(item.name) }));
+
+  const { data: existingRows, error: fetchError } = await supabase
+    .from('shopping_lists')
+    .select(ITEM_FIELDS)
+    .eq('user_id', userId)
+    .eq('list_name', listName)
+    .in('normalized_name', [...new Set(keyed.map(item => item.key))]);
+
+  if (fetchError) {
+    console.error('Shopping: Error loading list for merge:', fetchError);
+    return { error: 'Failed to add to shopping list' };
+  }
+
+  // Unchecked rows win over checked ones for the same name
+  const byKey = new Map();
+  for (const row of existingRows || []) {
+    const current = byKey.get(row.normalized_name);
+    if (!current || (current.checked && !row.checked)) byKey.set(row.normalized_name, { ...row });
+  }
+  // Rows this recipe already contributed to before this call
+  const fromSameSource = new Set([...byKey.values()]
+    .filter(row => source && !row.checked && (row.sources || []).some(s => sameSource(s, source)))
+    .map(row => row.id));
+
+  const touched = new Map();
+  const created = new Map();
+  let skipped = 0;
+  const now = new Date().toISOString();
+
+  for (const item of keyed) {
+    const itemSource = source ? [{ ...source, quantity: item.quantity || null }] : [];
+    const row = created.get(item.key) || byKey.get(item.key);
+
+    if (!row) {
+      created.set(item.key, {
+        user_id: userId,
+        list_name: listName,
+        item: item.display,
+        normalized_name: item.key,
+        quantity: item.quantity || '',
+        category: findAisle(item.key, item.category),
+        priority: 2,
+        checked: false,
+        sources: itemSource
+      });
+      continue;
+    }
+
+    if (row.checked) {
+      Object.assign(row, { checked: false, checked_at: null, quantity: item.quantity || '', sources: itemSource });
+    } else if (fromSameSource.has(row.id)) {
+      skipped++;
+      continue;
+    } else {
+      row.quantity = mergeQuantity(row.quantity, item.quantity, item.key);
+      row.sources = [...(row.sources || []), ...itemSource];
+    }
+    if (!created.has(item.key)) touched.set(row.id, row);
+  }
+
+  const results = [];
+  for (const row of touched.values()) {
+    const { data, error } = await supabase
+      .from('shopping_lists')
+      .update({ quantity: row.quantity, sources: row.sources, checked: row.checked, checked_at: row.checked_at || null, updated_at: now })
+      .eq('user_id', userId)
+      .eq('id', row.id)
+      .select(ITEM_FIELDS)
+      .maybeSingle();
+    if (error) {
+      console.error('Shopping: Error merging item:', error);
+      return { error: 'Failed to add to shopping list' };
+    }
+    if (data) results.push(data);
+  }
+
+  if (created.size > 0) {
+    const { data, error } = await supabase
+      .from('shopping_lists')
+      .insert([...created.values()])
+      .select(ITEM_FIELDS);
+    if (error) {
+      console.error('Shopping: Error adding items:', error);
+      return { error: 'Failed to add to shopping list' };
+    }
+    results.push(...(data || []));
+  }
+
+  console.log(`🛒 Shopping list "${listName}": ${created.size} added, ${touched.size} merged${skipped ? `, ${skipped} already there` : ''}`);
+  return {
+    list_name: listName,
+    items: results.map(toShoppingItem),
+    added: created.size,
+    merged: touched.size,
+    skipped
+  };
+}
+
+// Items grouped by aisle in store order, unchecked before checked within an aisle
+function groupByAisle(items) {
+  return AISLE_ORDER
+    .map(aisle => ({
+      aisle,
+      label: AISLES[aisle].label,
+      items: items
+        .filter(item => item.aisle === aisle)
+        .sort((a, b) => (a.checked - b.checked) || a.name.localeCompare(b.name))
+    }))
+    .filter(group => group.items.length > 0);
+}
+
+/**
+ * One list with its items grouped by aisle.
+ * Returns { list_name, items, aisles, total, remaining } or null on error.
+ */
+async function getList(userId, { list_name, include_checked = true } = {}) {
+  const listName = cleanListName(list_name);
+  let query = supabase
+    .from('shopping_lists')
+    .select(ITEM_FIELDS)
+    .eq('user_id', userId)
+    .eq('list_name', listName);
+  if (!include_checked) query = query.eq('checked', false);
+
+  const { data, error } = await query.order('created_at', { ascending: true });
+  if (error) {
+    console.error('Shopping: Error loading list:', error);
+    return null;
+  }
+
+  const items = (data || []).map(toShoppingItem);
+  return {
+    list_name: listName,
+    items,
+    aisles: groupByAisle(items),
+    total: items.length,
+    remaining: items.filter(item => !item.checked).length
+  };
+}
+
+// Every list the user has, with item counts. The default list is always included.
+async function getLists(userId) {
+  const { data, error } = await supabase
+    .from('shopping_lists')
+    .select('list_name, checked')
+    .eq('user_id', userId);
+
+  if (error) {
+    console.error('Shopping: Error loading lists:', error);
+    return null;
+  }
+
+  const lists = new Map([[DEFAULT_LIST, { list_name: DEFAULT_LIST, total: 0, remaining: 0 }]]);
+  for (const row of data || []) {
+    const name = row.list_name || DEFAULT_LIST;
+    const list = lists.get(name) || { list_name: name, total: 0, remaining: 0 };
+    list.total++;
+    if (!row.checked) list.remaining++;
+    lists.set(name, list);
+  }
+  return [...lists.values()];
+}
+
+async function setChecked(userId, itemId, checked) {
+  const { data, error } = await supabase
+    .from('shopping_lists')
+    .update({ checked, checked_at: checked ? new Date().toISOString() : null, updated_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('id', itemId)
+    .select(ITEM_FIELDS)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Shopping: Error checking item:', error);
+    return { error: 'Failed to update shopping item' };
+  }
+  if (!data) return { error: 'Shopping item not found' };
+  return { item: toShoppingItem(data) };
+}
+
+/**
+ * Checks off items by name for the agent ("I got the eggs and milk").
+ * Returns { list_name, checked, not_found } or { error }.
+ */
+async function checkItemsByName(userId, names, { list_name, checked = true } = {}) {
+  if (!canPersistShopping(userId)) {
+    return { error: 'Sign in to keep a shopping list' };
+  }
+
+  const list = await getList(userId, { list_name });
+  if (!list) return { error: 'Failed to load shopping list' };
+
+  const done = [];
+  const notFound = [];
+  for (const name of Array.isArray(names) ? names : []) {
+    const { key } = normalizeItemName(name);
+    const match = list.items.find(item => item.checked !== checked && normalizeItemName(item.name).key === key)
+      || list.items.find(item => item.checked !== checked && ` ${normalizeItemName(item.name).key} `.includes(` ${key} `));
+    if (!match) {
+      notFound.push(name);
+      continue;
+    }
+    const result = await setChecked(userId, match.id, checked);
+    if (result.error) return result;
+    match.checked = checked;
+    done.push(result.item);
+  }
+
+  return { list_name: list.list_name, checked: done, not_found: notFound };
+}
+
+/**
+ * Deletes a list's items - only the checked ones unless checked_only is false.
+ * Returns { list_name, deleted } or { error }.
+ */
+async function clearList(userId, { list_name, checked_only = true } = {}) {
+  if (!canPersistShopping(userId)) {
+    return { error: 'Sign in to keep a shopping list' };
+  }
+
+  const listName = cleanListName(list_name);
+  let query = supabase
+    .from('shopping_lists')
+    .delete()
+    .eq('user_id', userId)
+    .eq('list_name', listName);
+  if (checked_only) query = query.eq('checked', true);
+
+  const { data, error } = await query.select('id');
+  if (error) {
+    console.error('Shopping: Error clearing list:', error);
+    return { error: 'Failed to clear shopping list' };
+  }
+
+  console.log(`🛒 Cleared ${(data || []).length} item(s) from "${listName}"${checked_only ? ' (checked only)' : ''}`);
+  return { list_name: listName, deleted: (data || []).length };
+}
+
+// Plain-text list for the share sheet or clipboard: remaining items by aisle
+function formatListText(list) {
+  const groups = groupByAisle(list.items.filter(item => !item.checked));
+  if (groups.length === 0) return `${list.list_name}: nothing left to buy`;
+
+  const sections = groups.map(group =>
+    `${group.label}\n${group.items.map(item => `- ${item.name}${item.quantity ? ` (${item.quantity})` : ''}`).join('\n')}`
+  );
+  return `🛒 ${list.list_name}\n\n${sections.join('\n\n')}`;
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+const ITEM_UPDATE_FIELDS = ['item', 'quantity', 'category', 'priority', 'checked', 'list_name'];
+
+async function getListAction(userId, params) {
+  const list = await getList(userId, params);
+  const lists = await getLists(userId);
+  if (!list || !lists) return actionError(500, 'Failed to load shopping list');
+  return actionOk({ ...list, lists });
+}
+
+async function getListsAction(userId) {
+  const lists = await getLists(userId);
+  if (!lists) return actionError(500, 'Failed to load shopping lists');
+  return actionOk({ lists });
+}
+
+async function getItemAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const { data, error } = await supabase
+    .from('shopping_lists')
+    .select(ITEM_FIELDS)
+    .eq('user_id', userId)
+    .eq('id', params.id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Shopping: Error fetching shopping item:', error);
+    return actionError(500, 'Failed to load shopping item');
+  }
+  if (!data) return actionError(404, 'Shopping item not found');
+
+  return actionOk({ item: toShoppingItem(data) });
+}
+
+// Items, or a saved recipe's ingredients with recipe_id
+async function addItemsAction(userId, params) {
+  let items = params.items;
+  let recipeTitle = params.recipe_title || null;
+
+  if (params.recipe_id) {
+    const { data: recipe, error } = await supabase
+      .from('saved_recipes')
+      .select('id, title, recipe_data')
+      .eq('user_id', userId)
+      .eq('id', params.recipe_id)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Shopping: Error loading recipe:', error);
+      return actionError(500, 'Failed to load recipe');
+    }
+    if (!recipe) return actionError(404, 'Recipe not found');
+
+    recipeTitle = recipe.title;
+    if (!Array.isArray(items) || items.length === 0) {
+      items = (recipe.recipe_data?.ingredients || []).map(ingredient => {
+        const parsed = quantities.parseIngredient(ingredient);
+        return { name: parsed.name, quantity: parsed.amount };
+      });
+    }
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return actionError(400, 'Invalid request', 'items (non-empty array) or recipe_id is required');
+  }
+
+  const result = await addItems(userId, items, { list_name: params.list_name, recipe_id: params.recipe_id || null, recipe_title: recipeTitle });
+  if (result.error) return actionError(result.error === 'No items to add' ? 400 : 500, result.error);
+  return actionOk(result);
+}
+
+async function updateItemAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  // Accept the dashboard's `name` and `aisle` aliases for the `item` and `category` columns
+  const source = { ...params.updates };
+  if (source.name !== undefined && source.item === undefined) source.item = source.name;
+  if (source.aisle !== undefined && source.category === undefined) source.category = source.aisle;
+  const updates = pickFields(source, ITEM_UPDATE_FIELDS);
+
+  if (Object.keys(updates).length === 0) {
+    return actionError(400, 'Invalid request', `updates must include one of: name, aisle, ${ITEM_UPDATE_FIELDS.join(', ')}`);
+  }
+  if (updates.item !== undefined) {
+    if (typeof updates.item !== 'string' || !updates.item.trim()) {
+      return actionError(400, 'Invalid request', 'name must be a non-empty string');
+    }
+    updates.item = updates.item.trim();
+    updates.normalized_name = normalizeItemName(updates.item).key;
+  }
+  if (updates.category !== undefined && !AISLES[updates.category]) {
+    return actionError(400, 'Invalid request', `aisle must be one of: ${AISLE_ORDER.join(', ')}`);
+  }
+  if (updates.priority !== undefined && !Number.isInteger(updates.priority)) {
+    return actionError(400, 'Invalid request', 'priority must be an integer');
+  }
+  if (updates.checked !== undefined) {
+    if (typeof updates.checked !== 'boolean') return actionError(400, 'Invalid request', 'checked must be a boolean');
+    updates.checked_at = updates.checked ? new Date().toISOString() : null;
+  }
+  if (updates.list_name !== undefined) updates.list_name = cleanListName(updates.list_name);
+  updates.updated_at = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('shopping_lists')
+    .update(updates)
+    .eq('user_id', userId)
+    .eq('id', params.id)
+    .select(ITEM_FIELDS)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Shopping: Error updating shopping item:', error);
+    return actionError(500, 'Failed to update shopping item');
+  }
+  if (!data) return actionError(404, 'Shopping item not found');
+
+  return actionOk({ item: toShoppingItem(data) });
+}
+
+async function checkItemAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const result = await setChecked(userId, params.id, params.checked !== false);
+  if (result.error) return actionError(result.error === 'Shopping item not found' ? 404 : 500, result.error);
+  return actionOk(result);
+}
+
+async function deleteItemAction(userId, params) {
+  const invalid = requireId(params);
+  if (invalid) return invalid;
+
+  const { data, error } = await supabase
+    .from('shopping_lists')
+    .delete()
+    .eq('user_id', userId)
+    .eq('id', params.id)
+    .select('id');
+
+  if (error) {
+    console.error('Shopping: Error deleting shopping item:', error);
+    return actionError(500, 'Failed to delete shopping item');
+  }
+  if (!data || data.length === 0) return actionError(404, 'Shopping item not found');
+
+  return actionOk({ deleted: params.id });
+}
+
+async function clearListAction(userId, params) {
+  const result = await clearList(userId, { list_name: params.list_name, checked_only: params.checked_only !== false });
+  if (result.error) return actionError(500, result.error);
+  return actionOk(result);
+}
+
+async function renameListAction(userId, params) {
+  const invalid = requireId(params, 'list_name') || requireId(params, 'new_name');
+  if (invalid) return invalid;
+
+  const from = cleanListName(params.list_name);
+  const to = cleanListName(params.new_name);
+  if (to === from) return actionOk({ list_name: to, moved: 0 });
+
+  // Moving onto a list that already has items would leave two rows per item
+  const { data: existing, error: existingError } = await supabase
+    .from('shopping_lists')
+    .select('id')
+    .eq('user_id', userId)
+    .eq('list_name', to)
+    .limit(1);
+
+  if (existingError) {
+    console.error('Shopping: Error checking list name:', existingError);
+    return actionError(500, 'Failed to rename shopping list');
+  }
+  if (existing && existing.length > 0) {
+    return actionError(409, 'Shopping list already exists', `There is already a list called "${to}" - pick another name`);
+  }
+
+  const { data, error } = await supabase
+    .from('shopping_lists')
+    .update({ list_name: to, updated_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('list_name', from)
+    .select('id');
+
+  if (error) {
+    console.error('Shopping: Error renaming list:', error);
+    return actionError(500, 'Failed to rename shopping list');
+  }
+  if (!data || data.length === 0) return actionError(404, 'Shopping list not found');
+
+  return actionOk({ list_name: to, moved: data.length });
+}
+
+async function shareListAction(userId, params) {
+  const list = await getList(userId, params);
+  if (!list) return actionError(500, 'Failed to load shopping list');
+  return actionOk({ list_name: list.list_name, text: formatListText(list) });
+}
+
+const actions = {
+  get_shopping_list: getListAction,
+  get_shopping_lists: getListsAction,
+  get_shopping_item: getItemAction,
+  add_shopping_items: addItemsAction,
+  update_shopping_item: updateItemAction,
+  check_shopping_item: checkItemAction,
+  delete_shopping_item: deleteItemAction,
+  clear_shopping_list: clearListAction,
+  rename_shopping_list: renameListAction,
+  share_shopping_list: shareListAction
+};
+
+module.exports = {
+  DEFAULT_LIST,
+  canPersistShopping,
+  normalizeItemName,
+  findAisle,
+  mergeQuantity,
+  addItems,
+  getList,
+  getLists,
+  checkItemsByName,
+  clearList,
+  formatListText,
+  actions
+};
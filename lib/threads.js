@@ -0,0 +1,272 @@
+// lib/threads.js
+// Named conversation threads: each chat request belongs to one thread, and
+// history/context are scoped to it. Threads are only persisted for signed-in
+// (UUID) users; guests keep a single in-memory conversation.
+const { supabase, isValidUUID } = require('./db');
+const llm = require('./llm');
+const { actionOk, actionError, requireId } = require('./actions');
+
+const THREAD_FIELDS = 'id, title, archived, created_at, updated_at';
+const TURN_TYPES = ['user_message', 'assistant_response'];
+const MAX_TITLE_LENGTH = 60;
+
+function canPersistThreads(userId) {
+  return !!supabase && isValidUUID(userId);
+}
+
+async function createThread(userId, title = null) {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_threads')
+      .insert({ user_id: userId, title })
+      .select(THREAD_FIELDS)
+      .single();
+
+    if (error) {
+      console.error('Threads: Error creating thread:', error);
+      return null;
+    }
+    return data;
+  } catch (error) {
+    console.error('Threads: Error in createThread:', error);
+    return null;
+  }
+}
+
+async function getThread(userId, threadId) {
+  if (!isValidUUID(threadId)) return null;
+
+  try {
+    const { data, error } = await supabase
+      .from('conversation_threads')
+      .select(THREAD_FIELDS)
+      .eq('user_id', userId)
+      .eq('id', threadId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Threads: Error fetching thread:', error);
+      return null;
+    }
+    return data;
+  } catch (error) {
+    console.error('Threads: Error in getThread:', error);
+    return null;
+  }
+}
+
+// The thread a signed-in user was last active in, or null when they have none
+async function getLatestThread(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_threads')
+      .select(THREAD_FIELDS)
+      .eq('user_id', userId)
+      .eq('archived', false)
+      .order('updated_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Threads: Error fetching latest thread:', error);
+      return null;
+    }
+    return data;
+  } catch (error) {
+    console.error('Threads: Error in getLatestThread:', error);
+    return null;
+  }
+}
+
+function fallbackTitle(userMessage) {
+  const words = String(userMessage || '').replace(/\s+/g, ' ').trim().split(' ').slice(0, 6).join(' ');
+  return words ? words.substring(0, MAX_TITLE_LENGTH) : 'New conversation';
+}
+
+async function generateThreadTitle(userMessage, botResponse) {
+  try {
+    const title = await llm.generateText({
+      task: 'title',
+      prompt: `Write a short title (max 6 words) for a cooking conversation that starts like this. Return only the title, no quotes or punctuation at the end.
+
+User: ${String(userMessage).substring(0, 500)}
+Assistant: ${String(botResponse).substring(0, 500)}`,
+      userText: userMessage
+    });
+
+    const cleaned = String(title || '').split('\n')[0].replace(/^["'\s#*]+|["'\s.*]+$/g, '').trim();
+    return cleaned ? cleaned.substring(0, MAX_TITLE_LENGTH) : fallbackTitle(userMessage);
+  } catch (error) {
+    console.error('Threads: Title generation failed:', error);
+    return fallbackTitle(userMessage);
+  }
+}
+
+// Bumps updated_at and names the thread after its first exchange.
+// Returns the { id, title } summary sent back to the client.
+async function recordThreadTurn(userId, thread, userMessage, botResponse) {
+  const updates = { updated_at: new Date().toISOString() };
+  if (!thread.title) {
+    updates.title = await generateThreadTitle(userMessage, botResponse);
+  }
+
+  try {
+    const { error } = await supabase
+      .from('conversation_threads')
+      .update(updates)
+      .eq('user_id', userId)
+      .eq('id', thread.id);
+
+    if (error) {
+      console.error('Threads: Error updating thread:', error);
+    }
+  } catch (error) {
+    console.error('Threads: Error in recordThreadTurn:', error);
+  }
+
+  return { id: thread.id, title: updates.title || thread.title };
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+function validateTitle(title) {
+  if (typeof title !== 'string' || !title.trim()) {
+    return actionError(400, 'Invalid request', 'title must be a non-empty string');
+  }
+  if (title.trim().length > MAX_TITLE_LENGTH) {
+    return actionError(400, 'Invalid request', `title must be at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  return null;
+}
+
+async function createThreadAction(userId, params) {
+  if (params.title !== undefined) {
+    const invalid = validateTitle(params.title);
+    if (invalid) return invalid;
+  }
+
+  const thread = await createThread(userId, params.title ? params.title.trim() : null);
+  if (!thread) return actionError(500, 'Failed to create thread');
+
+  return actionOk({ thread });
+}
+
+async function listThreadsAction(userId, params) {
+  let query = supabase
+    .from('conversation_threads')
+    .select(THREAD_FIELDS)
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false });
+
+  if (params.include_archived !== true) {
+    query = query.eq('archived', false);
+  }
+
+  const { data, error } = await query;
+  if (error) {
+    console.error('Threads: Error listing threads:', error);
+    return actionError(500, 'Failed to load threads');
+  }
+
+  return actionOk({ threads: data || [] });
+}
+
+async function updateThread(userId, threadId, updates) {
+  const { data, error } = await supabase
+    .from('conversation_threads')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('id', threadId)
+    .select(THREAD_FIELDS)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Threads: Error updating thread:', error);
+    return actionError(500, 'Failed to update thread');
+  }
+  if (!data) return actionError(404, 'Thread not found');
+
+  return actionOk({ thread: data });
+}
+
+async function renameThreadAction(userId, params) {
+  const invalid = requireId(params, 'thread_id') || validateTitle(params.title);
+  if (invalid) return invalid;
+
+  return await updateThread(userId, params.thread_id, { title: params.title.trim() });
+}
+
+async function archiveThreadAction(userId, params) {
+  const invalid = requireId(params, 'thread_id');
+  if (invalid) return invalid;
+  if (params.archived !== undefined && typeof params.archived !== 'boolean') {
+    return actionError(400, 'Invalid request', 'archived must be a boolean');
+  }
+
+  return await updateThread(userId, params.thread_id, { archived: params.archived !== false });
+}
+
+async function deleteThreadAction(userId, params) {
+  const invalid = requireId(params, 'thread_id');
+  if (invalid) return invalid;
+
+  // Turns are removed by the ON DELETE CASCADE on conversation_memory.thread_id
+  const { data, error } = await supabase
+    .from('conversation_threads')
+    .delete()
+    .eq('user_id', userId)
+    .eq('id', params.thread_id)
+    .select('id');
+
+  if (error) {
+    console.error('Threads: Error deleting thread:', error);
+    return actionError(500, 'Failed to delete thread');
+  }
+  if (!data || data.length === 0) return actionError(404, 'Thread not found');
+
+  return actionOk({ deleted: params.thread_id });
+}
+
+async function getThreadMessagesAction(userId, params) {
+  const invalid = requireId(params, 'thread_id');
+  if (invalid) return invalid;
+
+  const thread = await getThread(userId, params.thread_id);
+  if (!thread) return actionError(404, 'Thread not found');
+
+  const { data, error } = await supabase
+    .from('conversation_memory')
+    .select('memory_type, memory_content, created_at')
+    .eq('user_id', userId)
+    .eq('thread_id', thread.id)
+    .in('memory_type', TURN_TYPES)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Threads: Error fetching thread messages:', error);
+    return actionError(500, 'Failed to load thread messages');
+  }
+
+  return actionOk({ thread, messages: data || [] });
+}
+
+const actions = {
+  create_thread: createThreadAction,
+  list_threads: listThreadsAction,
+  rename_thread: renameThreadAction,
+  archive_thread: archiveThreadAction,
+  delete_thread: deleteThreadAction,
+  get_thread_messages: getThreadMessagesAction
+};
+
+module.exports = {
+  TURN_TYPES,
+  canPersistThreads,
+  createThread,
+  getThread,
+  getLatestThread,
+  generateThreadTitle,
+  recordThreadTurn,
+  actions
+};
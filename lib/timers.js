@@ -0,0 +1,217 @@
+// lib/timers.js
+// Kitchen timers: labeled countdowns persisted per user so they survive a
+// reload. A timer set during a cooking session is linked to the current step.
+// The server only stores end times; countdowns and alerts run in the browser.
+const { supabase, isValidUUID } = require('./db');
+const { actionOk, actionError, requireId } = require('./actions');
+const cookingSession = require('./cooking_session');
+
+const TIMER_FIELDS = 'id, label, duration_seconds, started_at, ends_at, status, session_id, recipe_id, step_number, created_at';
+const MAX_DURATION_SECONDS = 24 * 60 * 60;
+const MAX_LABEL_LENGTH = 60;
+// Timers that ran out while the page was closed still alert on the next load
+const RECENTLY_FINISHED_MS = 10 * 60 * 1000;
+
+function canPersistTimers(userId) {
+  return !!supabase && isValidUUID(userId);
+}
+
+function toSeconds({ duration_seconds, duration_minutes }) {
+  const seconds = duration_seconds !== undefined
+    ? Number(duration_seconds)
+    : Number(duration_minutes) * 60;
+  return Number.isFinite(seconds) ? Math.round(seconds) : NaN;
+}
+
+function formatDuration(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  const parts = [];
+  if (hours) parts.push(`${hours} hour${hours === 1 ? '' : 's'}`);
+  if (minutes) parts.push(`${minutes} minute${minutes === 1 ? '' : 's'}`);
+  if (secs || parts.length === 0) parts.push(`${secs} second${secs === 1 ? '' : 's'}`);
+  return parts.join(' ');
+}
+
+// Adds the derived remaining_seconds the client counts down from
+function withRemaining(timer) {
+  const remainingMs = new Date(timer.ends_at).getTime() - Date.now();
+  return { ...timer, remaining_seconds: Math.max(0, Math.ceil(remainingMs / 1000)) };
+}
+
+/**
+ * Starts a timer. Params: duration_seconds or duration_minutes, optional
+ * label and step_number. Returns { timer } or { error }.
+ */
+async function setTimer(userId, params) {
+  if (!canPersistTimers(userId)) {
+    return { error: 'Sign in to use kitchen timers' };
+  }
+
+  const seconds = toSeconds(params);
+  if (!Number.isFinite(seconds) || seconds < 1 || seconds > MAX_DURATION_SECONDS) {
+    return { error: 'Timer duration must be between 1 second and 24 hours' };
+  }
+
+  // Link to whatever step the user is on, unless the model named another one
+  const active = await cookingSession.getActiveSession(userId);
+  const view = active ? cookingSession.describeSession(active.session, active.recipe) : null;
+  const stepNumber = Number.isInteger(params.step_number) ? params.step_number : view?.current_step || null;
+
+  let label = typeof params.label === 'string' ? params.label.trim() : '';
+  if (!label && view?.step) label = `Step ${view.step.number}: ${view.step.instruction}`;
+  if (!label) label = `${formatDuration(seconds)} timer`;
+
+  const now = new Date();
+  const { data, error } = await supabase
+    .from('kitchen_timers')
+    .insert({
+      user_id: userId,
+      label: label.substring(0, MAX_LABEL_LENGTH),
+      duration_seconds: seconds,
+      started_at: now.toISOString(),
+      ends_at: new Date(now.getTime() + seconds * 1000).toISOString(),
+      status: 'running',
+      session_id: view?.id || null,
+      recipe_id: view?.recipe_id || null,
+      step_number: stepNumber
+    })
+    .select(TIMER_FIELDS)
+    .single();
+
+  if (error) {
+    console.error('Timers: Error creating timer:', error);
+    return { error: 'Failed to set timer' };
+  }
+
+  console.log(`⏲️ Timer set: "${data.label}" for ${formatDuration(seconds)}`);
+  return { timer: withRemaining(data) };
+}
+
+/**
+ * Running timers plus any that ran out in the last few minutes and
+ * haven't been dismissed yet, soonest first.
+ */
+async function listTimers(userId) {
+  if (!canPersistTimers(userId)) return [];
+
+  const since = new Date(Date.now() - RECENTLY_FINISHED_MS).toISOString();
+  const { data, error } = await supabase
+    .from('kitchen_timers')
+    .select(TIMER_FIELDS)
+    .eq('user_id', userId)
+    .eq('status', 'running')
+    .gt('ends_at', since)
+    .order('ends_at', { ascending: true });
+
+  if (error) {
+    console.error('Timers: Error listing timers:', error);
+    return null;
+  }
+  return (data || []).map(withRemaining);
+}
+
+async function updateTimerStatus(userId, timerId, status) {
+  const { data, error } = await supabase
+    .from('kitchen_timers')
+    .update({ status })
+    .eq('user_id', userId)
+    .eq('id', timerId)
+    .eq('status', 'running')
+    .select(TIMER_FIELDS)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Timers: Error marking timer ${status}:`, error);
+    return { error: 'Failed to update timer' };
+  }
+  if (!data) return { error: 'Timer not found' };
+
+  return { timer: withRemaining(data) };
+}
+
+/**
+ * Cancels a running timer by id, or by label for the agent ("cancel the
+ * pasta timer"). With neither, cancels the only running timer if there is one.
+ */
+async function cancelTimer(userId, { timer_id, label }) {
+  if (!canPersistTimers(userId)) {
+    return { error: 'Sign in to use kitchen timers' };
+  }
+  if (timer_id) {
+    return await updateTimerStatus(userId, timer_id, 'cancelled');
+  }
+
+  const running = (await listTimers(userId) || []).filter(t => t.remaining_seconds > 0);
+  const wanted = String(label || '').trim().toLowerCase();
+  const matches = wanted
+    ? running.filter(t => t.label.toLowerCase().includes(wanted))
+    : running;
+
+  if (matches.length === 0) {
+    return { error: wanted ? `No running timer matching "${label}"` : 'No timers are running' };
+  }
+  if (matches.length > 1) {
+    return { error: `Several timers match - which one? ${matches.map(t => t.label).join(', ')}` };
+  }
+  return await updateTimerStatus(userId, matches[0].id, 'cancelled');
+}
+
+// Block for the agent's context prompt
+function formatTimersForContext(timers) {
+  const running = (timers || []).filter(t => t.remaining_seconds > 0);
+  if (running.length === 0) return '';
+
+  return `RUNNING TIMERS:\n${running.map(t => `- ${t.label}: ${formatDuration(t.remaining_seconds)} left${t.step_number ? ` (step ${t.step_number})` : ''}`).join('\n')}`;
+}
+
+// ==============================================
+// DATA ACTIONS
+// ==============================================
+function toActionResult(result, status = 500) {
+  if (result.error) {
+    return actionError(result.error === 'Timer not found' ? 404 : status, result.error);
+  }
+  return actionOk(result);
+}
+
+async function setTimerAction(userId, params) {
+  return toActionResult(await setTimer(userId, params), 400);
+}
+
+async function listTimersAction(userId) {
+  const timers = await listTimers(userId);
+  if (!timers) return actionError(500, 'Failed to load timers');
+  return actionOk({ timers });
+}
+
+async function cancelTimerAction(userId, params) {
+  const invalid = requireId(params, 'timer_id');
+  if (invalid) return invalid;
+  return toActionResult(await cancelTimer(userId, params));
+}
+
+// The client acknowledges an alert so the timer isn't re-announced after a reload
+async function dismissTimerAction(userId, params) {
+  const invalid = requireId(params, 'timer_id');
+  if (invalid) return invalid;
+  return toActionResult(await updateTimerStatus(userId, params.timer_id, 'dismissed'));
+}
+
+const actions = {
+  set_timer: setTimerAction,
+  list_timers: listTimersAction,
+  cancel_timer: cancelTimerAction,
+  dismiss_timer: dismissTimerAction
+};
+
+module.exports = {
+  canPersistTimers,
+  formatDuration,
+  setTimer,
+  listTimers,
+  cancelTimer,
+  formatTimersForContext,
+  actions
+};
@@ -22,6 +22,21 @@ CREATE TABLE IF NOT EXISTS user_preferences (
   UNIQUE(user_id, preference_key)
 );
 
+-- The app keeps one preference per user and type (diet, allergy, cooking_skill,
+-- cuisine) and upserts on (user_id, preference_type); duplicates saved before
+-- the key existed are dropped, keeping the newest
+ALTER TABLE user_preferences
+  ADD COLUMN IF NOT EXISTS preference_type VARCHAR(50),
+  ADD COLUMN IF NOT EXISTS confidence_score INTEGER DEFAULT 3,
+  ADD COLUMN IF NOT EXISTS last_used TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  ALTER COLUMN preference_key DROP NOT NULL;
+UPDATE user_preferences SET preference_type = preference_key WHERE preference_type IS NULL;
+DELETE FROM user_preferences older USING user_preferences newer
+  WHERE older.user_id = newer.user_id
+    AND older.preference_type = newer.preference_type
+    AND (older.created_at, older.id) < (newer.created_at, newer.id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_preferences_user_type ON user_preferences(user_id, preference_type);
+
 -- Create conversation_history table for persistent conversation storage
 CREATE TABLE IF NOT EXISTS conversation_history (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
@@ -31,12 +46,215 @@ CREATE TABLE IF NOT EXISTS conversation_history (
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create shopping_lists table for items added from chat or the dashboard
+CREATE TABLE IF NOT EXISTS shopping_lists (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  item TEXT NOT NULL,
+  quantity TEXT,
+  category VARCHAR(100) DEFAULT 'general',
+  priority INTEGER DEFAULT 2,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Smart shopping lists: named lists, merge keys, check-off state and the
+-- recipes each item came from. category holds the store aisle (lib/data/aisles.json).
+ALTER TABLE shopping_lists
+  ADD COLUMN IF NOT EXISTS list_name VARCHAR(60) NOT NULL DEFAULT 'Shopping List',
+  ADD COLUMN IF NOT EXISTS normalized_name TEXT,
+  ADD COLUMN IF NOT EXISTS checked BOOLEAN DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS checked_at TIMESTAMP WITH TIME ZONE,
+  ADD COLUMN IF NOT EXISTS sources JSONB DEFAULT '[]',
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Create saved_recipes table for recipes saved from chat or learned from URLs
+CREATE TABLE IF NOT EXISTS saved_recipes (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  title TEXT NOT NULL,
+  recipe_data JSONB,
+  source_url TEXT,
+  source_type VARCHAR(50),
+  tags TEXT[] DEFAULT '{}',
+  difficulty VARCHAR(50),
+  prep_time INTEGER,
+  cook_time INTEGER,
+  servings INTEGER,
+  rating INTEGER CHECK (rating BETWEEN 1 AND 5),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Cook log for the pantry (lib/pantry.js deducts ingredients when a recipe is cooked)
+ALTER TABLE saved_recipes
+  ADD COLUMN IF NOT EXISTS times_cooked INTEGER DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_cooked_at TIMESTAMP WITH TIME ZONE;
+
+-- Personal notes and edit history (lib/recipe_versions.js); version is the
+-- latest row in recipe_versions once the recipe has been edited
+ALTER TABLE saved_recipes
+  ADD COLUMN IF NOT EXISTS notes TEXT,
+  ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- Create conversation_threads table for named chat threads
+CREATE TABLE IF NOT EXISTS conversation_threads (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  title TEXT,
+  archived BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create conversation_memory table for chat turns and long-term memories
+CREATE TABLE IF NOT EXISTS conversation_memory (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  memory_type VARCHAR(50) NOT NULL,
+  memory_content TEXT NOT NULL,
+  context JSONB,
+  confidence_score INTEGER DEFAULT 3,
+  expires_at TIMESTAMP WITH TIME ZONE DEFAULT (NOW() + INTERVAL '1 year'),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Chat turns belong to a thread (NULL for turns saved before threads existed)
+ALTER TABLE conversation_memory
+  ADD COLUMN IF NOT EXISTS thread_id UUID REFERENCES conversation_threads(id) ON DELETE CASCADE;
+
+-- Create cooking_sessions table for guided step-by-step cooking
+CREATE TABLE IF NOT EXISTS cooking_sessions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  recipe_id UUID NOT NULL REFERENCES saved_recipes(id) ON DELETE CASCADE,
+  status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'completed', 'abandoned')),
+  current_step INTEGER DEFAULT 1,
+  completed_steps INTEGER[] DEFAULT '{}',
+  step_notes JSONB DEFAULT '{}',
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create kitchen_timers table (countdowns run client-side from ends_at)
+CREATE TABLE IF NOT EXISTS kitchen_timers (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  label VARCHAR(60) NOT NULL,
+  duration_seconds INTEGER NOT NULL CHECK (duration_seconds > 0),
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  status VARCHAR(20) DEFAULT 'running' CHECK (status IN ('running', 'cancelled', 'dismissed')),
+  session_id UUID REFERENCES cooking_sessions(id) ON DELETE SET NULL,
+  recipe_id UUID REFERENCES saved_recipes(id) ON DELETE SET NULL,
+  step_number INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create safety_events table (guardrail audit log; thread_id has no foreign key so events outlive deleted threads)
+CREATE TABLE IF NOT EXISTS safety_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  thread_id UUID,
+  event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('input_blocked', 'output_refused', 'redirected')),
+  category VARCHAR(30),
+  reason TEXT,
+  rule_ids TEXT[] DEFAULT '{}',
+  score NUMERIC(5,2),
+  input_text TEXT,
+  output_text TEXT,
+  review_status VARCHAR(20) DEFAULT 'pending' CHECK (review_status IN ('pending', 'confirmed', 'false_positive')),
+  reviewed_by VARCHAR(255),
+  review_note TEXT,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create pantry_items table (quantity NULL = amount not tracked; unit is a lib/quantities.js unit key, NULL for counts)
+CREATE TABLE IF NOT EXISTS pantry_items (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  name TEXT NOT NULL,
+  normalized_name TEXT NOT NULL,
+  quantity NUMERIC CHECK (quantity IS NULL OR quantity >= 0),
+  unit VARCHAR(20),
+  category VARCHAR(30),
+  expires_on DATE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create meal_plans table (one saved recipe per date and slot; servings NULL = the recipe's own)
+CREATE TABLE IF NOT EXISTS meal_plans (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  plan_date DATE NOT NULL,
+  meal_slot VARCHAR(20) NOT NULL CHECK (meal_slot IN ('breakfast', 'lunch', 'dinner', 'snack')),
+  recipe_id UUID NOT NULL REFERENCES saved_recipes(id) ON DELETE CASCADE,
+  servings INTEGER CHECK (servings BETWEEN 1 AND 100),
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (user_id, plan_date, meal_slot)
+);
+
+-- Create recipe_versions table (every edited version of a saved recipe; saved_recipes holds the latest)
+CREATE TABLE IF NOT EXISTS recipe_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  recipe_id UUID NOT NULL REFERENCES saved_recipes(id) ON DELETE CASCADE,
+  user_id VARCHAR(255) NOT NULL,
+  version INTEGER NOT NULL,
+  title TEXT NOT NULL,
+  recipe_data JSONB,
+  tags TEXT[] DEFAULT '{}',
+  difficulty VARCHAR(50),
+  prep_time INTEGER,
+  cook_time INTEGER,
+  servings INTEGER,
+  change_summary TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (recipe_id, version)
+);
+
+-- Create media table (photos in the user-media bucket, with their analysis and what they're linked to)
+CREATE TABLE IF NOT EXISTS media (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id VARCHAR(255) NOT NULL,
+  storage_path TEXT NOT NULL UNIQUE,
+  mime_type VARCHAR(100),
+  size_bytes INTEGER,
+  prompt TEXT,
+  analysis JSONB,
+  recipe_id UUID REFERENCES saved_recipes(id) ON DELETE SET NULL,
+  thread_id UUID REFERENCES conversation_threads(id) ON DELETE SET NULL,
+  memory_id UUID REFERENCES conversation_memory(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_recipes_user_id ON recipes(user_id);
 CREATE INDEX IF NOT EXISTS idx_recipes_created_at ON recipes(created_at);
 CREATE INDEX IF NOT EXISTS idx_user_preferences_user_id ON user_preferences(user_id);
 CREATE INDEX IF NOT EXISTS idx_conversation_history_user_id ON conversation_history(user_id);
 CREATE INDEX IF NOT EXISTS idx_conversation_history_created_at ON conversation_history(created_at);
+CREATE INDEX IF NOT EXISTS idx_shopping_lists_user_id ON shopping_lists(user_id);
+CREATE INDEX IF NOT EXISTS idx_shopping_lists_list ON shopping_lists(user_id, list_name, normalized_name);
+CREATE INDEX IF NOT EXISTS idx_saved_recipes_user_id ON saved_recipes(user_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_memory_user_id ON conversation_memory(user_id);
+CREATE INDEX IF NOT EXISTS idx_conversation_memory_thread_id ON conversation_memory(thread_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_conversation_memory_type ON conversation_memory(user_id, memory_type, expires_at);
+CREATE INDEX IF NOT EXISTS idx_conversation_threads_user_id ON conversation_threads(user_id, updated_at);
+CREATE INDEX IF NOT EXISTS idx_cooking_sessions_user_status ON cooking_sessions(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_kitchen_timers_user_status ON kitchen_timers(user_id, status, ends_at);
+CREATE INDEX IF NOT EXISTS idx_safety_events_created_at ON safety_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_safety_events_review ON safety_events(review_status, category);
+CREATE INDEX IF NOT EXISTS idx_safety_events_expires_at ON safety_events(expires_at);
+CREATE INDEX IF NOT EXISTS idx_pantry_items_user_name ON pantry_items(user_id, normalized_name);
+CREATE INDEX IF NOT EXISTS idx_meal_plans_user_date ON meal_plans(user_id, plan_date);
+CREATE INDEX IF NOT EXISTS idx_recipe_versions_user_id ON recipe_versions(user_id);
+CREATE INDEX IF NOT EXISTS idx_media_user_created ON media(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_media_recipe_id ON media(recipe_id);
 
 -- Create storage bucket for user media
 INSERT INTO storage.buckets (id, name, public) 
@@ -47,6 +265,17 @@ ON CONFLICT (id) DO NOTHING;
 ALTER TABLE recipes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE user_preferences ENABLE ROW LEVEL SECURITY;
 ALTER TABLE conversation_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shopping_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE saved_recipes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_memory ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cooking_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE kitchen_timers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE safety_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pantry_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE meal_plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recipe_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE media ENABLE ROW LEVEL SECURITY;
 
 -- Allow users to access their own data
 CREATE POLICY "Users can access their own recipes" ON recipes
@@ -58,6 +287,42 @@ CREATE POLICY "Users can access their own preferences" ON user_preferences
 CREATE POLICY "Users can access their own conversation history" ON conversation_history
   FOR ALL USING (auth.uid()::text = user_id);
 
+CREATE POLICY "Users can access their own shopping lists" ON shopping_lists
+  FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can access their own saved recipes" ON saved_recipes
+  FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can access their own conversation memory" ON conversation_memory
+  FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can access their own conversation threads" ON conversation_threads
+  FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can access their own cooking sessions" ON cooking_sessions
+  FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can access their own kitchen timers" ON kitchen_timers
+  FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can access their own pantry items" ON pantry_items
+  FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can access their own meal plans" ON meal_plans
+  FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can access their own recipe versions" ON recipe_versions
+  FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can access their own media" ON media
+  FOR ALL USING (auth.uid()::text = user_id);
+
+-- Photos are stored under <user_id>/ in the user-media bucket
+CREATE POLICY "Users can read their own media files" ON storage.objects
+  FOR SELECT USING (bucket_id = 'user-media' AND (storage.foldername(name))[1] = auth.uid()::text);
+
+-- safety_events has no user policy: only the service role (api/safety_review.js) reads it
+
 -- Allow service role to access all data (for API operations)
 CREATE POLICY "Service role can access all data" ON recipes
   FOR ALL USING (auth.role() = 'service_role');
@@ -67,3 +332,36 @@ CREATE POLICY "Service role can access all preferences" ON user_preferences
 
 CREATE POLICY "Service role can access all conversation history" ON conversation_history
   FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can access all shopping lists" ON shopping_lists
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can access all saved recipes" ON saved_recipes
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can access all conversation memory" ON conversation_memory
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can access all conversation threads" ON conversation_threads
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can access all cooking sessions" ON cooking_sessions
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can access all kitchen timers" ON kitchen_timers
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can access all safety events" ON safety_events
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can access all pantry items" ON pantry_items
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can access all meal plans" ON meal_plans
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can access all recipe versions" ON recipe_versions
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can access all media" ON media
+  FOR ALL USING (auth.role() = 'service_role');
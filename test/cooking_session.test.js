@@ -0,0 +1,26 @@
+// Command parsing in lib/cooking_session.js - what advances a guided session
+// without a model round trip, and what is left to the model.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCommand } = require('../lib/cooking_session');
+
+test('a bare acknowledgement moves to the next step', () => {
+  for (const text of ['done', 'Done!', 'ready.', 'got it', ' Got it! ', 'continue', "I'm done", 'next', 'next step please', "What's next?"]) {
+    assert.deepEqual(parseCommand(text), { command: 'next' }, text);
+  }
+});
+
+test('acknowledgement words inside a sentence or a question are left to the model', () => {
+  for (const text of ['Ready?', 'done?', 'Okay, done. Now what about the sauce?', 'continue stirring for how long?', 'got it, but should the pan smoke?', 'I am done chopping, is the pan ready?']) {
+    assert.equal(parseCommand(text), null, text);
+  }
+});
+
+test('parses step jumps, notes and the other navigation commands', () => {
+  assert.deepEqual(parseCommand('skip to step four'), { command: 'goto', step_number: 4 });
+  assert.deepEqual(parseCommand('Go back to step 2'), { command: 'goto', step_number: 2 });
+  assert.deepEqual(parseCommand('note: the oven runs hot'), { command: 'note', note: 'the oven runs hot' });
+  assert.deepEqual(parseCommand('go back'), { command: 'back' });
+  assert.deepEqual(parseCommand("what's left?"), { command: 'remaining' });
+  assert.deepEqual(parseCommand('stop cooking'), { command: 'end' });
+});
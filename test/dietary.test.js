@@ -0,0 +1,40 @@
+// Allergy checks in lib/dietary.js against the taxonomy in lib/data/allergens.json.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const dietary = require('../lib/dietary');
+
+function conflicts(allergy, ingredients) {
+  const restrictions = dietary.parseRestrictions([{ preference_type: 'allergy', preference_value: allergy }]);
+  const report = dietary.checkRecipe({ ingredients }, restrictions);
+  return report ? report.conflicts.map(c => c.ingredient) : [];
+}
+
+test('dairy allergy catches products made from milk, not just milk', () => {
+  const ingredients = [
+    '1 cup gelato',
+    '2 tbsp nutella',
+    '1 tbsp ghee',
+    '30 g whey protein',
+    '1 tsp sodium caseinate',
+    '200 g dulce de leche',
+    '1 cup buttercream',
+    '100 g white chocolate',
+    '125 g halloumi'
+  ];
+  assert.equal(conflicts('dairy', ingredients).length, ingredients.length);
+});
+
+test('dairy allergy leaves dairy-free lookalikes alone', () => {
+  assert.deepEqual(conflicts('dairy', [
+    '1 cup coconut yogurt',
+    '200 g bean curd',
+    '1 tsp cream of tartar',
+    '2 tbsp peanut butter',
+    '1 cup oat milk',
+    '1 pint dairy-free gelato'
+  ]), []);
+});
+
+test('nutella is also a tree nut conflict', () => {
+  assert.deepEqual(conflicts('tree nuts', ['2 tbsp nutella']), ['nutella (2 tbsp)']);
+});
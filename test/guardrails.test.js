@@ -0,0 +1,48 @@
+// lib/guardrails.js against the labeled corpus in lib/data/guardrail_corpus.json,
+// plus replies the output check must leave alone.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const guardrails = require('../lib/guardrails');
+
+test('every corpus case gets its expected decision', () => {
+  const { failures } = guardrails.evaluateCorpus();
+  assert.deepEqual(failures, []);
+});
+
+test('kitchen tools called guns are allowed in replies', () => {
+  for (const reply of [
+    'Use a heat gun to brown the meringue.',
+    'A piping gun makes filling the eclairs much faster.',
+    'Check the pan with an infrared thermometer gun before adding the steak.'
+  ]) {
+    assert.equal(guardrails.moderateOutput(reply).decision, 'answer', reply);
+  }
+});
+
+test('weapons are still refused in replies', () => {
+  const result = guardrails.moderateOutput('Here is where to buy a gun and ammo.');
+  assert.equal(result.decision, 'refuse');
+  assert.deepEqual(result.rule_ids, ['violence.weapon']);
+});
+
+test('streamed replies go out a sentence at a time once each has passed moderation', () => {
+  const sent = [];
+  const moderator = guardrails.createOutputModerator(text => sent.push(text));
+  for (const piece of ['Sear the ', 'steak for 3 ', 'minutes. Rest it', ' for 5.\nSlice ', 'thinly']) moderator.write(piece);
+  assert.deepEqual(sent, ['Sear the steak for 3 minutes. ', 'Rest it for 5.\n']);
+
+  moderator.flush();
+  assert.deepEqual(sent, ['Sear the steak for 3 minutes. ', 'Rest it for 5.\n', 'Slice thinly']);
+  assert.equal(moderator.refused, null);
+});
+
+test('a sentence that fails moderation is never sent, nor anything after it', () => {
+  const sent = [];
+  const moderator = guardrails.createOutputModerator(text => sent.push(text));
+  moderator.write('Happy to help. Here is where to buy a gun and ammo. ');
+  moderator.write('More text. ');
+  moderator.flush();
+
+  assert.deepEqual(sent, []);
+  assert.equal(moderator.refused.decision, 'refuse');
+});
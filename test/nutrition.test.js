@@ -0,0 +1,28 @@
+// Name matching in lib/nutrition.js: only names the table entry fully
+// describes are counted; everything else is left for the model or reported.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const nutrition = require('../lib/nutrition');
+
+test('matches table names with descriptors and neutral words around them', () => {
+  assert.equal(nutrition.matchName('kosher salt'), 'salt');
+  assert.equal(nutrition.matchName('baby spinach'), 'spinach');
+  assert.equal(nutrition.matchName('boiling water'), 'water');
+  assert.equal(nutrition.matchName('garlic cloves'), 'garlic');
+  assert.equal(nutrition.matchName('boneless skinless chicken breasts'), 'chicken breast');
+  assert.equal(nutrition.matchName('diced tomatoes'), 'canned tomatoes');
+  assert.equal(nutrition.matchName('ripe sweet potatoes'), 'sweet potato');
+});
+
+test('does not match a different food by part of its name', () => {
+  for (const name of ['ice cream', 'almond milk', 'garlic powder', 'rice noodles', 'cream of mushroom soup', 'red pepper flakes']) {
+    assert.equal(nutrition.matchName(name), null, name);
+  }
+});
+
+test('reports partially matching names as unmatched instead of counting them', async () => {
+  const result = await nutrition.calculateNutrition(['1 cup ice cream', '1 cup almond milk', '1 tsp garlic powder', '1 cup milk'], 1, { normalizeNames: false });
+
+  assert.deepEqual(result.matched.map(m => m.matched_as), ['milk']);
+  assert.deepEqual(result.unmatched.map(u => u.reason), ['not in nutrient table', 'not in nutrient table', 'not in nutrient table']);
+});
@@ -0,0 +1,28 @@
+// lib/recipe_formats.js: model extractions to saved recipe_data.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toRecipeData } = require('../lib/recipe_formats');
+
+test('drops the model-only fields and maps substitutions', () => {
+  const recipe = toRecipeData({
+    is_recipe: true,
+    transcription: 'Oatmeal Cookies\n1 c oats',
+    uncertain: [{ field: 'servings', number: null, reason: 'smudged' }],
+    title: 'Oatmeal Cookies',
+    ingredients: [{ name: 'oats', amount: '1 cup', notes: null }],
+    substitutions: [
+      { original: 'butter', substitution: 'margarine' },
+      { original: 'raisins', substitution: '' }
+    ]
+  });
+
+  assert.deepEqual(recipe, {
+    title: 'Oatmeal Cookies',
+    ingredients: [{ name: 'oats', amount: '1 cup', notes: null }],
+    substitutions: { butter: 'margarine' }
+  });
+});
+
+test('gives an empty substitutions map when there are none', () => {
+  assert.deepEqual(toRecipeData({ is_recipe: true, title: 'Toast' }), { title: 'Toast', substitutions: {} });
+});
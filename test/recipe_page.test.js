@@ -0,0 +1,156 @@
+// Offline checks for lib/recipe_page.js against the saved pages in
+// test/fixtures/recipe_pages. Run with `npm test`.
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const recipePage = require('../lib/recipe_page');
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, 'fixtures', 'recipe_pages', name), 'utf8');
+}
+
+// ==============================================
+// STRUCTURED DATA
+// ==============================================
+
+test('reads a JSON-LD recipe from an @graph, skipping a broken block', () => {
+  const result = recipePage.extractStructuredRecipe(fixture('jsonld_graph.html'));
+
+  assert.equal(result.method, 'json-ld');
+  assert.equal(result.recipe.title, 'Lemon Garlic Chicken');
+  assert.equal(result.recipe.description, 'Juicy chicken thighs with lemon & garlic.');
+  assert.equal(result.recipe.servings, 4);
+  assert.equal(result.recipe.prep_time, '10 minutes');
+  assert.equal(result.recipe.cook_time, '35 minutes');
+  assert.equal(result.recipe.cuisine, 'Mediterranean');
+  assert.deepEqual(result.recipe.dietary_tags, ['gluten-free']);
+  assert.deepEqual(result.recipe.ingredients[1], { name: 'lemons', amount: '2', notes: 'juiced' });
+  assert.deepEqual(result.recipe.steps.map(s => s.step), [1, 2, 3]);
+  assert.equal(result.recipe.steps[2].instruction, 'Roast for 35 minutes until golden.');
+  assert.deepEqual(result.tags, ['dinner', 'chicken', 'weeknight']);
+});
+
+test('reads a JSON-LD recipe from a WebPage mainEntity', () => {
+  const result = recipePage.extractStructuredRecipe(fixture('jsonld_main_entity.html'));
+
+  assert.equal(result.method, 'json-ld');
+  assert.equal(result.recipe.title, 'Overnight Oats');
+  assert.equal(result.recipe.servings, 2);
+  assert.deepEqual(result.recipe.ingredients.map(i => i.name), ['rolled oats', 'milk', 'honey']);
+  assert.equal(result.recipe.steps.length, 1);
+});
+
+test('reads schema.org microdata, including the older "ingredients" property and nested steps', () => {
+  const result = recipePage.extractStructuredRecipe(fixture('microdata.html'));
+
+  assert.equal(result.method, 'microdata');
+  assert.equal(result.recipe.title, 'Classic Pancakes');
+  assert.equal(result.recipe.prep_time, '10 minutes');
+  assert.equal(result.recipe.cook_time, '15 minutes');
+  assert.equal(result.recipe.servings, 4);
+  assert.deepEqual(result.recipe.ingredients.map(i => i.name), ['flour', 'sugar', 'buttermilk', 'eggs']);
+  assert.deepEqual(result.recipe.steps.map(s => s.instruction), [
+    'Whisk the dry ingredients.',
+    'Beat in the buttermilk and eggs.',
+    'Cook on a hot griddle until bubbles form, then flip.'
+  ]);
+});
+
+test('returns null for pages without structured data or with a cut-off JSON-LD block', () => {
+  assert.equal(recipePage.extractStructuredRecipe(fixture('plain_text.html')), null);
+  assert.equal(recipePage.extractStructuredRecipe(fixture('truncated.html')), null);
+});
+
+// ==============================================
+// MAIN TEXT
+// ==============================================
+
+test('keeps the article text and drops navigation, sidebars, scripts and forms', () => {
+  const { title, text } = recipePage.extractMainText(fixture('plain_text.html'));
+
+  assert.equal(title, "Grandma's Tomato Soup");
+  assert.match(text, /^Description: A simple soup from the garden\./);
+  assert.match(text, /- 1 kg ripe tomatoes\n- 1 onion, chopped/);
+  assert.match(text, /simmer for 30 minutes, then blend\./);
+  for (const boilerplate of ['Subscribe', 'About', 'Popular posts', 'Copyright', 'dataLayer', 'sponsored', 'Sign up', 'font-family']) {
+    assert.ok(!text.includes(boilerplate), `"${boilerplate}" should have been removed`);
+  }
+});
+
+test('reads what there is of a truncated page', () => {
+  const { title, text } = recipePage.extractMainText(fixture('truncated.html'));
+
+  assert.equal(title, 'Slow Cooker Chili');
+  assert.match(text, /Brown the beef mince with the onion\./);
+  assert.match(text, /cook on low for 8 ho$/);
+  assert.ok(!text.includes('recipeIngredient'));
+  assert.ok(!text.includes('Home'));
+});
+
+test('caps the text at MAX_TEXT_CHARS', () => {
+  const paragraph = '<p>Stir the pot slowly and taste for seasoning as you go.</p>';
+  const html = `<html><body><article>${paragraph.repeat(1000)}</article></body></html>`;
+  const { text } = recipePage.extractMainText(html);
+
+  assert.equal(text.length, recipePage.MAX_TEXT_CHARS);
+});
+
+// ==============================================
+// ADDRESS CHECKS
+// ==============================================
+
+test('treats loopback, private and link-local addresses as private', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+    assert.equal(recipePage.isPrivateAddress(address), true, address);
+  }
+});
+
+test('treats IPv4 addresses inside IPv6 by the IPv4 address', () => {
+  // new URL('http://[::ffff:127.0.0.1]/').hostname is "[::ffff:7f00:1]"
+  for (const address of ['::ffff:7f00:1', '::ffff:a9fe:a9fe', '::ffff:0a00:0001', '::7f00:1', '64:ff9b::a9fe:a9fe', '2002:7f00:1::1']) {
+    assert.equal(recipePage.isPrivateAddress(address), true, address);
+  }
+  assert.equal(recipePage.isPrivateAddress('::ffff:5db8:d822'), false);
+});
+
+test('treats site-local, multicast and reserved addresses as private', () => {
+  for (const address of ['fec0::1', 'feff::1', 'ff02::1', 'ff0e::1', '224.0.0.1', '239.255.255.250', '255.255.255.255', 'not-an-ip']) {
+    assert.equal(recipePage.isPrivateAddress(address), true, address);
+  }
+});
+
+test('lets public addresses through', () => {
+  for (const address of ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:93.184.216.34', '2002:808:808::1']) {
+    assert.equal(recipePage.isPrivateAddress(address), false, address);
+  }
+});
+
+test('refuses to fetch private IP literals, including IPv4-mapped IPv6', async () => {
+  for (const url of ['http://[::ffff:127.0.0.1]/', 'http://[::ffff:a9fe:a9fe]/latest/meta-data/', 'http://[fec0::1]/', 'http://169.254.169.254/', 'http://localhost:3000/']) {
+    assert.deepEqual(await recipePage.fetchPage(url), { error: 'That address is not reachable', status: 400 }, url);
+  }
+});
+
+test('checks the address the connection uses, not only the first lookup', async () => {
+  let hits = 0;
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.end('<h1>internal</h1>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  // The first answer is public, the one the socket gets points back inside
+  mock.method(dns.promises, 'lookup', async () => [{ address: '93.184.216.34', family: 4 }]);
+  mock.method(dns, 'lookup', (hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+  try {
+    const result = await recipePage.fetchPage(`http://rebind.example:${server.address().port}/`);
+    assert.deepEqual(result, { error: 'That address is not reachable', status: 400 });
+    assert.equal(hits, 0);
+  } finally {
+    mock.restoreAll();
+    server.close();
+  }
+});
@@ -0,0 +1,49 @@
+// Ingredient edits in lib/recipe_versions.js applyEdits: which ingredient a
+// chat-style name refers to, and how a scaled amount is written back.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyEdits } = require('../lib/recipe_versions');
+
+test('matches whole words, not substrings', () => {
+  const result = applyEdits({ ingredients: ['2 cups boiling water', '2 tbsp olive oil'] }, {
+    ingredient_changes: [{ name: 'oil', remove: true }]
+  });
+  assert.deepEqual(result.recipe_data.ingredients, ['2 cups boiling water']);
+});
+
+test('"salt" is the sea salt, not the unsalted butter', () => {
+  const result = applyEdits({
+    ingredients: [{ name: 'unsalted butter', amount: '100 g' }, { name: 'sea salt', amount: '1 tsp' }]
+  }, { ingredient_changes: [{ name: 'salt', amount: '2 tsp' }] });
+
+  assert.deepEqual(result.recipe_data.ingredients, [
+    { name: 'unsalted butter', amount: '100 g' },
+    { name: 'sea salt', amount: '2 tsp' }
+  ]);
+});
+
+test('prefers the closest name and accepts plurals', () => {
+  const result = applyEdits({ ingredients: ['1 tsp black pepper', '1 tsp red pepper flakes', '2 eggs'] }, {
+    ingredient_changes: [{ name: 'pepper', amount: '2 tsp' }, { name: 'egg', amount: '3' }]
+  });
+  assert.deepEqual(result.recipe_data.ingredients, ['2 tsp black pepper', '1 tsp red pepper flakes', '3 eggs']);
+});
+
+test('asks which one when several ingredients match equally', () => {
+  const result = applyEdits({ ingredients: ['2 tbsp olive oil', '1 tbsp sesame oil'] }, {
+    ingredient_changes: [{ name: 'oil', remove: true }]
+  });
+  assert.match(result.error, /Several ingredients match "oil" \(olive oil, sesame oil\) - which one\?/);
+});
+
+test('reports a name that matches nothing', () => {
+  const result = applyEdits({ ingredients: ['2 tbsp olive oil'] }, { ingredient_changes: [{ name: 'flour', remove: true }] });
+  assert.equal(result.error, 'No ingredient matching "flour" in this recipe');
+});
+
+test('an ingredient edit that scales keeps the size word', () => {
+  const result = applyEdits({ ingredients: [{ name: 'onion', amount: '1 medium' }] }, {
+    ingredient_changes: [{ name: 'onion', scale: 2 }]
+  });
+  assert.equal(result.recipe_data.ingredients[0].amount, '2 medium');
+});
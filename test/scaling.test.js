@@ -0,0 +1,37 @@
+// Amount scaling in lib/scaling.js and the parsing/formatting in lib/quantities.js behind it.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { scaleRecipe } = require('../lib/scaling');
+
+function scaledAmounts(ingredients, options) {
+  return scaleRecipe({ servings: 2, ingredients }, options).recipe.ingredients.map(i => i.amount);
+}
+
+test('keeps size and packing words from an object ingredient amount', () => {
+  assert.deepEqual(scaledAmounts([
+    { name: 'eggs', amount: '1 large' },
+    { name: 'brown sugar', amount: '1 cup packed' },
+    { name: 'flour', amount: '2 cups' }
+  ], { servings: 5 }), ['2 1/2 large', '2 1/2 cups packed', '5 cups']);
+});
+
+test('scales string ingredients with the size word left in the name', () => {
+  const [eggs] = scaleRecipe({ servings: 2, ingredients: ['2 large eggs'] }, { servings: 4 }).recipe.ingredients;
+  assert.deepEqual(eggs, { name: 'large eggs', amount: '4', notes: null, original_amount: '2' });
+});
+
+test('keeps a package size after the unit as a note', () => {
+  const [tomatoes] = scaleRecipe({ servings: 2, ingredients: ['1 can (14 oz) tomatoes'] }, { servings: 4 }).recipe.ingredients;
+  assert.equal(tomatoes.name, 'tomatoes');
+  assert.equal(tomatoes.amount, '2 cans (14 oz)');
+});
+
+test('reads "2 x 400g cans" as two cans of that size', () => {
+  const [chickpeas] = scaleRecipe({ servings: 2, ingredients: ['2 x 400g cans chickpeas'] }, { servings: 4 }).recipe.ingredients;
+  assert.equal(chickpeas.name, 'chickpeas');
+  assert.equal(chickpeas.amount, '4 cans (400g)');
+});
+
+test('leaves unmeasured amounts alone', () => {
+  assert.deepEqual(scaledAmounts([{ name: 'salt', amount: 'to taste' }], { servings: 6 }), ['to taste']);
+});